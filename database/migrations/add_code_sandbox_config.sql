@@ -0,0 +1,6 @@
+-- Limits for running generated Code node JavaScript in the test sandbox
+-- Migration: add_code_sandbox_config.sql
+
+INSERT INTO system_config (key, value, description) VALUES
+('code_sandbox', '{"timeoutMs": 2000, "memoryMb": 64}', 'Time limit per Code node run (per item in each-item mode) and worker heap size in MB for the Code node sandbox')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,6 @@
+-- Best-practice lint rule sets per complexity tier
+-- Migration: add_lint_rule_sets.sql
+
+INSERT INTO system_config (key, value, description) VALUES
+('lint_rule_sets', '{"simple": ["generic-node-names", "hardcoded-dates", "unused-if-branch"], "medium": ["generic-node-names", "hardcoded-dates", "unused-if-branch", "external-call-error-handling"], "complex": ["generic-node-names", "external-call-error-handling", "error-workflow", "unused-if-branch", "hardcoded-dates"]}', 'Lint rule ids applied to generated workflows for each complexity tier (simple, medium, complex)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,34 @@
+-- Add LLM usage ledger for per-request token and cost accounting
+-- Migration: add_llm_usage_tables.sql
+
+-- One row per LLM call
+CREATE TABLE IF NOT EXISTS llm_usage_ledger (
+    id SERIAL PRIMARY KEY,
+    customer_request_id INTEGER REFERENCES customer_requests(id) ON DELETE SET NULL,
+    workflow_id INTEGER REFERENCES workflows(id) ON DELETE SET NULL,
+    content_item_id INTEGER REFERENCES content_items(id) ON DELETE SET NULL,
+    job_queue VARCHAR(100),
+    job_id VARCHAR(100),
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    cost_usd DECIMAL(12,6) NOT NULL DEFAULT 0,
+    success BOOLEAN NOT NULL DEFAULT true,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_llm_usage_customer_request_id ON llm_usage_ledger(customer_request_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_workflow_id ON llm_usage_ledger(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_content_item_id ON llm_usage_ledger(content_item_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_job ON llm_usage_ledger(job_queue, job_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage_ledger(created_at);
+
+-- Model prices in USD per million tokens
+INSERT INTO system_config (key, value, description) VALUES
+('llm_model_pricing', '{"claude-3-5-sonnet-20241022": {"input": 3.0, "output": 15.0}, "claude-3-5-haiku-20241022": {"input": 0.8, "output": 4.0}, "claude-3-opus-20240229": {"input": 15.0, "output": 75.0}, "gpt-4o": {"input": 2.5, "output": 10.0}, "gpt-4o-mini": {"input": 0.15, "output": 0.6}, "default": {"input": 3.0, "output": 15.0}}', 'LLM prices in USD per million input/output tokens')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,48 @@
+-- Clarifying questions asked before a request is sent to the generator
+-- Migration: add_request_clarifications.sql
+
+CREATE TABLE IF NOT EXISTS request_clarifications (
+    id SERIAL PRIMARY KEY,
+    customer_request_id INTEGER NOT NULL REFERENCES customer_requests(id) ON DELETE CASCADE,
+    question_key VARCHAR(50) NOT NULL,
+    category VARCHAR(30) NOT NULL CHECK (category IN ('source_system', 'field_mapping', 'schedule', 'auth_method')),
+    question TEXT NOT NULL,
+    blocking BOOLEAN NOT NULL DEFAULT true,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'answered', 'skipped')),
+    answer TEXT,
+    answered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (customer_request_id, question_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_clarifications_request_id ON request_clarifications(customer_request_id);
+
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'customer_requests' 
+                   AND column_name = 'clarification_deadline') THEN
+        ALTER TABLE customer_requests ADD COLUMN clarification_deadline TIMESTAMP WITH TIME ZONE;
+    END IF;
+
+    -- Generation settings to use once the questions are resolved
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'customer_requests' 
+                   AND column_name = 'pending_generation') THEN
+        ALTER TABLE customer_requests ADD COLUMN pending_generation JSONB;
+    END IF;
+END $$;
+
+-- Widen the status constraint to the statuses the pipeline sets
+ALTER TABLE customer_requests DROP CONSTRAINT IF EXISTS customer_requests_status_check;
+ALTER TABLE customer_requests ALTER COLUMN status TYPE VARCHAR(30);
+ALTER TABLE customer_requests ADD CONSTRAINT customer_requests_status_check CHECK (status IN (
+    'requested', 'quoted', 'approved', 'paid', 'awaiting_clarification', 'processing',
+    'generating', 'testing', 'failed_tests', 'workflow_generated', 'generation_failed',
+    'security_review', 'creating_content', 'publishing', 'delivered', 'completed', 'error'
+));
+
+-- How long to wait for answers before generating with sensible defaults
+INSERT INTO system_config (key, value, description) VALUES
+('clarification_timeout_hours', '48', 'Hours to wait for answers to clarifying questions before generation proceeds anyway')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,32 @@
+-- Structured requirement spec extracted from the free-text request
+-- Migration: add_requirement_specs.sql
+
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'customer_requests' 
+                   AND column_name = 'requirement_spec') THEN
+        ALTER TABLE customer_requests ADD COLUMN requirement_spec JSONB;
+    END IF;
+
+    -- draft: built from the form fields, extracted: model-refined, customer: edited by the customer
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'customer_requests' 
+                   AND column_name = 'requirement_spec_source') THEN
+        ALTER TABLE customer_requests ADD COLUMN requirement_spec_source VARCHAR(20)
+            CHECK (requirement_spec_source IN ('draft', 'extracted', 'customer'));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'customer_requests' 
+                   AND column_name = 'requirement_spec_confirmed_at') THEN
+        ALTER TABLE customer_requests ADD COLUMN requirement_spec_confirmed_at TIMESTAMP WITH TIME ZONE;
+    END IF;
+END $$;
+
+-- Intake runs the spec extraction as its own LLM task
+UPDATE system_config
+SET value = value || '{"intake": {"provider": "anthropic", "model": "claude-3-5-sonnet-20241022", "maxTokens": 2000, "temperature": 0.1}}'::jsonb,
+    description = 'LLM provider and model per task (generation, scripts, support, intake)',
+    updated_at = CURRENT_TIMESTAMP
+WHERE key = 'llm_task_config' AND NOT (value ? 'intake');
@@ -0,0 +1,26 @@
+-- Sub-workflows split out of large generated workflows, stored as a bundle under their parent
+-- Migration: add_workflow_bundles.sql
+
+DO $$ 
+BEGIN 
+    -- Sub-workflows point at the parent workflow that calls them
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflows' 
+                   AND column_name = 'parent_workflow_id') THEN
+        ALTER TABLE workflows ADD COLUMN parent_workflow_id INTEGER REFERENCES workflows(id) ON DELETE CASCADE;
+    END IF;
+
+    -- Key the parent's Execute Workflow nodes use to reference the sub-workflow
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflows' 
+                   AND column_name = 'bundle_key') THEN
+        ALTER TABLE workflows ADD COLUMN bundle_key VARCHAR(100);
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflows_parent_bundle_key ON workflows(parent_workflow_id, bundle_key);
+
+-- Size above which generated workflows are split into sub-workflows
+INSERT INTO system_config (key, value, description) VALUES
+('workflow_decomposition', '{"nodeThreshold": 25, "minSegmentSize": 3, "maxSubWorkflows": 5}', 'Node count above which generated workflows are split into sub-workflows, smallest segment worth extracting and most sub-workflows per bundle')
+ON CONFLICT (key) DO NOTHING;
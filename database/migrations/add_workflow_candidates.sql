@@ -0,0 +1,17 @@
+-- Scores for workflows picked from several generated candidates
+-- Migration: add_workflow_candidates.sql
+
+DO $$ 
+BEGIN 
+    -- Rank, variant and score breakdown when the version came from multi-candidate generation
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflow_versions' 
+                   AND column_name = 'candidate') THEN
+        ALTER TABLE workflow_versions ADD COLUMN candidate JSONB;
+    END IF;
+END $$;
+
+-- Candidate count and scoring weights per complexity tier
+INSERT INTO system_config (key, value, description) VALUES
+('candidate_generation', '{"simple": {"candidates": 1, "weights": {"validation": 0.35, "lint": 0.15, "dryRun": 0.2, "specCoverage": 0.3}}, "medium": {"candidates": 1, "weights": {"validation": 0.35, "lint": 0.15, "dryRun": 0.2, "specCoverage": 0.3}}, "complex": {"candidates": 3, "weights": {"validation": 0.35, "lint": 0.15, "dryRun": 0.2, "specCoverage": 0.3}}}', 'Workflow candidates generated and scoring weights per complexity tier (simple, medium, complex)')
+ON CONFLICT (key) DO NOTHING;
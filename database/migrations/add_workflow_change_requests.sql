@@ -0,0 +1,36 @@
+-- Customer change requests against a delivered workflow, with a clarification thread
+-- Migration: add_workflow_change_requests.sql
+
+CREATE TABLE IF NOT EXISTS workflow_change_requests (
+    id SERIAL PRIMARY KEY,
+    workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    customer_request_id INTEGER REFERENCES customer_requests(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    added_input_sources TEXT[] DEFAULT '{}',
+    added_output_targets TEXT[] DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('submitted', 'processing', 'revised', 'failed', 'cancelled')),
+    base_version INTEGER,
+    result_version INTEGER,
+    quoted_price DECIMAL(10,2),
+    price_delta DECIMAL(10,2),
+    pricing_breakdown JSONB,
+    test_status VARCHAR(20),
+    job_id VARCHAR(100),
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Clarifications between the customer and the team, plus pipeline status notes
+CREATE TABLE IF NOT EXISTS change_request_messages (
+    id SERIAL PRIMARY KEY,
+    change_request_id INTEGER NOT NULL REFERENCES workflow_change_requests(id) ON DELETE CASCADE,
+    author VARCHAR(20) NOT NULL CHECK (author IN ('customer', 'team', 'system')),
+    message TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_change_requests_workflow_id ON workflow_change_requests(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_change_requests_status ON workflow_change_requests(status);
+CREATE INDEX IF NOT EXISTS idx_change_request_messages_change_request_id ON change_request_messages(change_request_id);
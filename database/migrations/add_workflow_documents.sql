@@ -0,0 +1,19 @@
+-- Customer-facing documentation generated for each workflow revision
+-- Migration: add_workflow_documents.sql
+
+-- One document per revision, so the docs delivered always match the JSON delivered
+CREATE TABLE IF NOT EXISTS workflow_documents (
+    id SERIAL PRIMARY KEY,
+    workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    structure JSONB NOT NULL,
+    narrative JSONB,
+    narrative_source VARCHAR(20) NOT NULL DEFAULT 'llm' CHECK (narrative_source IN ('llm', 'fallback')),
+    markdown TEXT NOT NULL,
+    html TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workflow_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_documents_workflow_id ON workflow_documents(workflow_id);
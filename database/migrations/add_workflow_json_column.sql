@@ -0,0 +1,19 @@
+-- Reconcile the workflow JSON columns: the base schema creates n8n_json, the application reads and writes workflow_json
+-- Migration: add_workflow_json_column.sql
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_name = 'workflows'
+                   AND column_name = 'workflow_json') THEN
+        ALTER TABLE workflows ADD COLUMN workflow_json JSONB;
+    END IF;
+
+    -- Copy workflows stored before the rename and stop requiring the old column on insert
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_name = 'workflows'
+               AND column_name = 'n8n_json') THEN
+        UPDATE workflows SET workflow_json = n8n_json WHERE workflow_json IS NULL;
+        ALTER TABLE workflows ALTER COLUMN n8n_json DROP NOT NULL;
+    END IF;
+END $$;
@@ -0,0 +1,31 @@
+-- Store security scan results with each workflow
+-- Migration: add_workflow_security_columns.sql
+
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflows' 
+                   AND column_name = 'security_findings') THEN
+        ALTER TABLE workflows ADD COLUMN security_findings JSONB;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflows' 
+                   AND column_name = 'security_max_severity') THEN
+        ALTER TABLE workflows ADD COLUMN security_max_severity VARCHAR(10)
+            CHECK (security_max_severity IN ('info', 'low', 'medium', 'high', 'critical'));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflows' 
+                   AND column_name = 'security_scanned_at') THEN
+        ALTER TABLE workflows ADD COLUMN security_scanned_at TIMESTAMP WITH TIME ZONE;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_workflows_security_max_severity ON workflows(security_max_severity);
+
+-- Findings at or above this severity block delivery
+INSERT INTO system_config (key, value, description) VALUES
+('security_block_severity', '"high"', 'Minimum security finding severity that blocks workflow delivery (info, low, medium, high, critical)')
+ON CONFLICT (key) DO NOTHING;
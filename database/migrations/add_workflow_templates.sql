@@ -0,0 +1,29 @@
+-- Reusable parametric templates promoted from tested workflows
+-- Migration: add_workflow_templates.sql
+
+CREATE TABLE IF NOT EXISTS workflow_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NOT NULL,
+    source_workflow_id INTEGER REFERENCES workflows(id) ON DELETE SET NULL,
+    source_version INTEGER,
+    workflow_json JSONB NOT NULL,
+    -- [{ key, node, path, description, default }] parameters filled in per customer
+    variables JSONB NOT NULL DEFAULT '[]',
+    keywords TEXT[] DEFAULT '{}',
+    systems TEXT[] DEFAULT '{}',
+    trigger_type VARCHAR(20),
+    usage_count INTEGER DEFAULT 0,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_templates_active ON workflow_templates(active);
+CREATE INDEX IF NOT EXISTS idx_workflow_templates_source_workflow_id ON workflow_templates(source_workflow_id);
+
+-- Minimum match score (0-1) before a template is used instead of full generation
+INSERT INTO system_config (key, value, description) VALUES
+('template_match_threshold', '0.7', 'Minimum match score (0-1) for instantiating a library template instead of generating from scratch')
+ON CONFLICT (key) DO NOTHING;
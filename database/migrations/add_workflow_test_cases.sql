@@ -0,0 +1,21 @@
+-- Declarative test cases run against a workflow on every test
+-- Migration: add_workflow_test_cases.sql
+
+-- Each case triggers the workflow with its own input and mocked service responses,
+-- then checks assertions on specific nodes' output
+CREATE TABLE IF NOT EXISTS workflow_test_cases (
+    id SERIAL PRIMARY KEY,
+    workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    trigger_data JSONB NOT NULL DEFAULT '{}',
+    service_mocks JSONB NOT NULL DEFAULT '[]',
+    assertions JSONB NOT NULL DEFAULT '[]',
+    expect_error BOOLEAN DEFAULT false,
+    enabled BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workflow_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_test_cases_workflow_id ON workflow_test_cases(workflow_id);
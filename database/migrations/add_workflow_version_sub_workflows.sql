@@ -0,0 +1,19 @@
+-- Sub-workflows carried with each revision and template of a bundle parent
+-- Migration: add_workflow_version_sub_workflows.sql
+
+DO $$ 
+BEGIN 
+    -- Bundle the revision was recorded with; NULL for revisions recorded before bundles were versioned
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflow_versions' 
+                   AND column_name = 'sub_workflows') THEN
+        ALTER TABLE workflow_versions ADD COLUMN sub_workflows JSONB;
+    END IF;
+
+    -- Sub-workflows the template's bundle: references point at
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflow_templates' 
+                   AND column_name = 'sub_workflows') THEN
+        ALTER TABLE workflow_templates ADD COLUMN sub_workflows JSONB NOT NULL DEFAULT '[]';
+    END IF;
+END $$;
@@ -0,0 +1,29 @@
+-- Keep every revision of a workflow so it can be diffed, promoted and rolled back
+-- Migration: add_workflow_versions.sql
+
+-- One row per revision; workflows.workflow_json always holds the current one
+CREATE TABLE IF NOT EXISTS workflow_versions (
+    id SERIAL PRIMARY KEY,
+    workflow_id INTEGER NOT NULL REFERENCES workflows(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    workflow_json JSONB NOT NULL,
+    author VARCHAR(20) NOT NULL CHECK (author IN ('generator', 'repair', 'human')),
+    change_summary TEXT,
+    changes JSONB,
+    test_status VARCHAR(20) DEFAULT 'pending' CHECK (test_status IN ('pending', 'testing', 'passed', 'failed', 'retrying')),
+    test_results JSONB,
+    promoted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (workflow_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_versions_workflow_id ON workflow_versions(workflow_id);
+
+DO $$ 
+BEGIN 
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name = 'workflows' 
+                   AND column_name = 'current_version') THEN
+        ALTER TABLE workflows ADD COLUMN current_version INTEGER;
+    END IF;
+END $$;
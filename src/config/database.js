@@ -55,7 +55,7 @@ const createTables = async () => {
         deadline DATE,
         budget DECIMAL(10,2),
         special_requirements TEXT,
-        status VARCHAR(20) DEFAULT 'requested' CHECK (status IN ('requested', 'quoted', 'approved', 'generating', 'testing', 'failed_tests', 'creating_content', 'publishing', 'delivered', 'error')),
+        status VARCHAR(30) DEFAULT 'requested' CHECK (status IN ('requested', 'quoted', 'approved', 'paid', 'awaiting_clarification', 'processing', 'generating', 'testing', 'failed_tests', 'workflow_generated', 'generation_failed', 'security_review', 'creating_content', 'publishing', 'delivered', 'completed', 'error')),
         quote_sent_at TIMESTAMP,
         approved_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -181,7 +181,16 @@ const createTables = async () => {
       ('pricing_per_node', '{"simple": 5, "medium": 10, "complex": 20}', 'Pricing per node based on complexity'),
       ('base_workflow_price', '50', 'Base price for any workflow'),
       ('max_test_attempts', '3', 'Maximum number of test attempts for a workflow'),
-      ('content_generation_enabled', 'true', 'Whether to generate video content automatically')
+      ('content_generation_enabled', 'true', 'Whether to generate video content automatically'),
+      ('llm_task_config', '{"generation": {"provider": "anthropic", "model": "claude-3-5-sonnet-20241022", "maxTokens": 4000, "temperature": 0.3}, "scripts": {"provider": "anthropic", "model": "claude-3-5-sonnet-20241022", "maxTokens": 2000, "temperature": 0.4}, "support": {"provider": "anthropic", "model": "claude-3-5-sonnet-20241022", "maxTokens": 1000, "temperature": 0.5}, "intake": {"provider": "anthropic", "model": "claude-3-5-sonnet-20241022", "maxTokens": 2000, "temperature": 0.1}}', 'LLM provider and model per task (generation, scripts, support, intake)'),
+      ('llm_model_pricing', '{"claude-3-5-sonnet-20241022": {"input": 3.0, "output": 15.0}, "claude-3-5-haiku-20241022": {"input": 0.8, "output": 4.0}, "claude-3-opus-20240229": {"input": 15.0, "output": 75.0}, "gpt-4o": {"input": 2.5, "output": 10.0}, "gpt-4o-mini": {"input": 0.15, "output": 0.6}, "default": {"input": 3.0, "output": 15.0}}', 'LLM prices in USD per million input/output tokens'),
+      ('security_block_severity', '"high"', 'Minimum security finding severity that blocks workflow delivery (info, low, medium, high, critical)'),
+      ('lint_rule_sets', '{"simple": ["generic-node-names", "hardcoded-dates", "unused-if-branch"], "medium": ["generic-node-names", "hardcoded-dates", "unused-if-branch", "external-call-error-handling"], "complex": ["generic-node-names", "external-call-error-handling", "error-workflow", "unused-if-branch", "hardcoded-dates"]}', 'Lint rule ids applied to generated workflows for each complexity tier (simple, medium, complex)'),
+      ('clarification_timeout_hours', '48', 'Hours to wait for answers to clarifying questions before generation proceeds anyway'),
+      ('candidate_generation', '{"simple": {"candidates": 1, "weights": {"validation": 0.35, "lint": 0.15, "dryRun": 0.2, "specCoverage": 0.3}}, "medium": {"candidates": 1, "weights": {"validation": 0.35, "lint": 0.15, "dryRun": 0.2, "specCoverage": 0.3}}, "complex": {"candidates": 3, "weights": {"validation": 0.35, "lint": 0.15, "dryRun": 0.2, "specCoverage": 0.3}}}', 'Workflow candidates generated and scoring weights per complexity tier (simple, medium, complex)'),
+      ('template_match_threshold', '0.7', 'Minimum match score (0-1) for instantiating a library template instead of generating from scratch'),
+      ('workflow_decomposition', '{"nodeThreshold": 25, "minSegmentSize": 3, "maxSubWorkflows": 5}', 'Node count above which generated workflows are split into sub-workflows, smallest segment worth extracting and most sub-workflows per bundle'),
+      ('code_sandbox', '{"timeoutMs": 2000, "memoryMb": 64}', 'Time limit per Code node run (per item in each-item mode) and worker heap size in MB for the Code node sandbox')
       ON CONFLICT (key) DO NOTHING;
     `);
 
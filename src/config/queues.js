@@ -81,24 +81,75 @@ const setupQueueEvents = (queue, queueName) => {
 const setupJobProcessors = async () => {
   // Workflow Generation Processor
   queues[queueNames.WORKFLOW_GENERATION].process('generate-workflow', 5, async (job) => {
-    const { generateWorkflow } = require('../services/workflowGenerator');
+    const { generateBestCandidate } = require('../services/workflowCandidates');
+    const { generateFromTemplate } = require('../services/templateLibrary');
+    const { decomposeResult } = require('../services/workflowDecomposition');
+    const { attachUsageToRecord } = require('../services/llmUsage');
+    const { scanWorkflow, getBlockSeverity, isBlockingSeverity } = require('../services/workflowSecurity');
+    const { recordVersion, updateWorkflowDetails } = require('../services/workflowVersions');
+    const { generateWorkflowDocs } = require('../services/workflowDocs');
+    const { listTestCases } = require('../services/workflowTestCases');
     const { db } = require('./database');
     
-    try {
-      job.progress(10);
-      logger.info(`Starting workflow generation for request ${job.data.customerRequest.id}`);
-      
-      // Generate workflow using Claude
-      job.progress(30);
-      const workflowResult = await generateWorkflow(job.data.customerRequest);
-      
-      if (!workflowResult.success) {
-        throw new Error('Workflow generation failed');
+    // Runners-up from multi-candidate generation stay in the history as alternate versions
+    const recordAlternates = async (workflowId, alternates = []) => {
+      for (const alternate of alternates) {
+        await recordVersion(workflowId, {
+          workflow: alternate.result.workflow,
+          author: alternate.result.attempts.length > 1 ? 'repair' : 'generator',
+          changeSummary: `Alternate candidate #${alternate.candidate.rank} (${alternate.candidate.variant}), score ${alternate.candidate.score}`,
+          testStatus: alternate.result.testResult ? (alternate.result.testResult.overall.success ? 'passed' : 'failed') : 'pending',
+          testResults: { attempts: alternate.result.attempts, finalTest: alternate.result.testResult || null },
+          candidate: alternate.candidate,
+          subWorkflows: alternate.result.subWorkflows || [],
+          makeCurrent: false
+        });
+      }
+    };
+    
+    // Save a generated workflow with its attempt history and security scan.
+    // Regenerating an existing workflow adds a version instead of a new row.
+    const saveWorkflow = async (workflowResult, attempts, testResult, testStatus) => {
+      const security = scanWorkflow(workflowResult.workflow);
+      const blockSeverity = await getBlockSeverity();
+      const subWorkflows = workflowResult.subWorkflows || [];
+      // Findings in any sub-workflow hold back the whole bundle
+      const blocked = [security, ...subWorkflows.map(subWorkflow => scanWorkflow(subWorkflow.workflow))]
+        .some(scan => isBlockingSeverity(scan.maxSeverity, blockSeverity));
+      const author = attempts.length > 1 ? 'repair' : 'generator';
+      const testResults = { attempts, finalTest: testResult || null };
+      const changeSummary = workflowResult.template
+        ? `Instantiated from template #${workflowResult.template.id} (${workflowResult.template.name})`
+        : null;
+      
+      if (job.data.workflowId) {
+        // A failed regeneration is kept in the history but does not replace what is live
+        const makeCurrent = testStatus !== 'failed';
+        const { version } = await recordVersion(job.data.workflowId, {
+          workflow: workflowResult.workflow,
+          author,
+          changeSummary,
+          testStatus,
+          testResults,
+          candidate: workflowResult.candidate || null,
+          subWorkflows,
+          makeCurrent
+        });
+        await recordAlternates(job.data.workflowId, workflowResult.alternates);
+        
+        if (makeCurrent) {
+          await updateWorkflowDetails(job.data.workflowId, workflowResult, {
+            attempts: attempts.length,
+            testResults,
+            status: blocked ? 'security_blocked' : 'generated'
+          });
+        }
+        
+        await attachUsageToRecord(queueNames.WORKFLOW_GENERATION, job.id, { workflowId: job.data.workflowId });
+        
+        return { workflowId: job.data.workflowId, security, blocked, version: version.version_number };
       }
       
-      job.progress(60);
-      
-      // Save generated workflow to database
       const insertResult = await db.query(`
         INSERT INTO workflows (
           customer_request_id, 
@@ -106,59 +157,152 @@ const setupJobProcessors = async () => {
           workflow_json, 
           status, 
           test_status,
+          test_attempts,
+          test_results,
           metadata,
           node_count,
           complexity,
           estimated_execution_time,
           required_credentials,
+          security_findings,
+          security_max_severity,
+          security_scanned_at,
           created_at,
           updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         RETURNING id
       `, [
         job.data.customerRequest.id,
         workflowResult.workflow.name,
         JSON.stringify(workflowResult.workflow),
-        'generated',
-        'pending',
+        blocked ? 'security_blocked' : 'generated',
+        testStatus,
+        attempts.length,
+        JSON.stringify(testResults),
         JSON.stringify(workflowResult.metadata),
         workflowResult.metadata.nodeCount,
         workflowResult.metadata.complexity,
         workflowResult.metadata.estimatedExecutionTime,
-        JSON.stringify(workflowResult.metadata.requiredCredentials)
+        JSON.stringify(workflowResult.metadata.requiredCredentials),
+        JSON.stringify(security.findings),
+        security.maxSeverity,
+        security.scannedAt
       ]);
       
       const workflowId = insertResult.rows[0].id;
+      const { version } = await recordVersion(workflowId, {
+        workflow: workflowResult.workflow,
+        author,
+        changeSummary,
+        testStatus,
+        testResults,
+        candidate: workflowResult.candidate || null,
+        subWorkflows
+      });
+      await recordAlternates(workflowId, workflowResult.alternates);
+      await attachUsageToRecord(queueNames.WORKFLOW_GENERATION, job.id, { workflowId });
+      
+      if (blocked) {
+        logger.warn(`Workflow ${workflowId} blocked from delivery by ${security.maxSeverity} security findings`);
+      }
+      
+      return { workflowId, security, blocked, version: version.version_number };
+    };
+    
+    try {
+      job.progress(10);
+      logger.info(`Starting workflow generation for request ${job.data.customerRequest.id}`);
+      
+      const runTests = Boolean(job.data.options?.include_testing);
+      const usageContext = { jobQueue: queueNames.WORKFLOW_GENERATION, jobId: job.id };
+      // A regenerated workflow has to keep passing the test cases written for it
+      const testCases = runTests && job.data.workflowId
+        ? await listTestCases(job.data.workflowId, { enabledOnly: true })
+        : [];
+      
+      // A close template from the library is instantiated instead of generating from scratch
+      job.progress(20);
+      const templateResult = job.data.options?.use_templates === false
+        ? null
+        : await generateFromTemplate(job.data.customerRequest, { runTests, usageContext, testCases });
+      
+      // Otherwise generate one or more candidates using Claude (repairing parse, validation
+      // and test failures) and keep the best scoring one
+      job.progress(30);
+      const generated = templateResult || await generateBestCandidate(job.data.customerRequest, {
+        runTests,
+        candidates: job.data.options?.candidates,
+        usageContext,
+        testCases
+      });
+      
+      // Large workflows are saved as a bundle: a parent calling extracted sub-workflows
+      job.progress(55);
+      const workflowResult = await decomposeResult(generated);
+      
+      job.progress(60);
+      
+      const testResult = workflowResult.testResult;
+      const testStatus = testResult ? (testResult.overall.success ? 'passed' : 'failed') : 'pending';
+      
+      // Save generated workflow to database
+      const { workflowId, security, blocked, version } = await saveWorkflow(workflowResult, workflowResult.attempts, testResult, testStatus);
+      
+      job.progress(70);
+      
+      // Documentation ships with the revision; missing docs are written again on first download
+      try {
+        await generateWorkflowDocs(workflowId, { versionNumber: version, usageContext });
+      } catch (docsError) {
+        logger.warn(`Failed to write documentation for workflow ${workflowId}:`, docsError.message);
+      }
       
       job.progress(80);
       
-      // Update customer request status
+      // Update customer request status, holding blocked workflows for security review
       await db.query(
         'UPDATE customer_requests SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['workflow_generated', job.data.customerRequest.id]
+        [blocked ? 'security_review' : 'workflow_generated', job.data.customerRequest.id]
       );
       
-      // Queue testing if requested
-      if (job.data.options.include_testing) {
-        await queues[queueNames.WORKFLOW_TESTING].add('test-workflow', {
-          workflow_id: workflowId,
-          workflow_json: workflowResult.workflow,
-          customer_request_id: job.data.customerRequest.id
-        });
-      }
-      
       job.progress(100);
       
-      logger.info(`Workflow generation completed for request ${job.data.customerRequest.id}, workflow ID: ${workflowId}`);
+      logger.info(`Workflow generation completed for request ${job.data.customerRequest.id}, workflow ID: ${workflowId} after ${workflowResult.attempts.length} attempt(s)`);
       
       return {
         success: true,
         workflow_id: workflowId,
+        version,
         workflow: workflowResult.workflow,
-        metadata: workflowResult.metadata
+        metadata: workflowResult.metadata,
+        attempts: workflowResult.attempts.length,
+        test_status: testStatus,
+        security_max_severity: security.maxSeverity,
+        delivery_blocked: blocked,
+        sub_workflows: (workflowResult.subWorkflows || []).map(subWorkflow => ({
+          key: subWorkflow.key,
+          name: subWorkflow.name,
+          node_count: subWorkflow.workflow.nodes.length
+        })),
+        template: workflowResult.template || null,
+        candidates: workflowResult.template ? null : {
+          generated: workflowResult.candidateCount,
+          failed: workflowResult.failedCandidates,
+          selected: workflowResult.candidate,
+          alternates: workflowResult.alternates.map(alternate => alternate.candidate)
+        }
       };
       
     } catch (error) {
+      // Keep the last candidate and its attempt history for review
+      if (error.lastResult && error.attempts) {
+        try {
+          await saveWorkflow(error.lastResult, error.attempts, error.lastTestResult, 'failed');
+        } catch (saveError) {
+          logger.error(`Failed to record repair attempts for request ${job.data.customerRequest.id}:`, saveError);
+        }
+      }
+      
       // Update customer request status on failure
       await db.query(
         'UPDATE customer_requests SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
@@ -170,9 +314,48 @@ const setupJobProcessors = async () => {
     }
   });
 
+  // Workflow Revision Processor (customer change requests)
+  queues[queueNames.WORKFLOW_GENERATION].process('revise-workflow', 2, async (job) => {
+    const { processChangeRequest } = require('../services/workflowChangeRequests');
+    
+    job.progress(10);
+    logger.info(`Starting revision for change request ${job.data.changeRequestId}`);
+    
+    const result = await processChangeRequest(job.data.changeRequestId, {
+      jobQueue: queueNames.WORKFLOW_GENERATION,
+      jobId: job.id
+    });
+    
+    job.progress(100);
+    return { success: true, ...result };
+  });
+
+  // Requirement Spec Extraction Processor (intake)
+  queues[queueNames.WORKFLOW_GENERATION].process('extract-requirement-spec', 5, async (job) => {
+    const { refineRequirementSpec } = require('../services/requirementSpec');
+    
+    const result = await refineRequirementSpec(job.data.requestId, {
+      jobQueue: queueNames.WORKFLOW_GENERATION,
+      jobId: job.id
+    });
+    
+    return { success: true, ...result };
+  });
+
+  // Clarification Timeout Processor (generate with defaults when questions go unanswered)
+  queues[queueNames.WORKFLOW_GENERATION].process('clarification-timeout', 5, async (job) => {
+    const { releaseForGeneration } = require('../services/requestClarifications');
+    
+    const generationJob = await releaseForGeneration(job.data.requestId, 'timeout');
+    
+    return { success: true, released: Boolean(generationJob), job_id: generationJob ? generationJob.id : null };
+  });
+
   // Workflow Testing Processor
   queues[queueNames.WORKFLOW_TESTING].process('test-workflow', 3, async (job) => {
     const { testWorkflow } = require('../services/workflowTester');
+    const { updateCurrentVersionTestStatus } = require('../services/workflowVersions');
+    const { listTestCases } = require('../services/workflowTestCases');
     const { db } = require('./database');
     
     try {
@@ -187,20 +370,35 @@ const setupJobProcessors = async () => {
       
       job.progress(30);
       
-      // Run workflow tests
-      const testResult = await testWorkflow(job.data);
+      // Run workflow tests, including the workflow's stored test cases
+      const testResult = await testWorkflow({
+        id: job.data.workflow_id,
+        workflow: job.data.workflow_json,
+        subWorkflows: job.data.sub_workflows || [],
+        complexity: job.data.complexity,
+        requirementSpec: job.data.requirement_spec,
+        testDataSeed: job.data.test_data_seed,
+        testCases: await listTestCases(job.data.workflow_id, { enabledOnly: true })
+      });
       
       job.progress(80);
+      const testStatus = testResult.overall.success ? 'passed' : 'failed';
       
       // Update workflow with test results
       await db.query(
         'UPDATE workflows SET test_status = $1, test_results = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-        [testResult.success ? 'passed' : 'failed', JSON.stringify(testResult), job.data.workflow_id]
+        [testStatus, JSON.stringify(testResult), job.data.workflow_id]
       );
+      // Sub-workflows are only ever tested through their parent
+      await db.query(
+        'UPDATE workflows SET test_status = $1, updated_at = CURRENT_TIMESTAMP WHERE parent_workflow_id = $2',
+        [testStatus, job.data.workflow_id]
+      );
+      await updateCurrentVersionTestStatus(job.data.workflow_id, testStatus, testResult);
       
       job.progress(100);
       
-      logger.info(`Workflow testing completed for workflow ${job.data.workflow_id}, result: ${testResult.success ? 'passed' : 'failed'}`);
+      logger.info(`Workflow testing completed for workflow ${job.data.workflow_id}, result: ${testStatus}`);
       
       return testResult;
       
@@ -218,15 +416,19 @@ const setupJobProcessors = async () => {
   // Content Creation Processor
   queues[queueNames.CONTENT_CREATION].process('create-content', 2, async (job) => {
     const { createContent } = require('../services/contentCreator');
+    const { attachUsageToRecord } = require('../services/llmUsage');
     const { db } = require('./database');
     
     try {
       job.progress(10);
-      const result = await createContent(job.data);
+      const result = await createContent(job.data, {
+        jobQueue: queueNames.CONTENT_CREATION,
+        jobId: job.id
+      });
       
       // Save content creation result to database
       if (result.success) {
-        await db.query(`
+        const contentInsert = await db.query(`
           INSERT INTO content_items (
             workflow_id, 
             content_type, 
@@ -236,6 +438,7 @@ const setupJobProcessors = async () => {
             created_at,
             updated_at
           ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          RETURNING id
         `, [
           job.data.workflow_id,
           'video',
@@ -243,6 +446,10 @@ const setupJobProcessors = async () => {
           'created',
           result.file_path
         ]);
+        
+        await attachUsageToRecord(queueNames.CONTENT_CREATION, job.id, {
+          contentItemId: contentInsert.rows[0].id
+        });
       }
       
       job.progress(100);
@@ -0,0 +1,65 @@
+const { query } = require('./database');
+const { cache, cacheKeys } = require('./redis');
+const { logger } = require('../utils/logger');
+
+const CONFIG_CACHE_TTL = 300; // 5 minutes
+
+// Read a value from the system_config table, falling back to a default
+const getConfigValue = async (key, defaultValue = null) => {
+  const cacheKey = cacheKeys.systemConfig(key);
+
+  try {
+    const cached = await cache.get(cacheKey);
+    if (cached !== null && cached !== undefined) {
+      return cached;
+    }
+  } catch (error) {
+    logger.debug(`System config cache unavailable for ${key}:`, error.message);
+  }
+
+  try {
+    const result = await query('SELECT value FROM system_config WHERE key = $1', [key]);
+
+    if (result.rows.length === 0) {
+      return defaultValue;
+    }
+
+    const value = result.rows[0].value;
+
+    try {
+      await cache.set(cacheKey, value, CONFIG_CACHE_TTL);
+    } catch (error) {
+      logger.debug(`Failed to cache system config ${key}:`, error.message);
+    }
+
+    return value;
+  } catch (error) {
+    logger.warn(`Could not read system config ${key}, using default:`, error.message);
+    return defaultValue;
+  }
+};
+
+// Update a system_config value and invalidate its cache entry
+const setConfigValue = async (key, value, description = null) => {
+  await query(`
+    INSERT INTO system_config (key, value, description, updated_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+    ON CONFLICT (key) DO UPDATE SET
+      value = EXCLUDED.value,
+      description = COALESCE(EXCLUDED.description, system_config.description),
+      updated_at = CURRENT_TIMESTAMP
+  `, [key, JSON.stringify(value), description]);
+
+  try {
+    await cache.del(cacheKeys.systemConfig(key));
+  } catch (error) {
+    logger.debug(`Failed to clear cached system config ${key}:`, error.message);
+  }
+
+  return value;
+};
+
+module.exports = {
+  getConfigValue,
+  setConfigValue
+};
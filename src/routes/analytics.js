@@ -8,6 +8,7 @@ const {
   generateAnalyticsReport,
   EVENT_TYPES
 } = require('../services/analytics');
+const { getUsageSummary, getMarginReport, getRequestUsage } = require('../services/llmUsage');
 const { analyticsQueue } = require('../config/queues');
 const { logger } = require('../utils/logger');
 const router = express.Router();
@@ -32,6 +33,11 @@ const reportSchema = Joi.object({
   format: Joi.string().valid('json', 'csv').default('json')
 });
 
+const dateRangeSchema = Joi.object({
+  start_date: Joi.date().iso().default(() => new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')).default(() => new Date())
+});
+
 // Track custom analytics event
 router.post('/track', async (req, res) => {
   try {
@@ -323,6 +329,94 @@ router.get('/customers', async (req, res) => {
   }
 });
 
+// LLM token usage and spend by task, provider and model
+router.get('/llm-usage', async (req, res) => {
+  try {
+    const { error, value } = dateRangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const usage = await getUsageSummary(value.start_date, value.end_date);
+
+    res.json({
+      success: true,
+      llm_usage: usage,
+      total_cost_usd: Number(usage.reduce((total, row) => total + row.cost_usd, 0).toFixed(6)),
+      date_range: { start_date: value.start_date, end_date: value.end_date }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get LLM usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve LLM usage',
+      details: error.message
+    });
+  }
+});
+
+// LLM ledger for a single customer request
+router.get('/llm-usage/requests/:requestId', async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.requestId);
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer request ID'
+      });
+    }
+
+    const usage = await getRequestUsage(requestId);
+
+    res.json({
+      success: true,
+      llm_usage: usage
+    });
+
+  } catch (error) {
+    logger.error('Failed to get request LLM usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve request LLM usage',
+      details: error.message
+    });
+  }
+});
+
+// Margin report: price paid versus LLM spend per customer request
+router.get('/margins', async (req, res) => {
+  try {
+    const { error, value } = dateRangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const report = await getMarginReport(value.start_date, value.end_date);
+
+    res.json({
+      success: true,
+      margins: report
+    });
+
+  } catch (error) {
+    logger.error('Failed to get margin report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate margin report',
+      details: error.message
+    });
+  }
+});
+
 // Health check for analytics service
 router.get('/health', async (req, res) => {
   try {
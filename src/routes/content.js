@@ -1,6 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
 const { createContent } = require('../services/contentCreator');
+const { getSubWorkflows } = require('../services/workflowDecomposition');
 const { publishVideo } = require('../services/videoPublisher');
 const { db } = require('../config/database');
 const { contentCreationQueue, videoPublishingQueue } = require('../config/queues');
@@ -28,6 +29,10 @@ const publishContentSchema = Joi.object({
   }).default({})
 });
 
+const videoUrlSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
 // Create content for a workflow
 router.post('/create', async (req, res) => {
   try {
@@ -73,10 +78,12 @@ router.post('/create', async (req, res) => {
       });
     }
 
-    // Prepare workflow data for content creation
+    // Prepare workflow data for content creation; bundles bring their sub-workflows
+    const subWorkflows = await getSubWorkflows(workflow_id);
     const workflowData = {
       id: workflow.id,
-      workflow: JSON.parse(workflow.workflow_json),
+      workflow: typeof workflow.workflow_json === 'string' ? JSON.parse(workflow.workflow_json) : workflow.workflow_json,
+      subWorkflows: subWorkflows.map(({ key, name, workflow: subWorkflowJson }) => ({ key, name, workflow: subWorkflowJson })),
       metadata: JSON.parse(workflow.metadata),
       customerRequest: {
         id: workflow.customer_request_id,
@@ -394,7 +401,7 @@ router.get('/:id', async (req, res) => {
     
     // Parse JSON fields
     contentItem.content_data = contentItem.content_data ? JSON.parse(contentItem.content_data) : null;
-    contentItem.workflow_json = contentItem.workflow_json ? JSON.parse(contentItem.workflow_json) : null;
+    contentItem.workflow_json = typeof contentItem.workflow_json === 'string' ? JSON.parse(contentItem.workflow_json) : contentItem.workflow_json || null;
 
     res.json({
       success: true,
@@ -464,4 +471,64 @@ router.get('/:id/download', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Where the customer can watch a tutorial video: YouTube when published, otherwise the file download
+router.get('/:id/video-url', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = videoUrlSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query(`
+      SELECT ci.id, ci.type, ci.status, ci.file_path, ci.youtube_url, cr.customer_email
+      FROM content_items ci
+      LEFT JOIN workflows w ON ci.workflow_id = w.id
+      LEFT JOIN customer_requests cr ON w.customer_request_id = cr.id
+      WHERE ci.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0 || result.rows[0].type !== 'video') {
+      return res.status(404).json({
+        success: false,
+        error: 'Content item not found'
+      });
+    }
+
+    const contentItem = result.rows[0];
+    if (!contentItem.customer_email || contentItem.customer_email.toLowerCase() !== value.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email does not match the customer who owns this video'
+      });
+    }
+
+    if (!contentItem.youtube_url && !contentItem.file_path) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not available yet',
+        status: contentItem.status
+      });
+    }
+
+    res.json({
+      success: true,
+      youtube_url: contentItem.youtube_url || null,
+      download_url: contentItem.file_path ? `/api/v1/content/${contentItem.id}/download` : null
+    });
+
+  } catch (error) {
+    logger.error('Failed to get video URL:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve video URL',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,21 @@ const Joi = require('joi');
 const { query, transaction } = require('../config/database');
 const { addJob, queueNames } = require('../config/queues');
 const { cache, cacheKeys } = require('../config/redis');
+const { estimatePricing } = require('../services/pricing');
+const {
+  ClarificationError,
+  startGeneration,
+  getClarifications,
+  answerClarifications
+} = require('../services/requestClarifications');
+const {
+  validateSpec,
+  draftSpecFromRequest,
+  getRequirementSpec,
+  saveRequirementSpec,
+  confirmRequirementSpec,
+  EDITABLE_STATUSES,
+} = require('../services/requirementSpec');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -23,6 +38,28 @@ const customerRequestSchema = Joi.object({
   special_requirements: Joi.string().max(1000),
 });
 
+const answerClarificationsSchema = Joi.object({
+  customer_email: Joi.string().email().required(),
+  answers: Joi.array().items(Joi.object({
+    question_id: Joi.number().integer().positive().required(),
+    answer: Joi.string().trim().min(1).max(2000).required(),
+  })).min(1).unique('question_id').required(),
+});
+
+const CLARIFICATION_ERROR_STATUS = {
+  question_not_found: 404,
+  question_closed: 400,
+};
+
+const requirementSpecSchema = Joi.object({
+  customer_email: Joi.string().email().required(),
+  spec: Joi.object().required(),
+});
+
+const confirmSpecSchema = Joi.object({
+  customer_email: Joi.string().email().required(),
+});
+
 // Create new customer request
 router.post('/requests', async (req, res) => {
   try {
@@ -68,13 +105,18 @@ router.post('/requests', async (req, res) => {
       const insertResult = await client.query(insertQuery, values);
       const requestId = insertResult.rows[0].id;
 
+      // Draft spec from the form fields; the intake job refines it from the description
+      const requirementSpec = draftSpecFromRequest(requestData);
+
       // Generate pricing estimate
-      const pricing = await estimatePricing(requestData);
+      const pricing = await estimatePricing({ ...requestData, requirement_spec: requirementSpec });
       
-      // Update request with pricing
+      // Update request with pricing and spec
       await client.query(
-        'UPDATE customer_requests SET estimated_price = $1 WHERE id = $2',
-        [pricing.totalPrice, requestId]
+        `UPDATE customer_requests
+         SET estimated_price = $1, requirement_spec = $2, requirement_spec_source = 'draft'
+         WHERE id = $3`,
+        [pricing.totalPrice, JSON.stringify(requirementSpec), requestId]
       );
 
       return {
@@ -82,9 +124,17 @@ router.post('/requests', async (req, res) => {
         created_at: insertResult.rows[0].created_at,
         estimated_price: pricing.totalPrice,
         pricing_breakdown: pricing.breakdown,
+        requirement_spec: requirementSpec,
       };
     });
 
+    // Extract the structured requirement spec
+    await addJob(queueNames.WORKFLOW_GENERATION, 'extract-requirement-spec', {
+      requestId: result.id,
+    }, {
+      attempts: 1,
+    });
+
     // Add analytics event
     await addJob(queueNames.ANALYTICS, 'track-event', {
       event_type: 'customer_request_created',
@@ -205,7 +255,14 @@ router.get('/requests', async (req, res) => {
     const requestsQuery = `
       SELECT id, customer_email, customer_name, company, industry,
              automation_description, complexity, estimated_price, status,
-             created_at, updated_at
+             requirement_spec_confirmed_at, created_at, updated_at,
+             (SELECT w.id FROM workflows w
+              WHERE w.customer_request_id = customer_requests.id AND w.parent_workflow_id IS NULL
+              ORDER BY w.created_at DESC LIMIT 1) AS workflow_id,
+             (SELECT ci.id FROM content_items ci
+              JOIN workflows w ON w.id = ci.workflow_id
+              WHERE w.customer_request_id = customer_requests.id AND ci.type = 'video' AND ci.status = 'completed'
+              ORDER BY ci.created_at DESC LIMIT 1) AS video_content_id
       FROM customer_requests 
       ${whereClause}
       ORDER BY created_at DESC 
@@ -269,13 +326,8 @@ router.put('/requests/:id/approve', async (req, res) => {
     // Clear cache
     await cache.del(cacheKeys.customerRequest(requestId));
 
-    // Start workflow generation
-    await addJob(queueNames.WORKFLOW_GENERATION, 'generate-workflow', {
-      request_id: requestId,
-      request_data: result,
-    }, {
-      priority: 1, // High priority for approved requests
-    });
+    // Start workflow generation (high priority), unless the request needs clarifying first
+    const generation = await startGeneration(result, { priority: 'high' });
 
     // Send approval email
     await addJob(queueNames.EMAIL_NOTIFICATIONS, 'send-email', {
@@ -298,8 +350,11 @@ router.put('/requests/:id/approve', async (req, res) => {
     });
 
     res.json({
-      message: 'Request approved and processing started',
+      message: generation.queued
+        ? 'Request approved and processing started'
+        : 'Request approved, waiting for answers to clarifying questions',
       request: result,
+      awaiting_clarification: !generation.queued,
     });
 
   } catch (error) {
@@ -311,58 +366,255 @@ router.put('/requests/:id/approve', async (req, res) => {
   }
 });
 
-// Helper function to estimate pricing
-async function estimatePricing(requestData) {
+// Get the clarifying questions for a request
+router.get('/requests/:id/clarifications', async (req, res) => {
   try {
-    // Get pricing config from cache or database
-    const pricingConfig = await cache.get(cacheKeys.systemConfig('pricing')) || {
-      base_price: 50,
-      complexity_multipliers: {
-        simple: 1,
-        medium: 2,
-        complex: 4,
-      },
-      per_input_source: 10,
-      per_output_target: 15,
-    };
-
-    const complexity = requestData.complexity || 'medium';
-    const inputSources = requestData.input_sources?.length || 1;
-    const outputTargets = requestData.output_targets?.length || 1;
-
-    const basePrice = pricingConfig.base_price;
-    const complexityMultiplier = pricingConfig.complexity_multipliers[complexity];
-    const inputCost = inputSources * pricingConfig.per_input_source;
-    const outputCost = outputTargets * pricingConfig.per_output_target;
-
-    const totalPrice = Math.round((basePrice * complexityMultiplier) + inputCost + outputCost);
-
-    return {
-      totalPrice,
-      breakdown: {
-        base_price: basePrice,
-        complexity: complexity,
-        complexity_multiplier: complexityMultiplier,
-        input_sources_cost: inputCost,
-        output_targets_cost: outputCost,
-        final_price: totalPrice,
-      },
-    };
+    const requestId = parseInt(req.params.id);
+    if (isNaN(requestId)) {
+      return res.status(400).json({
+        error: 'Invalid Request ID',
+        message: 'Request ID must be a number',
+      });
+    }
+
+    const result = await query(
+      'SELECT id, status, clarification_deadline FROM customer_requests WHERE id = $1',
+      [requestId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Customer request not found',
+      });
+    }
+
+    const questions = await getClarifications(requestId);
+
+    res.json({
+      request_id: requestId,
+      status: result.rows[0].status,
+      deadline: result.rows[0].clarification_deadline,
+      questions,
+    });
+
   } catch (error) {
-    logger.error('Error estimating pricing:', error);
-    // Return default pricing if estimation fails
-    return {
-      totalPrice: 100,
-      breakdown: {
-        base_price: 100,
-        complexity: 'medium',
-        complexity_multiplier: 1,
-        input_sources_cost: 0,
-        output_targets_cost: 0,
-        final_price: 100,
-      },
-    };
+    logger.error('Error fetching clarifying questions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch clarifying questions',
+    });
+  }
+});
+
+// Answer clarifying questions; generation starts once no blocking question is open
+router.post('/requests/:id/clarifications', async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.id);
+    if (isNaN(requestId)) {
+      return res.status(400).json({
+        error: 'Invalid Request ID',
+        message: 'Request ID must be a number',
+      });
+    }
+
+    const { error, value } = answerClarificationsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details,
+      });
+    }
+
+    const result = await query(
+      'SELECT id, customer_email FROM customer_requests WHERE id = $1',
+      [requestId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Customer request not found',
+      });
+    }
+
+    if (result.rows[0].customer_email.toLowerCase() !== value.customer_email.toLowerCase()) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the customer who made the request can answer its questions',
+      });
+    }
+
+    const outcome = await answerClarifications(requestId, value.answers);
+
+    res.json({
+      message: outcome.generationQueued
+        ? 'Thanks! Your workflow is now being generated'
+        : 'Answers saved',
+      questions: outcome.questions,
+      remaining_blocking: outcome.remainingBlocking.length,
+      generation_queued: outcome.generationQueued,
+      job_id: outcome.jobId,
+    });
+
+  } catch (error) {
+    if (error instanceof ClarificationError) {
+      return res.status(CLARIFICATION_ERROR_STATUS[error.code]).json({
+        error: CLARIFICATION_ERROR_STATUS[error.code] === 404 ? 'Not Found' : 'Bad Request',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    logger.error('Error answering clarifying questions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save answers',
+    });
+  }
+});
+
+// Load a request for a customer-owned action, answering 400/403/404 itself when it can't proceed
+const loadOwnedRequest = async (req, res, email) => {
+  const requestId = parseInt(req.params.id);
+  if (isNaN(requestId)) {
+    res.status(400).json({
+      error: 'Invalid Request ID',
+      message: 'Request ID must be a number',
+    });
+    return null;
+  }
+
+  const result = await query('SELECT * FROM customer_requests WHERE id = $1', [requestId]);
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Customer request not found',
+    });
+    return null;
+  }
+
+  if (email !== undefined && result.rows[0].customer_email.toLowerCase() !== email.toLowerCase()) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the customer who made the request can change it',
+    });
+    return null;
   }
-}
+
+  return result.rows[0];
+};
+
+// Get the structured requirement spec for a request
+router.get('/requests/:id/spec', async (req, res) => {
+  try {
+    const request = await loadOwnedRequest(req, res);
+    if (!request) return;
+
+    res.json({
+      request_id: request.id,
+      spec: getRequirementSpec(request),
+      source: request.requirement_spec_source || 'draft',
+      confirmed: Boolean(request.requirement_spec_confirmed_at),
+      confirmed_at: request.requirement_spec_confirmed_at,
+      editable: EDITABLE_STATUSES.includes(request.status),
+      estimated_price: request.estimated_price,
+    });
+
+  } catch (error) {
+    logger.error('Error fetching requirement spec:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch requirement spec',
+    });
+  }
+});
+
+// Replace the spec with the customer's edited version (needs confirming again)
+router.put('/requests/:id/spec', async (req, res) => {
+  try {
+    const { error, value } = requirementSpecSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details,
+      });
+    }
+
+    const specValidation = validateSpec(value.spec);
+    if (specValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: specValidation.error.details[0].message,
+        details: specValidation.error.details,
+      });
+    }
+
+    const request = await loadOwnedRequest(req, res, value.customer_email);
+    if (!request) return;
+
+    if (!EDITABLE_STATUSES.includes(request.status)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `The spec can no longer be changed once the request is ${request.status}`,
+      });
+    }
+
+    const saved = await saveRequirementSpec(request, specValidation.value, 'customer');
+
+    res.json({
+      message: 'Requirement spec updated, please review and confirm it',
+      spec: saved.request.requirement_spec,
+      estimated_price: saved.request.estimated_price,
+      pricing_breakdown: saved.pricing ? saved.pricing.breakdown : null,
+    });
+
+  } catch (error) {
+    logger.error('Error updating requirement spec:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update requirement spec',
+    });
+  }
+});
+
+// Customer confirms the spec is what they want built
+router.post('/requests/:id/spec/confirm', async (req, res) => {
+  try {
+    const { error, value } = confirmSpecSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details,
+      });
+    }
+
+    const request = await loadOwnedRequest(req, res, value.customer_email);
+    if (!request) return;
+
+    const confirmed = await confirmRequirementSpec(request.id);
+    if (!confirmed) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This request has no requirement spec to confirm yet',
+      });
+    }
+
+    res.json({
+      message: 'Requirement spec confirmed',
+      confirmed_at: confirmed.requirement_spec_confirmed_at,
+    });
+
+  } catch (error) {
+    logger.error('Error confirming requirement spec:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to confirm requirement spec',
+    });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
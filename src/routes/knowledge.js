@@ -0,0 +1,75 @@
+const express = require('express');
+const Joi = require('joi');
+const { searchKnowledgeBase, getKnowledgeBaseIndex } = require('../services/knowledgeBase');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+// Validation schemas
+const searchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(500).required(),
+  k: Joi.number().integer().min(1).max(20).default(5),
+  category: Joi.string().valid('general', 'workflows', 'integrations', 'code_examples', 'courses').optional()
+});
+
+// Search the knowledge base index
+router.get('/search', async (req, res) => {
+  try {
+    const { error, value } = searchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const results = await searchKnowledgeBase(value.q, { k: value.k, category: value.category });
+
+    res.json({
+      success: true,
+      query: value.q,
+      total: results.length,
+      results: results.map(section => ({
+        id: section.id,
+        file: section.file,
+        category: section.category,
+        title: section.title,
+        heading_path: section.headingPath,
+        score: section.score,
+        content: section.content
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Knowledge base search failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search knowledge base',
+      details: error.message
+    });
+  }
+});
+
+// Knowledge base index statistics
+router.get('/stats', async (req, res) => {
+  try {
+    const { files, sections, builtAt } = await getKnowledgeBaseIndex();
+
+    res.json({
+      success: true,
+      files,
+      section_count: sections.size,
+      built_at: builtAt
+    });
+
+  } catch (error) {
+    logger.error('Failed to get knowledge base stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve knowledge base stats',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { query, transaction } = require('../config/database');
 const { addJob, queueNames } = require('../config/queues');
 const { cache, cacheKeys } = require('../config/redis');
+const { startGeneration } = require('../services/requestClarifications');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -219,14 +220,8 @@ router.post('/confirm-payment', async (req, res) => {
     // Clear relevant caches
     await cache.del(cacheKeys.customerRequest(result.request_id));
 
-    // Start workflow generation immediately
-    await addJob(queueNames.WORKFLOW_GENERATION, 'generate-workflow', {
-      request_id: result.request_id,
-      request_data: result.customer_request,
-      payment_confirmed: true,
-    }, {
-      priority: 1, // High priority for paid requests
-    });
+    // Start workflow generation immediately, or ask clarifying questions first
+    const generation = await startGeneration(result.customer_request, { priority: 'high' });
 
     // Send payment confirmation email
     await addJob(queueNames.EMAIL_NOTIFICATIONS, 'send-email', {
@@ -259,7 +254,8 @@ router.post('/confirm-payment', async (req, res) => {
         amount: paymentIntent.amount / 100,
       },
       request_id: result.request_id,
-      processing_started: true,
+      processing_started: generation.queued,
+      awaiting_clarification: !generation.queued,
     });
 
   } catch (error) {
@@ -0,0 +1,230 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  TemplatePromotionError,
+  promoteToTemplate,
+  listTemplates,
+  getTemplate,
+  setTemplateActive,
+  findMatchingTemplate
+} = require('../services/templateLibrary');
+const { query } = require('../config/database');
+const { logger } = require('../utils/logger');
+const router = express.Router();
+
+// Validation schemas
+const variableSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(100).required(),
+  node: Joi.string().max(255).required(),
+  path: Joi.string().pattern(/^[^.]+(\.[^.]+)*$/).max(255).required(),
+  description: Joi.string().max(500).optional(),
+  default: Joi.any().optional()
+});
+
+const promoteSchema = Joi.object({
+  workflow_id: Joi.number().integer().positive().required(),
+  version: Joi.number().integer().positive().optional(),
+  name: Joi.string().min(3).max(255).required(),
+  description: Joi.string().min(10).max(2000).required(),
+  variables: Joi.array().items(variableSchema).max(50).default([]),
+  keywords: Joi.array().items(Joi.string().max(100)).max(50).default([])
+});
+
+const listSchema = Joi.object({
+  include_inactive: Joi.boolean().default(false)
+});
+
+const updateSchema = Joi.object({
+  active: Joi.boolean().required()
+});
+
+const matchSchema = Joi.object({
+  customer_request_id: Joi.number().integer().positive().required()
+});
+
+const PROMOTION_ERROR_STATUS = {
+  workflow_not_found: 404,
+  version_not_found: 404,
+  not_tested: 409,
+  invalid_variables: 400,
+  missing_sub_workflows: 409
+};
+
+// List library templates, most used first
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const templates = await listTemplates({ includeInactive: value.include_inactive });
+
+    res.json({
+      success: true,
+      total: templates.length,
+      templates
+    });
+
+  } catch (error) {
+    logger.error('Failed to list templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve templates',
+      details: error.message
+    });
+  }
+});
+
+// Preview which template, if any, a customer request would be built from
+router.get('/match', async (req, res) => {
+  try {
+    const { error, value } = matchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await query('SELECT * FROM customer_requests WHERE id = $1', [value.customer_request_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer request not found'
+      });
+    }
+
+    const match = await findMatchingTemplate(result.rows[0]);
+
+    res.json({
+      success: true,
+      matched: Boolean(match),
+      template: match ? { id: match.template.id, name: match.template.name } : null,
+      score: match ? match.score : null,
+      components: match ? match.components : null
+    });
+
+  } catch (error) {
+    logger.error('Template match failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to match templates',
+      details: error.message
+    });
+  }
+});
+
+// Get a template including its workflow JSON
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error('Failed to get template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve template',
+      details: error.message
+    });
+  }
+});
+
+// Promote a tested workflow to the library
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = promoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const template = await promoteToTemplate(value.workflow_id, {
+      versionNumber: value.version || null,
+      name: value.name,
+      description: value.description,
+      variables: value.variables,
+      keywords: value.keywords
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    if (error instanceof TemplatePromotionError) {
+      return res.status(PROMOTION_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        ...(error.details ? { details: error.details } : {})
+      });
+    }
+
+    logger.error('Failed to promote workflow to template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create template',
+      details: error.message
+    });
+  }
+});
+
+// Retire a template from matching, or bring it back
+router.patch('/:id', async (req, res) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const template = await setTemplateActive(req.params.id, value.active);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error('Failed to update template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update template',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,49 @@
 const express = require('express');
 const Joi = require('joi');
 const { generateWorkflow, validateWorkflow } = require('../services/workflowGenerator');
+const { layoutWorkflow, findOverlappingNodes } = require('../services/workflowLayout');
+const { scanWorkflow, checkDeliveryAllowed } = require('../services/workflowSecurity');
+const { lintWorkflow } = require('../services/lint');
+const {
+  recordVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+  promoteVersion,
+  rollbackVersion
+} = require('../services/workflowVersions');
 const { db } = require('../config/database');
-const { workflowGenerationQueue, workflowTestingQueue } = require('../config/queues');
+const {
+  createChangeRequest,
+  setChangeRequestJob,
+  listChangeRequests,
+  getChangeRequest,
+  getChangeRequestCustomerEmail,
+  getWorkflowCustomerEmail,
+  addMessage
+} = require('../services/workflowChangeRequests');
+const { startGeneration } = require('../services/requestClarifications');
+const { getSubWorkflows, rescanSubWorkflows, BUNDLE_REFERENCE_PREFIX } = require('../services/workflowDecomposition');
+const { renderDiagram, DIAGRAM_FORMATS } = require('../services/workflowDiagram');
+const { getWorkflowDocs, generateWorkflowDocs, DOC_FORMATS } = require('../services/workflowDocs');
+const {
+  getDeliveryRevision,
+  checkRevisionDelivery,
+  buildDeliveryFiles,
+  getPackageFilename,
+  writeDeliveryPackage
+} = require('../services/deliveryPackage');
+const { trackEvent, EVENT_TYPES } = require('../services/analytics');
+const { checkExpressionReferences, fixExpressionReferences } = require('../services/expressionReferences');
+const {
+  ASSERTION_TYPES,
+  listTestCases,
+  getTestCase,
+  createTestCase,
+  updateTestCase,
+  deleteTestCase
+} = require('../services/workflowTestCases');
+const { workflowGenerationQueue, workflowTestingQueue, addJob, queueNames } = require('../config/queues');
 const { logger } = require('../utils/logger');
 const router = express.Router();
 
@@ -12,10 +53,131 @@ const generateWorkflowSchema = Joi.object({
   priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
   options: Joi.object({
     include_testing: Joi.boolean().default(true),
-    auto_deploy: Joi.boolean().default(false)
+    auto_deploy: Joi.boolean().default(false),
+    candidates: Joi.number().integer().min(1).max(4).optional(),
+    use_templates: Joi.boolean().default(true)
   }).default({})
 });
 
+const layoutSchema = Joi.object({
+  persist: Joi.boolean().default(true),
+  columnSpacing: Joi.number().integer().min(100).max(1000).optional(),
+  rowSpacing: Joi.number().integer().min(80).max(1000).optional()
+});
+
+const createVersionSchema = Joi.object({
+  workflow_json: Joi.object({
+    nodes: Joi.array().items(Joi.object()).min(1).required(),
+    connections: Joi.object().required()
+  }).unknown(true).required(),
+  change_summary: Joi.string().max(1000).optional(),
+  promote: Joi.boolean().default(false)
+});
+
+const versionDiffSchema = Joi.object({
+  from: Joi.number().integer().positive().optional(),
+  to: Joi.number().integer().positive().optional(),
+  format: Joi.string().valid('json', 'markdown').default('json')
+});
+
+const rollbackSchema = Joi.object({
+  to_version: Joi.number().integer().positive().optional()
+});
+
+const changeRequestSchema = Joi.object({
+  customer_email: Joi.string().email().required(),
+  description: Joi.string().min(10).max(5000).required(),
+  input_sources: Joi.array().items(Joi.string().max(255)).default([]),
+  output_targets: Joi.array().items(Joi.string().max(255)).default([])
+});
+
+const bundleSchema = Joi.object({
+  download: Joi.boolean().default(false)
+});
+
+const diagramSchema = Joi.object({
+  format: Joi.string().valid(...DIAGRAM_FORMATS).default('svg'),
+  download: Joi.boolean().default(false)
+});
+
+const docsSchema = Joi.object({
+  format: Joi.string().valid(...DOC_FORMATS).default('markdown'),
+  version: Joi.number().integer().positive().optional(),
+  download: Joi.boolean().default(false)
+});
+
+const regenerateDocsSchema = Joi.object({
+  version: Joi.number().integer().positive().optional()
+});
+
+const downloadSchema = Joi.object({
+  email: Joi.string().email().required(),
+  version: Joi.number().integer().positive().optional()
+});
+
+const expressionFixSchema = Joi.object({
+  renames: Joi.object().pattern(Joi.string(), Joi.string().min(1)).default({}),
+  persist: Joi.boolean().default(true)
+});
+
+const changeRequestMessageSchema = Joi.object({
+  customer_email: Joi.string().email().required(),
+  message: Joi.string().min(1).max(5000).required()
+});
+
+const changeRequestAccessSchema = Joi.object({
+  customer_email: Joi.string().email().required()
+});
+
+// A canned response for, or an injected failure of, calls to one integration
+const serviceMockSchema = Joi.object({
+  integration: Joi.string().max(255).required(),
+  method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD').optional(),
+  path: Joi.string().max(1000).optional(),
+  response: Joi.object({
+    status: Joi.number().integer().min(100).max(599).default(200),
+    headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+    body: Joi.any()
+  }).optional(),
+  failure: Joi.object({
+    status: Joi.number().integer().min(400).max(599).default(500),
+    headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+    body: Joi.any(),
+    timeout: Joi.boolean().optional(),
+    delayMs: Joi.number().integer().min(0).max(30000).optional()
+  }).optional(),
+  times: Joi.number().integer().positive().optional()
+}).xor('response', 'failure');
+
+const assertionSchema = Joi.object({
+  type: Joi.string().valid(...ASSERTION_TYPES).required(),
+  node: Joi.string().max(255).required(),
+  output: Joi.number().integer().min(0).default(0),
+  path: Joi.string().pattern(/^\$/).max(500).when('type', { is: Joi.valid('equals', 'contains', 'matchesSchema'), then: Joi.required() }),
+  value: Joi.any().when('type', { is: Joi.valid('equals', 'contains'), then: Joi.required() }),
+  schema: Joi.object().when('type', { is: 'matchesSchema', then: Joi.required() }),
+  min: Joi.number().integer().min(0).optional(),
+  max: Joi.number().integer().min(0).optional()
+});
+
+const testCaseFields = {
+  name: Joi.string().min(1).max(255),
+  description: Joi.string().max(5000).allow('', null),
+  trigger_data: Joi.object(),
+  service_mocks: Joi.array().items(serviceMockSchema),
+  assertions: Joi.array().items(assertionSchema),
+  expect_error: Joi.boolean(),
+  enabled: Joi.boolean()
+};
+
+const createTestCaseSchema = Joi.object({
+  ...testCaseFields,
+  name: testCaseFields.name.required(),
+  assertions: testCaseFields.assertions.min(1).required()
+});
+
+const updateTestCaseSchema = Joi.object(testCaseFields).min(1);
+
 // Generate workflow from customer request
 router.post('/generate', async (req, res) => {
   try {
@@ -45,47 +207,37 @@ router.post('/generate', async (req, res) => {
 
     const customerRequest = customerRequestResult.rows[0];
 
-    // Check if workflow already exists for this request
+    // An existing workflow for this request gets a new version instead of a second row
     const existingWorkflow = await db.query(
-      'SELECT * FROM workflows WHERE customer_request_id = $1',
+      'SELECT id FROM workflows WHERE customer_request_id = $1 ORDER BY created_at ASC LIMIT 1',
       [customer_request_id]
     );
+    const workflowId = existingWorkflow.rows.length > 0 ? existingWorkflow.rows[0].id : null;
 
-    if (existingWorkflow.rows.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: 'Workflow already exists for this customer request',
-        workflow_id: existingWorkflow.rows[0].id
+    // Requests with blocking gaps wait for the customer's answers before generating
+    const generation = await startGeneration(customerRequest, { workflowId, priority, options });
+
+    if (!generation.queued) {
+      logger.info(`Workflow generation for customer request ${customer_request_id} is waiting on clarifying questions`);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Waiting for the customer to answer clarifying questions, generation starts automatically afterwards',
+        status: 'awaiting_clarification',
+        workflow_id: workflowId,
+        questions: generation.questions
       });
     }
 
-    // Add job to workflow generation queue
-    const job = await workflowGenerationQueue.add('generate-workflow', {
-      customerRequest,
-      priority,
-      options,
-      requestId: `req_${customer_request_id}_${Date.now()}`
-    }, {
-      priority: priority === 'high' ? 1 : priority === 'medium' ? 2 : 3,
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 5000
-      }
-    });
-
-    // Update customer request status
-    await db.query(
-      'UPDATE customer_requests SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['processing', customer_request_id]
-    );
+    const { job } = generation;
 
     logger.info(`Workflow generation queued for customer request ${customer_request_id}, job ID: ${job.id}`);
 
     res.status(202).json({
       success: true,
-      message: 'Workflow generation started',
+      message: workflowId ? 'Workflow regeneration started, the result will be added as a new version' : 'Workflow generation started',
       job_id: job.id,
+      workflow_id: workflowId,
       estimated_completion: '5-10 minutes',
       status_endpoint: `/api/workflows/status/${job.id}`
     });
@@ -150,12 +302,14 @@ router.get('/', async (req, res) => {
       SELECT w.*, cr.customer_name, cr.description as request_description
       FROM workflows w
       LEFT JOIN customer_requests cr ON w.customer_request_id = cr.id
+      WHERE w.parent_workflow_id IS NULL
     `;
     let queryParams = [];
     let paramIndex = 1;
 
+    // Sub-workflows are listed with their parent bundle, not on their own
     if (status) {
-      query += ` WHERE w.status = $${paramIndex}`;
+      query += ` AND w.status = $${paramIndex}`;
       queryParams.push(status);
       paramIndex++;
     }
@@ -166,10 +320,10 @@ router.get('/', async (req, res) => {
     const result = await db.query(query, queryParams);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM workflows';
+    let countQuery = 'SELECT COUNT(*) FROM workflows WHERE parent_workflow_id IS NULL';
     let countParams = [];
     if (status) {
-      countQuery += ' WHERE status = $1';
+      countQuery += ' AND status = $1';
       countParams.push(status);
     }
 
@@ -223,15 +377,23 @@ router.get('/:id', async (req, res) => {
     
     // Parse JSON fields if they exist
     if (workflow.workflow_json) {
-      workflow.workflow_json = JSON.parse(workflow.workflow_json);
+      workflow.workflow_json = typeof workflow.workflow_json === 'string' ? JSON.parse(workflow.workflow_json) : workflow.workflow_json;
     }
     if (workflow.metadata) {
       workflow.metadata = JSON.parse(workflow.metadata);
     }
 
+    const lint = workflow.workflow_json
+      ? await lintWorkflow(workflow.workflow_json, { tier: workflow.complexity })
+      : null;
+
+    const subWorkflows = await getSubWorkflows(id);
+
     res.json({
       success: true,
-      workflow
+      workflow,
+      sub_workflows: subWorkflows.map(({ workflow: subWorkflowJson, ...subWorkflow }) => subWorkflow),
+      lint
     });
 
   } catch (error) {
@@ -244,14 +406,1137 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Test workflow
-router.post('/:id/test', async (req, res) => {
+// Recompute node positions for a stored workflow
+router.post('/:id/layout', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = layoutSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id, workflow_json FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const storedWorkflow = result.rows[0].workflow_json;
+    const workflowJson = typeof storedWorkflow === 'string' ? JSON.parse(storedWorkflow) : storedWorkflow;
+    const overlapsBefore = findOverlappingNodes(workflowJson);
+
+    const { persist, ...layoutOptions } = value;
+    const laidOut = layoutWorkflow(workflowJson, layoutOptions);
+
+    // Saved as a new revision so history, diffs and the current version stay in step
+    let version = null;
+    if (persist && JSON.stringify(laidOut) !== JSON.stringify(workflowJson)) {
+      const recorded = await recordVersion(id, {
+        workflow: laidOut,
+        author: 'human',
+        changeSummary: 'Auto layout'
+      });
+      version = recorded.version;
+    }
+
+    logger.info(`Workflow ${id} re-laid out, ${overlapsBefore.length} overlapping node pairs resolved`);
+
+    res.json({
+      success: true,
+      persisted: Boolean(version),
+      version,
+      overlaps_before: overlapsBefore.length,
+      overlaps_after: findOverlappingNodes(laidOut).length,
+      workflow_json: laidOut
+    });
+
+  } catch (error) {
+    logger.error('Workflow layout failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lay out workflow',
+      details: error.message
+    });
+  }
+});
+
+// Re-run the security scanner on a stored workflow
+router.post('/:id/security-scan', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await db.query('SELECT id, workflow_json, status FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const storedWorkflow = result.rows[0].workflow_json;
+    const workflowJson = typeof storedWorkflow === 'string' ? JSON.parse(storedWorkflow) : storedWorkflow;
+    const security = scanWorkflow(workflowJson);
+    const subWorkflows = await rescanSubWorkflows(id);
+
+    let delivery = await checkDeliveryAllowed({
+      security_max_severity: security.maxSeverity,
+      security_scanned_at: security.scannedAt
+    });
+    // Findings in any sub-workflow hold back the whole bundle
+    const blockedSubWorkflow = subWorkflows.find(subWorkflow => subWorkflow.blocked);
+    if (delivery.allowed && blockedSubWorkflow) {
+      delivery = { ...delivery, allowed: false, reason: `Security findings in sub-workflow "${blockedSubWorkflow.name}" block delivery` };
+    }
+
+    // Only move between generated and blocked, never override later pipeline states
+    let status = result.rows[0].status;
+    if (!delivery.allowed && status === 'generated') status = 'security_blocked';
+    if (delivery.allowed && status === 'security_blocked') status = 'generated';
+
+    await db.query(
+      `UPDATE workflows
+       SET security_findings = $1, security_max_severity = $2, security_scanned_at = $3,
+           status = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [JSON.stringify(security.findings), security.maxSeverity, security.scannedAt, status, id]
+    );
+
+    logger.info(`Security scan for workflow ${id}: ${security.findings.length} findings, max severity ${security.maxSeverity || 'none'}`);
+
+    res.json({
+      success: true,
+      security,
+      sub_workflows: subWorkflows,
+      delivery
+    });
+
+  } catch (error) {
+    logger.error('Workflow security scan failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan workflow',
+      details: error.message
+    });
+  }
+});
+
+// Node, field, $env and $vars references in the workflow's expressions, checked against the graph
+router.get('/:id/expressions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await db.query('SELECT id, workflow_json FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0 || !result.rows[0].workflow_json) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const storedWorkflow = result.rows[0].workflow_json;
+    const workflowJson = typeof storedWorkflow === 'string' ? JSON.parse(storedWorkflow) : storedWorkflow;
+    const report = checkExpressionReferences(workflowJson);
+
+    res.json({
+      success: true,
+      ...report,
+      fixable: report.issues.filter(issue => issue.code === 'unknown_referenced_node' && issue.suggestion).length
+    });
+
+  } catch (error) {
+    logger.error('Expression reference check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check expression references',
+      details: error.message
+    });
+  }
+});
+
+// Point expressions at renamed nodes, saved as a new revision unless persist is false
+router.post('/:id/expressions/fix', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = expressionFixSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id, workflow_json FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0 || !result.rows[0].workflow_json) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const storedWorkflow = result.rows[0].workflow_json;
+    const workflowJson = typeof storedWorkflow === 'string' ? JSON.parse(storedWorkflow) : storedWorkflow;
+    const { workflow: fixedWorkflow, applied } = fixExpressionReferences(workflowJson, { renames: value.renames });
+
+    let version = null;
+    if (value.persist && applied.length > 0) {
+      const recorded = await recordVersion(id, {
+        workflow: fixedWorkflow,
+        author: 'human',
+        changeSummary: `Pointed expression references at renamed nodes: ${applied.map(fix => `${fix.from} → ${fix.to} in ${fix.node}`).join(', ')}`
+      });
+      version = recorded.version;
+    }
+
+    logger.info(`Workflow ${id}: ${applied.length} expression reference fix(es) applied`);
+
+    res.json({
+      success: true,
+      persisted: Boolean(version),
+      version,
+      applied,
+      remaining_issues: checkExpressionReferences(fixedWorkflow).issues,
+      workflow_json: fixedWorkflow
+    });
+
+  } catch (error) {
+    logger.error('Expression reference fix failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fix expression references',
+      details: error.message
+    });
+  }
+});
+
+// Parent workflow with its sub-workflows, in the order they have to be imported into n8n
+router.get('/:id/bundle', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = bundleSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id, name, workflow_json FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const parent = result.rows[0];
+    const subWorkflows = await getSubWorkflows(id);
+
+    const bundle = {
+      name: parent.name,
+      parent: typeof parent.workflow_json === 'string' ? JSON.parse(parent.workflow_json) : parent.workflow_json,
+      sub_workflows: subWorkflows.map(subWorkflow => ({
+        key: subWorkflow.key,
+        name: subWorkflow.name,
+        workflow: subWorkflow.workflow
+      })),
+      import_instructions: subWorkflows.length > 0
+        ? `Import the sub-workflows first, then the parent. In each "Execute Workflow" node of the parent, replace the ${BUNDLE_REFERENCE_PREFIX}<key> workflow id with the id n8n gave the matching sub-workflow.`
+        : 'Import the parent workflow; it has no sub-workflows.'
+    };
+
+    if (value.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="workflow-${id}-bundle.json"`);
+    }
+
+    res.json({
+      success: true,
+      bundle
+    });
+
+  } catch (error) {
+    logger.error('Failed to get workflow bundle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workflow bundle',
+      details: error.message
+    });
+  }
+});
+
+// Render a stored workflow as a Mermaid, Graphviz DOT or SVG diagram
+router.get('/:id/diagram', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = diagramSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id, workflow_json FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0 || !result.rows[0].workflow_json) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const storedWorkflow = result.rows[0].workflow_json;
+    const workflowJson = typeof storedWorkflow === 'string' ? JSON.parse(storedWorkflow) : storedWorkflow;
+    const diagram = renderDiagram(workflowJson, value.format);
+
+    if (value.download) {
+      const extension = { mermaid: 'mmd', dot: 'dot', svg: 'svg' }[diagram.format];
+      res.setHeader('Content-Disposition', `attachment; filename="workflow-${id}.${extension}"`);
+    }
+
+    res.type(diagram.contentType).send(diagram.body);
+
+  } catch (error) {
+    logger.error('Failed to render workflow diagram:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render workflow diagram',
+      details: error.message
+    });
+  }
+});
+
+// Customer documentation for a revision, written on first request
+router.get('/:id/docs', async (req, res) => {
   try {
     const { id } = req.params;
-    const { test_data } = req.body;
+    const { error, value } = docsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    if (value.version && !(await getVersion(id, value.version))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow version not found'
+      });
+    }
 
-    // Get workflow from database
-    const result = await db.query('SELECT * FROM workflows WHERE id = $1', [id]);
+    const docs = await getWorkflowDocs(id, value.version || null) ||
+      await generateWorkflowDocs(id, { versionNumber: value.version || null });
+
+    if (value.format === 'json') {
+      return res.json({
+        success: true,
+        docs
+      });
+    }
+
+    const extension = value.format === 'html' ? 'html' : 'md';
+    if (value.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="workflow-${id}-v${docs.version_number}-README.${extension}"`);
+    }
+
+    res.type(value.format === 'html' ? 'text/html; charset=utf-8' : 'text/markdown; charset=utf-8')
+      .send(value.format === 'html' ? docs.html : docs.markdown);
+
+  } catch (error) {
+    logger.error('Failed to get workflow docs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workflow documentation',
+      details: error.message
+    });
+  }
+});
+
+// Rewrite the documentation, e.g. after the request or spec was corrected
+router.post('/:id/docs', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = regenerateDocsSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    if (value.version && !(await getVersion(id, value.version))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow version not found'
+      });
+    }
+
+    const docs = await generateWorkflowDocs(id, { versionNumber: value.version || null });
+
+    res.json({
+      success: true,
+      docs
+    });
+
+  } catch (error) {
+    logger.error('Failed to regenerate workflow docs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate workflow documentation',
+      details: error.message
+    });
+  }
+});
+
+// Delivery package (workflow or bundle, docs, diagram, checklists, test report, tutorial) as a ZIP
+router.get('/:id/download', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = downloadSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const current = await getDeliveryRevision(id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    if (!current.workflowRow.customer_email || current.workflowRow.customer_email.toLowerCase() !== value.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email does not match the customer who owns this workflow'
+      });
+    }
+
+    const revision = value.version ? await getDeliveryRevision(id, value.version) : current;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow version not found'
+      });
+    }
+
+    const delivery = await checkRevisionDelivery(revision);
+    if (!delivery.allowed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Workflow cannot be delivered',
+        reason: delivery.reason
+      });
+    }
+
+    const files = await buildDeliveryFiles(revision);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${getPackageFilename(revision)}"`);
+    const bytes = await writeDeliveryPackage(files, res);
+
+    await trackEvent({
+      event_type: EVENT_TYPES.WORKFLOW_DOWNLOADED,
+      event_data: {
+        version: revision.versionNumber,
+        current: revision.isCurrent,
+        files: files.map(file => file.name),
+        bytes
+      },
+      workflow_id: revision.workflowRow.id,
+      customer_request_id: revision.workflowRow.customer_request_id
+    });
+
+    logger.info(`Delivery package for workflow ${id} version ${revision.versionNumber} downloaded (${bytes} bytes)`);
+
+  } catch (error) {
+    logger.error('Failed to build delivery package:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build delivery package',
+      details: error.message
+    });
+  }
+});
+
+// List the revision history of a workflow
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await db.query('SELECT id, current_version FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const versions = await listVersions(id);
+
+    res.json({
+      success: true,
+      current_version: result.rows[0].current_version,
+      versions
+    });
+
+  } catch (error) {
+    logger.error('Failed to list workflow versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workflow versions',
+      details: error.message
+    });
+  }
+});
+
+// Store a hand-edited revision
+router.post('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = createVersionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const validation = await validateWorkflow(value.workflow_json);
+    const { version, current, security } = await recordVersion(id, {
+      workflow: value.workflow_json,
+      author: 'human',
+      changeSummary: value.change_summary,
+      makeCurrent: value.promote
+    });
+
+    res.status(201).json({
+      success: true,
+      version,
+      current,
+      validation,
+      security
+    });
+
+  } catch (error) {
+    logger.error('Failed to create workflow version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create workflow version',
+      details: error.message
+    });
+  }
+});
+
+// Get a single revision including its workflow JSON
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const workflowVersion = await getVersion(id, parseInt(version));
+
+    if (!workflowVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      version: workflowVersion
+    });
+
+  } catch (error) {
+    logger.error('Failed to get workflow version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workflow version',
+      details: error.message
+    });
+  }
+});
+
+// Semantic diff between two revisions, defaulting to the current version and the one before it
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = versionDiffSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id, current_version FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const to = value.to || result.rows[0].current_version;
+    const from = value.from || (to ? to - 1 : null);
+    const diff = from && to ? await diffVersions(id, from, to) : null;
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow version not found'
+      });
+    }
+
+    if (value.format === 'markdown') {
+      return res.type('text/markdown').send(diff.markdown);
+    }
+
+    res.json({
+      success: true,
+      ...diff
+    });
+
+  } catch (error) {
+    logger.error('Failed to diff workflow versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff workflow versions',
+      details: error.message
+    });
+  }
+});
+
+// Make a revision the current one served for download and delivery
+router.post('/:id/versions/:version/promote', async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const workflowVersion = await getVersion(id, parseInt(version));
+
+    if (!workflowVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow version not found'
+      });
+    }
+
+    const result = await promoteVersion(id, workflowVersion.version_number);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Failed to promote workflow version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote workflow version',
+      details: error.message
+    });
+  }
+});
+
+// Return to an earlier revision, by default the one before the current version
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = rollbackSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id, current_version FROM workflows WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const currentVersion = result.rows[0].current_version;
+
+    if (value.to_version) {
+      if (value.to_version === currentVersion) {
+        return res.status(409).json({
+          success: false,
+          error: `Version ${value.to_version} is already current`
+        });
+      }
+      if (!await getVersion(id, value.to_version)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Workflow version not found'
+        });
+      }
+    } else {
+      const versions = await listVersions(id);
+      if (!versions.some(version => version.version_number < currentVersion)) {
+        return res.status(409).json({
+          success: false,
+          error: 'No earlier version to roll back to'
+        });
+      }
+    }
+
+    const rollback = await rollbackVersion(id, value.to_version || null);
+
+    res.json({
+      success: true,
+      ...rollback
+    });
+
+  } catch (error) {
+    logger.error('Workflow rollback failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back workflow',
+      details: error.message
+    });
+  }
+});
+
+// Ask for changes to an existing workflow; the revision runs in the background
+router.post('/:id/change-requests', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = changeRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query(
+      `SELECT w.id, w.current_version, w.customer_request_id, cr.customer_email
+       FROM workflows w
+       JOIN customer_requests cr ON w.customer_request_id = cr.id
+       WHERE w.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const workflow = result.rows[0];
+    if (workflow.customer_email.toLowerCase() !== value.customer_email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email does not match the customer who owns this workflow'
+      });
+    }
+
+    const customerRequestResult = await db.query('SELECT * FROM customer_requests WHERE id = $1', [workflow.customer_request_id]);
+    const changeRequest = await createChangeRequest(workflow, customerRequestResult.rows[0], {
+      description: value.description,
+      addedInputSources: value.input_sources,
+      addedOutputTargets: value.output_targets
+    });
+
+    // A failed revision is recorded on the change request, retrying would duplicate it
+    const job = await addJob(queueNames.WORKFLOW_GENERATION, 'revise-workflow', {
+      changeRequestId: changeRequest.id
+    }, { attempts: 1 });
+    await setChangeRequestJob(changeRequest.id, job.id);
+
+    logger.info(`Change request ${changeRequest.id} queued for workflow ${id}, job ID: ${job.id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Change request received, the revised workflow will be added as a new version',
+      change_request: { ...changeRequest, job_id: String(job.id) },
+      quoted_price: changeRequest.quoted_price,
+      thread_endpoint: `/api/workflows/${id}/change-requests/${changeRequest.id}`
+    });
+
+  } catch (error) {
+    logger.error('Failed to create change request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create change request',
+      details: error.message
+    });
+  }
+});
+
+// List change requests for a workflow; only the customer who owns it can read them
+router.get('/:id/change-requests', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = changeRequestAccessSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const customerEmail = await getWorkflowCustomerEmail(id);
+    if (customerEmail === undefined) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    if (!customerEmail || customerEmail.toLowerCase() !== value.customer_email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email does not match the customer who owns this workflow'
+      });
+    }
+
+    const changeRequests = await listChangeRequests(id);
+
+    res.json({
+      success: true,
+      change_requests: changeRequests
+    });
+
+  } catch (error) {
+    logger.error('Failed to list change requests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve change requests',
+      details: error.message
+    });
+  }
+});
+
+// Get a change request with its clarification thread; only the customer who owns the workflow can read it
+router.get('/:id/change-requests/:changeRequestId', async (req, res) => {
+  try {
+    const { id, changeRequestId } = req.params;
+    const { error, value } = changeRequestAccessSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const changeRequest = await getChangeRequest(id, changeRequestId);
+
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Change request not found'
+      });
+    }
+
+    const customerEmail = await getChangeRequestCustomerEmail(changeRequest);
+    if (!customerEmail || customerEmail.toLowerCase() !== value.customer_email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email does not match the customer who owns this workflow'
+      });
+    }
+
+    res.json({
+      success: true,
+      change_request: changeRequest
+    });
+
+  } catch (error) {
+    logger.error('Failed to get change request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve change request',
+      details: error.message
+    });
+  }
+});
+
+// Add a customer clarification to a change request thread
+router.post('/:id/change-requests/:changeRequestId/messages', async (req, res) => {
+  try {
+    const { id, changeRequestId } = req.params;
+    const { error, value } = changeRequestMessageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const changeRequest = await getChangeRequest(id, changeRequestId);
+
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Change request not found'
+      });
+    }
+
+    const customerEmail = await getChangeRequestCustomerEmail(changeRequest);
+    if (!customerEmail || customerEmail.toLowerCase() !== value.customer_email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email does not match the customer who owns this workflow'
+      });
+    }
+
+    const message = await addMessage(changeRequest.id, 'customer', value.message);
+
+    res.status(201).json({
+      success: true,
+      message
+    });
+
+  } catch (error) {
+    logger.error('Failed to add change request message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add message',
+      details: error.message
+    });
+  }
+});
+
+// List a workflow's test cases
+router.get('/:id/test-cases', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const testCases = await listTestCases(id);
+
+    res.json({
+      success: true,
+      test_cases: testCases
+    });
+
+  } catch (error) {
+    logger.error('Failed to list test cases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve test cases',
+      details: error.message
+    });
+  }
+});
+
+// Add a test case, run on every test of the workflow
+router.post('/:id/test-cases', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = createTestCaseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await db.query('SELECT id FROM workflows WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    const testCase = await createTestCase(id, value);
+
+    res.status(201).json({
+      success: true,
+      test_case: testCase
+    });
+
+  } catch (error) {
+    // Case names are unique per workflow
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'A test case with this name already exists for the workflow'
+      });
+    }
+    logger.error('Failed to create test case:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create test case',
+      details: error.message
+    });
+  }
+});
+
+// Get one test case
+router.get('/:id/test-cases/:testCaseId', async (req, res) => {
+  try {
+    const { id, testCaseId } = req.params;
+    const testCase = await getTestCase(id, testCaseId);
+
+    if (!testCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      test_case: testCase
+    });
+
+  } catch (error) {
+    logger.error('Failed to get test case:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve test case',
+      details: error.message
+    });
+  }
+});
+
+// Change a test case
+router.put('/:id/test-cases/:testCaseId', async (req, res) => {
+  try {
+    const { id, testCaseId } = req.params;
+    const { error, value } = updateTestCaseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const testCase = await updateTestCase(id, testCaseId, value);
+
+    if (!testCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      test_case: testCase
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'A test case with this name already exists for the workflow'
+      });
+    }
+    logger.error('Failed to update test case:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update test case',
+      details: error.message
+    });
+  }
+});
+
+// Remove a test case
+router.delete('/:id/test-cases/:testCaseId', async (req, res) => {
+  try {
+    const { id, testCaseId } = req.params;
+    const deleted = await deleteTestCase(id, testCaseId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Test case deleted'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete test case:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete test case',
+      details: error.message
+    });
+  }
+});
+
+// Test workflow
+router.post('/:id/test', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { test_data, test_data_seed } = req.body;
+
+    // Get workflow from database, with the spec its test data is built from
+    const result = await db.query(`
+      SELECT w.*, cr.requirement_spec
+      FROM workflows w
+      LEFT JOIN customer_requests cr ON cr.id = w.customer_request_id
+      WHERE w.id = $1
+    `, [id]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -261,12 +1546,18 @@ router.post('/:id/test', async (req, res) => {
     }
 
     const workflow = result.rows[0];
+    const subWorkflows = await getSubWorkflows(id);
 
     // Add job to testing queue
     const job = await workflowTestingQueue.add('test-workflow', {
       workflow_id: id,
-      workflow_json: JSON.parse(workflow.workflow_json),
+      workflow_json: typeof workflow.workflow_json === 'string' ? JSON.parse(workflow.workflow_json) : workflow.workflow_json,
+      sub_workflows: subWorkflows.map(({ key, name, workflow: subWorkflowJson }) => ({ key, name, workflow: subWorkflowJson })),
+      complexity: workflow.complexity,
+      requirement_spec: workflow.requirement_spec,
       test_data: test_data || {},
+      // Replays the generated payloads of an earlier run (its test_results.testData.seed)
+      test_data_seed: test_data_seed ?? null,
       requestId: `test_${id}_${Date.now()}`
     }, {
       attempts: 2,
@@ -21,6 +21,8 @@ const analyticsRoutes = require('./routes/analytics');
 const paymentsRoutes = require('./routes/payments');
 const supportRoutes = require('./routes/support');
 const monitoringRoutes = require('./routes/monitoring');
+const knowledgeRoutes = require('./routes/knowledge');
+const templateRoutes = require('./routes/templates');
 
 class DFYAutopilotServer {
   constructor() {
@@ -117,6 +119,8 @@ class DFYAutopilotServer {
     this.app.use('/api/v1/payments', paymentsRoutes);
     this.app.use('/api/v1/support', supportRoutes);
     this.app.use('/api/v1/monitoring', monitoringRoutes);
+    this.app.use('/api/v1/knowledge', knowledgeRoutes);
+    this.app.use('/api/v1/templates', templateRoutes);
     
     // API routes (unversioned for backward compatibility)
     this.app.use('/api/customers', customerRoutes);
@@ -126,6 +130,8 @@ class DFYAutopilotServer {
     this.app.use('/api/payments', paymentsRoutes);
     this.app.use('/api/support', supportRoutes);
     this.app.use('/api/monitoring', monitoringRoutes);
+    this.app.use('/api/knowledge', knowledgeRoutes);
+    this.app.use('/api/templates', templateRoutes);
     
     this.app.use('/health', healthRoutes);
 
@@ -150,6 +156,8 @@ class DFYAutopilotServer {
           content: '/api/v1/content',
           analytics: '/api/v1/analytics',
           payments: '/api/v1/payments',
+          knowledge: '/api/v1/knowledge',
+          templates: '/api/v1/templates',
           health: '/health'
         }
       });
@@ -166,11 +174,15 @@ class DFYAutopilotServer {
           '/api/content',
           '/api/analytics',
           '/api/monitoring',
+          '/api/knowledge',
+          '/api/templates',
           '/api/v1/customers',
           '/api/v1/workflows',
           '/api/v1/content',
           '/api/v1/analytics',
           '/api/v1/monitoring',
+          '/api/v1/knowledge',
+          '/api/v1/templates',
           '/health'
         ]
       });
@@ -11,6 +11,7 @@ const EVENT_TYPES = {
   WORKFLOW_TEST_STARTED: 'workflow_test_started',
   WORKFLOW_TEST_COMPLETED: 'workflow_test_completed',
   WORKFLOW_TEST_FAILED: 'workflow_test_failed',
+  WORKFLOW_DOWNLOADED: 'workflow_downloaded',
   CONTENT_CREATION_STARTED: 'content_creation_started',
   CONTENT_CREATION_COMPLETED: 'content_creation_completed',
   CONTENT_CREATION_FAILED: 'content_creation_failed',
@@ -0,0 +1,291 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getConfigValue } = require('../../config/systemConfig');
+const { logger } = require('../../utils/logger');
+const { getNodeMap, buildAdjacency, getUpstreamNodes } = require('../../utils/workflowGraph');
+const { isTriggerType } = require('../nodeCatalog');
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+const DEFAULT_SANDBOX_CONFIG = { timeoutMs: 2000, memoryMb: 64 };
+
+// Time allowed on top of the VM timeout for starting the worker before it is terminated
+const WORKER_STARTUP_GRACE_MS = 3000;
+
+// n8n globals the sandbox does not provide; code using them is skipped rather than failed
+const UNSUPPORTED_GLOBALS = ['DateTime', 'Duration', 'Interval', '$now', '$today', '$jmespath', '$evaluateExpression', 'require'];
+
+// Statuses that fail the pre-flight regardless of where the input items came from
+const BLOCKING_STATUSES = ['syntax_error', 'timeout', 'memory_limit', 'invalid_output'];
+
+const getSandboxConfig = async () => {
+  const configured = await getConfigValue('code_sandbox', DEFAULT_SANDBOX_CONFIG) || {};
+  return { ...DEFAULT_SANDBOX_CONFIG, ...configured };
+};
+
+// Language, mode and source of a Code, Function or Function Item node; null for other nodes
+const getCodeNodeSource = (node) => {
+  const parameters = node.parameters || {};
+
+  switch (node.type) {
+    case 'n8n-nodes-base.code':
+      return {
+        kind: 'code',
+        language: parameters.language || 'javaScript',
+        mode: parameters.mode || 'runOnceForAllItems',
+        code: parameters.language && parameters.language !== 'javaScript' ? parameters.pythonCode : parameters.jsCode
+      };
+    case 'n8n-nodes-base.function':
+      return { kind: 'function', language: 'javaScript', mode: 'runOnceForAllItems', code: parameters.functionCode };
+    case 'n8n-nodes-base.functionItem':
+      return { kind: 'functionItem', language: 'javaScript', mode: 'runOnceForEachItem', code: parameters.functionItemCode };
+    default:
+      return null;
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check a run's return value the way n8n does and normalize it into items
+const validateOutput = (source, runs) => {
+  const problems = [];
+  const items = [];
+
+  runs.forEach((run, runIndex) => {
+    const where = source.mode === 'runOnceForEachItem' ? ` for item ${runIndex}` : '';
+
+    if (!run.returned) {
+      problems.push(`Code did not return anything${where}`);
+      return;
+    }
+
+    if (source.mode === 'runOnceForEachItem') {
+      if (!isPlainObject(run.value)) {
+        problems.push(`Code must return a single object${where}, got ${Array.isArray(run.value) ? 'an array' : typeof run.value}`);
+        return;
+      }
+      // Function Item nodes return the json itself; Code nodes may return an item or bare json
+      const json = source.kind === 'functionItem' || !isPlainObject(run.value.json) ? run.value : run.value.json;
+      items.push({ json });
+      return;
+    }
+
+    const returned = isPlainObject(run.value) && source.kind === 'code' ? [run.value] : run.value;
+    if (!Array.isArray(returned)) {
+      problems.push(`Code must return an array of items, got ${typeof returned}`);
+      return;
+    }
+
+    const wrapped = returned.filter(item => isPlainObject(item) && isPlainObject(item.json));
+    returned.forEach((item, index) => {
+      if (!isPlainObject(item)) {
+        problems.push(`Item ${index} is ${Array.isArray(item) ? 'an array' : typeof item}, not an object`);
+      } else if (item.json !== undefined && !isPlainObject(item.json)) {
+        problems.push(`Item ${index} has a "json" property that is not an object`);
+      }
+    });
+    if (problems.length > 0) return;
+
+    if (wrapped.length === returned.length) {
+      items.push(...returned);
+    } else if (wrapped.length === 0 && source.kind === 'code') {
+      // The Code node wraps bare objects in { json }; the legacy Function node does not
+      items.push(...returned.map(json => ({ json })));
+    } else if (wrapped.length === 0) {
+      problems.push('Function node items must be wrapped as { json: { ... } }');
+    } else {
+      problems.push('Some returned items are wrapped in { json } and some are not');
+    }
+  });
+
+  return { problems, items };
+};
+
+// Item count and the fields seen on the returned items
+const describeOutputShape = (items) => {
+  const fields = new Map();
+  items.forEach(item => Object.entries(item.json || {}).forEach(([key, value]) => {
+    const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (!fields.has(key)) fields.set(key, new Set());
+    fields.get(key).add(type);
+  }));
+
+  return {
+    itemCount: items.length,
+    fields: [...fields.entries()].map(([name, types]) => ({ name, types: [...types] })),
+    sample: items[0]?.json || null
+  };
+};
+
+// Start the worker and wait for its report, terminating it when it overruns or runs out of memory
+const runInWorker = (workerData, { timeoutMs, memoryMb }) => new Promise((resolve) => {
+  let settled = false;
+  const worker = new Worker(WORKER_PATH, {
+    workerData,
+    env: {},
+    stdout: true,
+    stderr: true,
+    resourceLimits: {
+      maxOldGenerationSizeMb: memoryMb,
+      maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 4)),
+      stackSizeMb: 4
+    }
+  });
+
+  const done = (result) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.terminate().catch(() => {});
+    resolve(result);
+  };
+
+  // Per-item runs share one budget
+  const budget = timeoutMs * (workerData.mode === 'runOnceForEachItem' ? Math.max(1, workerData.items.length) : 1);
+  const timer = setTimeout(() => done({
+    status: 'timeout',
+    error: { name: 'TimeoutError', message: `Code ran longer than ${budget} ms`, line: null }
+  }), budget + WORKER_STARTUP_GRACE_MS);
+
+  worker.on('message', done);
+  worker.on('error', (error) => done(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+    ? { status: 'memory_limit', error: { name: 'RangeError', message: `Code used more than ${memoryMb} MB of memory`, line: null } }
+    : { status: 'runtime_error', error: { name: error.name, message: error.message, line: null } }));
+  worker.on('exit', (exitCode) => done({
+    status: 'runtime_error',
+    error: { name: 'Error', message: `Sandbox exited with code ${exitCode} before reporting`, line: null }
+  }));
+});
+
+// Run one Code node against input items; nodeOutputs supplies the items $('Name') and $node read
+const runCodeNode = async (node, { items, nodeOutputs = {}, previousNode = null, workflow = {}, limits = null } = {}) => {
+  const source = getCodeNodeSource(node);
+  if (!source) throw new Error(`Node "${node.name}" is not a Code node`);
+
+  const report = { node: node.name, type: node.type, mode: source.mode, language: source.language };
+
+  if (source.language !== 'javaScript') {
+    return { ...report, status: 'skipped', reason: `${source.language} code is not run in the sandbox` };
+  }
+  if (!source.code || !source.code.trim()) {
+    return { ...report, status: 'invalid_output', error: { name: 'Error', message: 'Code node has no code', line: null } };
+  }
+
+  const { timeoutMs, memoryMb } = limits || await getSandboxConfig();
+  const inputItems = items && items.length > 0 ? items : [{ json: {} }];
+  const startedAt = Date.now();
+
+  const result = await runInWorker({
+    code: source.code,
+    filename: `${node.name}.js`,
+    kind: source.kind,
+    mode: source.mode,
+    items: inputItems,
+    nodeOutputs,
+    previousNode,
+    workflow: { id: workflow.id || null, name: workflow.name || null },
+    timeoutMs
+  }, { timeoutMs, memoryMb });
+
+  const finished = {
+    ...report,
+    inputItemCount: inputItems.length,
+    durationMs: Date.now() - startedAt,
+    logs: result.logs || [],
+    requests: result.requests || []
+  };
+
+  if (result.status !== 'completed') {
+    const missingGlobal = result.status === 'runtime_error' && result.error?.name === 'ReferenceError' &&
+      UNSUPPORTED_GLOBALS.find(name => result.error.message.startsWith(`${name} is not defined`));
+    if (missingGlobal) {
+      return { ...finished, status: 'skipped', reason: `Uses ${missingGlobal}, which the sandbox does not provide` };
+    }
+    return { ...finished, status: result.status, error: result.error, itemIndex: result.itemIndex };
+  }
+
+  const { problems, items: outputItems } = validateOutput(source, result.runs);
+  if (problems.length > 0) {
+    return { ...finished, status: 'invalid_output', error: { name: 'OutputError', message: problems.join('; '), line: null } };
+  }
+
+  return { ...finished, status: 'passed', output: describeOutputShape(outputItems), items: outputItems };
+};
+
+// Run every Code node in execution order. Trigger nodes emit the sample items, passing Code nodes emit
+// their real output, and any other node is assumed to pass its input through unchanged.
+const testCodeNodes = async (workflow, { sampleItems = [{ json: {} }] } = {}) => {
+  const nodes = (workflow.nodes || []).filter(node => getCodeNodeSource(node));
+  if (nodes.length === 0) {
+    return { success: true, nodes: [], summary: { total: 0, passed: 0, failed: 0, skipped: 0 } };
+  }
+
+  const limits = await getSandboxConfig();
+  const nodeMap = getNodeMap(workflow);
+  const adjacency = buildAdjacency(workflow);
+  const upstream = new Map(nodes.map(node => [node.name, getUpstreamNodes(workflow, node.name, adjacency)]));
+  const outputs = new Map();
+
+  // A node's input items and whether they are real (trigger or Code output) or only approximated
+  const resolveInput = (name, seen = new Set()) => {
+    const node = nodeMap.get(name);
+    if (!node || seen.has(name)) return { items: sampleItems, exact: false };
+    seen.add(name);
+    if (isTriggerType(node.type)) return { items: sampleItems, exact: true };
+    if (outputs.has(name)) return { items: outputs.get(name), exact: true };
+
+    const parents = adjacency.parents.get(name) || [];
+    if (parents.length === 0) return { items: sampleItems, exact: false };
+    const input = resolveInput(parents[0].source, seen);
+    return { items: input.items, exact: false };
+  };
+
+  const reports = [];
+  const ordered = [...nodes].sort((a, b) => upstream.get(a.name).size - upstream.get(b.name).size);
+
+  for (const node of ordered) {
+    const parents = adjacency.parents.get(node.name) || [];
+    const input = parents.length > 0 ? resolveInput(parents[0].source) : { items: sampleItems, exact: false };
+    const nodeOutputs = Object.fromEntries([...nodeMap.keys()].map(name => [name, resolveInput(name).items]));
+
+    const report = await runCodeNode(node, {
+      items: input.items,
+      nodeOutputs,
+      previousNode: parents[0]?.source || null,
+      workflow,
+      limits
+    });
+
+    if (report.status === 'passed') outputs.set(node.name, report.items);
+    const { items, ...summary } = report;
+    reports.push({
+      ...summary,
+      inputSource: input.exact ? 'exact' : 'approximated',
+      // Runtime errors on approximated input may only reflect the sample data, so they are reported without failing
+      blocking: BLOCKING_STATUSES.includes(report.status) || (report.status === 'runtime_error' && input.exact)
+    });
+  }
+
+  const count = (predicate) => reports.filter(predicate).length;
+  const result = {
+    success: !reports.some(report => report.blocking),
+    nodes: reports,
+    summary: {
+      total: reports.length,
+      passed: count(report => report.status === 'passed'),
+      failed: count(report => !['passed', 'skipped'].includes(report.status)),
+      skipped: count(report => report.status === 'skipped')
+    }
+  };
+
+  logger.info('Code node sandbox run completed:', result.summary);
+  return result;
+};
+
+module.exports = {
+  getSandboxConfig,
+  getCodeNodeSource,
+  runCodeNode,
+  testCodeNodes,
+  validateOutput
+};
@@ -0,0 +1,224 @@
+// Runs one Code node inside a fresh VM context; started by ./index.js in a worker thread with memory limits
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+// Evaluated inside the context so every object user code can reach belongs to the sandbox realm.
+// Host data arrives as a JSON string and results leave the same way.
+const BOOTSTRAP = `
+(() => {
+  const data = JSON.parse(__sandboxData);
+  const inputItems = data.items;
+  const nodeOutputs = data.nodeOutputs;
+  const logs = [];
+  const requests = [];
+  const staticData = {};
+
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    try { return JSON.stringify(value); } catch (error) { return String(value); }
+  };
+  const logger = (level) => (...args) => { if (logs.length < 100) logs.push({ level, message: args.map(format).join(' ') }); };
+
+  const outputOf = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(nodeOutputs, name)) {
+      throw new Error('Referenced node "' + name + '" does not exist in this workflow');
+    }
+    return nodeOutputs[name];
+  };
+
+  // $('Name') and $input share the accessors n8n gives them
+  const itemAccessor = (getItems) => ({
+    all: () => clone(getItems()),
+    first: () => clone(getItems()[0]),
+    last: () => clone(getItems()[getItems().length - 1]),
+    get item() { return clone(getItems()[Math.min(globalThis.$itemIndex, getItems().length - 1)] || getItems()[0]); },
+    itemMatching: (index) => clone(getItems()[index]),
+    get params() { return {}; },
+    get context() { return {}; }
+  });
+
+  const recordRequest = (options) => {
+    const request = typeof options === 'string' ? { url: options } : (options || {});
+    requests.push({ method: String(request.method || 'GET'), url: String(request.url || request.uri || '') });
+    return Promise.resolve({});
+  };
+
+  const helpers = {
+    returnJsonArray: (value) => (Array.isArray(value) ? value : [value]).map(json => ({ json })),
+    httpRequest: recordRequest,
+    request: recordRequest,
+    httpRequestWithAuthentication: (credentialType, options) => recordRequest(options),
+    requestWithAuthentication: (credentialType, options) => recordRequest(options)
+  };
+
+  // Environment and workflow variables are read as placeholders so code depending on them still runs
+  const placeholders = (prefix) => new Proxy({}, {
+    get: (target, key) => (typeof key === 'string' ? 'sample-' + prefix + '-' + key : undefined)
+  });
+
+  globalThis.$input = itemAccessor(() => inputItems);
+  globalThis.$ = (name) => itemAccessor(() => outputOf(name));
+  globalThis.$items = (name) => clone(name === undefined ? inputItems : outputOf(name));
+  globalThis.$node = new Proxy({}, {
+    get: (target, name) => {
+      if (typeof name !== 'string') return undefined;
+      const output = outputOf(name);
+      return { json: clone(output[0] ? output[0].json : {}), binary: {}, parameter: {}, context: {}, runIndex: 0 };
+    }
+  });
+  globalThis.$env = placeholders('env');
+  globalThis.$vars = placeholders('vars');
+  globalThis.$workflow = { id: data.workflow.id, name: data.workflow.name, active: false };
+  globalThis.$execution = { id: 'sandbox', mode: 'test', resumeUrl: '' };
+  globalThis.$prevNode = { name: data.previousNode, outputIndex: 0, runIndex: 0 };
+  globalThis.$runIndex = 0;
+  globalThis.$itemIndex = 0;
+  globalThis.$getWorkflowStaticData = () => staticData;
+  globalThis.helpers = helpers;
+  globalThis.console = { log: logger('log'), info: logger('info'), warn: logger('warn'), error: logger('error'), debug: logger('debug') };
+
+  const self = { helpers, getWorkflowStaticData: () => staticData, getNodeParameter: () => undefined };
+
+  // Point the per-item globals at one input item
+  const setItem = (index) => {
+    globalThis.$itemIndex = index;
+    delete globalThis.$json;
+    delete globalThis.item;
+    if (data.mode === 'runOnceForEachItem') {
+      const current = clone(inputItems[index]);
+      globalThis.$json = current.json;
+      globalThis.$binary = current.binary || {};
+      // Function Item nodes get the json directly, Code nodes the whole item
+      globalThis.item = data.kind === 'functionItem' ? current.json : current;
+    } else {
+      globalThis.items = clone(inputItems);
+      Object.defineProperty(globalThis, '$json', {
+        configurable: true,
+        get: () => { throw new Error("$json is only available in 'Run Once for Each Item' mode; use $input.first().json or loop over $input.all()"); }
+      });
+    }
+  };
+
+  const describeError = (error) => ({
+    name: error && error.name ? String(error.name) : 'Error',
+    message: error && error.message !== undefined ? String(error.message) : String(error),
+    stack: error && error.stack ? String(error.stack) : ''
+  });
+
+  // Called by the wrapped user code once its promise settles
+  const settle = (outcome) => { globalThis.__outcome = JSON.stringify(outcome); };
+
+  globalThis.__sandbox = {
+    self,
+    setItem,
+    resolve: (value) => {
+      try {
+        settle({ done: true, returned: value !== undefined, value: value === undefined ? null : JSON.parse(JSON.stringify(value)) });
+      } catch (error) {
+        settle({ done: true, error: { name: 'TypeError', message: 'Returned value is not JSON serializable: ' + error.message, stack: '' } });
+      }
+    },
+    reject: (error) => settle({ done: true, error: describeError(error) }),
+    report: () => JSON.stringify({ logs, requests })
+  };
+
+  delete globalThis.__sandboxData;
+})();
+`;
+
+const { code, filename, mode, timeoutMs } = workerData;
+
+// First line of the stack that points into the node's code, as a 1-based line number
+const findErrorLine = (stack) => {
+  const escaped = filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = String(stack || '').match(new RegExp(`${escaped}:(\\d+)`));
+  return match ? Number(match[1]) : null;
+};
+
+const readReport = (context) => {
+  try {
+    callSandbox(context, '__report = __sandbox.report()', timeoutMs);
+    const report = JSON.parse(readString(context, '__report') || '{}');
+    return { logs: Array.isArray(report.logs) ? report.logs : [], requests: Array.isArray(report.requests) ? report.requests : [] };
+  } catch (error) {
+    return { logs: [], requests: [] };
+  }
+};
+
+const finish = (result) => {
+  parentPort.postMessage(result);
+};
+
+// Values leave the context only as strings, so no sandbox object is ever used by host code
+const readString = (context, key) => {
+  const value = context[key];
+  return typeof value === 'string' ? value : null;
+};
+
+// Creates a context whose global has no host prototype: globalThis.constructor resolves to the
+// sandbox realm's Object, whose Function is blocked by codeGeneration, not the host's
+const createSandboxContext = (data) => {
+  const sandbox = Object.create(null);
+  sandbox.__sandboxData = JSON.stringify(data);
+  return vm.createContext(sandbox, {
+    codeGeneration: { strings: false, wasm: false },
+    // Promise jobs run inside runInContext, so the time limit covers async code too
+    microtaskMode: 'afterEvaluate'
+  });
+};
+
+// Host-side calls into the context go through scripts, never through sandbox functions held by the host
+const callSandbox = (context, source, timeout) => {
+  vm.runInContext(source, context, { timeout });
+};
+
+const run = () => {
+  const context = createSandboxContext(workerData);
+  vm.runInContext(BOOTSTRAP, context);
+
+  // Same wrapper n8n uses: the code is the body of an async function bound to the node
+  let script;
+  try {
+    script = new vm.Script(
+      `__outcome = undefined; (async function () {\n${code}\n}).call(__sandbox.self).then(__sandbox.resolve, __sandbox.reject);`,
+      { filename, lineOffset: -1 }
+    );
+  } catch (error) {
+    return finish({ status: 'syntax_error', error: { name: error.name, message: error.message, line: findErrorLine(error.stack) } });
+  }
+
+  const runs = [];
+  const itemCount = mode === 'runOnceForEachItem' ? workerData.items.length : 1;
+
+  for (let index = 0; index < itemCount; index++) {
+    try {
+      callSandbox(context, `__sandbox.setItem(${index})`, timeoutMs);
+      script.runInContext(context, { timeout: timeoutMs });
+    } catch (error) {
+      if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return finish({ status: 'timeout', error: { name: 'TimeoutError', message: `Code ran longer than ${timeoutMs} ms`, line: null }, itemIndex: index });
+      }
+      return finish({ status: 'runtime_error', error: { name: String(error?.name || 'Error'), message: String(error?.message || error), line: findErrorLine(error?.stack) }, itemIndex: index });
+    }
+
+    const outcomeText = readString(context, '__outcome');
+    const outcome = outcomeText ? JSON.parse(outcomeText) : { done: false };
+    if (!outcome.done) {
+      return finish({ status: 'timeout', error: { name: 'TimeoutError', message: 'Code awaited a promise that never settled', line: null }, itemIndex: index });
+    }
+    if (outcome.error) {
+      return finish({
+        status: 'runtime_error',
+        error: { name: outcome.error.name, message: outcome.error.message, line: findErrorLine(outcome.error.stack) },
+        itemIndex: index,
+        ...readReport(context)
+      });
+    }
+    runs.push(outcome);
+  }
+
+  return finish({ status: 'completed', runs, ...readReport(context) });
+};
+
+run();
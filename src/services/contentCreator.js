@@ -1,14 +1,10 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const ffmpeg = require('fluent-ffmpeg');
 const { logger } = require('../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-
-// Initialize Claude client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const llm = require('./llm');
+const { renderSvg } = require('./workflowDiagram');
 
 // Content creation configuration
 const CONTENT_CONFIG = {
@@ -46,8 +42,27 @@ const initializeContentEnvironment = async () => {
   }
 };
 
-// Generate video script using Claude
-const generateVideoScript = async (workflowData) => {
+// Nodes of the workflow plus any sub-workflows it calls
+const getAllNodes = (workflowData) => [
+  ...workflowData.workflow.nodes,
+  ...(workflowData.subWorkflows || []).flatMap(subWorkflow => subWorkflow.workflow.nodes)
+];
+
+// Prompt section walking through each sub-workflow of a bundle
+const describeSubWorkflowsForPrompt = (subWorkflows = []) => {
+  if (subWorkflows.length === 0) return '';
+
+  return `
+SUB-WORKFLOWS (called from the main workflow through Execute Workflow nodes):
+${subWorkflows.map(subWorkflow => `${subWorkflow.name}:
+${subWorkflow.workflow.nodes.map(node => `  - ${node.name} (${node.type})`).join('\n')}`).join('\n')}
+
+Explain why these steps live in separate workflows and that they must be imported before the main workflow.
+`;
+};
+
+// Generate video script with the configured scripts model
+const generateVideoScript = async (workflowData, usageContext = {}) => {
   logger.info('Generating video script for workflow:', workflowData.id);
   
   try {
@@ -78,7 +93,7 @@ The workflow details will be provided in the user message.`;
 WORKFLOW DETAILS:
 - Name: ${workflowData.workflow.name}
 - Description: ${workflowData.workflow.description || 'Custom automation workflow'}
-- Node Count: ${workflowData.workflow.nodes.length}
+- Node Count: ${getAllNodes(workflowData).length}
 - Complexity: ${workflowData.metadata?.complexity || 'Medium'}
 - Use Case: ${workflowData.customerRequest?.description || 'Business automation'}
 
@@ -87,15 +102,12 @@ ${workflowData.workflow.nodes.map(node => `- ${node.name} (${node.type})`).join(
 
 WORKFLOW CONNECTIONS:
 ${Object.keys(workflowData.workflow.connections).length} main connections between nodes
-
+${describeSubWorkflowsForPrompt(workflowData.subWorkflows)}
 TARGET AUDIENCE: Business users and automation enthusiasts who want to implement this workflow
 
 Create a comprehensive tutorial script that guides viewers through understanding, implementing, and customizing this workflow. Include specific node names and explain the data flow between components.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      temperature: 0.4,
+    const response = await llm.createMessage('scripts', {
       system: systemPrompt,
       messages: [
         {
@@ -103,9 +115,13 @@ Create a comprehensive tutorial script that guides viewers through understanding
           content: userPrompt
         }
       ]
+    }, {
+      customerRequestId: workflowData.customerRequest?.id,
+      workflowId: workflowData.id,
+      ...usageContext
     });
 
-    const script = response.content[0].text;
+    const script = response.text;
     
     // Parse script into segments for easier video production
     const segments = parseScriptIntoSegments(script);
@@ -262,18 +278,23 @@ const generateSlideContent = async (segment, workflowData, index) => {
       });
       break;
       
-    case 'overview':
+    case 'overview': {
+      // Rendered diagram the slide composer can place as an image
+      const svgPath = path.join(CONTENT_CONFIG.videoDir, `${slideId}.svg`);
+      await fs.writeFile(svgPath, renderSvg(workflowData.workflow));
       slideContent.elements.push({
         type: 'workflow_diagram',
         workflow: workflowData.workflow,
+        svgPath,
         position: { x: 960, y: 540 }
       });
       break;
+    }
       
     case 'step':
       slideContent.elements.push({
         type: 'node_highlight',
-        nodes: extractNodesFromSegment(segment.content, workflowData.workflow),
+        nodes: extractNodesFromSegment(segment.content, getAllNodes(workflowData)),
         position: { x: 960, y: 540 }
       });
       break;
@@ -283,8 +304,8 @@ const generateSlideContent = async (segment, workflowData, index) => {
 };
 
 // Extract node references from script segment
-const extractNodesFromSegment = (content, workflow) => {
-  const nodeNames = workflow.nodes.map(node => node.name);
+const extractNodesFromSegment = (content, nodes) => {
+  const nodeNames = nodes.map(node => node.name);
   const referencedNodes = nodeNames.filter(name => 
     content.toLowerCase().includes(name.toLowerCase())
   );
@@ -356,7 +377,7 @@ const assembleVideo = async (audioPath, visuals, outputPath) => {
 };
 
 // Main content creation function
-const createContent = async (workflowData) => {
+const createContent = async (workflowData, usageContext = {}) => {
   logger.info('Starting content creation for workflow:', workflowData.id);
   
   const contentId = uuidv4();
@@ -382,7 +403,7 @@ const createContent = async (workflowData) => {
     
     // Phase 2: Generate script
     logger.info('Phase 2: Generating video script');
-    const scriptResult = await generateVideoScript(workflowData);
+    const scriptResult = await generateVideoScript(workflowData, usageContext);
     contentResult.phases.script = scriptResult;
     
     if (!scriptResult.success) {
@@ -511,7 +532,7 @@ const generateVideoDescription = (workflowData) => {
 - Real-world use cases and applications
 
 📋 Workflow Details:
-- Nodes: ${workflowData.workflow.nodes.length}
+- Nodes: ${getAllNodes(workflowData).length}${workflowData.subWorkflows?.length ? ` across ${workflowData.subWorkflows.length + 1} workflows` : ''}
 - Complexity: ${workflowData.metadata?.complexity || 'Medium'}
 - Use Case: ${workflowData.customerRequest?.description || 'Business automation'}
 
@@ -528,7 +549,7 @@ const generateVideoDescription = (workflowData) => {
 // Generate video tags
 const generateVideoTags = (workflowData) => {
   const baseTags = ['n8n', 'automation', 'workflow', 'tutorial', 'nocode'];
-  const nodeTypes = workflowData.workflow.nodes.map(node => 
+  const nodeTypes = getAllNodes(workflowData).map(node => 
     node.type.split('.').pop().toLowerCase()
   );
   const uniqueNodeTags = [...new Set(nodeTypes)].slice(0, 10);
@@ -0,0 +1,242 @@
+const archiver = require('archiver');
+const fs = require('fs');
+const { query } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { getVersion } = require('./workflowVersions');
+const { getSubWorkflows, BUNDLE_REFERENCE_PREFIX } = require('./workflowDecomposition');
+const { scanWorkflow, getBlockSeverity, isBlockingSeverity, checkDeliveryAllowed } = require('./workflowSecurity');
+const { getWorkflowDocs, generateWorkflowDocs } = require('./workflowDocs');
+const { renderSvg } = require('./workflowDiagram');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const slugify = (text) => String(text || 'workflow')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+  .substring(0, 60) || 'workflow';
+
+// Workflow row plus the revision being delivered; null when either does not exist
+const getDeliveryRevision = async (workflowId, versionNumber = null) => {
+  const result = await query(`
+    SELECT w.*, cr.customer_email, cr.customer_name
+    FROM workflows w
+    LEFT JOIN customer_requests cr ON cr.id = w.customer_request_id
+    WHERE w.id = $1 AND w.parent_workflow_id IS NULL
+  `, [workflowId]);
+
+  if (result.rows.length === 0) return null;
+  const workflowRow = result.rows[0];
+
+  const targetVersion = versionNumber || workflowRow.current_version;
+  const version = targetVersion ? await getVersion(workflowId, targetVersion) : null;
+
+  if (versionNumber && !version) return null;
+
+  // Revisions recorded before bundles were versioned only have the live bundle to fall back on
+  const isCurrent = !version || version.is_current;
+  let subWorkflows = [];
+  if (Array.isArray(version?.sub_workflows)) subWorkflows = version.sub_workflows;
+  else if (isCurrent) subWorkflows = await getSubWorkflows(workflowId);
+
+  // Workflows from before revision history was recorded deliver the row itself
+  return {
+    workflowRow,
+    versionNumber: version ? version.version_number : null,
+    isCurrent,
+    subWorkflows,
+    workflow: version ? version.workflow_json : parseJson(workflowRow.workflow_json),
+    testStatus: version ? version.test_status : workflowRow.test_status,
+    testResults: parseJson(version ? version.test_results : workflowRow.test_results)
+  };
+};
+
+// The current revision uses the stored scan; earlier ones are scanned again before they go out
+const checkRevisionDelivery = async (revision) => {
+  const blockSeverity = await getBlockSeverity();
+
+  if (!revision.isCurrent) {
+    const security = scanWorkflow(revision.workflow);
+    if (isBlockingSeverity(security.maxSeverity, blockSeverity)) {
+      return { allowed: false, reason: `Security findings at severity "${security.maxSeverity}" block delivery of version ${revision.versionNumber}` };
+    }
+    const blockedSubWorkflow = revision.subWorkflows
+      .find(subWorkflow => isBlockingSeverity(scanWorkflow(subWorkflow.workflow).maxSeverity, blockSeverity));
+    if (blockedSubWorkflow) {
+      return { allowed: false, reason: `Security findings in sub-workflow "${blockedSubWorkflow.name}" block delivery of version ${revision.versionNumber}` };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  const delivery = await checkDeliveryAllowed(revision.workflowRow);
+  if (!delivery.allowed) return delivery;
+
+  const blockedSubWorkflow = (await getSubWorkflows(revision.workflowRow.id))
+    .find(subWorkflow => isBlockingSeverity(subWorkflow.security_max_severity, blockSeverity));
+  if (blockedSubWorkflow) {
+    return { allowed: false, reason: `Security findings in sub-workflow "${blockedSubWorkflow.name}" block delivery` };
+  }
+
+  return delivery;
+};
+
+const renderCredentialChecklist = (structure) => {
+  const lines = [`# Credential checklist: ${structure.title}`, ''];
+
+  if (structure.credentials.length === 0) {
+    lines.push('This workflow does not need any credentials.', '');
+  }
+  structure.credentials.forEach(credential => {
+    lines.push(`- [ ] **${credential.type}**${credential.nodes.length > 0 ? ` (used by ${credential.nodes.join(', ')})` : ''}`);
+    credential.setup.forEach(step => lines.push(`  - ${step}`));
+  });
+
+  if (structure.environmentVariables.length > 0) {
+    lines.push('', '## Environment variables on the n8n host', '');
+    structure.environmentVariables.forEach(name => lines.push(`- [ ] \`${name}\``));
+  }
+
+  lines.push('');
+  return lines.join('\n');
+};
+
+const renderTestReport = (revision) => {
+  const results = revision.testResults || {};
+  const finalTest = results.finalTest || (results.overall ? results : null);
+  const lines = [
+    `# Test report: ${revision.workflow.name || 'Workflow'}`,
+    '',
+    `- Version: ${revision.versionNumber || 'n/a'}`,
+    `- Status: ${revision.testStatus || 'pending'}`
+  ];
+
+  if (Array.isArray(results.attempts)) {
+    lines.push(`- Generation attempts: ${results.attempts.length}`);
+  }
+
+  if (!finalTest) {
+    lines.push('', 'No test run has been recorded for this version.', '');
+    return lines.join('\n');
+  }
+
+  if (finalTest.testStartTime) lines.push(`- Tested at: ${finalTest.testStartTime}`);
+  if (finalTest.testDuration !== undefined) lines.push(`- Duration: ${finalTest.testDuration} ms`);
+  if (finalTest.overall?.error) lines.push(`- Error: ${finalTest.overall.error}`);
+
+  const phases = Object.entries(finalTest.phases || {});
+  if (phases.length > 0) {
+    lines.push('', '## Phases', '', '| Phase | Result |', '| --- | --- |');
+    phases.forEach(([phase, result]) => {
+      const outcome = result?.success === undefined ? 'reported' : (result.success ? 'passed' : 'failed');
+      lines.push(`| ${phase} | ${outcome} |`);
+    });
+  }
+
+  lines.push('');
+  return lines.join('\n');
+};
+
+// Latest finished tutorial video for the workflow
+const getTutorialVideo = async (workflowId) => {
+  const result = await query(`
+    SELECT id, file_path, youtube_url
+    FROM content_items
+    WHERE workflow_id = $1 AND type = 'video' AND status = 'completed'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [workflowId]);
+  return result.rows[0] || null;
+};
+
+const renderImportInstructions = (subWorkflows) => `# Importing this bundle
+
+1. Import every file in sub-workflows/ into n8n first.
+2. Import workflow.json.
+3. In each "Execute Workflow" node of the main workflow, replace the ${BUNDLE_REFERENCE_PREFIX}<key> workflow id with the id n8n gave the matching sub-workflow:
+${subWorkflows.map(subWorkflow => `   - ${BUNDLE_REFERENCE_PREFIX}${subWorkflow.key} → ${subWorkflow.name}`).join('\n')}
+`;
+
+// Every file in the delivery package, as { name, content } or { name, path } entries
+const buildDeliveryFiles = async (revision) => {
+  const { workflowRow, workflow, subWorkflows } = revision;
+  const files = [{ name: 'workflow.json', content: JSON.stringify(workflow, null, 2) }];
+
+  subWorkflows.forEach((subWorkflow, index) => {
+    files.push({
+      name: `sub-workflows/${String(index + 1).padStart(2, '0')}-${slugify(subWorkflow.key)}.json`,
+      content: JSON.stringify(subWorkflow.workflow, null, 2)
+    });
+  });
+  if (subWorkflows.length > 0) {
+    files.push({ name: 'IMPORT.md', content: renderImportInstructions(subWorkflows) });
+  }
+
+  const docs = revision.versionNumber
+    ? await getWorkflowDocs(workflowRow.id, revision.versionNumber) || await generateWorkflowDocs(workflowRow.id, { versionNumber: revision.versionNumber })
+    : null;
+  if (docs) {
+    files.push({ name: 'README.md', content: docs.markdown });
+    files.push({ name: 'README.html', content: docs.html });
+    files.push({ name: 'credentials-checklist.md', content: renderCredentialChecklist(docs.structure) });
+  }
+
+  files.push({ name: 'diagram.svg', content: renderSvg(workflow) });
+  files.push({ name: 'test-report.md', content: renderTestReport(revision) });
+  if (revision.testResults) {
+    files.push({ name: 'test-report.json', content: JSON.stringify(revision.testResults, null, 2) });
+  }
+
+  const video = await getTutorialVideo(workflowRow.id);
+  if (video?.youtube_url) {
+    files.push({ name: 'tutorial.md', content: `# Tutorial video\n\nWatch the walkthrough of this workflow: ${video.youtube_url}\n` });
+  } else if (video?.file_path && fs.existsSync(video.file_path)) {
+    files.push({ name: 'tutorial.mp4', path: video.file_path });
+  }
+
+  files.push({
+    name: 'manifest.json',
+    content: JSON.stringify({
+      workflow_id: workflowRow.id,
+      name: workflow.name || workflowRow.name,
+      version: revision.versionNumber,
+      current: revision.isCurrent,
+      test_status: revision.testStatus,
+      sub_workflows: subWorkflows.map(subWorkflow => subWorkflow.key),
+      generated_at: new Date().toISOString(),
+      files: files.map(file => file.name)
+    }, null, 2)
+  });
+
+  return files;
+};
+
+const getPackageFilename = (revision) => `${slugify(revision.workflow.name || revision.workflowRow.name)}${revision.versionNumber ? `-v${revision.versionNumber}` : ''}.zip`;
+
+// Zip the files into a writable stream; resolves with the archive size once it is finalized
+const writeDeliveryPackage = (files, output) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', (warning) => logger.warn('Delivery package warning:', warning.message));
+  archive.on('error', reject);
+  output.on('close', () => resolve(archive.pointer()));
+  output.on('finish', () => resolve(archive.pointer()));
+
+  archive.pipe(output);
+  files.forEach(file => {
+    if (file.path) {
+      archive.file(file.path, { name: file.name });
+    } else {
+      archive.append(file.content, { name: file.name });
+    }
+  });
+  archive.finalize();
+});
+
+module.exports = {
+  getDeliveryRevision,
+  checkRevisionDelivery,
+  buildDeliveryFiles,
+  getPackageFilename,
+  writeDeliveryPackage,
+  getTutorialVideo
+};
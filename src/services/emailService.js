@@ -1,6 +1,8 @@
 const nodemailer = require('nodemailer');
 const { logger } = require('../utils/logger');
 const { db } = require('../config/database');
+const { checkDeliveryAllowed } = require('./workflowSecurity');
+const { renderSvg } = require('./workflowDiagram');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -71,6 +73,10 @@ const EMAIL_TEMPLATES = {
   STATUS_UPDATE: {
     subject: '📊 Workflow Status Update',
     template: 'status-update'
+  },
+  CLARIFICATION_NEEDED: {
+    subject: '❓ A Few Questions About Your Workflow Request',
+    template: 'clarification-needed'
   }
 };
 
@@ -141,6 +147,7 @@ const createDefaultTemplate = async (templateName) => {
             <p style="text-align: center;">
                 <a href="{{downloadUrl}}" class="button">Download Workflow</a>
             </p>
+            <p>A diagram of the workflow is attached, and you can also <a href="{{diagramUrl}}">view it online</a>.</p>
             
             <p>If you have any questions, feel free to reply to this email.</p>
             
@@ -240,6 +247,49 @@ const createDefaultTemplate = async (templateName) => {
         </div>
     </div>
 </body>
+</html>`,
+
+    'clarification-needed': `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>A Few Questions About Your Workflow Request</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #d97706; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9fafb; }
+        .button { display: inline-block; padding: 12px 24px; background: #d97706; color: white; text-decoration: none; border-radius: 5px; }
+        .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 14px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>❓ We Need a Few Details</h1>
+        </div>
+        <div class="content">
+            <p>Hi {{customerName}},</p>
+            <p>Before we build your workflow we want to make sure it connects to the right systems. Please answer these questions:</p>
+            
+            <ul>
+                {{questionList}}
+            </ul>
+            
+            <p style="text-align: center;">
+                <a href="{{clarificationUrl}}" class="button">Answer Questions</a>
+            </p>
+            
+            <p>If we don't hear back by {{deadline}}, we'll go ahead with sensible defaults and note them in your workflow.</p>
+            
+            <p>Best regards,<br>The n8n DFY Autopilot Team</p>
+        </div>
+        <div class="footer">
+            <p>Generated automatically by n8n DFY Autopilot</p>
+        </div>
+    </div>
+</body>
 </html>`
   };
   
@@ -368,21 +418,39 @@ const sendEmail = async (emailData) => {
 
 // Send workflow ready notification
 const sendWorkflowReadyEmail = async (customerRequest, workflow) => {
+  const delivery = await checkDeliveryAllowed(workflow);
+  if (!delivery.allowed) {
+    throw new Error(`Workflow ${workflow.id} cannot be delivered: ${delivery.reason}`);
+  }
+
   const variables = {
     customerName: customerRequest.customer_name,
     workflowName: workflow.name,
     nodeCount: workflow.node_count,
     complexity: workflow.complexity,
     testStatus: workflow.test_status,
-    downloadUrl: `${process.env.API_BASE_URL}/api/workflows/${workflow.id}/download`,
+    downloadUrl: `${process.env.API_BASE_URL}/api/workflows/${workflow.id}/download?email=${encodeURIComponent(customerRequest.customer_email)}`,
+    diagramUrl: `${process.env.API_BASE_URL}/api/workflows/${workflow.id}/diagram`,
     customerRequestId: customerRequest.id,
     workflowId: workflow.id
   };
 
+  // Attach the diagram so the customer can see the workflow before importing it
+  const attachments = [];
+  if (workflow.workflow_json) {
+    const workflowJson = typeof workflow.workflow_json === 'string' ? JSON.parse(workflow.workflow_json) : workflow.workflow_json;
+    attachments.push({
+      filename: 'workflow-diagram.svg',
+      content: renderSvg(workflowJson),
+      contentType: 'image/svg+xml'
+    });
+  }
+
   return await sendTemplatedEmail(
     customerRequest.customer_email,
     'WORKFLOW_READY',
-    variables
+    variables,
+    attachments
   );
 };
 
@@ -0,0 +1,239 @@
+const { buildAdjacency, getUpstreamNodes, replaceNodeReferences } = require('../utils/workflowGraph');
+const { extractReferences, looksLikeExpression } = require('../utils/n8nExpressions');
+const { isTriggerType, isAnnotationType } = require('./nodeCatalog');
+const { getOutputLabel } = require('./workflowDiagram');
+
+// Parameters holding JavaScript rather than expression strings
+const CODE_PARAMETERS = ['jsCode', 'functionCode', 'functionItemCode'];
+
+// A missing name this close to an existing upstream node is treated as a rename
+const RENAME_SIMILARITY = 0.6;
+
+const createIssue = (severity, code, message, { node = null, path = null, reference = null, suggestion = null } = {}) => ({
+  severity,
+  code,
+  message,
+  node,
+  path,
+  reference,
+  suggestion
+});
+
+// Call fn(value, path, isCode) for every string inside a node's parameters
+const walkParameters = (value, path, fn, key = null) => {
+  if (typeof value === 'string') {
+    fn(value, path, CODE_PARAMETERS.includes(key));
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => walkParameters(item, `${path}[${index}]`, fn));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([childKey, child]) => {
+      const childPath = /^[A-Za-z_$][\w$]*$/.test(childKey) ? `${path}.${childKey}` : `${path}["${childKey}"]`;
+      walkParameters(child, childPath, fn, childKey);
+    });
+  }
+};
+
+// Every reference in the workflow with the node and JSON path it was found at
+const collectReferences = (workflow) => {
+  const references = [];
+
+  (workflow.nodes || []).forEach((node, nodeIndex) => {
+    if (isAnnotationType(node.type)) return;
+    walkParameters(node.parameters || {}, `nodes[${nodeIndex}].parameters`, (value, path, isCode) => {
+      extractReferences(value, { code: isCode }).forEach(reference => {
+        references.push({ ...reference, source: node.name, path });
+      });
+    });
+  });
+
+  return references;
+};
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  return 1 - editDistance(left, right) / Math.max(left.length, right.length);
+};
+
+// Closest upstream node to a name that no longer exists, if it is close enough to be a rename
+const suggestRename = (missingName, candidates) => {
+  const ranked = candidates
+    .map(name => ({ name, score: nameSimilarity(missingName, name) }))
+    .filter(candidate => candidate.score >= RENAME_SIMILARITY)
+    .sort((a, b) => b.score - a.score);
+  return ranked.length > 0 ? ranked[0].name : null;
+};
+
+// Nodes reachable from the given start nodes without passing through blocked
+const reachableFrom = (adjacency, starts, blocked) => {
+  const visited = new Set();
+  const stack = starts.filter(name => name !== blocked);
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (visited.has(current)) continue;
+    visited.add(current);
+    (adjacency.children.get(current) || []).forEach(edge => {
+      if (edge.target !== blocked && !visited.has(edge.target)) stack.push(edge.target);
+    });
+  }
+  return visited;
+};
+
+// An IF/Switch/error output that leads to the referenced node, while another output reaches the
+// referencing node without it: on that path the referenced node never ran
+const findBranchConflict = (workflow, adjacency, upstreamOfReferenced, referencedName, sourceName) => {
+  const nodesByName = new Map((workflow.nodes || []).map(node => [node.name, node]));
+
+  for (const branchingName of upstreamOfReferenced) {
+    const outputs = workflow.connections?.[branchingName]?.main || [];
+    if (outputs.filter(group => Array.isArray(group) && group.length > 0).length < 2) continue;
+
+    const targetsByOutput = outputs.map(group => (group || []).map(connection => connection.node));
+    const outputsToReferenced = targetsByOutput
+      .map((targets, index) => ({ index, reaches: targets.includes(referencedName) || reachableFrom(adjacency, targets, null).has(referencedName) }))
+      .filter(output => output.reaches);
+    if (outputsToReferenced.length !== 1) continue;
+
+    const otherOutput = targetsByOutput.findIndex((targets, index) => index !== outputsToReferenced[0].index &&
+      targets.length > 0 && reachableFrom(adjacency, targets, referencedName).has(sourceName));
+    if (otherOutput !== -1) {
+      const branchingNode = nodesByName.get(branchingName);
+      return {
+        node: branchingName,
+        referencedBranch: getOutputLabel(branchingNode, outputsToReferenced[0].index, outputs.length) || `output ${outputsToReferenced[0].index}`,
+        otherBranch: getOutputLabel(branchingNode, otherOutput, outputs.length) || `output ${otherOutput}`
+      };
+    }
+  }
+
+  return null;
+};
+
+// Check every node reference against the graph: the node must exist, run before, and be on the same branch
+const checkExpressionReferences = (workflow) => {
+  const references = collectReferences(workflow);
+  const nodeNames = new Set((workflow.nodes || []).map(node => node.name));
+  const adjacency = buildAdjacency(workflow);
+  const upstreamCache = new Map();
+  const upstreamOf = (name) => {
+    if (!upstreamCache.has(name)) upstreamCache.set(name, getUpstreamNodes(workflow, name, adjacency));
+    return upstreamCache.get(name);
+  };
+  const issues = [];
+
+  references.filter(reference => reference.kind === 'node').forEach(reference => {
+    const context = { node: reference.source, path: reference.path, reference: reference.raw };
+
+    if (!nodeNames.has(reference.node)) {
+      const suggestion = suggestRename(reference.node, [...upstreamOf(reference.source)]);
+      issues.push(createIssue('error', 'unknown_referenced_node',
+        `Node "${reference.source}" references missing node "${reference.node}"${suggestion ? `, probably renamed to "${suggestion}"` : ''}`,
+        { ...context, suggestion }));
+      return;
+    }
+
+    if (reference.node === reference.source) return;
+
+    if (!upstreamOf(reference.source).has(reference.node)) {
+      issues.push(createIssue('error', 'referenced_node_not_upstream',
+        `Node "${reference.source}" references "${reference.node}", which does not run before it`,
+        context));
+      return;
+    }
+
+    const conflict = findBranchConflict(workflow, adjacency, upstreamOf(reference.node), reference.node, reference.source);
+    if (conflict) {
+      issues.push(createIssue('error', 'referenced_node_other_branch',
+        `Node "${reference.source}" references "${reference.node}" from the ${conflict.referencedBranch} branch of "${conflict.node}", but also runs on the ${conflict.otherBranch} branch where "${reference.node}" has not run`,
+        context));
+    }
+  });
+
+  // Expression syntax in a parameter without the leading "=" is sent to the service as literal text
+  (workflow.nodes || []).forEach((node, nodeIndex) => {
+    walkParameters(node.parameters || {}, `nodes[${nodeIndex}].parameters`, (value, path, isCode) => {
+      if (!isCode && looksLikeExpression(value)) {
+        issues.push(createIssue('warning', 'expression_missing_prefix',
+          `Node "${node.name}" has expression syntax in a literal value; prefix it with "=" to evaluate it`,
+          { node: node.name, path, suggestion: `=${value}` }));
+      }
+    });
+  });
+
+  // $json in a node with no input only works in the trigger itself
+  references.filter(reference => reference.kind === 'input').forEach(reference => {
+    const sourceNode = (workflow.nodes || []).find(node => node.name === reference.source);
+    if (sourceNode && !isTriggerType(sourceNode.type) && (adjacency.parents.get(reference.source) || []).length === 0) {
+      issues.push(createIssue('warning', 'input_reference_without_input',
+        `Node "${reference.source}" reads ${reference.raw} but nothing is connected to its input`,
+        { node: reference.source, path: reference.path, reference: reference.raw }));
+    }
+  });
+
+  const uniqueNames = (kind) => [...new Set(references.filter(reference => reference.kind === kind).map(reference => reference.name))].sort();
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    references: references.map(({ index, ...reference }) => reference),
+    issues,
+    env: uniqueNames('env'),
+    vars: uniqueNames('vars')
+  };
+};
+
+// Point references at renamed nodes: explicit renames ({ old: new }) first, then suggested ones
+const fixExpressionReferences = (workflow, { renames = {} } = {}) => {
+  const { issues } = checkExpressionReferences(workflow);
+  const renamesByNode = new Map();
+
+  issues
+    .filter(issue => issue.code === 'unknown_referenced_node')
+    .forEach(issue => {
+      const missingName = collectReferences(workflow)
+        .find(reference => reference.kind === 'node' && reference.path === issue.path && reference.raw === issue.reference)?.node;
+      const newName = (missingName && renames[missingName]) || issue.suggestion;
+      if (!missingName || !newName) return;
+      if (!renamesByNode.has(issue.node)) renamesByNode.set(issue.node, new Map());
+      renamesByNode.get(issue.node).set(missingName, newName);
+    });
+
+  const applied = [];
+  const nodes = (workflow.nodes || []).map(node => {
+    const nodeRenames = renamesByNode.get(node.name);
+    if (!nodeRenames) return node;
+
+    let parameters = node.parameters;
+    nodeRenames.forEach((newName, oldName) => {
+      parameters = replaceNodeReferences(parameters, oldName, newName);
+      applied.push({ node: node.name, from: oldName, to: newName });
+    });
+    return { ...node, parameters };
+  });
+
+  return { workflow: applied.length > 0 ? { ...workflow, nodes } : workflow, applied };
+};
+
+module.exports = {
+  collectReferences,
+  checkExpressionReferences,
+  fixExpressionReferences,
+  suggestRename
+};
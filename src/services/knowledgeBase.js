@@ -0,0 +1,220 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { createBm25Index } = require('../utils/textIndex');
+const { getRequirementSpec } = require('./requirementSpec');
+
+const KNOWLEDGE_BASE_PATH = path.join(__dirname, '../../docs/knowledge_base');
+
+// index.md is a generated inventory of the other files rather than content
+const EXCLUDED_FILES = new Set(['index.md']);
+
+const DEFAULT_TOP_K = 5;
+const DEFAULT_PROMPT_CHARS = 6000;
+
+// In-memory index, built once per process
+let indexPromise = null;
+
+// Recursively list markdown files under the knowledge base
+const listMarkdownFiles = async (directory, relativeDirectory = '') => {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = path.posix.join(relativeDirectory, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...await listMarkdownFiles(path.join(directory, entry.name), relativePath));
+    } else if (entry.name.endsWith('.md') && !EXCLUDED_FILES.has(relativePath)) {
+      files.push(relativePath);
+    }
+  }
+
+  return files.sort();
+};
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Split a markdown document into one section per heading, ignoring "#" inside code fences
+const chunkMarkdown = (content, file) => {
+  const sections = [];
+  const headingStack = [];
+  let current = { headingPath: [], lines: [] };
+  let inCodeFence = false;
+
+  const flush = () => {
+    const body = current.lines.join('\n').trim();
+    if (body.length > 0) {
+      const title = current.headingPath[current.headingPath.length - 1] || file;
+      // The document title is already implied by the file name
+      const slug = slugify(current.headingPath.slice(1).join(' ')) || 'intro';
+      sections.push({
+        id: `${file}#${slug}`,
+        file,
+        category: file.includes('/') ? file.split('/')[0] : 'general',
+        title,
+        headingPath: [...current.headingPath],
+        content: body
+      });
+    }
+  };
+
+  content.split('\n').forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeFence = !inCodeFence;
+    }
+
+    const heading = !inCodeFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) {
+      current.lines.push(line);
+      return;
+    }
+
+    flush();
+
+    const level = heading[1].length;
+    headingStack.length = Math.min(headingStack.length, level - 1);
+    headingStack[level - 1] = heading[2];
+    current = { headingPath: headingStack.filter(Boolean), lines: [] };
+  });
+
+  flush();
+
+  // Sections sharing a heading path get a numeric suffix
+  const seenIds = new Map();
+  sections.forEach(section => {
+    const count = seenIds.get(section.id) || 0;
+    seenIds.set(section.id, count + 1);
+    if (count > 0) section.id = `${section.id}-${count + 1}`;
+  });
+
+  return sections;
+};
+
+// Read every knowledge base file and build the BM25 index
+const buildKnowledgeBaseIndex = async () => {
+  const startTime = Date.now();
+  const files = await listMarkdownFiles(KNOWLEDGE_BASE_PATH);
+  const sections = [];
+
+  for (const file of files) {
+    const content = await fs.readFile(path.join(KNOWLEDGE_BASE_PATH, file), 'utf8');
+    sections.push(...chunkMarkdown(content, file));
+  }
+
+  // Headings are repeated so they weigh more than body text
+  const index = createBm25Index(sections.map(section => ({
+    id: section.id,
+    text: `${section.headingPath.join(' ')} ${section.title} ${section.content}`
+  })));
+
+  logger.info(`Knowledge base indexed: ${sections.length} sections from ${files.length} files in ${Date.now() - startTime}ms`);
+
+  return {
+    index,
+    sections: new Map(sections.map(section => [section.id, section])),
+    files,
+    builtAt: new Date().toISOString()
+  };
+};
+
+// Get the cached index, building it on first use
+const getKnowledgeBaseIndex = () => {
+  if (!indexPromise) {
+    indexPromise = buildKnowledgeBaseIndex().catch(error => {
+      indexPromise = null;
+      throw error;
+    });
+  }
+  return indexPromise;
+};
+
+// Drop the cached index so the next search re-reads the files
+const reloadKnowledgeBase = () => {
+  indexPromise = null;
+  return getKnowledgeBaseIndex();
+};
+
+// Search the knowledge base for the best matching sections
+const searchKnowledgeBase = async (queryText, { k = DEFAULT_TOP_K, category = null } = {}) => {
+  const { index, sections } = await getKnowledgeBaseIndex();
+
+  // Over-fetch when filtering so the category still gets k results
+  const candidates = index.search(queryText, category ? index.size : k);
+
+  return candidates
+    .map(result => ({ ...sections.get(result.id), score: Number(result.score.toFixed(4)) }))
+    .filter(section => !category || section.category === category)
+    .slice(0, k);
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Build a search query from the requirement spec, or the raw fields of older requests
+const buildRequestQuery = (customerRequest) => {
+  if (customerRequest.requirement_spec) {
+    const spec = getRequirementSpec(customerRequest);
+    return [
+      spec.summary,
+      customerRequest.industry,
+      ...spec.sources.map(source => source.system),
+      ...spec.targets.map(target => target.system),
+      ...spec.transformations
+    ].filter(Boolean).join(' ');
+  }
+
+  return [
+    customerRequest.description || customerRequest.automation_description,
+    customerRequest.requirements || customerRequest.special_requirements,
+    customerRequest.industry,
+    ...toList(customerRequest.integrations),
+    ...toList(customerRequest.input_sources),
+    ...toList(customerRequest.output_targets)
+  ].filter(Boolean).join(' ');
+};
+
+// Retrieve the sections most relevant to a customer request
+const retrieveForRequest = async (customerRequest, { k = DEFAULT_TOP_K } = {}) => {
+  try {
+    const queryText = buildRequestQuery(customerRequest);
+    if (!queryText) return [];
+    return await searchKnowledgeBase(queryText, { k });
+  } catch (error) {
+    logger.warn('Knowledge base retrieval failed, generating without references:', error.message);
+    return [];
+  }
+};
+
+// Render retrieved sections for a prompt within a character budget
+const formatSectionsForPrompt = (sections, maxChars = DEFAULT_PROMPT_CHARS) => {
+  const blocks = [];
+  let remaining = maxChars;
+
+  for (const section of sections) {
+    if (remaining <= 200) break;
+
+    const header = `### ${section.file} > ${section.headingPath.join(' > ') || section.title}`;
+    const budget = remaining - header.length - 1;
+    const body = section.content.length > budget
+      ? `${section.content.substring(0, budget - 3)}...`
+      : section.content;
+
+    blocks.push(`${header}\n${body}`);
+    remaining -= header.length + body.length + 2;
+  }
+
+  return blocks.join('\n\n');
+};
+
+module.exports = {
+  searchKnowledgeBase,
+  retrieveForRequest,
+  formatSectionsForPrompt,
+  getKnowledgeBaseIndex,
+  reloadKnowledgeBase,
+  chunkMarkdown,
+  buildRequestQuery
+};
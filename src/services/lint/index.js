@@ -0,0 +1,101 @@
+const { getConfigValue } = require('../../config/systemConfig');
+const genericNodeNames = require('./rules/genericNodeNames');
+const externalCallErrorHandling = require('./rules/externalCallErrorHandling');
+const errorWorkflow = require('./rules/errorWorkflow');
+const unusedIfBranch = require('./rules/unusedIfBranch');
+const hardcodedDates = require('./rules/hardcodedDates');
+
+const RULES = [genericNodeNames, externalCallErrorHandling, errorWorkflow, unusedIfBranch, hardcodedDates];
+const RULES_BY_ID = new Map(RULES.map(rule => [rule.id, rule]));
+
+// Simple workflows are held to naming and hygiene; larger ones must also handle failures
+const DEFAULT_RULE_SETS = {
+  simple: ['generic-node-names', 'hardcoded-dates', 'unused-if-branch'],
+  medium: ['generic-node-names', 'hardcoded-dates', 'unused-if-branch', 'external-call-error-handling'],
+  complex: RULES.map(rule => rule.id)
+};
+
+// Requests use simple/medium/complex, generated metadata uses Low/Medium/High
+const TIER_ALIASES = {
+  low: 'simple',
+  simple: 'simple',
+  medium: 'medium',
+  high: 'complex',
+  complex: 'complex'
+};
+
+const normalizeTier = (tier) => TIER_ALIASES[String(tier || '').toLowerCase()] || 'medium';
+
+// Rule ids for a tier, with system_config lint_rule_sets taking precedence
+const getRuleSet = async (tier) => {
+  const configured = await getConfigValue('lint_rule_sets', DEFAULT_RULE_SETS) || DEFAULT_RULE_SETS;
+  const ruleIds = configured[tier] || DEFAULT_RULE_SETS[tier];
+  return ruleIds.filter(ruleId => RULES_BY_ID.has(ruleId));
+};
+
+const resolveRules = async ({ tier, ruleIds }) => {
+  const ids = Array.isArray(ruleIds) ? ruleIds : await getRuleSet(tier);
+  return ids.map(ruleId => {
+    const rule = RULES_BY_ID.get(ruleId);
+    if (!rule) throw new Error(`Unknown lint rule: ${ruleId}`);
+    return rule;
+  });
+};
+
+// Run the tier's rule set against a workflow
+const lintWorkflow = async (workflow, options = {}) => {
+  const tier = normalizeTier(options.tier);
+  const rules = await resolveRules({ tier, ruleIds: options.ruleIds });
+
+  const issues = rules.flatMap(rule => rule.check(workflow).map(issue => ({
+    ruleId: rule.id,
+    severity: rule.severity,
+    fixable: typeof rule.fix === 'function',
+    ...issue
+  })));
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  issues.forEach(issue => { counts[issue.severity]++; });
+
+  return {
+    tier,
+    rules: rules.map(rule => rule.id),
+    passed: counts.error === 0,
+    counts,
+    issues
+  };
+};
+
+// Apply every available auto-fix for the tier's rules, one rule at a time
+const applyLintFixes = async (workflow, options = {}) => {
+  const tier = normalizeTier(options.tier);
+  const rules = await resolveRules({ tier, ruleIds: options.ruleIds });
+  const applied = [];
+
+  const fixed = rules
+    .filter(rule => typeof rule.fix === 'function')
+    .reduce((current, rule) => {
+      const issues = rule.check(current);
+      if (issues.length === 0) return current;
+      applied.push({ ruleId: rule.id, count: issues.length });
+      return rule.fix(current, issues);
+    }, workflow);
+
+  return { workflow: fixed, applied };
+};
+
+const listLintRules = () => RULES.map(({ id, severity, description, fix }) => ({
+  id,
+  severity,
+  description,
+  fixable: typeof fix === 'function'
+}));
+
+module.exports = {
+  lintWorkflow,
+  applyLintFixes,
+  listLintRules,
+  getRuleSet,
+  normalizeTier,
+  DEFAULT_RULE_SETS
+};
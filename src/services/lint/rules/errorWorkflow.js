@@ -0,0 +1,15 @@
+module.exports = {
+  id: 'error-workflow',
+  severity: 'info',
+  description: 'Failed executions should reach someone through an error workflow or Error Trigger',
+
+  check: (workflow) => {
+    const hasErrorTrigger = (workflow.nodes || []).some(node => node.type === 'n8n-nodes-base.errorTrigger');
+    if (hasErrorTrigger || workflow.settings?.errorWorkflow) return [];
+
+    return [{
+      node: null,
+      message: 'Workflow has no Error Trigger and no error workflow configured in its settings'
+    }];
+  }
+};
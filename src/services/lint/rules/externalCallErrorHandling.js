@@ -0,0 +1,36 @@
+const { getNodeDefinition } = require('../../nodeCatalog');
+
+const RETRY_DEFAULTS = { retryOnFail: true, maxTries: 3, waitBetweenTries: 1000 };
+
+// HTTP calls and every third-party integration can fail for reasons outside the workflow
+const isExternalCall = (node) => {
+  if (node.disabled) return false;
+  if (node.type === 'n8n-nodes-base.httpRequest') return true;
+  const definition = getNodeDefinition(node.type);
+  return Boolean(definition) && ['integration', 'ai'].includes(definition.group);
+};
+
+const hasErrorHandling = (node) => node.retryOnFail === true ||
+  node.continueOnFail === true ||
+  (typeof node.onError === 'string' && node.onError !== 'stopWorkflow');
+
+module.exports = {
+  id: 'external-call-error-handling',
+  severity: 'warning',
+  description: 'External calls should retry or continue on failure instead of stopping the workflow',
+
+  check: (workflow) => (workflow.nodes || [])
+    .filter(node => isExternalCall(node) && !hasErrorHandling(node))
+    .map(node => ({
+      node: node.name,
+      message: `Node "${node.name}" calls an external service without retry or continue-on-fail settings`
+    })),
+
+  fix: (workflow, issues) => {
+    const flagged = new Set(issues.map(issue => issue.node));
+    return {
+      ...workflow,
+      nodes: (workflow.nodes || []).map(node => (flagged.has(node.name) ? { ...node, ...RETRY_DEFAULTS } : node))
+    };
+  }
+};
@@ -0,0 +1,77 @@
+const { getNodeDefinition } = require('../../nodeCatalog');
+const { renameNode } = require('../../../utils/workflowGraph');
+
+// "HTTP Request", "HTTP Request1", "Code 2": the name the editor gives a freshly dropped node
+const isGenericName = (node) => {
+  const definition = getNodeDefinition(node.type);
+  if (!definition || typeof node.name !== 'string') return false;
+  const base = node.name.replace(/\s*\d+$/, '').trim().toLowerCase();
+  return base === definition.displayName.toLowerCase();
+};
+
+const hostOf = (url) => {
+  const match = String(url || '').replace(/^=/, '').match(/^[a-z]+:\/\/([^/:?#{}\s]+)/i);
+  return match ? match[1].replace(/^www\./, '') : null;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Build a name from what the node actually does
+const suggestName = (node) => {
+  const definition = getNodeDefinition(node.type);
+  const parameters = node.parameters || {};
+
+  if (node.type === 'n8n-nodes-base.httpRequest') {
+    const host = hostOf(parameters.url);
+    const method = (parameters.method || parameters.requestMethod || 'GET').toUpperCase();
+    return host ? `${method} ${host}` : `${method} Request`;
+  }
+
+  if (node.type === 'n8n-nodes-base.webhook' && typeof parameters.path === 'string' && parameters.path) {
+    return `Webhook /${parameters.path.replace(/^\//, '')}`;
+  }
+
+  const action = [parameters.operation, parameters.resource]
+    .filter(value => typeof value === 'string' && value)
+    .map(capitalize);
+  if (action.length > 0) {
+    return `${action.join(' ')} in ${definition.displayName}`;
+  }
+
+  return null;
+};
+
+const uniqueName = (candidate, takenNames) => {
+  let name = candidate;
+  let counter = 2;
+  while (takenNames.has(name)) {
+    name = `${candidate} ${counter++}`;
+  }
+  return name;
+};
+
+module.exports = {
+  id: 'generic-node-names',
+  severity: 'warning',
+  description: 'Nodes should be named after what they do, not keep the default node type name',
+
+  check: (workflow) => (workflow.nodes || [])
+    .filter(isGenericName)
+    .map(node => ({
+      node: node.name,
+      message: `Node "${node.name}" still has its default name`,
+      suggestion: suggestName(node)
+    })),
+
+  fix: (workflow, issues) => {
+    const takenNames = new Set((workflow.nodes || []).map(node => node.name));
+
+    return issues.reduce((current, issue) => {
+      if (!issue.suggestion) return current;
+      const newName = uniqueName(issue.suggestion, takenNames);
+      takenNames.delete(issue.node);
+      takenNames.add(newName);
+      return renameNode(current, issue.node, newName);
+    }, workflow);
+  }
+};
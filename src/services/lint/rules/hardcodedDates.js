@@ -0,0 +1,50 @@
+// 2024-03-01, 2024-03-01T10:00:00Z, 03/01/2024 and 1/3/24 style literals
+const DATE_PATTERN = /\b(?:(?:19|20)\d{2}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01])(?:T[\d:.]+Z?)?|(?:0?[1-9]|[12]\d|3[01])\/(?:0?[1-9]|[12]\d|3[01])\/(?:19|20)?\d{2})\b/;
+
+const CODE_PARAMETERS = ['jsCode', 'pythonCode', 'functionCode'];
+
+// Expressions such as {{ $now }} compute dates; only literal text counts
+const collectLiterals = (value, path, found) => {
+  if (typeof value === 'string') {
+    if (value.startsWith('=')) return;
+    const match = value.match(DATE_PATTERN);
+    if (match) found.push({ path, value: match[0] });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectLiterals(item, `${path}[${index}]`, found));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      if (!CODE_PARAMETERS.includes(key)) collectLiterals(child, `${path}.${key}`, found);
+    });
+  }
+};
+
+module.exports = {
+  id: 'hardcoded-dates',
+  severity: 'warning',
+  description: 'Dates should be computed with expressions such as {{ $now }} rather than written as literals',
+
+  check: (workflow) => {
+    const issues = [];
+
+    (workflow.nodes || []).forEach((node, index) => {
+      const found = [];
+      collectLiterals(node.parameters || {}, `nodes[${index}].parameters`, found);
+
+      CODE_PARAMETERS.forEach(parameterName => {
+        const code = node.parameters?.[parameterName];
+        if (typeof code !== 'string') return;
+        // Only dates inside string literals, so version numbers and arithmetic are ignored
+        const literal = code.match(new RegExp(`(['"\`])[^'"\`\\n]*?(${DATE_PATTERN.source})`));
+        if (literal) found.push({ path: `nodes[${index}].parameters.${parameterName}`, value: literal[2] });
+      });
+
+      found.forEach(({ path, value }) => issues.push({
+        node: node.name,
+        message: `Node "${node.name}" contains the hardcoded date ${value}`,
+        path
+      }));
+    });
+
+    return issues;
+  }
+};
@@ -0,0 +1,28 @@
+const BRANCH_NAMES = ['true', 'false'];
+
+module.exports = {
+  id: 'unused-if-branch',
+  severity: 'info',
+  description: 'Both outputs of an IF node should lead somewhere, otherwise the condition may be unnecessary',
+
+  check: (workflow) => {
+    const issues = [];
+
+    (workflow.nodes || [])
+      .filter(node => node.type === 'n8n-nodes-base.if' && !node.disabled)
+      .forEach(node => {
+        const outputs = workflow.connections?.[node.name]?.main || [];
+        BRANCH_NAMES.forEach((branch, index) => {
+          if (!Array.isArray(outputs[index]) || outputs[index].length === 0) {
+            issues.push({
+              node: node.name,
+              message: `The ${branch} branch of IF node "${node.name}" is not connected`,
+              branch
+            });
+          }
+        });
+      });
+
+    return issues;
+  }
+};
@@ -0,0 +1,66 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Adapter for the Anthropic Messages API
+const createAnthropicProvider = ({ apiKey = process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY } = {}) => {
+  const client = new Anthropic({ apiKey });
+
+  const buildParams = (request) => ({
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    system: request.system,
+    messages: request.messages
+  });
+
+  // Send a request and return the full reply
+  const createMessage = async (request) => {
+    const response = await client.messages.create(buildParams(request));
+
+    return {
+      text: response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      model: response.model,
+      stopReason: response.stop_reason,
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      }
+    };
+  };
+
+  // Stream the reply, calling onText for every text delta
+  const streamMessage = async (request, onText) => {
+    const stream = await client.messages.create({ ...buildParams(request), stream: true });
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let text = '';
+    let model = request.model;
+    let stopReason = null;
+
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        model = event.message.model;
+        usage.inputTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        if (onText) onText(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta.stop_reason;
+        usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+      }
+    }
+
+    return { text, model, stopReason, usage };
+  };
+
+  return {
+    name: 'anthropic',
+    createMessage,
+    streamMessage
+  };
+};
+
+module.exports = {
+  createAnthropicProvider
+};
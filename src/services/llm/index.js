@@ -0,0 +1,150 @@
+const { logger } = require('../../utils/logger');
+const { getConfigValue } = require('../../config/systemConfig');
+const { recordUsage } = require('../llmUsage');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createOpenAiCompatibleProvider } = require('./openAiCompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+
+// Defaults used when system_config has no llm_task_config entry for a task
+const DEFAULT_TASK_CONFIG = {
+  generation: {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    maxTokens: 4000,
+    temperature: 0.3
+  },
+  scripts: {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    maxTokens: 2000,
+    temperature: 0.4
+  },
+  support: {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    maxTokens: 1000,
+    temperature: 0.5
+  },
+  intake: {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-20241022',
+    maxTokens: 2000,
+    temperature: 0.1
+  }
+};
+
+const PROVIDER_FACTORIES = {
+  anthropic: (config) => createAnthropicProvider({
+    apiKey: config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined
+  }),
+  'openai-compatible': (config) => createOpenAiCompatibleProvider({
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined
+  })
+};
+
+// Provider instances keyed by their connection settings
+const providerCache = new Map();
+
+// Resolve provider and model settings for a task
+const getTaskConfig = async (task) => {
+  if (!DEFAULT_TASK_CONFIG[task]) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const configured = await getConfigValue('llm_task_config', {});
+  const config = { ...DEFAULT_TASK_CONFIG[task], ...(configured?.[task] || {}) };
+
+  // LLM_PROVIDER=mock runs the whole pipeline offline against recorded fixtures
+  if (process.env.LLM_PROVIDER === 'mock') {
+    return { ...config, provider: 'mock', recordProvider: config.provider };
+  }
+
+  return config;
+};
+
+const getProvider = (config) => {
+  const cacheKey = JSON.stringify([config.provider, config.baseUrl, config.apiKeyEnv, config.recordProvider]);
+  if (providerCache.has(cacheKey)) {
+    return providerCache.get(cacheKey);
+  }
+
+  let provider;
+  if (config.provider === 'mock') {
+    const record = process.env.LLM_MOCK_RECORD === 'true';
+    const recordFactory = PROVIDER_FACTORIES[config.recordProvider];
+    provider = createMockProvider({
+      recordWith: record && recordFactory ? recordFactory(config) : null
+    });
+  } else {
+    const factory = PROVIDER_FACTORIES[config.provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+    provider = factory(config);
+  }
+
+  providerCache.set(cacheKey, provider);
+  return provider;
+};
+
+const buildRequest = (config, { system, messages, maxTokens, temperature }) => ({
+  model: config.model,
+  maxTokens: maxTokens || config.maxTokens,
+  temperature: temperature !== undefined ? temperature : config.temperature,
+  system,
+  messages
+});
+
+// Run a provider call, writing the outcome to the usage ledger
+const runWithUsage = async (task, config, context, call) => {
+  const provider = getProvider(config);
+  const startTime = Date.now();
+
+  try {
+    const response = await call(provider);
+    const latencyMs = Date.now() - startTime;
+
+    logger.debug(`LLM ${task} call via ${provider.name}/${response.model}: ${response.usage.inputTokens} in, ${response.usage.outputTokens} out, ${latencyMs}ms`);
+
+    const costUsd = await recordUsage({
+      task,
+      provider: provider.name,
+      model: response.model,
+      usage: response.usage,
+      latencyMs
+    }, context);
+
+    return { ...response, provider: provider.name, task, latencyMs, costUsd };
+  } catch (error) {
+    await recordUsage({
+      task,
+      provider: provider.name,
+      model: config.model,
+      latencyMs: Date.now() - startTime,
+      success: false,
+      error: error.message
+    }, context);
+    throw error;
+  }
+};
+
+// Send a conversation for a task and return { text, model, provider, usage, latencyMs, costUsd }
+// context ({ customerRequestId, workflowId, contentItemId, jobQueue, jobId }) keys the ledger row
+const createMessage = async (task, params, context = {}) => {
+  const config = await getTaskConfig(task);
+  return runWithUsage(task, config, context, provider => provider.createMessage(buildRequest(config, params)));
+};
+
+// Stream a conversation for a task, calling onText with each text delta
+const streamMessage = async (task, params, onText, context = {}) => {
+  const config = await getTaskConfig(task);
+  return runWithUsage(task, config, context, provider => provider.streamMessage(buildRequest(config, params), onText));
+};
+
+module.exports = {
+  createMessage,
+  streamMessage,
+  getTaskConfig,
+  DEFAULT_TASK_CONFIG
+};
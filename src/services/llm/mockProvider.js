@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../fixtures/llm');
+
+// Hash only the prompt so fixtures survive model and temperature changes
+const hashPrompt = (request) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ system: request.system || '', messages: request.messages }))
+    .digest('hex');
+};
+
+// Replays recorded responses from fixtures/llm/<prompt hash>.json
+const createMockProvider = ({
+  fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  recordWith = null
+} = {}) => {
+  const fixturePath = (hash) => path.join(fixturesDir, `${hash}.json`);
+
+  const loadFixture = async (hash) => {
+    try {
+      return JSON.parse(await fs.readFile(fixturePath(hash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  // Call the real provider and save its reply as a new fixture
+  const recordFixture = async (hash, request) => {
+    const response = await recordWith.createMessage(request);
+
+    await fs.mkdir(fixturesDir, { recursive: true });
+    await fs.writeFile(fixturePath(hash), JSON.stringify({
+      hash,
+      recordedAt: new Date().toISOString(),
+      provider: recordWith.name,
+      request: { model: request.model, system: request.system, messages: request.messages },
+      response
+    }, null, 2));
+
+    logger.info(`Recorded LLM fixture ${hash}`);
+    return { response };
+  };
+
+  const createMessage = async (request) => {
+    const hash = hashPrompt(request);
+    let fixture = await loadFixture(hash);
+
+    if (!fixture && recordWith) {
+      fixture = await recordFixture(hash, request);
+    }
+
+    if (!fixture) {
+      const error = new Error(`No LLM fixture recorded for prompt hash ${hash}`);
+      error.promptHash = hash;
+      throw error;
+    }
+
+    return {
+      text: fixture.response.text,
+      model: fixture.response.model || request.model,
+      stopReason: fixture.response.stopReason || 'end_turn',
+      usage: {
+        inputTokens: fixture.response.usage?.inputTokens || 0,
+        outputTokens: fixture.response.usage?.outputTokens || 0
+      },
+      promptHash: hash
+    };
+  };
+
+  // Replay the fixture text in fixed-size chunks
+  const streamMessage = async (request, onText) => {
+    const response = await createMessage(request);
+
+    if (onText) {
+      for (let offset = 0; offset < response.text.length; offset += 64) {
+        onText(response.text.slice(offset, offset + 64));
+      }
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'mock',
+    createMessage,
+    streamMessage
+  };
+};
+
+module.exports = {
+  createMockProvider,
+  hashPrompt
+};
@@ -0,0 +1,113 @@
+const axios = require('axios');
+
+// Flatten Anthropic-style content blocks into plain text
+const toText = (content) => {
+  if (Array.isArray(content)) {
+    return content.filter(block => block.type === 'text').map(block => block.text).join('');
+  }
+  return content;
+};
+
+// Adapter for any endpoint that implements the OpenAI chat completions API
+const createOpenAiCompatibleProvider = ({
+  baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  timeout = 120000
+} = {}) => {
+  const http = axios.create({
+    baseURL: baseUrl.replace(/\/$/, ''),
+    timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    }
+  });
+
+  const buildBody = (request) => ({
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    messages: [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      ...request.messages.map(message => ({ role: message.role, content: toText(message.content) }))
+    ]
+  });
+
+  // Send a request and return the full reply
+  const createMessage = async (request) => {
+    const response = await http.post('/chat/completions', buildBody(request));
+    const choice = response.data.choices?.[0] || {};
+
+    return {
+      text: choice.message?.content || '',
+      model: response.data.model || request.model,
+      stopReason: choice.finish_reason || null,
+      usage: {
+        inputTokens: response.data.usage?.prompt_tokens || 0,
+        outputTokens: response.data.usage?.completion_tokens || 0
+      }
+    };
+  };
+
+  // Stream the reply over server-sent events, calling onText for every delta
+  const streamMessage = async (request, onText) => {
+    const response = await http.post('/chat/completions', {
+      ...buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { responseType: 'stream' });
+
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let text = '';
+    let model = request.model;
+    let stopReason = null;
+    let buffer = '';
+
+    const handleEvent = (data) => {
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      model = chunk.model || model;
+
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        text += delta;
+        if (onText) onText(delta);
+      }
+      if (choice?.finish_reason) stopReason = choice.finish_reason;
+
+      if (chunk.usage) {
+        usage.inputTokens = chunk.usage.prompt_tokens || 0;
+        usage.outputTokens = chunk.usage.completion_tokens || 0;
+      }
+    };
+
+    for await (const data of response.data) {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      lines
+        .map(line => line.trim())
+        .filter(line => line.startsWith('data:'))
+        .forEach(line => handleEvent(line.slice(5).trim()));
+    }
+
+    if (buffer.trim().startsWith('data:')) {
+      handleEvent(buffer.trim().slice(5).trim());
+    }
+
+    return { text, model, stopReason, usage };
+  };
+
+  return {
+    name: 'openai-compatible',
+    createMessage,
+    streamMessage
+  };
+};
+
+module.exports = {
+  createOpenAiCompatibleProvider
+};
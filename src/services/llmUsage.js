@@ -0,0 +1,207 @@
+const { query } = require('../config/database');
+const { getConfigValue } = require('../config/systemConfig');
+const { logger } = require('../utils/logger');
+
+// Fallback prices in USD per million tokens when system_config has no entry
+const DEFAULT_MODEL_PRICING = {
+  'claude-3-5-sonnet-20241022': { input: 3.0, output: 15.0 },
+  default: { input: 3.0, output: 15.0 }
+};
+
+// Find the price entry for a model, allowing dated model ids to match their family
+const getModelPricing = async (model) => {
+  const pricing = await getConfigValue('llm_model_pricing', DEFAULT_MODEL_PRICING) || DEFAULT_MODEL_PRICING;
+
+  if (pricing[model]) return pricing[model];
+
+  const prefixMatch = Object.keys(pricing)
+    .filter(key => key !== 'default' && model && model.startsWith(key))
+    .sort((left, right) => right.length - left.length)[0];
+
+  return pricing[prefixMatch] || pricing.default || DEFAULT_MODEL_PRICING.default;
+};
+
+// Cost of a call in USD
+const calculateCost = (usage, pricing) => {
+  const inputCost = (usage.inputTokens || 0) * pricing.input / 1000000;
+  const outputCost = (usage.outputTokens || 0) * pricing.output / 1000000;
+  return Number((inputCost + outputCost).toFixed(6));
+};
+
+// Write one LLM call to the ledger; accounting failures never break the pipeline
+const recordUsage = async ({ task, provider, model, usage = {}, latencyMs = null, success = true, error = null }, context = {}) => {
+  try {
+    const pricing = await getModelPricing(model);
+    const costUsd = calculateCost(usage, pricing);
+
+    await query(`
+      INSERT INTO llm_usage_ledger (
+        customer_request_id, workflow_id, content_item_id, job_queue, job_id,
+        task, provider, model, input_tokens, output_tokens, latency_ms,
+        cost_usd, success, error_message
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+      context.customerRequestId || null,
+      context.workflowId || null,
+      context.contentItemId || null,
+      context.jobQueue || null,
+      context.jobId !== undefined && context.jobId !== null ? String(context.jobId) : null,
+      task,
+      provider,
+      model,
+      usage.inputTokens || 0,
+      usage.outputTokens || 0,
+      latencyMs,
+      costUsd,
+      success,
+      error
+    ]);
+
+    return costUsd;
+  } catch (recordError) {
+    logger.warn(`Failed to record LLM usage for ${task}:`, recordError.message);
+    return null;
+  }
+};
+
+// Link ledger rows written by a queue job to the record the job produced
+const attachUsageToRecord = async (jobQueue, jobId, { workflowId = null, contentItemId = null }) => {
+  try {
+    await query(`
+      UPDATE llm_usage_ledger
+      SET workflow_id = COALESCE($3, workflow_id),
+          content_item_id = COALESCE($4, content_item_id)
+      WHERE job_queue = $1 AND job_id = $2
+    `, [jobQueue, String(jobId), workflowId, contentItemId]);
+  } catch (error) {
+    logger.warn(`Failed to attach LLM usage for job ${jobQueue}:${jobId}:`, error.message);
+  }
+};
+
+// Every ledger row for one customer request with totals by task
+const getRequestUsage = async (customerRequestId) => {
+  const entries = await query(`
+    SELECT id, workflow_id, content_item_id, job_queue, job_id, task, provider, model,
+           input_tokens, output_tokens, latency_ms, cost_usd, success, error_message, created_at
+    FROM llm_usage_ledger
+    WHERE customer_request_id = $1
+    ORDER BY created_at ASC
+  `, [customerRequestId]);
+
+  const byTask = {};
+  entries.rows.forEach(entry => {
+    if (!byTask[entry.task]) {
+      byTask[entry.task] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+    }
+    byTask[entry.task].calls++;
+    byTask[entry.task].input_tokens += entry.input_tokens;
+    byTask[entry.task].output_tokens += entry.output_tokens;
+    byTask[entry.task].cost_usd += parseFloat(entry.cost_usd);
+  });
+
+  return {
+    customer_request_id: customerRequestId,
+    entries: entries.rows,
+    by_task: byTask,
+    total_cost_usd: Number(entries.rows.reduce((total, entry) => total + parseFloat(entry.cost_usd), 0).toFixed(6))
+  };
+};
+
+// Spend grouped by task, provider and model over a date range
+const getUsageSummary = async (startDate, endDate) => {
+  const result = await query(`
+    SELECT task, provider, model,
+           COUNT(*) as calls,
+           COUNT(*) FILTER (WHERE NOT success) as failed_calls,
+           COALESCE(SUM(input_tokens), 0) as input_tokens,
+           COALESCE(SUM(output_tokens), 0) as output_tokens,
+           COALESCE(SUM(cost_usd), 0) as cost_usd,
+           AVG(latency_ms) as avg_latency_ms
+    FROM llm_usage_ledger
+    WHERE created_at BETWEEN $1 AND $2
+    GROUP BY task, provider, model
+    ORDER BY cost_usd DESC
+  `, [startDate, endDate]);
+
+  return result.rows.map(row => ({
+    task: row.task,
+    provider: row.provider,
+    model: row.model,
+    calls: parseInt(row.calls),
+    failed_calls: parseInt(row.failed_calls),
+    input_tokens: parseInt(row.input_tokens),
+    output_tokens: parseInt(row.output_tokens),
+    cost_usd: parseFloat(row.cost_usd),
+    avg_latency_ms: row.avg_latency_ms ? Math.round(parseFloat(row.avg_latency_ms)) : null
+  }));
+};
+
+// Price paid versus LLM spend for each customer request created in a date range
+const getMarginReport = async (startDate, endDate) => {
+  const result = await query(`
+    SELECT cr.id as customer_request_id,
+           cr.customer_email,
+           cr.status,
+           cr.created_at,
+           COALESCE(paid.revenue, 0) as revenue,
+           COALESCE(spend.cost_usd, 0) as llm_cost,
+           COALESCE(spend.calls, 0) as llm_calls
+    FROM customer_requests cr
+    LEFT JOIN (
+      SELECT request_id, SUM(amount) as revenue
+      FROM payments
+      WHERE status = 'succeeded'
+      GROUP BY request_id
+    ) paid ON paid.request_id = cr.id
+    LEFT JOIN (
+      SELECT customer_request_id, SUM(cost_usd) as cost_usd, COUNT(*) as calls
+      FROM llm_usage_ledger
+      GROUP BY customer_request_id
+    ) spend ON spend.customer_request_id = cr.id
+    WHERE cr.created_at BETWEEN $1 AND $2
+      AND (paid.revenue IS NOT NULL OR spend.cost_usd IS NOT NULL)
+    ORDER BY cr.created_at DESC
+  `, [startDate, endDate]);
+
+  const requests = result.rows.map(row => {
+    const revenue = parseFloat(row.revenue);
+    const llmCost = parseFloat(row.llm_cost);
+    return {
+      customer_request_id: row.customer_request_id,
+      customer_email: row.customer_email,
+      status: row.status,
+      created_at: row.created_at,
+      revenue,
+      llm_cost: Number(llmCost.toFixed(6)),
+      llm_calls: parseInt(row.llm_calls),
+      margin: Number((revenue - llmCost).toFixed(2)),
+      margin_percent: revenue > 0 ? Number(((revenue - llmCost) / revenue * 100).toFixed(2)) : null
+    };
+  });
+
+  const totalRevenue = requests.reduce((total, request) => total + request.revenue, 0);
+  const totalCost = requests.reduce((total, request) => total + request.llm_cost, 0);
+
+  return {
+    period: { start_date: startDate, end_date: endDate },
+    totals: {
+      requests: requests.length,
+      revenue: Number(totalRevenue.toFixed(2)),
+      llm_cost: Number(totalCost.toFixed(2)),
+      margin: Number((totalRevenue - totalCost).toFixed(2)),
+      margin_percent: totalRevenue > 0 ? Number(((totalRevenue - totalCost) / totalRevenue * 100).toFixed(2)) : null,
+      unpaid_llm_cost: Number(requests.filter(request => request.revenue === 0).reduce((total, request) => total + request.llm_cost, 0).toFixed(2))
+    },
+    requests
+  };
+};
+
+module.exports = {
+  recordUsage,
+  attachUsageToRecord,
+  getRequestUsage,
+  getUsageSummary,
+  getMarginReport,
+  getModelPricing,
+  calculateCost
+};
@@ -0,0 +1,183 @@
+const axios = require('axios');
+const { isTriggerType, isAnnotationType, getNodeDefinition } = require('../nodeCatalog');
+const { createMockServiceServer } = require('./server');
+
+const HTTP_REQUEST_TYPE = 'n8n-nodes-base.httpRequest';
+
+// Calls made through the mock server fail like a real service after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+const isServiceNode = (node) => {
+  if (node.type === HTTP_REQUEST_TYPE) return true;
+  return getNodeDefinition(node.type)?.group === 'integration';
+};
+
+// Integration nodes are addressed by their type name, e.g. n8n-nodes-base.hubspot -> hubspot
+const integrationName = (type) => String(type).split('.').pop().toLowerCase();
+
+// { name: value } from the name/value collections the HTTP Request node uses across versions
+const toPairs = (entries) => Object.fromEntries((entries || []).filter(entry => entry && entry.name).map(entry => [entry.name, entry.value]));
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const describeHttpRequest = (parameters) => {
+  let url;
+  try {
+    url = new URL(parameters.url);
+  } catch (error) {
+    throw new Error(`HTTP Request URL "${parameters.url}" is not a valid absolute URL`);
+  }
+
+  // v4 uses send* toggles with `parameters` collections; v1-3 use *Ui collections and jsonParameters
+  const legacy = parameters.requestMethod !== undefined || parameters.queryParametersUi || parameters.bodyParametersUi;
+  const query = Object.fromEntries(url.searchParams);
+  let headers;
+  let body;
+
+  if (legacy) {
+    Object.assign(query, toPairs(parameters.queryParametersUi?.parameter));
+    headers = toPairs(parameters.headerParametersUi?.parameter);
+    body = parameters.jsonParameters ? parseJson(parameters.bodyParametersJson) : toPairs(parameters.bodyParametersUi?.parameter);
+  } else {
+    if (parameters.sendQuery) Object.assign(query, toPairs(parameters.queryParameters?.parameters));
+    headers = parameters.sendHeaders ? toPairs(parameters.headerParameters?.parameters) : {};
+    if (parameters.sendBody) {
+      body = parameters.specifyBody === 'json' ? parseJson(parameters.jsonBody) : toPairs(parameters.bodyParameters?.parameters);
+    }
+  }
+
+  return {
+    integration: url.host.toLowerCase(),
+    method: String(parameters.method || parameters.requestMethod || 'GET').toUpperCase(),
+    path: url.pathname.replace(/^\/+/, ''),
+    query,
+    headers,
+    body: body && Object.keys(body).length === 0 ? null : body ?? null
+  };
+};
+
+// The request a service node makes, addressed to the mock server: HTTP Request nodes keep their URL's host
+// and path, integration nodes post their parameters to /<integration>/<resource>/<operation>.
+// Returns null for nodes that do not call a service.
+const describeServiceRequest = (node, parameters = node.parameters || {}) => {
+  if (!isServiceNode(node)) return null;
+  if (node.type === HTTP_REQUEST_TYPE) return describeHttpRequest(parameters);
+
+  const { resource, operation, ...rest } = parameters;
+  return {
+    integration: integrationName(node.type),
+    method: 'POST',
+    path: `${resource || 'default'}/${operation || 'execute'}`,
+    query: {},
+    headers: {},
+    body: rest
+  };
+};
+
+const serviceUrl = (baseUrl, request) => `${baseUrl}/${request.integration}/${request.path}`;
+
+// Leading =, scheme, host and the rest of an HTTP Request URL, which may hold expressions.
+// Null when the scheme or host is itself built by an expression and only known at run time.
+const splitRequestUrl = (url) => {
+  const match = /^(=?)\s*([a-z][a-z0-9+.-]*:\/\/)([^/?#]*)(.*)$/is.exec(String(url || ''));
+  if (!match || match[3].includes('{{')) return null;
+
+  // Credentials in the URL are dropped along with the real host
+  const host = match[3].replace(/^.*@/, '').toLowerCase();
+  return { prefix: match[1], host, rest: match[4] };
+};
+
+// HTTP Request nodes whose host is an expression, so pointWorkflowAtMockServer cannot redirect them
+const listUnmockedNodes = (workflow) => (workflow.nodes || [])
+  .filter(node => node.type === HTTP_REQUEST_TYPE && !node.disabled && !splitRequestUrl(node.parameters?.url))
+  .map(node => node.name);
+
+// Copy of the workflow with every service node calling the mock server instead of the real service.
+// Integration nodes become HTTP Request nodes with the same name and position, so connections still line up.
+const pointWorkflowAtMockServer = (workflow, baseUrl) => {
+  const nodes = (workflow.nodes || []).map(node => {
+    if (isTriggerType(node.type) || isAnnotationType(node.type) || !isServiceNode(node)) return node;
+
+    if (node.type === HTTP_REQUEST_TYPE) {
+      // Only the scheme and host change, so expressions in the path and query still resolve at run time
+      const url = splitRequestUrl(node.parameters?.url);
+      if (!url) {
+        const flag = 'Not mocked: the URL host is built by an expression, so this call reaches the real service';
+        return { ...node, notes: node.notes ? `${node.notes}\n${flag}` : flag };
+      }
+      const rest = url.rest.startsWith('/') ? url.rest : `/${url.rest}`;
+      return { ...node, parameters: { ...node.parameters, url: `${url.prefix}${baseUrl}/${url.host}${rest}` } };
+    }
+
+    const request = describeServiceRequest(node);
+    return {
+      id: node.id,
+      name: node.name,
+      type: HTTP_REQUEST_TYPE,
+      typeVersion: 4.2,
+      position: node.position,
+      ...(node.disabled ? { disabled: true } : {}),
+      ...(node.onError ? { onError: node.onError } : {}),
+      parameters: {
+        method: 'POST',
+        url: serviceUrl(baseUrl, request),
+        sendBody: true,
+        // Top-level values keep their expressions; nested ones are sent as JSON text
+        bodyParameters: {
+          parameters: Object.entries(request.body).map(([name, value]) => ({
+            name,
+            value: typeof value === 'string' ? value : JSON.stringify(value)
+          }))
+        },
+        options: {}
+      },
+      notes: `Mocked ${node.type} call`
+    };
+  });
+
+  return { ...workflow, nodes };
+};
+
+// Simulator stub that sends each service node's request to the mock server and answers with its response.
+// Error statuses and timeouts fail the node with the status, as the real node would.
+const createMockServiceStub = (baseUrl) => async ({ node, parameters }) => {
+  const request = describeServiceRequest(node, parameters);
+  if (!request) return undefined;
+
+  let response;
+  try {
+    response = await axios({
+      method: request.method,
+      url: serviceUrl(baseUrl, request),
+      params: request.query,
+      headers: request.headers,
+      data: request.body,
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+  } catch (error) {
+    if (error.code === 'ECONNABORTED') throw new Error(`${request.integration} did not respond within ${REQUEST_TIMEOUT_MS} ms`);
+    throw error;
+  }
+
+  if (response.status >= 400) {
+    const detail = typeof response.data === 'object' ? response.data?.error || JSON.stringify(response.data) : response.data;
+    throw new Error(`${response.status} - ${detail}`);
+  }
+  return response.data === '' ? {} : response.data;
+};
+
+module.exports = {
+  createMockServiceServer,
+  createMockServiceStub,
+  describeServiceRequest,
+  pointWorkflowAtMockServer,
+  listUnmockedNodes
+};
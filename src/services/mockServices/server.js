@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../fixtures/services');
+
+// Headers that describe the connection rather than the request and are not forwarded when recording
+const HOP_BY_HOP_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'accept-encoding'];
+
+// Integrations named after a host (HTTP Request nodes) can be recorded against the real API
+const isHostIntegration = (integration) => /^([a-z0-9-]+(\.[a-z0-9-]+)+|localhost)(:\d+)?$/i.test(integration);
+
+// Fixture directory for an integration; ports are kept but without the colon
+const fixtureDirectory = (integration) => integration.replace(/:/g, '_');
+
+const upstreamFor = (integration, upstreams) => {
+  if (upstreams[integration]) return upstreams[integration];
+  if (!isHostIntegration(integration)) return null;
+  return /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(integration) ? `http://${integration}` : `https://${integration}`;
+};
+
+// Fixture paths may end in * to match everything below them
+const pathMatches = (pattern, requestPath) => {
+  const normalized = String(pattern || '*').replace(/^\/+/, '');
+  if (normalized === '*') return true;
+  if (normalized.endsWith('*')) return requestPath.startsWith(normalized.slice(0, -1));
+  return normalized === requestPath;
+};
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60) || 'root';
+
+// One listener per process shared by every mock server; each is served under its own /<runId> prefix,
+// so concurrent test runs never compete for a port and a fixed port can sit behind MOCK_SERVICES_PUBLIC_URL
+const shared = { server: null, listening: null, runs: new Map(), sockets: new Set() };
+
+const sharedApp = express();
+sharedApp.use(express.json({ limit: '5mb' }));
+sharedApp.use(express.urlencoded({ extended: true, limit: '5mb' }));
+sharedApp.use(express.text({ type: '*/*', limit: '5mb' }));
+sharedApp.use('/:runId', (req, res, next) => {
+  const handle = shared.runs.get(req.params.runId);
+  if (!handle) return res.status(404).json({ error: `No test run is using /${req.params.runId}` });
+  return handle(req, res, next);
+});
+
+// Base URL of the shared listener, started on first use with that caller's port and public URL.
+// With a random port the bound port replaces the public URL's port, since it cannot be known up front.
+const listenShared = (port, publicUrl) => {
+  if (!shared.listening) {
+    shared.listening = new Promise((resolve, reject) => {
+      const server = sharedApp.listen(port, () => {
+        const address = server.address();
+        if (!publicUrl) return resolve(`http://localhost:${address.port}`);
+
+        const url = new URL(publicUrl);
+        if (!port) url.port = String(address.port);
+        resolve(url.toString().replace(/\/+$/, ''));
+      });
+      server.on('connection', socket => {
+        shared.sockets.add(socket);
+        socket.on('close', () => shared.sockets.delete(socket));
+      });
+      server.on('error', error => {
+        if (shared.server === server) {
+          shared.server = null;
+          shared.listening = null;
+        }
+        reject(error);
+      });
+      shared.server = server;
+    });
+  }
+  return shared.listening;
+};
+
+// Close the shared listener once no mock server uses it
+const releaseShared = () => new Promise(resolve => {
+  const { server } = shared;
+  if (!server || shared.runs.size > 0) return resolve();
+  shared.server = null;
+  shared.listening = null;
+  shared.sockets.forEach(socket => socket.destroy());
+  server.close(() => resolve());
+});
+
+// Local HTTP server answering integration calls from fixtures/services/<integration>/*.json.
+// Each fixture is { request: { method, path }, response: { status, headers, body } }.
+// Requests, fixtures and failures belong to this server; the listening port is shared per process.
+const createMockServiceServer = ({
+  fixturesDir = process.env.MOCK_SERVICES_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  port = Number(process.env.MOCK_SERVICES_PORT || 0),
+  publicUrl = process.env.MOCK_SERVICES_PUBLIC_URL || null,
+  record = process.env.MOCK_SERVICES_RECORD === 'true',
+  upstreams = {}
+} = {}) => {
+  const requests = [];
+  const failures = [];
+  const addedFixtures = [];
+  const heldSockets = new Set();
+  const runId = crypto.randomBytes(8).toString('hex');
+  let baseUrl = null;
+
+  const loadFixtures = async (integration) => {
+    const directory = path.join(fixturesDir, fixtureDirectory(integration));
+    let files;
+    try {
+      files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const fixtures = await Promise.all(files.sort().map(async file => ({
+      file: `${fixtureDirectory(integration)}/${file}`,
+      ...JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'))
+    })));
+    return fixtures;
+  };
+
+  // Fixtures added at run time win over files; exact paths win over wildcards; no method matches any method
+  const findFixture = async (integration, method, requestPath) => {
+    const matching = (fixtures) => fixtures.filter(fixture =>
+      (!fixture.request?.method || fixture.request.method.toUpperCase() === method) &&
+      pathMatches(fixture.request?.path, requestPath));
+    const pick = (candidates) => candidates.find(fixture => !String(fixture.request?.path || '*').includes('*')) || candidates[0] || null;
+
+    return pick(matching(addedFixtures.filter(fixture => fixture.integration === integration))) ||
+      pick(matching(await loadFixtures(integration)));
+  };
+
+  // Forward the request to the real API and save the reply as a fixture
+  const recordFixture = async (integration, upstream, entry) => {
+    const headers = Object.fromEntries(Object.entries(entry.headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name)));
+    const response = await axios({
+      method: entry.method,
+      url: `${upstream}/${entry.path}`,
+      params: entry.query,
+      headers,
+      data: entry.body,
+      timeout: 30000,
+      validateStatus: () => true
+    });
+
+    const fixture = {
+      recordedAt: new Date().toISOString(),
+      request: { method: entry.method, path: entry.path },
+      response: {
+        status: response.status,
+        headers: { 'content-type': response.headers['content-type'] || 'application/json' },
+        body: response.data
+      }
+    };
+
+    const hash = crypto.createHash('sha256').update(`${entry.method} ${entry.path} ${JSON.stringify(entry.query)}`).digest('hex').substring(0, 8);
+    const file = `${entry.method.toLowerCase()}-${slugify(entry.path)}-${hash}.json`;
+    const directory = fixtureDirectory(integration);
+    await fs.mkdir(path.join(fixturesDir, directory), { recursive: true });
+    await fs.writeFile(path.join(fixturesDir, directory, file), JSON.stringify(fixture, null, 2));
+
+    logger.info(`Recorded service fixture ${directory}/${file}`);
+    return { file: `${directory}/${file}`, ...fixture };
+  };
+
+  // First injected failure matching the request; used up after `times` matches
+  const takeFailure = (integration, method, requestPath) => {
+    const failure = failures.find(candidate =>
+      (!candidate.integration || candidate.integration === integration) &&
+      (!candidate.method || candidate.method.toUpperCase() === method) &&
+      (!candidate.path || pathMatches(candidate.path, requestPath)) &&
+      candidate.remaining !== 0);
+    if (failure && failure.remaining > 0) failure.remaining--;
+    return failure || null;
+  };
+
+  // /<runId>/<integration>/<path>: the shared listener strips the run prefix, the next segment picks the fixture directory
+  const handle = async (req, res) => {
+    const [integration, ...segments] = req.path.replace(/^\/+/, '').split('/').map(decodeURIComponent);
+    const requestPath = segments.join('/');
+    const entry = {
+      id: requests.length + 1,
+      at: new Date().toISOString(),
+      integration,
+      method: req.method,
+      path: requestPath,
+      query: req.query,
+      headers: req.headers,
+      body: req.body && (typeof req.body !== 'object' || Object.keys(req.body).length > 0) ? req.body : null,
+      status: null,
+      fixture: null,
+      injected: null
+    };
+    requests.push(entry);
+
+    if (!/^[\w.:-]+$/.test(integration || '') || integration.startsWith('.')) {
+      entry.status = 400;
+      return res.status(400).json({ error: 'Request path must start with an integration name, e.g. /slack/chat.postMessage' });
+    }
+
+    try {
+      const failure = takeFailure(integration, req.method, requestPath);
+      if (failure) {
+        entry.injected = failure.timeout ? 'timeout' : failure.status;
+        // A timeout never answers; the socket is closed when the server stops
+        if (failure.timeout) {
+          heldSockets.add(req.socket);
+          return;
+        }
+        if (failure.delayMs) await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+        entry.status = failure.status;
+        return res.status(failure.status).set(failure.headers || {}).json(failure.body || { error: `Injected ${failure.status} failure` });
+      }
+
+      let fixture = await findFixture(integration, req.method, requestPath);
+      const upstream = upstreamFor(integration, upstreams);
+      if (!fixture && record && upstream) {
+        fixture = await recordFixture(integration, upstream, entry);
+      }
+
+      if (!fixture) {
+        entry.status = 404;
+        return res.status(404).json({
+          error: `No fixture for ${req.method} /${integration}/${requestPath}`,
+          hint: upstream ? 'Set MOCK_SERVICES_RECORD=true to record one from the real API' : `Add one under fixtures/services/${fixtureDirectory(integration)}/`
+        });
+      }
+
+      const response = fixture.response || {};
+      entry.status = response.status || 200;
+      entry.fixture = fixture.file;
+      res.status(entry.status).set(response.headers || {});
+      return typeof response.body === 'string' ? res.send(response.body) : res.json(response.body ?? {});
+    } catch (error) {
+      logger.error('Mock service request failed:', error.message);
+      entry.status = 502;
+      return res.status(502).json({ error: 'Mock service failed', details: error.message });
+    }
+  };
+
+  // Registered before listening so a server stopping meanwhile does not close the shared listener
+  const start = async () => {
+    shared.runs.set(runId, handle);
+    try {
+      baseUrl = `${await listenShared(port, publicUrl)}/${runId}`;
+    } catch (error) {
+      shared.runs.delete(runId);
+      throw error;
+    }
+    logger.info(`Mock service server listening on ${baseUrl}`);
+    return baseUrl;
+  };
+
+  const stop = async () => {
+    if (!shared.runs.delete(runId)) return;
+    heldSockets.forEach(socket => socket.destroy());
+    heldSockets.clear();
+    await releaseShared();
+  };
+
+  return {
+    start,
+    stop,
+    getUrl: () => baseUrl,
+
+    // Requests received so far, optionally only those for one integration
+    getRequests: (integration = null) => requests.filter(entry => !integration || entry.integration === integration),
+    clearRequests: () => { requests.length = 0; },
+
+    // Fail matching requests: { integration, method, path, status: 429 | 500, headers, body, timeout: true, delayMs, times }
+    injectFailure: (failure) => {
+      failures.push({ status: 500, ...failure, remaining: failure.times ?? -1 });
+    },
+    clearFailures: () => { failures.length = 0; },
+
+    // In-memory fixture for this server only, e.g. a test case's canned response
+    addFixture: (integration, fixture) => {
+      addedFixtures.push({ file: `(added) ${integration}/${fixture.request?.path || '*'}`, ...fixture, integration });
+    },
+    clearFixtures: () => { addedFixtures.length = 0; }
+  };
+};
+
+module.exports = {
+  createMockServiceServer
+};
@@ -0,0 +1,70 @@
+const catalog = require('../data/n8nNodeCatalog.json');
+
+// Catalog metadata
+const CATALOG_VERSION = catalog.catalogVersion;
+const N8N_VERSION = catalog.n8nVersion;
+
+// Look up the catalog definition for a node type
+const getNodeDefinition = (type) => {
+  if (!type) return null;
+  return catalog.nodes[type] || null;
+};
+
+const isKnownNodeType = (type) => Boolean(getNodeDefinition(type));
+
+// Trigger detection prefers the catalog and falls back to name heuristics for unknown types
+const isTriggerType = (type) => {
+  const definition = getNodeDefinition(type);
+  if (definition) {
+    return definition.group === 'trigger';
+  }
+
+  const lowerType = (type || '').toLowerCase();
+  return lowerType.includes('trigger') || lowerType.includes('webhook');
+};
+
+// Sticky notes and other annotations never take part in execution
+const isAnnotationType = (type) => {
+  const definition = getNodeDefinition(type);
+  return definition ? definition.group === 'annotation' : false;
+};
+
+// List catalog node types, optionally filtered by group
+const listNodeTypes = (group = null) => {
+  return Object.entries(catalog.nodes)
+    .filter(([, definition]) => !group || definition.group === group)
+    .map(([type, definition]) => ({
+      type,
+      displayName: definition.displayName,
+      group: definition.group,
+      versions: definition.versions,
+      defaultVersion: definition.versions[definition.versions.length - 1]
+    }));
+};
+
+// Compact node type summary for generation prompts
+const describeCatalogForPrompt = () => {
+  const groups = {};
+
+  listNodeTypes()
+    .filter(node => node.group !== 'annotation')
+    .forEach(node => {
+      if (!groups[node.group]) groups[node.group] = [];
+      groups[node.group].push(`${node.type} (typeVersion ${node.defaultVersion})`);
+    });
+
+  return Object.entries(groups)
+    .map(([group, types]) => `- ${group}: ${types.join(', ')}`)
+    .join('\n');
+};
+
+module.exports = {
+  CATALOG_VERSION,
+  N8N_VERSION,
+  getNodeDefinition,
+  isKnownNodeType,
+  isTriggerType,
+  isAnnotationType,
+  listNodeTypes,
+  describeCatalogForPrompt
+};
@@ -0,0 +1,124 @@
+const { cache, cacheKeys } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const COMPLEXITY_TIERS = ['simple', 'medium', 'complex'];
+
+// Generated workflow metadata uses Low/Medium/High for the same scale
+const DETECTED_TIERS = { Low: 'simple', Medium: 'medium', High: 'complex' };
+
+// Complexity, sources and targets to price from; the requirement spec wins over the form fields
+const pricingFactors = (requestData) => {
+  const spec = typeof requestData.requirement_spec === 'string'
+    ? JSON.parse(requestData.requirement_spec)
+    : requestData.requirement_spec;
+
+  if (spec) {
+    return {
+      complexity: spec.complexity,
+      inputSources: (spec.sources || []).map(source => source.system),
+      outputTargets: (spec.targets || []).map(target => target.system)
+    };
+  }
+
+  return {
+    complexity: requestData.complexity,
+    inputSources: requestData.input_sources || [],
+    outputTargets: requestData.output_targets || []
+  };
+};
+
+// Estimate the price of a customer request from its complexity, sources and targets
+const estimatePricing = async (requestData) => {
+  try {
+    // Get pricing config from cache or database
+    const pricingConfig = await cache.get(cacheKeys.systemConfig('pricing')) || {
+      base_price: 50,
+      complexity_multipliers: {
+        simple: 1,
+        medium: 2,
+        complex: 4,
+      },
+      per_input_source: 10,
+      per_output_target: 15,
+    };
+
+    const factors = pricingFactors(requestData);
+    const complexity = factors.complexity || 'medium';
+    const inputSources = factors.inputSources.length || 1;
+    const outputTargets = factors.outputTargets.length || 1;
+
+    const basePrice = pricingConfig.base_price;
+    const complexityMultiplier = pricingConfig.complexity_multipliers[complexity];
+    const inputCost = inputSources * pricingConfig.per_input_source;
+    const outputCost = outputTargets * pricingConfig.per_output_target;
+
+    const totalPrice = Math.round((basePrice * complexityMultiplier) + inputCost + outputCost);
+
+    return {
+      totalPrice,
+      breakdown: {
+        base_price: basePrice,
+        complexity: complexity,
+        complexity_multiplier: complexityMultiplier,
+        input_sources_cost: inputCost,
+        output_targets_cost: outputCost,
+        final_price: totalPrice,
+      },
+    };
+  } catch (error) {
+    logger.error('Error estimating pricing:', error);
+    // Return default pricing if estimation fails
+    return {
+      totalPrice: 100,
+      breakdown: {
+        base_price: 100,
+        complexity: 'medium',
+        complexity_multiplier: 1,
+        input_sources_cost: 0,
+        output_targets_cost: 0,
+        final_price: 100,
+      },
+    };
+  }
+};
+
+// Price the delta of a change request: the request re-priced with the added sources, targets and
+// any complexity increase the revision introduced, minus what the original request cost
+const estimateChangePricing = async (customerRequest, change = {}) => {
+  const { addedInputSources = [], addedOutputTargets = [], baseComplexity = null, revisedComplexity = null } = change;
+  const factors = pricingFactors(customerRequest);
+  const originalTier = COMPLEXITY_TIERS.includes(factors.complexity) ? factors.complexity : 'medium';
+
+  // Only a step up between the old and new workflow moves the customer's tier
+  let tier = originalTier;
+  if (baseComplexity && revisedComplexity) {
+    const increase = COMPLEXITY_TIERS.indexOf(DETECTED_TIERS[revisedComplexity]) - COMPLEXITY_TIERS.indexOf(DETECTED_TIERS[baseComplexity]);
+    if (increase > 0) {
+      tier = COMPLEXITY_TIERS[Math.min(COMPLEXITY_TIERS.length - 1, COMPLEXITY_TIERS.indexOf(originalTier) + increase)];
+    }
+  }
+
+  const original = await estimatePricing(customerRequest);
+  const revised = await estimatePricing({
+    complexity: tier,
+    input_sources: [...factors.inputSources, ...addedInputSources],
+    output_targets: [...factors.outputTargets, ...addedOutputTargets]
+  });
+
+  return {
+    priceDelta: Math.max(0, revised.totalPrice - original.totalPrice),
+    breakdown: {
+      original: original.breakdown,
+      revised: revised.breakdown,
+      added_input_sources: addedInputSources,
+      added_output_targets: addedOutputTargets,
+      complexity_change: tier !== originalTier ? { from: originalTier, to: tier } : null
+    }
+  };
+};
+
+module.exports = {
+  estimatePricing,
+  estimateChangePricing,
+  COMPLEXITY_TIERS
+};
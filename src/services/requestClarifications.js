@@ -0,0 +1,346 @@
+const { query, transaction } = require('../config/database');
+const { cache, cacheKeys } = require('../config/redis');
+const { addJob, queueNames } = require('../config/queues');
+const { getConfigValue } = require('../config/systemConfig');
+const { logger } = require('../utils/logger');
+const { listNodeTypes } = require('./nodeCatalog');
+
+const DEFAULT_TIMEOUT_HOURS = 48;
+
+const GENERATION_PRIORITIES = { high: 1, medium: 2, low: 3 };
+
+// Raised when answers cannot be recorded; `code` tells the route which status to answer with
+class ClarificationError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'ClarificationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Systems the catalog has nodes for, plus the generic sources customers usually describe
+const KNOWN_SOURCES = [
+  ...listNodeTypes('integration').map(node => node.displayName.toLowerCase()),
+  'webhook', 'form', 'typeform', 'jotform', 'email', 'inbox', 'outlook', 'spreadsheet', 'excel',
+  'csv', 'database', 'crm', 'shopify', 'stripe', 'woocommerce', 'rss', 'calendar', 'zendesk',
+  'jira', 'trello', 'asana', 'github', 'api'
+];
+
+const TRIGGER_WORDS = /\b(?:when(?:ever)?|each time|every|as soon as|real[- ]?time|instantly|on (?:new|each)|schedule[ds]?|cron|hourly|daily|weekly|monthly|once a)\b/;
+const TIME_WORDS = /\b(?:\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}:\d{2}|noon|midnight|morning|afternoon|evening|night|monday|tuesday|wednesday|thursday|friday|saturday|sunday|weekday|start of|end of|first|last)\b/;
+const MOVE_WORDS = /\b(?:sync|synchroni[sz]e|copy|transfer|import|export|migrate|push|move)\b/;
+const FIELD_WORDS = /\b(?:fields?|columns?|propert(?:y|ies)|attributes?|mapping|maps? to)\b/;
+const CUSTOM_SYSTEM_WORDS = /\b(?:api|endpoint|rest|graphql|internal (?:system|tool|app)|our (?:own )?(?:system|app|platform|backend|server)|custom (?:system|app|crm))\b/;
+const AUTH_WORDS = /\b(?:oauth2?|api[ -]?key|token|bearer|basic auth|username and password|credentials?|no auth|public)\b/;
+
+// Frequencies that need no time of day
+const UNTIMED_FREQUENCIES = ['once', 'real-time', 'hourly', 'every hour'];
+
+const requestText = (customerRequest) => [
+  customerRequest.automation_description,
+  customerRequest.description,
+  customerRequest.special_requirements,
+  customerRequest.requirements,
+  ...(customerRequest.input_sources || []),
+  ...(customerRequest.output_targets || [])
+].filter(Boolean).join(' ').toLowerCase();
+
+const mentionsAny = (text, terms) => terms.some(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}s?\\b`).test(text));
+
+const detectFrequency = (text) => {
+  const match = text.match(/\b(hourly|daily|weekly|monthly|every (?:hour|day|week|month|morning|evening))\b/);
+  return match ? match[1] : null;
+};
+
+// Heuristic pass over a request for details the generator would otherwise have to guess
+const analyzeRequest = (customerRequest) => {
+  const text = requestText(customerRequest);
+  const questions = [];
+
+  if ((customerRequest.input_sources || []).length === 0 && !mentionsAny(text, KNOWN_SOURCES)) {
+    questions.push({
+      key: 'source_system',
+      category: 'source_system',
+      question: 'Which system or app does the data come from (for example a web form, a Gmail inbox, a Google Sheet or your CRM)?',
+      blocking: true
+    });
+  }
+
+  if (MOVE_WORDS.test(text) && !FIELD_WORDS.test(text)) {
+    questions.push({
+      key: 'field_mapping',
+      category: 'field_mapping',
+      question: 'Which fields should be carried over, and what are they called in each system (for example "Email" on the form → "email" column in the sheet)?',
+      blocking: false
+    });
+  }
+
+  // The request form's frequency field beats wording in the description
+  const frequency = customerRequest.frequency || detectFrequency(text);
+  if (!frequency && !TRIGGER_WORDS.test(text)) {
+    questions.push({
+      key: 'schedule',
+      category: 'schedule',
+      question: 'Should this run whenever something happens (for example a new form submission) or on a schedule? If on a schedule, how often and at what time?',
+      blocking: true
+    });
+  } else if (frequency && !UNTIMED_FREQUENCIES.includes(frequency) && !TIME_WORDS.test(text)) {
+    questions.push({
+      key: 'schedule_time',
+      category: 'schedule',
+      question: `At what time (and in which time zone) should the ${frequency} run happen?`,
+      blocking: false
+    });
+  }
+
+  if (CUSTOM_SYSTEM_WORDS.test(text) && !AUTH_WORDS.test(text)) {
+    questions.push({
+      key: 'auth_method',
+      category: 'auth_method',
+      question: 'How does the API or internal system authenticate requests (API key, OAuth2, basic auth or none)?',
+      blocking: true
+    });
+  }
+
+  return questions;
+};
+
+const clearRequestCache = async (requestId) => {
+  try {
+    await cache.del(cacheKeys.customerRequest(requestId));
+  } catch (error) {
+    logger.debug(`Failed to clear cached customer request ${requestId}:`, error.message);
+  }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getTimeoutHours = async () => {
+  const configured = parseFloat(await getConfigValue('clarification_timeout_hours', DEFAULT_TIMEOUT_HOURS));
+  return configured > 0 ? configured : DEFAULT_TIMEOUT_HOURS;
+};
+
+// Store the questions, park the request and email the customer a link to answer them
+const openClarifications = async (customerRequest, questions, generation = {}) => {
+  const timeoutHours = await getTimeoutHours();
+
+  const { request, stored } = await transaction(async (client) => {
+    const rows = [];
+    for (const item of questions) {
+      const result = await client.query(`
+        INSERT INTO request_clarifications (customer_request_id, question_key, category, question, blocking)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (customer_request_id, question_key) DO NOTHING
+        RETURNING id, question_key, category, question, blocking, status
+      `, [customerRequest.id, item.key, item.category, item.question, item.blocking]);
+      rows.push(...result.rows);
+    }
+
+    const requestResult = await client.query(`
+      UPDATE customer_requests
+      SET status = 'awaiting_clarification',
+          clarification_deadline = CURRENT_TIMESTAMP + ($1 * INTERVAL '1 hour'),
+          pending_generation = $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [timeoutHours, JSON.stringify(generation), customerRequest.id]);
+
+    return { request: requestResult.rows[0], stored: rows };
+  });
+
+  await clearRequestCache(customerRequest.id);
+
+  const clarificationUrl = `${process.env.API_BASE_URL}/dashboard.html?email=${encodeURIComponent(request.customer_email)}&clarify=${request.id}`;
+
+  await addJob(queueNames.EMAIL_NOTIFICATIONS, 'send-email', {
+    type: 'CLARIFICATION_NEEDED',
+    to: request.customer_email,
+    variables: {
+      customerName: escapeHtml(request.customer_name || 'there'),
+      questionList: stored.map(item => `<li>${escapeHtml(item.question)}${item.blocking ? '' : ' <em>(optional)</em>'}</li>`).join('\n'),
+      clarificationUrl,
+      deadline: new Date(request.clarification_deadline).toUTCString(),
+      customerRequestId: request.id
+    }
+  });
+
+  // Generation goes ahead with defaults if the customer never answers
+  await addJob(queueNames.WORKFLOW_GENERATION, 'clarification-timeout', {
+    requestId: request.id
+  }, {
+    delay: Math.round(timeoutHours * 60 * 60 * 1000),
+    attempts: 1
+  });
+
+  logger.info(`Request ${request.id} is waiting on ${stored.length} clarifying question(s) until ${request.clarification_deadline}`);
+
+  return { request, questions: stored };
+};
+
+const getClarifications = async (requestId) => {
+  const result = await query(`
+    SELECT id, question_key, category, question, blocking, status, answer, answered_at, created_at
+    FROM request_clarifications
+    WHERE customer_request_id = $1
+    ORDER BY id ASC
+  `, [requestId]);
+  return result.rows;
+};
+
+// Queue the generation job for a request, carrying any clarification answers into the prompt
+const queueGeneration = async (customerRequest, { workflowId = null, priority = 'medium', options = {} } = {}) => {
+  const clarifications = (await getClarifications(customerRequest.id))
+    .filter(item => item.status !== 'open')
+    .map(({ category, question, answer }) => ({ category, question, answer }));
+
+  const job = await addJob(queueNames.WORKFLOW_GENERATION, 'generate-workflow', {
+    customerRequest: { ...customerRequest, clarifications },
+    workflowId,
+    priority,
+    options,
+    requestId: `req_${customerRequest.id}_${Date.now()}`
+  }, {
+    priority: GENERATION_PRIORITIES[priority] || GENERATION_PRIORITIES.medium,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    }
+  });
+
+  await query(
+    `UPDATE customer_requests
+     SET status = 'processing', pending_generation = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [customerRequest.id]
+  );
+  await clearRequestCache(customerRequest.id);
+
+  return job;
+};
+
+// Entry point for every generation trigger: ask first when blocking details are missing
+const startGeneration = async (customerRequest, generation = {}) => {
+  if (customerRequest.status === 'awaiting_clarification') {
+    return { queued: false, awaitingClarification: true, questions: await getClarifications(customerRequest.id) };
+  }
+
+  const asked = await query(
+    'SELECT COUNT(*) AS count FROM request_clarifications WHERE customer_request_id = $1',
+    [customerRequest.id]
+  );
+
+  // Questions are only asked once per request; regenerations reuse the stored answers
+  if (parseInt(asked.rows[0].count) === 0) {
+    const questions = analyzeRequest(customerRequest);
+    if (questions.some(item => item.blocking)) {
+      const opened = await openClarifications(customerRequest, questions, generation);
+      return { queued: false, awaitingClarification: true, questions: opened.questions };
+    }
+  }
+
+  const job = await queueGeneration(customerRequest, generation);
+  return { queued: true, job };
+};
+
+// Move a parked request on to generation; only the first caller wins
+const releaseForGeneration = async (requestId, reason) => {
+  const claimed = await query(`
+    UPDATE customer_requests
+    SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'awaiting_clarification'
+    RETURNING *
+  `, [requestId]);
+
+  if (claimed.rows.length === 0) {
+    logger.info(`Request ${requestId} is no longer awaiting clarification, nothing to release (${reason})`);
+    return null;
+  }
+
+  const customerRequest = claimed.rows[0];
+
+  const skipped = await query(
+    `UPDATE request_clarifications SET status = 'skipped'
+     WHERE customer_request_id = $1 AND status = 'open'
+     RETURNING id`,
+    [requestId]
+  );
+
+  const job = await queueGeneration(customerRequest, customerRequest.pending_generation || {});
+
+  logger.info(`Request ${requestId} released for generation (${reason}), ${skipped.rows.length} question(s) left unanswered`);
+
+  return job;
+};
+
+// Record customer answers and start generation once no blocking question is open.
+// Every question is checked before any answer is saved, so a bad id leaves all of them untouched.
+const answerClarifications = async (requestId, answers) => {
+  const questionIds = answers.map(item => item.question_id);
+
+  const updated = await transaction(async (client) => {
+    const current = await client.query(
+      `SELECT id, status FROM request_clarifications
+       WHERE customer_request_id = $1 AND id = ANY($2::int[])
+       FOR UPDATE`,
+      [requestId, questionIds]
+    );
+    const statusById = new Map(current.rows.map(row => [row.id, row.status]));
+
+    const unknown = questionIds.filter(id => !statusById.has(id));
+    if (unknown.length > 0) {
+      throw new ClarificationError('question_not_found', `Question ${unknown.join(', ')} not found for this request`, { question_ids: unknown });
+    }
+
+    const closed = questionIds.filter(id => statusById.get(id) === 'skipped');
+    if (closed.length > 0) {
+      throw new ClarificationError('question_closed', `Question ${closed.join(', ')} is no longer open`, { question_ids: closed });
+    }
+
+    const ids = [];
+    for (const { question_id: questionId, answer } of answers) {
+      const result = await client.query(`
+        UPDATE request_clarifications
+        SET answer = $1, status = 'answered', answered_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING id
+      `, [answer, questionId]);
+      ids.push(result.rows[0].id);
+    }
+    return ids;
+  });
+
+  const questions = await getClarifications(requestId);
+  const remainingBlocking = questions.filter(item => item.blocking && item.status === 'open');
+
+  let job = null;
+  if (remainingBlocking.length === 0) {
+    job = await releaseForGeneration(requestId, 'answered');
+  }
+
+  await clearRequestCache(requestId);
+
+  return {
+    answered: updated,
+    questions,
+    remainingBlocking,
+    generationQueued: Boolean(job),
+    jobId: job ? job.id : null
+  };
+};
+
+module.exports = {
+  ClarificationError,
+  analyzeRequest,
+  startGeneration,
+  openClarifications,
+  getClarifications,
+  answerClarifications,
+  releaseForGeneration
+};
@@ -0,0 +1,298 @@
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { cache, cacheKeys } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { estimatePricing } = require('./pricing');
+const llm = require('./llm');
+
+const TRIGGER_TYPES = ['webhook', 'schedule', 'polling', 'event', 'manual'];
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'email', 'url', 'object', 'array'];
+
+// The customer can still change the spec until generation has started
+const EDITABLE_STATUSES = ['requested', 'quoted', 'approved', 'paid', 'awaiting_clarification'];
+
+// The quoted price follows the spec only until the customer has agreed to it
+const REPRICEABLE_STATUSES = ['requested', 'quoted'];
+
+const fieldSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  type: Joi.string().valid(...FIELD_TYPES).default('string'),
+  required: Joi.boolean().default(false),
+  example: Joi.any()
+});
+
+const specSchema = Joi.object({
+  summary: Joi.string().max(1000).allow('').default(''),
+  trigger: Joi.object({
+    type: Joi.string().valid(...TRIGGER_TYPES).required(),
+    event: Joi.string().max(255).allow('', null).default(null),
+    schedule: Joi.object({
+      frequency: Joi.string().valid('hourly', 'daily', 'weekly', 'monthly', 'custom').required(),
+      time: Joi.string().max(50).allow('', null).default(null),
+      timezone: Joi.string().max(50).allow('', null).default(null),
+      cron: Joi.string().max(100).allow('', null).default(null)
+    }).allow(null).default(null)
+  }).required(),
+  sources: Joi.array().items(Joi.object({
+    system: Joi.string().max(255).required(),
+    description: Joi.string().max(500).allow('', null).default(null)
+  })).default([]),
+  targets: Joi.array().items(Joi.object({
+    system: Joi.string().max(255).required(),
+    action: Joi.string().max(500).allow('', null).default(null)
+  })).default([]),
+  entities: Joi.array().items(Joi.object({
+    name: Joi.string().max(100).required(),
+    fields: Joi.array().items(fieldSchema).default([])
+  })).default([]),
+  transformations: Joi.array().items(Joi.string().max(500)).default([]),
+  errorPolicy: Joi.object({
+    onFailure: Joi.string().valid('retry', 'stop', 'continue').default('retry'),
+    retries: Joi.number().integer().min(0).max(10).default(3),
+    notify: Joi.array().items(Joi.string().max(255)).default([])
+  }).default(),
+  volume: Joi.object({
+    recordsPerRun: Joi.number().integer().min(0).allow(null).default(null),
+    runsPerDay: Joi.number().min(0).allow(null).default(null),
+    peakPerMinute: Joi.number().integer().min(0).allow(null).default(null)
+  }).default(),
+  complexity: Joi.string().valid('simple', 'medium', 'complex').default('medium'),
+  assumptions: Joi.array().items(Joi.string().max(500)).default([])
+});
+
+// Joi-style { error, value } so routes can report validation details
+const validateSpec = (spec) => specSchema.validate(spec, { stripUnknown: true, abortEarly: false });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const SCHEDULED_FREQUENCIES = ['hourly', 'daily', 'weekly', 'monthly'];
+
+// Trigger from the form's frequency field, falling back to the description wording
+const draftTrigger = (customerRequest, text, assumptions) => {
+  const frequency = customerRequest.frequency ||
+    (text.match(/\b(hourly|daily|weekly|monthly)\b/) || [])[1] || null;
+
+  if (SCHEDULED_FREQUENCIES.includes(frequency)) {
+    return { type: 'schedule', event: null, schedule: { frequency, time: null, timezone: null, cron: null } };
+  }
+  if (frequency === 'once') {
+    return { type: 'manual', event: null, schedule: null };
+  }
+  if (frequency === 'real-time' || /\b(?:when(?:ever)?|as soon as|each time|new)\b/.test(text)) {
+    return { type: 'webhook', event: null, schedule: null };
+  }
+
+  assumptions.push('No trigger was described, so the workflow is started by a webhook call');
+  return { type: 'webhook', event: null, schedule: null };
+};
+
+// Spec built only from the request form, used until the intake model has refined it
+const draftSpecFromRequest = (customerRequest) => {
+  const description = customerRequest.automation_description || '';
+  const text = [description, customerRequest.special_requirements].filter(Boolean).join(' ').toLowerCase();
+  const assumptions = [];
+
+  const spec = {
+    summary: description.substring(0, 1000),
+    trigger: draftTrigger(customerRequest, text, assumptions),
+    sources: (customerRequest.input_sources || []).map(system => ({ system, description: null })),
+    targets: (customerRequest.output_targets || []).map(system => ({ system, action: null })),
+    entities: [],
+    transformations: [],
+    errorPolicy: { onFailure: 'retry', retries: 3, notify: [customerRequest.customer_email].filter(Boolean) },
+    volume: { recordsPerRun: null, runsPerDay: null, peakPerMinute: null },
+    complexity: customerRequest.complexity || 'medium',
+    assumptions
+  };
+
+  return validateSpec(spec).value;
+};
+
+// The spec every downstream step works from; legacy requests get a draft on the fly
+const getRequirementSpec = (customerRequest) => {
+  if (customerRequest.requirement_spec) {
+    return parseJson(customerRequest.requirement_spec);
+  }
+  return draftSpecFromRequest(customerRequest);
+};
+
+const buildExtractionPrompts = (customerRequest, draft) => {
+  const systemPrompt = `You turn customer automation requests into a structured requirement spec for an n8n workflow builder.
+
+Reply with a single JSON object and nothing else, using exactly these keys:
+- summary: one or two sentences describing the automation
+- trigger: { type: one of ${TRIGGER_TYPES.join(', ')}, event: what starts it or null, schedule: null or { frequency: hourly|daily|weekly|monthly|custom, time, timezone, cron } }
+- sources: [{ system, description }] systems data is read from
+- targets: [{ system, action }] systems data is written to and what happens there
+- entities: [{ name, fields: [{ name, type: one of ${FIELD_TYPES.join(', ')}, required, example }] }] records that flow through the workflow
+- transformations: [string] each filtering, mapping or calculation step
+- errorPolicy: { onFailure: retry|stop|continue, retries, notify: [string] }
+- volume: { recordsPerRun, runsPerDay, peakPerMinute } as numbers or null when unknown
+- complexity: simple|medium|complex
+- assumptions: [string] everything you inferred rather than read in the request
+
+Never invent systems the customer did not mention; record guesses under assumptions.`;
+
+  const userPrompt = `CUSTOMER REQUEST:
+- Description: ${customerRequest.automation_description || ''}
+- Input sources: ${(customerRequest.input_sources || []).join(', ') || 'not listed'}
+- Output targets: ${(customerRequest.output_targets || []).join(', ') || 'not listed'}
+- Frequency: ${customerRequest.frequency || 'not specified'}
+- Industry: ${customerRequest.industry || 'not specified'}
+- Special requirements: ${customerRequest.special_requirements || 'none'}
+- Requested complexity: ${customerRequest.complexity || 'not specified'}
+
+DRAFT SPEC FROM THE FORM FIELDS (correct and complete it):
+${JSON.stringify(draft, null, 2)}`;
+
+  return { systemPrompt, userPrompt };
+};
+
+const parseSpecResponse = (text) => {
+  const match = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('No JSON object in the spec extraction response');
+  }
+  return JSON.parse(match[1] || match[0]);
+};
+
+// Ask the intake model for a full spec, keeping the form-based draft if it fails
+const extractRequirementSpec = async (customerRequest, usageContext = {}) => {
+  const draft = draftSpecFromRequest(customerRequest);
+  const { systemPrompt, userPrompt } = buildExtractionPrompts(customerRequest, draft);
+
+  try {
+    const response = await llm.createMessage('intake', {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userPrompt }]
+    }, { customerRequestId: customerRequest.id, ...usageContext });
+
+    const { error, value } = validateSpec(parseSpecResponse(response.text));
+    if (error) {
+      throw new Error(`Extracted spec is invalid: ${error.details.map(detail => detail.message).join('; ')}`);
+    }
+
+    return { spec: value, source: 'extracted' };
+  } catch (error) {
+    logger.warn(`Requirement spec extraction failed for request ${customerRequest.id}, keeping the draft:`, error.message);
+    return { spec: draft, source: 'draft' };
+  }
+};
+
+const clearRequestCache = async (requestId) => {
+  try {
+    await cache.del(cacheKeys.customerRequest(requestId));
+  } catch (error) {
+    logger.debug(`Failed to clear cached customer request ${requestId}:`, error.message);
+  }
+};
+
+// Store a spec (unconfirmed) and re-quote the request if the price is still open.
+// With unlessCustomerOwned the write is skipped (request: null) when the customer edited or
+// confirmed the spec in the meantime.
+const saveRequirementSpec = async (customerRequest, spec, source, { unlessCustomerOwned = false } = {}) => {
+  const pricing = REPRICEABLE_STATUSES.includes(customerRequest.status)
+    ? await estimatePricing({ ...customerRequest, requirement_spec: spec })
+    : null;
+
+  const result = await query(`
+    UPDATE customer_requests
+    SET requirement_spec = $1, requirement_spec_source = $2, requirement_spec_confirmed_at = NULL,
+        complexity = $3, estimated_price = COALESCE($4, estimated_price), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $5
+    ${unlessCustomerOwned ? "AND requirement_spec_source IS DISTINCT FROM 'customer' AND requirement_spec_confirmed_at IS NULL" : ''}
+    RETURNING *
+  `, [JSON.stringify(spec), source, spec.complexity, pricing ? pricing.totalPrice : null, customerRequest.id]);
+
+  if (result.rows.length === 0) {
+    return { request: null, pricing: null };
+  }
+
+  await clearRequestCache(customerRequest.id);
+
+  return { request: result.rows[0], pricing };
+};
+
+// Intake job: replace the form draft with the model's spec unless the customer has taken over
+const refineRequirementSpec = async (requestId, usageContext = {}) => {
+  const result = await query('SELECT * FROM customer_requests WHERE id = $1', [requestId]);
+  if (result.rows.length === 0) {
+    throw new Error(`Customer request ${requestId} not found`);
+  }
+  const customerRequest = result.rows[0];
+
+  if (customerRequest.requirement_spec_confirmed_at || customerRequest.requirement_spec_source === 'customer') {
+    logger.info(`Requirement spec for request ${requestId} is already customer-owned, skipping extraction`);
+    return { requestId, skipped: true };
+  }
+
+  const { spec, source } = await extractRequirementSpec(customerRequest, usageContext);
+  if (source !== 'extracted') {
+    return { requestId, skipped: true };
+  }
+
+  // The customer may have edited or confirmed the spec while the model was running
+  const saved = await saveRequirementSpec(customerRequest, spec, source, { unlessCustomerOwned: true });
+  if (!saved.request) {
+    logger.info(`Requirement spec for request ${requestId} became customer-owned during extraction, discarding it`);
+    return { requestId, skipped: true };
+  }
+
+  logger.info(`Requirement spec extracted for request ${requestId}`);
+
+  return { requestId, skipped: false, estimatedPrice: saved.request.estimated_price };
+};
+
+const confirmRequirementSpec = async (requestId) => {
+  const result = await query(`
+    UPDATE customer_requests
+    SET requirement_spec_confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND requirement_spec IS NOT NULL
+    RETURNING *
+  `, [requestId]);
+
+  await clearRequestCache(requestId);
+  return result.rows[0] || null;
+};
+
+const formatList = (items, render) => (items.length > 0 ? items.map(item => `  - ${render(item)}`).join('\n') : '  - none specified');
+
+// Render the spec as the requirements block of the generation prompt
+const formatSpecForPrompt = (spec) => {
+  const schedule = spec.trigger.schedule;
+  const scheduleText = schedule
+    ? ` (${[schedule.frequency, schedule.time, schedule.timezone, schedule.cron && `cron ${schedule.cron}`].filter(Boolean).join(', ')})`
+    : '';
+  const volume = Object.entries(spec.volume || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+
+  return `REQUIREMENT SPEC:
+- Summary: ${spec.summary || 'n/a'}
+- Trigger: ${spec.trigger.type}${spec.trigger.event ? ` on ${spec.trigger.event}` : ''}${scheduleText}
+- Sources:
+${formatList(spec.sources, source => `${source.system}${source.description ? `: ${source.description}` : ''}`)}
+- Targets:
+${formatList(spec.targets, target => `${target.system}${target.action ? `: ${target.action}` : ''}`)}
+- Entities:
+${formatList(spec.entities, entity => `${entity.name} (${entity.fields.map(field => `${field.name}: ${field.type}${field.required ? ', required' : ''}`).join('; ') || 'fields not specified'})`)}
+- Transformations:
+${formatList(spec.transformations, step => step)}
+- Error policy: ${spec.errorPolicy.onFailure} with ${spec.errorPolicy.retries} retries${spec.errorPolicy.notify.length > 0 ? `, notify ${spec.errorPolicy.notify.join(', ')}` : ''}
+- Volume: ${volume || 'not specified'}
+- Complexity: ${spec.complexity}
+${spec.assumptions.length > 0 ? `- Assumptions to keep unless they conflict with the above:\n${formatList(spec.assumptions, item => item)}\n` : ''}`;
+};
+
+module.exports = {
+  validateSpec,
+  draftSpecFromRequest,
+  getRequirementSpec,
+  extractRequirementSpec,
+  saveRequirementSpec,
+  refineRequirementSpec,
+  confirmRequirementSpec,
+  formatSpecForPrompt,
+  EDITABLE_STATUSES
+};
@@ -0,0 +1,429 @@
+const { query } = require('../config/database');
+const { getConfigValue } = require('../config/systemConfig');
+const { logger } = require('../utils/logger');
+const { tokenize } = require('../utils/textIndex');
+const { getNodeDefinition, isTriggerType, isAnnotationType } = require('./nodeCatalog');
+const { finalizeWorkflow } = require('./workflowGenerator');
+const { testWorkflow } = require('./workflowTester');
+const { getSubWorkflows, getBundleKeys } = require('./workflowDecomposition');
+const { getRequirementSpec } = require('./requirementSpec');
+const llm = require('./llm');
+
+const DEFAULT_MATCH_THRESHOLD = 0.7;
+
+const MATCH_WEIGHTS = { systems: 0.5, keywords: 0.3, trigger: 0.2 };
+
+// Webhooks, app events and polling all start the workflow when something happens
+const TRIGGER_FAMILIES = {
+  webhook: 'event',
+  event: 'event',
+  polling: 'event',
+  schedule: 'schedule',
+  manual: 'manual'
+};
+
+// Why a workflow cannot be promoted: workflow_not_found, version_not_found, not_tested, invalid_variables or missing_sub_workflows
+class TemplatePromotionError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'TemplatePromotionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const normalizeName = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Variable paths are dotted keys inside node.parameters, e.g. "options.filter" or "values.0.name"
+const getPath = (target, path) => path.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), target);
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] === undefined || object[key] === null) object[key] = {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Drop everything tied to one n8n instance: workflow id, pinned and static data, node ids and credentials
+const stripInstanceData = (workflow) => {
+  const { id, pinData, staticData, ...rest } = workflow;
+  return {
+    ...rest,
+    nodes: (workflow.nodes || []).map(({ id: nodeId, credentials, ...node }) => node)
+  };
+};
+
+// Problems with variable definitions against the workflow they parameterize
+const checkTemplateVariables = (workflow, variables) => {
+  const nodes = new Map((workflow.nodes || []).map(node => [node.name, node]));
+  const problems = [];
+  const seen = new Set();
+
+  variables.forEach(variable => {
+    if (seen.has(variable.key)) {
+      problems.push(`Variable "${variable.key}" is defined more than once`);
+    }
+    seen.add(variable.key);
+
+    const node = nodes.get(variable.node);
+    if (!node) {
+      problems.push(`Variable "${variable.key}" points at missing node "${variable.node}"`);
+    } else if (variable.default === undefined && getPath(node.parameters || {}, variable.path) === undefined) {
+      problems.push(`Variable "${variable.key}" points at parameter "${variable.path}", which node "${variable.node}" does not set`);
+    }
+  });
+
+  return problems;
+};
+
+// App triggers such as gmailTrigger count as the app's integration
+const integrationDefinition = (type) => {
+  const definition = getNodeDefinition(type);
+  if (definition && definition.group === 'integration') return definition;
+
+  const appType = isTriggerType(type) && /Trigger$/.test(type || '') ? type.replace(/Trigger$/, '') : null;
+  const appDefinition = getNodeDefinition(appType);
+  return appDefinition && appDefinition.group === 'integration' ? appDefinition : null;
+};
+
+// Integration names a workflow talks to, taken from the catalog entries of its nodes
+const describeSystems = (workflow) => {
+  const systems = (workflow.nodes || [])
+    .filter(node => !isAnnotationType(node.type))
+    .map(node => integrationDefinition(node.type))
+    .filter(Boolean)
+    .map(definition => definition.displayName);
+
+  return [...new Set(systems)];
+};
+
+const detectTriggerType = (workflow) => {
+  const trigger = (workflow.nodes || []).find(node => isTriggerType(node.type));
+  if (!trigger) return null;
+
+  const type = normalizeName(trigger.type);
+  if (type.includes('webhook') || type.includes('formtrigger')) return 'webhook';
+  if (type.includes('schedule') || type.includes('cron') || type.includes('interval')) return 'schedule';
+  if (type.includes('manual')) return 'manual';
+  return 'event';
+};
+
+// Promote a tested workflow revision to the library; variables default to the values it was delivered with
+const promoteToTemplate = async (workflowId, { versionNumber = null, name, description, variables = [], keywords = [] }) => {
+  const result = await query(`
+    SELECT w.id, w.name, w.current_version, COALESCE(wv.test_status, w.test_status) AS test_status,
+           COALESCE(wv.workflow_json, w.workflow_json) AS workflow_json, wv.version_number, wv.sub_workflows
+    FROM workflows w
+    LEFT JOIN workflow_versions wv ON wv.workflow_id = w.id AND wv.version_number = COALESCE($2, w.current_version)
+    WHERE w.id = $1
+  `, [workflowId, versionNumber]);
+
+  if (result.rows.length === 0) {
+    throw new TemplatePromotionError('workflow_not_found', `Workflow ${workflowId} not found`);
+  }
+
+  const source = result.rows[0];
+  if (versionNumber && !source.version_number) {
+    throw new TemplatePromotionError('version_not_found', `Version ${versionNumber} of workflow ${workflowId} not found`);
+  }
+  if (source.test_status !== 'passed') {
+    throw new TemplatePromotionError('not_tested', `Only tested workflows can become templates (test status: ${source.test_status || 'none'})`);
+  }
+
+  const workflow = stripInstanceData(parseJson(source.workflow_json));
+  const problems = checkTemplateVariables(workflow, variables);
+  if (problems.length > 0) {
+    throw new TemplatePromotionError('invalid_variables', 'Invalid template variables', problems);
+  }
+
+  // Revisions recorded before bundles were versioned only have the live bundle to fall back on
+  let sourceSubWorkflows = parseJson(source.sub_workflows);
+  if (!Array.isArray(sourceSubWorkflows)) {
+    const isCurrent = !source.version_number || parseInt(source.version_number) === parseInt(source.current_version);
+    sourceSubWorkflows = isCurrent ? await getSubWorkflows(workflowId) : [];
+  }
+  const subWorkflows = sourceSubWorkflows.map(({ key, name, workflow: subWorkflow }) => ({ key, name, workflow: stripInstanceData(subWorkflow) }));
+
+  const missingKeys = getBundleKeys(workflow).filter(key => !subWorkflows.some(subWorkflow => subWorkflow.key === key));
+  if (missingKeys.length > 0) {
+    throw new TemplatePromotionError('missing_sub_workflows', 'The sub-workflows this workflow calls are not stored with it', missingKeys);
+  }
+
+  const nodes = new Map(workflow.nodes.map(node => [node.name, node]));
+  const storedVariables = variables.map(variable => ({
+    key: variable.key,
+    node: variable.node,
+    path: variable.path,
+    description: variable.description || null,
+    default: variable.default !== undefined ? variable.default : getPath(nodes.get(variable.node).parameters || {}, variable.path)
+  }));
+
+  // Integrations split out into sub-workflows still count towards matching
+  const systems = describeSystems({ nodes: [workflow, ...subWorkflows.map(subWorkflow => subWorkflow.workflow)].flatMap(bundleWorkflow => bundleWorkflow.nodes || []) });
+  const keywordSet = [...new Set([...keywords.flatMap(tokenize), ...tokenize(`${name} ${description} ${systems.join(' ')}`)])];
+
+  const inserted = await query(`
+    INSERT INTO workflow_templates (
+      name, description, source_workflow_id, source_version, workflow_json,
+      variables, keywords, systems, trigger_type, sub_workflows
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    name,
+    description,
+    workflowId,
+    source.version_number || source.current_version,
+    JSON.stringify(workflow),
+    JSON.stringify(storedVariables),
+    keywordSet,
+    systems,
+    detectTriggerType(workflow),
+    JSON.stringify(subWorkflows)
+  ]);
+
+  logger.info(`Workflow ${workflowId} promoted to template ${inserted.rows[0].id} (${name}) with ${storedVariables.length} variable(s) and ${subWorkflows.length} sub-workflow(s)`);
+
+  return inserted.rows[0];
+};
+
+const listTemplates = async ({ includeInactive = false } = {}) => {
+  const result = await query(`
+    SELECT id, name, description, source_workflow_id, source_version, variables, keywords,
+           systems, trigger_type, usage_count, last_used_at, active, created_at, updated_at
+    FROM workflow_templates
+    ${includeInactive ? '' : 'WHERE active = true'}
+    ORDER BY usage_count DESC, created_at DESC
+  `);
+  return result.rows;
+};
+
+const getTemplate = async (templateId) => {
+  const result = await query('SELECT * FROM workflow_templates WHERE id = $1', [templateId]);
+  return result.rows[0] || null;
+};
+
+const setTemplateActive = async (templateId, active) => {
+  const result = await query(
+    'UPDATE workflow_templates SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, name, active',
+    [active, templateId]
+  );
+  return result.rows[0] || null;
+};
+
+// How closely a template fits a request spec: shared systems, keyword overlap and trigger style
+const scoreTemplateMatch = (template, spec, requestTokens) => {
+  const wanted = [...spec.sources, ...spec.targets].map(item => normalizeName(item.system)).filter(Boolean);
+  const offered = (template.systems || []).map(normalizeName);
+  const matches = (left, right) => left.includes(right) || right.includes(left);
+
+  // Systems the template uses but the request never asked for count against it
+  const matched = [...new Set(wanted)].filter(system => offered.some(name => matches(name, system)));
+  const extra = offered.filter(name => !wanted.some(system => matches(name, system)));
+  const systemTotal = new Set(wanted).size + extra.length;
+  const systems = systemTotal > 0 ? matched.length / systemTotal : 1;
+
+  const keywords = template.keywords || [];
+  const keywordScore = keywords.length > 0
+    ? keywords.filter(keyword => requestTokens.has(keyword)).length / keywords.length
+    : 0;
+
+  const trigger = template.trigger_type && TRIGGER_FAMILIES[spec.trigger.type] === TRIGGER_FAMILIES[template.trigger_type] ? 1 : 0;
+
+  const score = systems * MATCH_WEIGHTS.systems + keywordScore * MATCH_WEIGHTS.keywords + trigger * MATCH_WEIGHTS.trigger;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    components: {
+      systems: Math.round(systems * 1000) / 1000,
+      keywords: Math.round(keywordScore * 1000) / 1000,
+      trigger
+    }
+  };
+};
+
+// Best active template for a request, or null when none clears the configured threshold
+const findMatchingTemplate = async (customerRequest) => {
+  const threshold = parseFloat(await getConfigValue('template_match_threshold', DEFAULT_MATCH_THRESHOLD)) || DEFAULT_MATCH_THRESHOLD;
+  const spec = getRequirementSpec(customerRequest);
+  const requestTokens = new Set(tokenize([
+    spec.summary,
+    customerRequest.automation_description,
+    ...spec.sources.map(source => source.system),
+    ...spec.targets.map(target => target.system)
+  ].filter(Boolean).join(' ')));
+
+  const result = await query('SELECT * FROM workflow_templates WHERE active = true');
+
+  const ranked = result.rows
+    .map(template => ({ template, ...scoreTemplateMatch(template, spec, requestTokens) }))
+    .sort((left, right) => right.score - left.score);
+
+  const best = ranked[0];
+  if (!best || best.score < threshold) {
+    logger.info(`No template match for request ${customerRequest.id}${best ? ` (best: template ${best.template.id} at ${best.score})` : ''}`);
+    return null;
+  }
+
+  return best;
+};
+
+const parseValuesResponse = (text) => {
+  const match = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('No JSON object in the template values response');
+  }
+  return JSON.parse(match[1] || match[0]);
+};
+
+// Ask the intake model for this customer's variable values; anything it cannot tell keeps the default
+const fillTemplateVariables = async (template, customerRequest, usageContext = {}) => {
+  const variables = parseJson(template.variables) || [];
+  const defaults = Object.fromEntries(variables.map(variable => [variable.key, variable.default]));
+  if (variables.length === 0) return defaults;
+
+  const variableList = variables
+    .map(variable => `- ${variable.key}: ${variable.description || variable.path} (default: ${JSON.stringify(variable.default)})`)
+    .join('\n');
+
+  const systemPrompt = 'You fill in the parameters of a reusable n8n workflow template for one customer. Reply with a single JSON object mapping each variable key to its value. Use null for anything the request does not state.';
+  const userPrompt = `TEMPLATE: ${template.name}
+${template.description}
+
+VARIABLES:
+${variableList}
+
+CUSTOMER REQUEST:
+${customerRequest.automation_description || ''}
+${customerRequest.special_requirements ? `Special requirements: ${customerRequest.special_requirements}` : ''}`;
+
+  try {
+    const response = await llm.createMessage('intake', {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userPrompt }]
+    }, { customerRequestId: customerRequest.id, ...usageContext });
+
+    const values = parseValuesResponse(response.text);
+    return Object.fromEntries(variables.map(variable => [
+      variable.key,
+      values[variable.key] !== undefined && values[variable.key] !== null ? values[variable.key] : variable.default
+    ]));
+  } catch (error) {
+    logger.warn(`Could not fill template ${template.id} variables for request ${customerRequest.id}, using defaults:`, error.message);
+    return defaults;
+  }
+};
+
+// Copy of the template workflow with the customer's values written into the variable parameters
+const instantiateTemplate = (template, values, customerRequest) => {
+  // Templates promoted before instance data was stripped may still carry some
+  const workflow = stripInstanceData(JSON.parse(JSON.stringify(parseJson(template.workflow_json))));
+  const nodes = new Map(workflow.nodes.map(node => [node.name, node]));
+
+  (parseJson(template.variables) || []).forEach(variable => {
+    const node = nodes.get(variable.node);
+    if (!node) return;
+    node.parameters = node.parameters || {};
+    setPath(node.parameters, variable.path, values[variable.key] !== undefined ? values[variable.key] : variable.default);
+  });
+
+  return {
+    ...workflow,
+    name: `${template.name} for ${customerRequest.customer_name || `request ${customerRequest.id}`}`,
+    meta: {
+      generatedAt: new Date().toISOString(),
+      generatedBy: 'template-library',
+      customerRequestId: customerRequest.id,
+      templateId: template.id,
+      version: '1.0.0'
+    }
+  };
+};
+
+// Try the library before generating from scratch. Returns a result in generateWithRepair's
+// shape, or null when no template fits or the instantiated copy fails validation or tests.
+const generateFromTemplate = async (customerRequest, { runTests = false, usageContext = {}, testCases = [] } = {}) => {
+  const match = await findMatchingTemplate(customerRequest);
+  if (!match) return null;
+
+  const { template } = match;
+  const values = await fillTemplateVariables(template, customerRequest, usageContext);
+  const result = await finalizeWorkflow(instantiateTemplate(template, values, customerRequest), customerRequest);
+  // The instance calls the same sub-workflows through its bundle: references
+  const subWorkflows = parseJson(template.sub_workflows) || [];
+
+  const record = {
+    attempt: 1,
+    stage: 'template',
+    success: false,
+    error: null,
+    issues: result.validation.errors,
+    diff: null,
+    timestamp: new Date().toISOString()
+  };
+
+  if (!result.validation.valid) {
+    logger.warn(`Template ${template.id} instance for request ${customerRequest.id} failed validation, generating from scratch`);
+    return null;
+  }
+
+  let testResult = null;
+  if (runTests) {
+    testResult = await testWorkflow({
+      id: `request-${customerRequest.id}-template-${template.id}`,
+      workflow: result.workflow,
+      complexity: customerRequest.complexity,
+      requirementSpec: getRequirementSpec(customerRequest),
+      testCases,
+      subWorkflows
+    });
+    record.testResult = testResult.overall;
+
+    if (!testResult.overall.success) {
+      logger.warn(`Template ${template.id} instance for request ${customerRequest.id} failed testing, generating from scratch`);
+      return null;
+    }
+  }
+
+  record.success = true;
+
+  await query(
+    'UPDATE workflow_templates SET usage_count = usage_count + 1, last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [template.id]
+  );
+
+  logger.info(`Request ${customerRequest.id} built from template ${template.id} (${template.name}), match score ${match.score}`);
+
+  return {
+    ...result,
+    subWorkflows,
+    metadata: { ...result.metadata, templateId: template.id },
+    testResult,
+    attempts: [record],
+    template: {
+      id: template.id,
+      name: template.name,
+      score: match.score,
+      components: match.components,
+      values
+    }
+  };
+};
+
+module.exports = {
+  TemplatePromotionError,
+  promoteToTemplate,
+  listTemplates,
+  getTemplate,
+  setTemplateActive,
+  checkTemplateVariables,
+  findMatchingTemplate,
+  fillTemplateVariables,
+  instantiateTemplate,
+  generateFromTemplate
+};
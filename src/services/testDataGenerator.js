@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const { buildAdjacency } = require('../utils/workflowGraph');
+const { extractReferences } = require('../utils/n8nExpressions');
+const { collectReferences } = require('./expressionReferences');
+const { isTriggerType } = require('./nodeCatalog');
+
+// Top-level keys of a webhook item; any other field the workflow reads is assumed to be sent in the body
+const WEBHOOK_CONTAINERS = ['body', 'query', 'headers', 'params'];
+
+// IF v2 / Filter operator types, mapped to the spec's field types
+const OPERATOR_TYPES = { string: 'string', number: 'number', boolean: 'boolean', dateTime: 'date', array: 'array', object: 'object' };
+
+// Methods only lists have; a field they are called on is an array
+const ARRAY_METHODS = ['map', 'filter', 'forEach', 'reduce', 'some', 'every', 'find', 'findIndex', 'flatMap', 'join'];
+
+// Field names that say what kind of value they hold; checked in order
+const NAME_TYPES = [
+  ['email', /e-?mail/i],
+  ['url', /(url|link|website|href)$/i],
+  ['date', /(date|time|timestamp|deadline|birthday)$|_at$|[a-z]At$/],
+  ['boolean', /^(is|has|should|can|allow)[A-Z_]|^(active|enabled|verified|subscribed|approved)$/i],
+  ['string', /(phone|zip|postal|sku|code|id)$/i],
+  ['number', /(total|amount|price|cost|count|qty|quantity|age|score|rate|percent|sum|balance|size)$/i]
+];
+
+const FIRST_NAMES = ['Ada', 'Grace', 'Alan', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Katherine'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Turing', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Johnson'];
+const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs', 'Hooli', 'Vandelay Industries'];
+const WORDS = ['alpha', 'harbor', 'summit', 'orbit', 'maple', 'cobalt', 'meadow', 'granite'];
+const STATUSES = ['active', 'pending', 'completed', 'cancelled'];
+const UNICODE_TEXT = ['Zoë Ångström', '山田 太郎', 'محمد الأحمد', 'Łukasz Żółć', 'Renée Müller 🚀', 'Ünïcödé — 日本語 — العربية ✨'];
+
+// Dates are spread over 2024 so payloads do not depend on when they were generated
+const BASE_DATE = Date.UTC(2024, 0, 1);
+
+const OMIT = Symbol('omit');
+
+const hashSeed = (text) => {
+  let hash = 2166136261;
+  for (const character of text) {
+    hash ^= character.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and identical on every platform, so a seed always replays the same payloads
+const createRandom = (seed) => {
+  let state = hashSeed(String(seed));
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    bool: () => next() < 0.5
+  };
+};
+
+const nodeKind = (node) => String(node.type || '').split('.').pop().toLowerCase();
+
+// The trigger test data is sent to: a webhook first, as the simulator and n8n pick it, then any other trigger
+const findTrigger = (workflow) => {
+  const triggers = (workflow.nodes || []).filter(node => !node.disabled && isTriggerType(node.type));
+  return triggers.find(node => nodeKind(node) === 'webhook') ||
+    triggers.find(node => nodeKind(node) === 'formtrigger') ||
+    triggers.find(node => nodeKind(node) === 'manualtrigger') ||
+    triggers[0] || null;
+};
+
+// How test data reaches the trigger; 'other' triggers (schedules, mailboxes) take no input
+const getTriggerKind = (trigger) => {
+  if (!trigger) return 'none';
+  const kind = nodeKind(trigger);
+  if (kind === 'webhook') return 'webhook';
+  if (kind === 'formtrigger') return 'form';
+  if (kind === 'manualtrigger') return 'manual';
+  return 'other';
+};
+
+const createShapeNode = () => ({ type: null, required: true, source: 'workflow', properties: null, items: null });
+
+// Add a dotted field path (items.0.sku) to the shape, creating objects and arrays along the way
+const addField = (root, segments, attributes = {}) => {
+  let node = root;
+
+  for (const [index, segment] of segments.entries()) {
+    // items.length only tells us items is a list
+    if (segment === 'length' && index > 0 && index === segments.length - 1) {
+      if (!node.properties && !node.items) node.type = node.type || 'array';
+      return;
+    }
+    if (/^\d+$/.test(segment)) {
+      node.items = node.items || createShapeNode();
+      node = node.items;
+      continue;
+    }
+    node.properties = node.properties || {};
+    node.properties[segment] = node.properties[segment] || createShapeNode();
+    node = node.properties[segment];
+  }
+
+  if (!node.properties && !node.items) {
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) node[key] = value;
+    });
+  }
+};
+
+const inferType = (key) => {
+  const match = NAME_TYPES.find(([, pattern]) => pattern.test(String(key)));
+  return match ? match[0] : 'string';
+};
+
+const singular = (key) => String(key || 'item').replace(/(ies)$/, 'y').replace(/s$/, '');
+
+// Settle every node's type now that all fields are known
+const finalizeShape = (node, key) => {
+  if (node.properties) {
+    node.type = 'object';
+    Object.entries(node.properties).forEach(([childKey, child]) => finalizeShape(child, childKey));
+  } else if (node.items) {
+    node.type = 'array';
+    finalizeShape(node.items, singular(key));
+  } else if (!node.type) {
+    node.type = inferType(key);
+  }
+  return node;
+};
+
+// Types the workflow treats trigger fields as: lists it iterates over, then what its own IF/Filter
+// conditions compare them as
+const collectTypeHints = (workflow, childNames, references) => {
+  const hints = new Map();
+  references
+    .filter(reference => ARRAY_METHODS.includes(reference.method))
+    .forEach(reference => hints.set(reference.field, 'array'));
+
+  (workflow.nodes || []).filter(node => childNames.has(node.name)).forEach(node => {
+    (node.parameters?.conditions?.conditions || []).forEach(condition => {
+      const type = OPERATOR_TYPES[condition?.operator?.type];
+      if (!type) return;
+      extractReferences(condition.leftValue)
+        .filter(reference => reference.kind === 'input' && reference.field)
+        .forEach(reference => hints.set(reference.field, type));
+    });
+  });
+  return hints;
+};
+
+// Fields read from the trigger's output: $json in the nodes right after it, and $('Trigger') anywhere
+const collectTriggerFields = (workflow, trigger) => {
+  const childNames = new Set((buildAdjacency(workflow).children.get(trigger.name) || []).map(edge => edge.target));
+
+  const references = collectReferences(workflow)
+    .filter(reference => reference.field && (reference.kind === 'node'
+      ? reference.node === trigger.name
+      : reference.kind === 'input' && childNames.has(reference.source)));
+  const hints = collectTypeHints(workflow, childNames, references);
+
+  return _.uniq(references.map(reference => reference.field)).map(field => ({ field, type: hints.get(field) }));
+};
+
+// The shape of the trigger item the workflow expects, from its expressions and the spec's entities
+const inferInputShape = (workflow, spec = null) => {
+  const trigger = findTrigger(workflow);
+  const kind = getTriggerKind(trigger);
+  const root = createShapeNode();
+  root.type = 'object';
+
+  // Webhook payloads are the request body; other triggers emit the record itself
+  const bodyPath = kind === 'webhook' ? ['body'] : [];
+
+  if (trigger) {
+    collectTriggerFields(workflow, trigger).forEach(({ field, type }) => {
+      const segments = field.split('.');
+      const inContainer = kind !== 'webhook' || WEBHOOK_CONTAINERS.includes(segments[0]);
+      addField(root, inContainer ? segments : [...bodyPath, ...segments], { type });
+    });
+  }
+
+  // Spec fields say what is optional and what the values look like; several entities are keyed by name
+  const entities = spec?.entities || [];
+  entities.forEach(entity => {
+    const entityPath = entities.length > 1 ? [...bodyPath, entity.name] : bodyPath;
+    (entity.fields || []).forEach(field => {
+      addField(root, [...entityPath, ...String(field.name).split('.')], {
+        type: field.type,
+        required: Boolean(field.required),
+        example: field.example,
+        source: 'spec'
+      });
+    });
+  });
+
+  // Nothing to go on: a small generic record
+  if (!root.properties) {
+    [['sampleId', 'number'], ['message', 'string'], ['timestamp', 'date']].forEach(([name, type]) => {
+      addField(root, [...bodyPath, name], { type, required: false, source: 'default' });
+    });
+  }
+
+  finalizeShape(root, null);
+  if (kind === 'webhook') {
+    // A bare $json.body or $json.query is still an object
+    WEBHOOK_CONTAINERS.forEach(container => {
+      const node = root.properties[container];
+      if (node && !node.properties && !node.items) Object.assign(node, { type: 'object', properties: {} });
+    });
+  }
+
+  return { trigger: trigger ? { node: trigger.name, kind } : { node: null, kind }, shape: root };
+};
+
+const stringValue = (key, random) => {
+  const name = String(key || 'value');
+  const first = random.pick(FIRST_NAMES);
+  const last = random.pick(LAST_NAMES);
+
+  if (/first_?name/i.test(name)) return first;
+  if (/(last_?name|surname)$/i.test(name)) return last;
+  if (/(company|organi[sz]ation|account)(_?name)?$/i.test(name)) return random.pick(COMPANIES);
+  if (/name$/i.test(name)) return `${first} ${last}`;
+  if (/phone/i.test(name)) return `+1555${random.int(1000000, 9999999)}`;
+  if (/status$/i.test(name)) return random.pick(STATUSES);
+  if (/id$/i.test(name)) return `${_.snakeCase(name.replace(/_?id$/i, '')) || 'id'}_${random.int(10000, 99999)}`;
+  if (/(message|text|description|comment|notes?|content|summary)$/i.test(name)) {
+    return `The ${random.pick(WORDS)} ${random.pick(WORDS)} request was received.`;
+  }
+  return `${_.startCase(name)} ${random.int(1, 999)}`;
+};
+
+const numberValue = (key, random) => {
+  const name = String(key || '');
+  if (/(price|amount|total|cost|balance|sum)$/i.test(name)) return random.int(100, 100000) / 100;
+  if (/age$/i.test(name)) return random.int(18, 80);
+  if (/(count|qty|quantity|size)$/i.test(name)) return random.int(1, 10);
+  return random.int(1, 1000);
+};
+
+// A realistic value for a leaf field
+const leafValue = (node, key, random) => {
+  if (node.example !== undefined) return _.cloneDeep(node.example);
+
+  switch (node.type) {
+    case 'email':
+      return `${random.pick(FIRST_NAMES)}.${random.pick(LAST_NAMES)}${random.int(1, 99)}@example.com`.toLowerCase();
+    case 'url':
+      return `https://example.com/${random.pick(WORDS)}/${random.int(1, 9999)}`;
+    case 'date':
+      return new Date(BASE_DATE + random.int(0, 365 * 24 * 60) * 60000).toISOString();
+    case 'boolean':
+      return random.bool();
+    case 'number':
+      return numberValue(key, random);
+    case 'object':
+      return {};
+    case 'array':
+      return [random.pick(WORDS), random.pick(WORDS)];
+    default:
+      return stringValue(key, random);
+  }
+};
+
+const isLeaf = (node) => !node.properties && !node.items;
+
+// Build a value for the shape; a variant's rule may replace ({ value }) or drop (OMIT) any non-root node
+const buildValue = (node, key, random, rule, isRoot = false) => {
+  const override = !isRoot && rule ? rule(node, key, random) : undefined;
+  if (override === OMIT) return OMIT;
+  if (override !== undefined) return override.value;
+
+  if (node.properties) {
+    const value = {};
+    Object.entries(node.properties).forEach(([childKey, child]) => {
+      const childValue = buildValue(child, childKey, random, rule);
+      if (childValue !== OMIT) value[childKey] = childValue;
+    });
+    return value;
+  }
+  if (node.items) {
+    return Array.from({ length: random.int(1, 3) }, () => buildValue(node.items, singular(key), random, rule))
+      .filter(value => value !== OMIT);
+  }
+  return leafValue(node, key, random);
+};
+
+const someNode = (node, predicate, isRoot = true) => (!isRoot && predicate(node)) ||
+  Object.values(node.properties || {}).some(child => someNode(child, predicate, false)) ||
+  Boolean(node.items && someNode(node.items, predicate, false));
+
+const FORMAT_TYPES = ['email', 'url', 'date'];
+
+const WRONG_TYPE_VALUES = {
+  string: 12345,
+  number: 'not-a-number',
+  boolean: 'yes',
+  date: 20240101,
+  email: 42,
+  url: true,
+  object: 'not-an-object',
+  array: { notAn: 'array' }
+};
+
+const INVALID_FORMAT_VALUES = {
+  email: 'not-an-email',
+  url: 'not a url',
+  date: '2024-13-45T25:61:00Z'
+};
+
+// Payload variants after the happy path. `applies` skips variants the shape cannot express
+const VARIANTS = [
+  {
+    name: 'empty-arrays',
+    kind: 'edge',
+    description: 'Every list is empty',
+    applies: (shape) => someNode(shape, node => node.type === 'array'),
+    rule: (node) => (node.type === 'array' ? { value: [] } : undefined)
+  },
+  {
+    name: 'unicode-text',
+    kind: 'edge',
+    description: 'Text fields hold accents, CJK, right-to-left script and emoji',
+    applies: (shape) => someNode(shape, node => isLeaf(node) && node.type === 'string'),
+    rule: (node, key, random) => (isLeaf(node) && node.type === 'string' ? { value: random.pick(UNICODE_TEXT) } : undefined)
+  },
+  {
+    name: 'missing-optional-fields',
+    kind: 'edge',
+    description: 'Only the required fields are sent',
+    applies: (shape) => someNode(shape, node => !node.required),
+    rule: (node) => (!node.required ? OMIT : undefined)
+  },
+  {
+    name: 'boundary-values',
+    kind: 'edge',
+    description: 'Numbers are zero and text is very long',
+    applies: (shape) => someNode(shape, node => isLeaf(node) && ['number', 'string'].includes(node.type)),
+    rule: (node, key, random) => {
+      if (!isLeaf(node)) return undefined;
+      if (node.type === 'number') return { value: 0 };
+      if (node.type === 'string') return { value: Array.from({ length: 200 }, () => random.pick(WORDS)).join(' ') };
+      return undefined;
+    }
+  },
+  {
+    name: 'missing-required-fields',
+    kind: 'malformed',
+    description: 'Required fields are left out',
+    applies: (shape) => someNode(shape, node => isLeaf(node) && node.required),
+    rule: (node) => (isLeaf(node) && node.required ? OMIT : undefined)
+  },
+  {
+    name: 'wrong-types',
+    kind: 'malformed',
+    description: 'Every field holds a value of the wrong type',
+    applies: () => true,
+    rule: (node) => (isLeaf(node) || node.type === 'array' ? { value: WRONG_TYPE_VALUES[node.type] ?? null } : undefined)
+  },
+  {
+    name: 'invalid-formats',
+    kind: 'malformed',
+    description: 'Emails, URLs and dates are not valid',
+    applies: (shape) => someNode(shape, node => FORMAT_TYPES.includes(node.type)),
+    rule: (node) => (FORMAT_TYPES.includes(node.type) && node.example === undefined ? { value: INVALID_FORMAT_VALUES[node.type] } : undefined)
+  },
+  {
+    name: 'null-values',
+    kind: 'malformed',
+    description: 'Every field is null',
+    applies: () => true,
+    rule: (node) => (isLeaf(node) ? { value: null } : undefined)
+  },
+  {
+    name: 'non-json-body',
+    kind: 'malformed',
+    description: 'The request body is plain text instead of JSON',
+    triggerKinds: ['webhook'],
+    applies: () => true,
+    transform: (json) => ({ ...json, body: 'this is not JSON' })
+  }
+];
+
+// Trigger item json as the test data n8n's execute endpoint and the simulator take
+const toTriggerData = (kind, json) => {
+  if (kind === 'webhook') {
+    return {
+      webhook: {
+        headers: { 'content-type': 'application/json', ...(json.headers || {}) },
+        query: json.query || {},
+        body: json.body ?? {}
+      }
+    };
+  }
+  if (kind === 'form') return { webhook: { body: json } };
+  if (kind === 'manual') return { manual: { executionMode: 'test', testPayload: json } };
+  return {};
+};
+
+// Public view of the shape: JSON-schema-like, without the bookkeeping
+const describeShape = (node) => ({
+  type: node.type,
+  required: node.required,
+  source: node.source,
+  ...(node.example !== undefined ? { example: node.example } : {}),
+  ...(node.properties ? { properties: _.mapValues(node.properties, describeShape) } : {}),
+  ...(node.items ? { items: describeShape(node.items) } : {})
+});
+
+// A happy path followed by edge cases and malformed inputs, all reproducible from the seed
+const generateTestPayloads = (workflow, spec = null, { seed = null } = {}) => {
+  const usedSeed = seed ?? crypto.randomInt(2 ** 31);
+  const { trigger, shape } = inferInputShape(workflow, spec);
+
+  const build = (variant) => {
+    const random = createRandom(`${usedSeed}:${variant.name}`);
+    const built = buildValue(shape, null, random, variant.rule, true);
+    const json = variant.transform ? variant.transform(built) : built;
+    return {
+      name: variant.name,
+      kind: variant.kind,
+      description: variant.description,
+      json,
+      triggerData: toTriggerData(trigger.kind, json)
+    };
+  };
+
+  const variants = VARIANTS.filter(variant =>
+    (!variant.triggerKinds || variant.triggerKinds.includes(trigger.kind)) && variant.applies(shape));
+
+  return {
+    seed: usedSeed,
+    trigger,
+    // Triggers such as schedules ignore test data, so only the happy path is worth running for them
+    injectable: ['webhook', 'form', 'manual'].includes(trigger.kind),
+    shape: describeShape(shape),
+    payloads: [
+      build({ name: 'happy-path', kind: 'happy', description: 'Every field present with realistic values', rule: null }),
+      ...variants.map(build)
+    ]
+  };
+};
+
+// Test data for the happy path, for callers that only run the workflow once
+const generateTestData = (workflow, spec = null, options = {}) => generateTestPayloads(workflow, spec, options).payloads[0].triggerData;
+
+module.exports = {
+  createRandom,
+  inferInputShape,
+  generateTestPayloads,
+  generateTestData
+};
@@ -0,0 +1,243 @@
+const { logger } = require('../utils/logger');
+const { getConfigValue } = require('../config/systemConfig');
+const { getNodeMap, buildAdjacency, getDownstreamNodes } = require('../utils/workflowGraph');
+const { isTriggerType, isAnnotationType, getNodeDefinition } = require('./nodeCatalog');
+const { generateWithRepair } = require('./workflowRepair');
+const { lintWorkflow, normalizeTier } = require('./lint');
+const { scanWorkflow, getBlockSeverity, isBlockingSeverity } = require('./workflowSecurity');
+const { getRequirementSpec } = require('./requirementSpec');
+
+// Prompt and temperature variations, used in order for candidates 1..N
+const VARIANTS = [
+  { id: 'baseline' },
+  { id: 'robust', temperature: 0.5, guidance: 'Favour robustness: validate incoming data and give every external call an explicit failure path' },
+  { id: 'minimal', temperature: 0.2, guidance: 'Favour the smallest workflow that still meets every requirement, without optional extras' },
+  { id: 'exploratory', temperature: 0.8 }
+];
+
+const DEFAULT_WEIGHTS = { validation: 0.35, lint: 0.15, dryRun: 0.2, specCoverage: 0.3 };
+
+// One attempt is enough for simple requests; complex ones are worth comparing
+const DEFAULT_CANDIDATE_CONFIG = {
+  simple: { candidates: 1, weights: DEFAULT_WEIGHTS },
+  medium: { candidates: 1, weights: DEFAULT_WEIGHTS },
+  complex: { candidates: 3, weights: DEFAULT_WEIGHTS }
+};
+
+const MAX_CANDIDATES = VARIANTS.length;
+
+// Candidate count and scoring weights for a tier, with system_config candidate_generation taking precedence
+const getCandidateConfig = async (tier) => {
+  const configured = await getConfigValue('candidate_generation', DEFAULT_CANDIDATE_CONFIG) || DEFAULT_CANDIDATE_CONFIG;
+  const tierConfig = { ...DEFAULT_CANDIDATE_CONFIG[tier], ...(configured[tier] || {}) };
+
+  return {
+    candidates: Math.min(MAX_CANDIDATES, Math.max(1, parseInt(tierConfig.candidates) || 1)),
+    weights: { ...DEFAULT_WEIGHTS, ...(tierConfig.weights || {}) }
+  };
+};
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const scoreValidation = (validation) => {
+  if (!validation) return 0;
+  if (!validation.valid) return 0;
+  return clamp(1 - 0.05 * (validation.warnings || []).length);
+};
+
+const scoreLint = (lint) => clamp(1 - (0.3 * lint.counts.error + 0.1 * lint.counts.warning + 0.02 * lint.counts.info));
+
+// Offline dry run: walk the graph from the triggers without executing anything
+const dryRunWorkflow = (workflow) => {
+  const nodes = (workflow.nodes || []).filter(node => !isAnnotationType(node.type));
+  const nodeMap = getNodeMap(workflow);
+  const adjacency = buildAdjacency(workflow);
+  const triggers = nodes.filter(node => isTriggerType(node.type));
+
+  const reached = new Set(triggers.map(node => node.name));
+  triggers.forEach(trigger => getDownstreamNodes(workflow, trigger.name, adjacency).forEach(name => reached.add(name)));
+
+  const unreachable = nodes.filter(node => !reached.has(node.name)).map(node => node.name);
+  const danglingNodes = [...new Set([...adjacency.children.keys(), ...adjacency.parents.keys()])].filter(name => !nodeMap.has(name));
+  const unknownTypes = nodes.filter(node => !getNodeDefinition(node.type)).map(node => node.name);
+  const endsSomewhere = nodes.some(node => reached.has(node.name) && (adjacency.children.get(node.name) || []).length === 0);
+
+  const checks = {
+    hasTrigger: triggers.length > 0,
+    allNodesReachable: unreachable.length === 0,
+    noDanglingConnections: danglingNodes.length === 0,
+    knownNodeTypes: unknownTypes.length === 0,
+    reachesAnEnd: endsSomewhere
+  };
+
+  const passed = Object.values(checks).filter(Boolean).length;
+  const reachableShare = nodes.length > 0 ? reached.size / nodes.length : 0;
+
+  return {
+    success: passed === Object.keys(checks).length,
+    checks,
+    unreachable,
+    danglingNodes,
+    unknownTypes,
+    score: clamp((passed / Object.keys(checks).length) * 0.5 + reachableShare * 0.5)
+  };
+};
+
+const normalizeName = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// A system counts as covered when a node's type, catalog name or node name mentions it
+const nodeMentionsSystem = (node, system) => {
+  const wanted = normalizeName(system);
+  if (!wanted) return false;
+
+  const definition = getNodeDefinition(node.type);
+  const haystacks = [
+    (node.type || '').split('.').pop(),
+    definition?.displayName,
+    node.name
+  ].map(normalizeName);
+
+  return haystacks.some(text => text && (text.includes(wanted) || wanted.includes(text)));
+};
+
+const TRIGGER_TYPE_HINTS = {
+  webhook: ['webhook', 'formtrigger'],
+  schedule: ['scheduletrigger', 'cron', 'interval'],
+  manual: ['manualtrigger']
+};
+
+// Share of the spec's trigger, systems and entity fields the workflow accounts for
+const checkSpecCoverage = (workflow, spec) => {
+  const nodes = (workflow.nodes || []).filter(node => !isAnnotationType(node.type));
+  const workflowText = JSON.stringify(workflow).toLowerCase();
+  const items = [];
+
+  const triggerHints = TRIGGER_TYPE_HINTS[spec.trigger.type];
+  items.push({
+    item: `trigger:${spec.trigger.type}`,
+    covered: triggerHints
+      ? nodes.some(node => triggerHints.some(hint => normalizeName(node.type).includes(hint)))
+      : nodes.some(node => isTriggerType(node.type))
+  });
+
+  spec.sources.forEach(source => items.push({
+    item: `source:${source.system}`,
+    covered: nodes.some(node => nodeMentionsSystem(node, source.system))
+  }));
+
+  spec.targets.forEach(target => items.push({
+    item: `target:${target.system}`,
+    covered: nodes.some(node => nodeMentionsSystem(node, target.system))
+  }));
+
+  spec.entities.forEach(entity => entity.fields.forEach(field => items.push({
+    item: `field:${entity.name}.${field.name}`,
+    covered: workflowText.includes(field.name.toLowerCase())
+  })));
+
+  const covered = items.filter(entry => entry.covered).length;
+
+  return {
+    score: items.length > 0 ? covered / items.length : 1,
+    covered: items.filter(entry => entry.covered).map(entry => entry.item),
+    missing: items.filter(entry => !entry.covered).map(entry => entry.item)
+  };
+};
+
+// Weighted score of one generated workflow; blocking security findings disqualify it
+const scoreCandidate = async (result, { spec, tier, weights, blockSeverity }) => {
+  const lint = result.lint || await lintWorkflow(result.workflow, { tier });
+  const dryRun = dryRunWorkflow(result.workflow);
+  const coverage = checkSpecCoverage(result.workflow, spec);
+  const security = scanWorkflow(result.workflow);
+
+  const components = {
+    validation: scoreValidation(result.validation),
+    lint: scoreLint(lint),
+    dryRun: dryRun.score,
+    specCoverage: coverage.score
+  };
+
+  const totalWeight = Object.keys(components).reduce((sum, key) => sum + (Number(weights[key]) || 0), 0) || 1;
+  const weighted = Object.entries(components)
+    .reduce((sum, [key, value]) => sum + value * (Number(weights[key]) || 0), 0) / totalWeight;
+
+  return {
+    score: Math.round(weighted * 1000) / 1000,
+    components,
+    disqualified: isBlockingSeverity(security.maxSeverity, blockSeverity),
+    testStatus: result.testResult ? (result.testResult.overall.success ? 'passed' : 'failed') : 'pending',
+    securityMaxSeverity: security.maxSeverity,
+    dryRun: { success: dryRun.success, checks: dryRun.checks, unreachable: dryRun.unreachable },
+    specCoverage: { missing: coverage.missing }
+  };
+};
+
+const failedTests = (candidate) => (candidate.scoring.testStatus === 'failed' ? 1 : 0);
+
+// Qualified candidates first, then those whose tests did not fail, then by score; earlier variants win ties
+const rankCandidates = (candidates) => [...candidates].sort((left, right) =>
+  (left.scoring.disqualified - right.scoring.disqualified) ||
+  (failedTests(left) - failedTests(right)) ||
+  (right.scoring.score - left.scoring.score) ||
+  (left.index - right.index));
+
+// Generate N candidates for a request (N from its tier), score them and pick the best.
+// Returns the winner in generateWithRepair's shape plus the scored runners-up.
+const generateBestCandidate = async (customerRequest, options = {}) => {
+  const { runTests = false, usageContext = {}, testCases = [] } = options;
+  const spec = getRequirementSpec(customerRequest);
+  const tier = normalizeTier(spec.complexity || customerRequest.complexity);
+  const config = await getCandidateConfig(tier);
+  const count = options.candidates ? Math.min(MAX_CANDIDATES, options.candidates) : config.candidates;
+  const blockSeverity = await getBlockSeverity();
+
+  const candidates = [];
+  let lastError = null;
+
+  for (let index = 0; index < count; index++) {
+    const variant = VARIANTS[index];
+
+    try {
+      const result = await generateWithRepair(customerRequest, { runTests, variant, usageContext, testCases });
+      const scoring = await scoreCandidate(result, { spec, tier, weights: config.weights, blockSeverity });
+      candidates.push({ index, variant: variant.id, result, scoring });
+      logger.info(`Candidate ${index + 1}/${count} (${variant.id}) for request ${customerRequest.id} scored ${scoring.score}`);
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Candidate ${index + 1}/${count} (${variant.id}) for request ${customerRequest.id} failed:`, error.message);
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw lastError;
+  }
+
+  const [winner, ...runnersUp] = rankCandidates(candidates);
+  const describe = (candidate, rank) => ({
+    rank,
+    variant: candidate.variant,
+    attempts: candidate.result.attempts.length,
+    ...candidate.scoring
+  });
+
+  return {
+    ...winner.result,
+    candidate: describe(winner, 1),
+    alternates: runnersUp.map((candidate, position) => ({
+      result: candidate.result,
+      candidate: describe(candidate, position + 2)
+    })),
+    candidateCount: count,
+    failedCandidates: count - candidates.length
+  };
+};
+
+module.exports = {
+  generateBestCandidate,
+  scoreCandidate,
+  dryRunWorkflow,
+  checkSpecCoverage,
+  getCandidateConfig,
+  DEFAULT_CANDIDATE_CONFIG
+};
@@ -0,0 +1,263 @@
+const { query, transaction } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { generateWithRepair } = require('./workflowRepair');
+const { listTestCases } = require('./workflowTestCases');
+const { estimateComplexity } = require('./workflowGenerator');
+const { recordVersion, updateWorkflowDetails } = require('./workflowVersions');
+const { getSubWorkflows } = require('./workflowDecomposition');
+const { diffWorkflows, describeDiff } = require('./workflowDiff');
+const { estimateChangePricing } = require('./pricing');
+
+const MESSAGE_AUTHORS = ['customer', 'team', 'system'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const addMessage = async (changeRequestId, author, message, client = null) => {
+  if (!MESSAGE_AUTHORS.includes(author)) {
+    throw new Error(`Unknown change request message author: ${author}`);
+  }
+
+  const result = await (client || { query }).query(`
+    INSERT INTO change_request_messages (change_request_id, author, message)
+    VALUES ($1, $2, $3)
+    RETURNING id, change_request_id, author, message, created_at
+  `, [changeRequestId, author, message]);
+
+  return result.rows[0];
+};
+
+// Open a change request with a price quote; the description starts the thread
+const createChangeRequest = async (workflowRow, customerRequest, { description, addedInputSources = [], addedOutputTargets = [] }) => {
+  const quote = await estimateChangePricing(customerRequest, { addedInputSources, addedOutputTargets });
+
+  return transaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO workflow_change_requests (
+        workflow_id, customer_request_id, description, added_input_sources,
+        added_output_targets, base_version, quoted_price, pricing_breakdown
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      workflowRow.id,
+      customerRequest.id,
+      description,
+      addedInputSources,
+      addedOutputTargets,
+      workflowRow.current_version,
+      quote.priceDelta,
+      JSON.stringify(quote.breakdown)
+    ]);
+
+    const changeRequest = result.rows[0];
+    await addMessage(changeRequest.id, 'customer', description, client);
+
+    return changeRequest;
+  });
+};
+
+const setChangeRequestJob = async (changeRequestId, jobId) => {
+  await query(
+    'UPDATE workflow_change_requests SET job_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [String(jobId), changeRequestId]
+  );
+};
+
+const listChangeRequests = async (workflowId) => {
+  const result = await query(`
+    SELECT cr.*, (SELECT COUNT(*) FROM change_request_messages m WHERE m.change_request_id = cr.id) AS message_count
+    FROM workflow_change_requests cr
+    WHERE cr.workflow_id = $1
+    ORDER BY cr.created_at DESC
+  `, [workflowId]);
+  return result.rows;
+};
+
+// A change request with its full clarification thread
+const getChangeRequest = async (workflowId, changeRequestId) => {
+  const result = await query(
+    'SELECT * FROM workflow_change_requests WHERE id = $1 AND workflow_id = $2',
+    [changeRequestId, workflowId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const messages = await query(
+    'SELECT id, author, message, created_at FROM change_request_messages WHERE change_request_id = $1 ORDER BY created_at ASC, id ASC',
+    [changeRequestId]
+  );
+
+  return { ...result.rows[0], messages: messages.rows };
+};
+
+// Email of the customer who owns the workflow a change request belongs to
+const getChangeRequestCustomerEmail = async (changeRequest) => {
+  const result = await query('SELECT customer_email FROM customer_requests WHERE id = $1', [changeRequest.customer_request_id]);
+  return result.rows[0]?.customer_email || null;
+};
+
+// Email of the customer who owns a workflow; undefined when the workflow does not exist
+const getWorkflowCustomerEmail = async (workflowId) => {
+  const result = await query(`
+    SELECT cr.customer_email
+    FROM workflows w
+    LEFT JOIN customer_requests cr ON w.customer_request_id = cr.id
+    WHERE w.id = $1
+  `, [workflowId]);
+  return result.rows.length > 0 ? result.rows[0].customer_email || null : undefined;
+};
+
+// Team reply from staff tooling; not exposed over the API, which has no staff authentication.
+// Null when the change request does not belong to the workflow.
+const addTeamReply = async (workflowId, changeRequestId, message) => {
+  const changeRequest = await getChangeRequest(workflowId, changeRequestId);
+  if (!changeRequest) return null;
+  return addMessage(changeRequest.id, 'team', message);
+};
+
+const updateChangeRequest = async (changeRequestId, fields) => {
+  const entries = Object.entries(fields);
+  const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+  await query(
+    `UPDATE workflow_change_requests SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${entries.length + 1}`,
+    [...entries.map(([, value]) => value), changeRequestId]
+  );
+};
+
+// Revise the workflow for a change request, test it, store it as a new version and price the delta
+const processChangeRequest = async (changeRequestId, { jobQueue = null, jobId = null } = {}) => {
+  const changeRequestResult = await query('SELECT * FROM workflow_change_requests WHERE id = $1', [changeRequestId]);
+  if (changeRequestResult.rows.length === 0) {
+    throw new Error(`Change request ${changeRequestId} not found`);
+  }
+  const changeRequest = changeRequestResult.rows[0];
+
+  if (changeRequest.status === 'cancelled') {
+    logger.info(`Change request ${changeRequestId} was cancelled, skipping revision`);
+    return { changeRequestId, skipped: true };
+  }
+
+  const workflowResult = await query('SELECT id, workflow_json, current_version FROM workflows WHERE id = $1', [changeRequest.workflow_id]);
+  if (workflowResult.rows.length === 0) {
+    throw new Error(`Workflow ${changeRequest.workflow_id} not found`);
+  }
+  const workflowRow = workflowResult.rows[0];
+
+  const customerRequestResult = await query('SELECT * FROM customer_requests WHERE id = $1', [changeRequest.customer_request_id]);
+  if (customerRequestResult.rows.length === 0) {
+    throw new Error(`Customer request ${changeRequest.customer_request_id} not found`);
+  }
+  const customerRequest = customerRequestResult.rows[0];
+
+  await updateChangeRequest(changeRequestId, { status: 'processing', error_message: null });
+
+  // The first customer message is the description itself
+  const thread = await query(
+    'SELECT author, message FROM change_request_messages WHERE change_request_id = $1 AND author <> $2 ORDER BY created_at ASC, id ASC',
+    [changeRequestId, 'system']
+  );
+  const clarifications = thread.rows.slice(1);
+
+  const currentWorkflow = parseJson(workflowRow.workflow_json);
+  // The parent is revised on its own and tested with the sub-workflows it calls
+  const subWorkflows = (await getSubWorkflows(workflowRow.id)).map(({ key, name, workflow }) => ({ key, name, workflow }));
+  const revision = {
+    currentWorkflow,
+    changeDescription: changeRequest.description,
+    clarifications,
+    subWorkflows
+  };
+  const usageContext = { jobQueue, jobId, workflowId: workflowRow.id };
+  // The revision has to keep passing the cases written for this workflow
+  const testCases = await listTestCases(workflowRow.id, { enabledOnly: true });
+
+  let workflowResultData;
+  let attempts;
+  let testResult;
+
+  try {
+    workflowResultData = await generateWithRepair(customerRequest, { runTests: true, revision, usageContext, testCases, subWorkflows });
+    attempts = workflowResultData.attempts;
+    testResult = workflowResultData.testResult;
+  } catch (error) {
+    // Keep the last candidate in the history so the team can pick it up by hand
+    if (error.lastResult) {
+      await recordVersion(workflowRow.id, {
+        workflow: error.lastResult.workflow,
+        author: 'repair',
+        changeSummary: `Change request #${changeRequestId} (failed): ${describeDiff(diffWorkflows(currentWorkflow, error.lastResult.workflow))}`,
+        testStatus: 'failed',
+        testResults: { attempts: error.attempts, finalTest: error.lastTestResult || null },
+        subWorkflows,
+        makeCurrent: false
+      });
+    }
+
+    await updateChangeRequest(changeRequestId, { status: 'failed', error_message: error.message });
+    await addMessage(changeRequestId, 'system', `The revision could not be completed automatically: ${error.message}. The team will follow up here.`);
+    throw error;
+  }
+
+  const testStatus = testResult ? (testResult.overall.success ? 'passed' : 'failed') : 'pending';
+  const makeCurrent = testStatus !== 'failed';
+  const summary = describeDiff(diffWorkflows(currentWorkflow, workflowResultData.workflow));
+  const testResults = { attempts, finalTest: testResult || null };
+
+  const { version } = await recordVersion(workflowRow.id, {
+    workflow: workflowResultData.workflow,
+    author: attempts.length > 1 ? 'repair' : 'generator',
+    changeSummary: `Change request #${changeRequestId}: ${summary}`,
+    testStatus,
+    testResults,
+    subWorkflows,
+    makeCurrent
+  });
+
+  if (makeCurrent) {
+    await updateWorkflowDetails(workflowRow.id, workflowResultData, { attempts: attempts.length, testResults });
+  }
+
+  const pricing = await estimateChangePricing(customerRequest, {
+    addedInputSources: changeRequest.added_input_sources || [],
+    addedOutputTargets: changeRequest.added_output_targets || [],
+    baseComplexity: estimateComplexity(currentWorkflow),
+    revisedComplexity: workflowResultData.metadata.complexity
+  });
+
+  await updateChangeRequest(changeRequestId, {
+    status: makeCurrent ? 'revised' : 'failed',
+    result_version: version.version_number,
+    price_delta: pricing.priceDelta,
+    pricing_breakdown: JSON.stringify(pricing.breakdown),
+    test_status: testStatus,
+    error_message: makeCurrent ? null : 'Revised workflow failed testing',
+    completed_at: new Date()
+  });
+
+  await addMessage(changeRequestId, 'system', makeCurrent
+    ? `Version ${version.version_number} is ready. ${summary}. Additional charge: $${pricing.priceDelta}.`
+    : `Version ${version.version_number} was generated but failed testing, so the current workflow is unchanged. The team will review it.`);
+
+  logger.info(`Change request ${changeRequestId} produced version ${version.version_number} of workflow ${workflowRow.id} (${testStatus})`);
+
+  return {
+    changeRequestId,
+    workflowId: workflowRow.id,
+    version: version.version_number,
+    current: makeCurrent,
+    testStatus,
+    priceDelta: pricing.priceDelta
+  };
+};
+
+module.exports = {
+  createChangeRequest,
+  setChangeRequestJob,
+  listChangeRequests,
+  getChangeRequest,
+  getChangeRequestCustomerEmail,
+  getWorkflowCustomerEmail,
+  addMessage,
+  addTeamReply,
+  processChangeRequest,
+  MESSAGE_AUTHORS
+};
@@ -0,0 +1,524 @@
+const { query, transaction } = require('../config/database');
+const { getConfigValue } = require('../config/systemConfig');
+const { logger } = require('../utils/logger');
+const { getConnectionList, getNodeMap, buildAdjacency, replaceNodeReferences } = require('../utils/workflowGraph');
+const { isTriggerType, isAnnotationType } = require('./nodeCatalog');
+const { layoutWorkflow } = require('./workflowLayout');
+const { scanWorkflow, getBlockSeverity, isBlockingSeverity } = require('./workflowSecurity');
+
+const DEFAULT_DECOMPOSITION_CONFIG = { nodeThreshold: 25, minSegmentSize: 3, maxSubWorkflows: 5 };
+
+// Stands in for the sub-workflow id in the parent until the bundle is imported into n8n
+const BUNDLE_REFERENCE_PREFIX = 'bundle:';
+
+const EXECUTE_WORKFLOW_TYPE = 'n8n-nodes-base.executeWorkflow';
+const EXECUTE_WORKFLOW_TRIGGER_TYPE = 'n8n-nodes-base.executeWorkflowTrigger';
+const SUB_WORKFLOW_TRIGGER_NAME = 'Called by Parent Workflow';
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const countNodes = (workflow) => (workflow.nodes || []).filter(node => !isAnnotationType(node.type)).length;
+
+const getDecompositionConfig = async () => {
+  const configured = await getConfigValue('workflow_decomposition', DEFAULT_DECOMPOSITION_CONFIG) || {};
+  return { ...DEFAULT_DECOMPOSITION_CONFIG, ...configured };
+};
+
+// Nodes wired through AI or other non-main connections stay in the parent
+const getNonMainNodes = (workflow) => {
+  const names = new Set();
+
+  Object.entries(workflow.connections || {}).forEach(([sourceName, outputs]) => {
+    Object.entries(outputs || {}).forEach(([connectionType, groups]) => {
+      if (connectionType === 'main') return;
+      names.add(sourceName);
+      (groups || []).forEach(group => (group || []).forEach(connection => connection && names.add(connection.node)));
+    });
+  });
+
+  return names;
+};
+
+const referencesNode = (value, nodeName) =>
+  JSON.stringify(replaceNodeReferences(value, nodeName, '\u0000')) !== JSON.stringify(value);
+
+// Everything downstream of a branch start that is only reachable through it
+const growBranchRegion = (start, adjacency, isEligible) => {
+  const region = new Set([start]);
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    [...region].forEach(name => {
+      (adjacency.children.get(name) || []).forEach(edge => {
+        if (region.has(edge.target) || !isEligible(edge.target)) return;
+        const parents = adjacency.parents.get(edge.target) || [];
+        if (parents.every(parent => region.has(parent.source))) {
+          region.add(edge.target);
+          changed = true;
+        }
+      });
+    });
+  }
+
+  return region;
+};
+
+// Cut a chain into even consecutive pieces of at most maxSize nodes
+const splitChain = (chain, maxSize) => {
+  const pieceCount = Math.ceil(chain.length / maxSize);
+  const pieceSize = Math.ceil(chain.length / pieceCount);
+  return Array.from({ length: pieceCount }, (value, index) => chain.slice(index * pieceSize, (index + 1) * pieceSize));
+};
+
+// Candidate segments: per-branch regions after IF/Switch style fan-outs, and straight chains,
+// split so no chain piece is longer than maxSegmentSize
+const findCandidateSegments = (workflow, adjacency, isEligible, maxSegmentSize) => {
+  const candidates = [];
+  const singleChild = (name) => {
+    const edges = adjacency.children.get(name) || [];
+    return edges.length === 1 ? edges[0].target : null;
+  };
+  const singleParent = (name) => {
+    const edges = adjacency.parents.get(name) || [];
+    return edges.length === 1 ? edges[0].source : null;
+  };
+
+  adjacency.children.forEach((edges, branchName) => {
+    const targets = [...new Set(edges.map(edge => edge.target))];
+    if (targets.length < 2) return;
+
+    targets
+      .filter(target => isEligible(target) && (adjacency.parents.get(target) || []).every(edge => edge.source === branchName))
+      .forEach(target => candidates.push(growBranchRegion(target, adjacency, isEligible)));
+  });
+
+  // Branching nodes end a chain, their outputs cannot all leave through one Execute Workflow node
+  const isChainLink = (name) => isEligible(name) && (adjacency.children.get(name) || []).length <= 1;
+
+  (workflow.nodes || []).forEach(node => {
+    if (!isChainLink(node.name)) return;
+
+    // Only start a chain where the previous node cannot extend it
+    const previous = singleParent(node.name);
+    if (previous && isChainLink(previous) && singleChild(previous) === node.name) return;
+
+    const chain = [node.name];
+    let current = node.name;
+    let next = singleChild(current);
+    while (next && isChainLink(next) && singleParent(next) === current && !chain.includes(next)) {
+      chain.push(next);
+      current = next;
+      next = singleChild(current);
+    }
+    splitChain(chain, maxSegmentSize).forEach(piece => candidates.push(new Set(piece)));
+  });
+
+  return candidates;
+};
+
+// A segment can move behind an Execute Workflow node when it has one way in, at most one
+// way out (from its only leaf) and no expressions reaching across its boundary
+const checkSegment = (workflow, segment, adjacency) => {
+  const edges = getConnectionList(workflow);
+  const incoming = edges.filter(edge => !segment.has(edge.source) && segment.has(edge.target));
+  const outgoing = edges.filter(edge => segment.has(edge.source) && !segment.has(edge.target));
+
+  const entries = [...new Set(incoming.map(edge => edge.target))];
+  if (entries.length !== 1 || incoming.some(edge => edge.targetInput !== 0)) return null;
+
+  const exits = [...new Set(outgoing.map(edge => edge.source))];
+  if (exits.length > 1 || outgoing.some(edge => edge.sourceOutput !== 0)) return null;
+
+  const leaves = [...segment].filter(name => !(adjacency.children.get(name) || []).some(edge => segment.has(edge.target)));
+  const exit = exits[0] || null;
+  if (exit && (leaves.length !== 1 || leaves[0] !== exit)) return null;
+
+  const nodes = (workflow.nodes || []).filter(node => !isAnnotationType(node.type));
+  const inside = nodes.filter(node => segment.has(node.name));
+  const outside = nodes.filter(node => !segment.has(node.name));
+
+  const crossesBoundary =
+    inside.some(node => outside.some(other => referencesNode(node.parameters, other.name))) ||
+    outside.some(node => inside.some(other => referencesNode(node.parameters, other.name)));
+  if (crossesBoundary) return null;
+
+  return { entry: entries[0], exit };
+};
+
+// Breadth-first from the entry so identical segments list their nodes in the same order
+const orderSegment = (segment, entry, adjacency) => {
+  const ordered = [entry];
+  for (let index = 0; index < ordered.length; index++) {
+    (adjacency.children.get(ordered[index]) || []).forEach(edge => {
+      if (segment.has(edge.target) && !ordered.includes(edge.target)) ordered.push(edge.target);
+    });
+  }
+  return ordered;
+};
+
+// Structure and parameters of a segment without its node names, so repeated chains share a sub-workflow
+const segmentSignature = (workflow, segment) => {
+  const nodeMap = getNodeMap(workflow);
+  const position = new Map(segment.nodes.map((name, index) => [name, index]));
+
+  return JSON.stringify({
+    nodes: segment.nodes.map(name => {
+      const node = nodeMap.get(name);
+      return [node.type, node.typeVersion, node.parameters || {}, node.credentials || null];
+    }),
+    edges: getConnectionList(workflow)
+      .filter(edge => position.has(edge.source) && position.has(edge.target))
+      .map(edge => [position.get(edge.source), edge.sourceOutput, position.get(edge.target), edge.targetInput])
+  });
+};
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').substring(0, 60);
+
+const uniqueName = (name, taken) => {
+  let candidate = name;
+  let suffix = 2;
+  while (taken.has(candidate)) {
+    candidate = `${name} ${suffix++}`;
+  }
+  taken.add(candidate);
+  return candidate;
+};
+
+const buildSubWorkflow = (workflow, segment, key) => {
+  const members = new Set(segment.nodes);
+  const connections = {
+    [SUB_WORKFLOW_TRIGGER_NAME]: { main: [[{ node: segment.entry, type: 'main', index: 0 }]] }
+  };
+
+  Object.entries(workflow.connections || {}).forEach(([sourceName, outputs]) => {
+    if (!members.has(sourceName)) return;
+    const groups = (outputs.main || []).map(group => (group || []).filter(connection => connection && members.has(connection.node)));
+    if (groups.some(group => group.length > 0)) connections[sourceName] = { main: groups };
+  });
+
+  return layoutWorkflow({
+    name: `${workflow.name || 'Workflow'} - ${segment.entry}`,
+    active: false,
+    tags: workflow.tags,
+    meta: { ...workflow.meta, bundleKey: key },
+    settings: workflow.settings,
+    nodes: [
+      {
+        name: SUB_WORKFLOW_TRIGGER_NAME,
+        type: EXECUTE_WORKFLOW_TRIGGER_TYPE,
+        typeVersion: 1.1,
+        position: [0, 0],
+        parameters: { inputSource: 'passthrough' }
+      },
+      ...(workflow.nodes || []).filter(node => members.has(node.name)).map(node => JSON.parse(JSON.stringify(node)))
+    ],
+    connections
+  });
+};
+
+const buildCallerNode = (name, key, position) => ({
+  name,
+  type: EXECUTE_WORKFLOW_TYPE,
+  typeVersion: 1.2,
+  position: position || [0, 0],
+  parameters: {
+    source: 'database',
+    workflowId: { __rl: true, mode: 'id', value: `${BUNDLE_REFERENCE_PREFIX}${key}` },
+    options: { waitForSubWorkflow: true }
+  }
+});
+
+// Swap each extracted segment for an Execute Workflow node wired to the same neighbours
+const buildParentWorkflow = (workflow, segments) => {
+  const callerFor = new Map();
+  segments.forEach(segment => segment.nodes.forEach(name => callerFor.set(name, segment)));
+
+  const mapTarget = (connection) => {
+    const segment = callerFor.get(connection.node);
+    return segment ? { ...connection, node: segment.callerName } : connection;
+  };
+
+  const connections = {};
+  Object.entries(workflow.connections || {}).forEach(([sourceName, outputs]) => {
+    const segment = callerFor.get(sourceName);
+
+    if (!segment) {
+      connections[sourceName] = Object.fromEntries(Object.entries(outputs || {}).map(([connectionType, groups]) => [
+        connectionType,
+        (groups || []).map(group => (group || []).filter(Boolean).map(mapTarget))
+      ]));
+      return;
+    }
+
+    if (sourceName !== segment.exit) return;
+    const leaving = ((outputs.main || [])[0] || []).filter(connection => connection && callerFor.get(connection.node) !== segment);
+    connections[segment.callerName] = { main: [leaving.map(mapTarget)] };
+  });
+
+  const nodeMap = getNodeMap(workflow);
+  const callers = segments.map(segment => buildCallerNode(segment.callerName, segment.key, nodeMap.get(segment.entry).position));
+
+  return layoutWorkflow({
+    ...workflow,
+    nodes: [...(workflow.nodes || []).filter(node => !callerFor.has(node.name)), ...callers],
+    connections,
+    meta: {
+      ...workflow.meta,
+      bundle: {
+        subWorkflows: [...new Set(segments.map(segment => segment.key))]
+      }
+    }
+  });
+};
+
+// Split a large workflow into a parent and sub-workflows called through Execute Workflow nodes.
+// Returns { decomposed: false, reason } when the workflow is small, has nothing cohesive to extract,
+// or cannot be split so that every resulting workflow is within the node threshold.
+const decomposeWorkflow = async (workflow, overrides = {}) => {
+  const config = { ...await getDecompositionConfig(), ...overrides };
+  const nodeCount = countNodes(workflow);
+
+  if (nodeCount <= config.nodeThreshold) {
+    return { decomposed: false, reason: `${nodeCount} nodes is within the ${config.nodeThreshold} node threshold`, workflow, subWorkflows: [] };
+  }
+
+  const adjacency = buildAdjacency(workflow);
+  const nodeMap = getNodeMap(workflow);
+  const nonMainNodes = getNonMainNodes(workflow);
+  const isEligible = (name) => {
+    const node = nodeMap.get(name);
+    return Boolean(node) && !isTriggerType(node.type) && !isAnnotationType(node.type) && !nonMainNodes.has(name);
+  };
+
+  // Sub-workflows add their own trigger node
+  const maxSegmentSize = config.nodeThreshold - 1;
+
+  const seen = new Set();
+  const candidates = findCandidateSegments(workflow, adjacency, isEligible, maxSegmentSize)
+    .filter(segment => segment.size >= config.minSegmentSize && segment.size <= maxSegmentSize)
+    .filter(segment => {
+      const id = [...segment].sort().join('\n');
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .map(segment => ({ members: segment, boundary: checkSegment(workflow, segment, adjacency) }))
+    .filter(candidate => candidate.boundary)
+    .sort((left, right) => right.members.size - left.members.size);
+
+  // Largest segments first, never overlapping
+  const taken = new Set();
+  const chosen = [];
+  candidates.forEach(candidate => {
+    if (chosen.length >= config.maxSubWorkflows) return;
+    if ([...candidate.members].some(name => taken.has(name))) return;
+    candidate.members.forEach(name => taken.add(name));
+    chosen.push({
+      ...candidate.boundary,
+      nodes: orderSegment(candidate.members, candidate.boundary.entry, adjacency)
+    });
+  });
+
+  if (chosen.length === 0) {
+    return { decomposed: false, reason: 'No self-contained segment to extract', workflow, subWorkflows: [] };
+  }
+
+  // Identical segments share one sub-workflow
+  const names = new Set((workflow.nodes || []).map(node => node.name));
+  const bySignature = new Map();
+  const subWorkflows = [];
+
+  chosen.forEach(segment => {
+    const signature = segmentSignature(workflow, segment);
+    let subWorkflow = bySignature.get(signature);
+
+    if (!subWorkflow) {
+      const key = `${subWorkflows.length + 1}_${slugify(segment.entry)}`;
+      subWorkflow = { key, name: null, workflow: buildSubWorkflow(workflow, segment, key), nodeNames: segment.nodes, callers: [] };
+      subWorkflow.name = subWorkflow.workflow.name;
+      bySignature.set(signature, subWorkflow);
+      subWorkflows.push(subWorkflow);
+    }
+
+    segment.key = subWorkflow.key;
+    segment.callerName = uniqueName(`Run ${segment.entry}`, names);
+    subWorkflow.callers.push(segment.callerName);
+  });
+
+  const parent = buildParentWorkflow(workflow, chosen);
+
+  const oversized = [{ name: 'parent workflow', workflow: parent }, ...subWorkflows.map(subWorkflow => ({ name: `sub-workflow ${subWorkflow.key}`, workflow: subWorkflow.workflow }))]
+    .filter(candidate => countNodes(candidate.workflow) > config.nodeThreshold);
+  if (oversized.length > 0) {
+    const details = oversized.map(candidate => `${candidate.name} has ${countNodes(candidate.workflow)}`).join(', ');
+    return { decomposed: false, reason: `Splitting leaves workflows over the ${config.nodeThreshold} node threshold (${details})`, workflow, subWorkflows: [] };
+  }
+
+  logger.info(`Decomposed workflow "${workflow.name}" (${nodeCount} nodes) into a ${parent.nodes.length} node parent and ${subWorkflows.length} sub-workflow(s)`);
+
+  return { decomposed: true, workflow: parent, subWorkflows };
+};
+
+// Generation result with the workflow split into a bundle when it is large enough
+const decomposeResult = async (workflowResult) => {
+  // Template instances arrive as a bundle already
+  if ((workflowResult.subWorkflows || []).length > 0) return workflowResult;
+
+  const bundle = await decomposeWorkflow(workflowResult.workflow);
+  if (!bundle.decomposed) return workflowResult;
+
+  return {
+    ...workflowResult,
+    workflow: bundle.workflow,
+    subWorkflows: bundle.subWorkflows,
+    metadata: {
+      ...workflowResult.metadata,
+      nodeCount: bundle.workflow.nodes.length,
+      bundle: {
+        subWorkflowCount: bundle.subWorkflows.length,
+        totalNodeCount: workflowResult.metadata.nodeCount
+      }
+    }
+  };
+};
+
+// Bundle key an Execute Workflow node references, or null when it points at a real workflow id
+const getBundleReference = (node) => {
+  if (node.type !== EXECUTE_WORKFLOW_TYPE) return null;
+
+  const reference = node.parameters?.workflowId;
+  const value = typeof reference === 'object' && reference !== null ? reference.value : reference;
+  if (typeof value !== 'string' || !value.startsWith(BUNDLE_REFERENCE_PREFIX)) return null;
+
+  return value.slice(BUNDLE_REFERENCE_PREFIX.length);
+};
+
+// Bundle keys the parent's Execute Workflow nodes reference
+const getBundleKeys = (workflow) => [...new Set((workflow.nodes || []).map(getBundleReference).filter(Boolean))];
+
+// Point the parent's Execute Workflow nodes at real workflow ids, keyed by bundle key
+const linkBundle = (workflow, idsByKey) => ({
+  ...workflow,
+  nodes: (workflow.nodes || []).map(node => {
+    const key = getBundleReference(node);
+    if (key === null || idsByKey[key] === undefined) return node;
+
+    const reference = node.parameters.workflowId;
+    const id = idsByKey[key];
+
+    return {
+      ...node,
+      parameters: {
+        ...node.parameters,
+        workflowId: typeof reference === 'object' ? { ...reference, value: String(id) } : String(id)
+      }
+    };
+  })
+});
+
+// Replace the stored sub-workflows of a parent with a new set inside an open transaction; returns whether any is blocked
+const writeSubWorkflows = async (client, parentWorkflowId, subWorkflows, { testStatus = 'pending', blockSeverity } = {}) => {
+  await client.query(
+    'DELETE FROM workflows WHERE parent_workflow_id = $1 AND NOT (bundle_key = ANY($2))',
+    [parentWorkflowId, subWorkflows.map(subWorkflow => subWorkflow.key)]
+  );
+
+  let blocked = false;
+  for (const subWorkflow of subWorkflows) {
+    const security = scanWorkflow(subWorkflow.workflow);
+    const subBlocked = isBlockingSeverity(security.maxSeverity, blockSeverity);
+    blocked = blocked || subBlocked;
+
+    await client.query(`
+      INSERT INTO workflows (
+        parent_workflow_id, bundle_key, name, workflow_json, status, test_status, node_count,
+        security_findings, security_max_severity, security_scanned_at, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (parent_workflow_id, bundle_key) DO UPDATE
+      SET name = EXCLUDED.name, workflow_json = EXCLUDED.workflow_json, status = EXCLUDED.status,
+          test_status = EXCLUDED.test_status, node_count = EXCLUDED.node_count,
+          security_findings = EXCLUDED.security_findings, security_max_severity = EXCLUDED.security_max_severity,
+          security_scanned_at = EXCLUDED.security_scanned_at, updated_at = CURRENT_TIMESTAMP
+    `, [
+      parentWorkflowId,
+      subWorkflow.key,
+      subWorkflow.name,
+      JSON.stringify(subWorkflow.workflow),
+      subBlocked ? 'security_blocked' : 'generated',
+      testStatus,
+      subWorkflow.workflow.nodes.length,
+      JSON.stringify(security.findings),
+      security.maxSeverity,
+      security.scannedAt
+    ]);
+  }
+
+  logger.info(`Stored ${subWorkflows.length} sub-workflow(s) for workflow ${parentWorkflowId}`);
+
+  return { count: subWorkflows.length, blocked };
+};
+
+// Replace the stored sub-workflows of a parent with a new set; returns whether any is blocked by security findings
+const saveSubWorkflows = async (parentWorkflowId, subWorkflows, { testStatus = 'pending' } = {}) => {
+  const blockSeverity = await getBlockSeverity();
+  return transaction(client => writeSubWorkflows(client, parentWorkflowId, subWorkflows, { testStatus, blockSeverity }));
+};
+
+// Sub-workflows of a bundle parent, in the shape testing and content creation take
+const getSubWorkflows = async (parentWorkflowId) => {
+  const result = await query(`
+    SELECT id, bundle_key, name, workflow_json, status, test_status, node_count,
+           security_max_severity, created_at, updated_at
+    FROM workflows
+    WHERE parent_workflow_id = $1
+    ORDER BY bundle_key ASC
+  `, [parentWorkflowId]);
+
+  return result.rows.map(({ workflow_json: workflowJson, ...row }) => ({
+    ...row,
+    key: row.bundle_key,
+    workflow: parseJson(workflowJson)
+  }));
+};
+
+// Scan the stored sub-workflows of a parent again, blocking or releasing each one
+const rescanSubWorkflows = async (parentWorkflowId) => {
+  const blockSeverity = await getBlockSeverity();
+  const subWorkflows = await getSubWorkflows(parentWorkflowId);
+
+  const scans = [];
+  for (const subWorkflow of subWorkflows) {
+    const security = scanWorkflow(subWorkflow.workflow);
+    const blocked = isBlockingSeverity(security.maxSeverity, blockSeverity);
+
+    let status = subWorkflow.status;
+    if (blocked) status = 'security_blocked';
+    else if (status === 'security_blocked') status = 'generated';
+
+    await query(`
+      UPDATE workflows
+      SET security_findings = $1, security_max_severity = $2, security_scanned_at = $3,
+          status = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [JSON.stringify(security.findings), security.maxSeverity, security.scannedAt, status, subWorkflow.id]);
+
+    scans.push({ key: subWorkflow.key, name: subWorkflow.name, status, blocked, security });
+  }
+
+  return scans;
+};
+
+module.exports = {
+  decomposeWorkflow,
+  decomposeResult,
+  linkBundle,
+  getBundleKeys,
+  writeSubWorkflows,
+  saveSubWorkflows,
+  rescanSubWorkflows,
+  getSubWorkflows,
+  getDecompositionConfig,
+  BUNDLE_REFERENCE_PREFIX,
+  DEFAULT_DECOMPOSITION_CONFIG
+};
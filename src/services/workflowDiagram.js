@@ -0,0 +1,295 @@
+const { getConnectionList } = require('../utils/workflowGraph');
+const { getNodeDefinition, isAnnotationType } = require('./nodeCatalog');
+const { layoutWorkflow, findOverlappingNodes } = require('./workflowLayout');
+
+const DIAGRAM_FORMATS = ['mermaid', 'dot', 'svg'];
+
+const CONTENT_TYPES = {
+  mermaid: 'text/plain; charset=utf-8',
+  dot: 'text/vnd.graphviz; charset=utf-8',
+  svg: 'image/svg+xml; charset=utf-8'
+};
+
+// Fill, border and icon per catalog group
+const GROUP_STYLES = {
+  trigger: { fill: '#fff7ed', stroke: '#f97316', icon: '⚡' },
+  action: { fill: '#eff6ff', stroke: '#3b82f6', icon: '▶' },
+  transform: { fill: '#f0fdf4', stroke: '#22c55e', icon: '⇄' },
+  flow: { fill: '#faf5ff', stroke: '#a855f7', icon: '⑂' },
+  integration: { fill: '#ecfeff', stroke: '#0891b2', icon: '☁' },
+  ai: { fill: '#fdf2f8', stroke: '#db2777', icon: '✦' },
+  unknown: { fill: '#f9fafb', stroke: '#6b7280', icon: '?' }
+};
+
+const STICKY_STYLE = { fill: '#fef9c3', stroke: '#eab308' };
+
+const SVG_NODE = { width: 160, height: 60, padding: 40 };
+
+const getGroup = (node) => getNodeDefinition(node.type)?.group || 'unknown';
+
+const getTypeLabel = (node) => getNodeDefinition(node.type)?.displayName || (node.type || 'unknown').split('.').pop();
+
+const getStyle = (node) => GROUP_STYLES[getGroup(node)] || GROUP_STYLES.unknown;
+
+// Sticky note markdown reduced to plain text
+const stickyText = (node) => String(node.parameters?.content || '')
+  .replace(/[#*_`>]/g, '')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\n{2,}/g, '\n')
+  .trim();
+
+const truncate = (text, length) => (text.length > length ? `${text.substring(0, length - 1)}…` : text);
+
+// Label for one output of a node: IF true/false, Switch rule keys, error outputs
+const getOutputLabel = (node, outputIndex, outputCount) => {
+  if (node.onError === 'continueErrorOutput' && outputCount > 1 && outputIndex === outputCount - 1) {
+    return 'error';
+  }
+
+  const type = (node.type || '').split('.').pop();
+  if (type === 'if') {
+    return outputIndex === 0 ? 'true' : 'false';
+  }
+  if (type === 'switch') {
+    const rules = node.parameters?.rules?.values || node.parameters?.rules?.rules || [];
+    const rule = rules[outputIndex];
+    if (rule?.outputKey) return rule.outputKey;
+    if (!rule && outputIndex === rules.length && node.parameters?.options?.fallbackOutput === 'extra') return 'fallback';
+    return `output ${outputIndex}`;
+  }
+  return outputCount > 1 ? `output ${outputIndex}` : null;
+};
+
+// Every connection with its branch label; non-main connections (AI tools, models) are marked as such
+const describeEdges = (workflow) => {
+  const nodesByName = new Map((workflow.nodes || []).map(node => [node.name, node]));
+  const connectionTypes = new Set();
+  Object.values(workflow.connections || {}).forEach(outputs => Object.keys(outputs || {}).forEach(type => connectionTypes.add(type)));
+
+  return [...connectionTypes].flatMap(connectionType => getConnectionList(workflow, connectionType)
+    .filter(edge => nodesByName.has(edge.source) && nodesByName.has(edge.target))
+    .map(edge => {
+      const outputCount = (workflow.connections[edge.source][connectionType] || []).length;
+      return {
+        ...edge,
+        outputCount,
+        main: connectionType === 'main',
+        label: connectionType === 'main'
+          ? getOutputLabel(nodesByName.get(edge.source), edge.sourceOutput, outputCount)
+          : connectionType.replace(/^ai_/, '')
+      };
+    }));
+};
+
+const splitNodes = (workflow) => ({
+  nodes: (workflow.nodes || []).filter(node => !isAnnotationType(node.type)),
+  notes: (workflow.nodes || []).filter(node => isAnnotationType(node.type))
+});
+
+const escapeMermaid = (text) => String(text)
+  .replace(/"/g, '#quot;')
+  .replace(/</g, '#lt;')
+  .replace(/>/g, '#gt;')
+  .replace(/\|/g, '#124;')
+  .replace(/\n/g, '<br/>');
+
+// Mermaid flowchart text, one class per catalog group
+const renderMermaid = (workflow) => {
+  const { nodes, notes } = splitNodes(workflow);
+  const ids = new Map(nodes.map((node, index) => [node.name, `n${index}`]));
+  const lines = ['flowchart LR'];
+
+  nodes.forEach(node => {
+    const style = getStyle(node);
+    lines.push(`  ${ids.get(node.name)}["${escapeMermaid(`${style.icon} ${node.name}`)}<br/><small>${escapeMermaid(getTypeLabel(node))}</small>"]:::${getGroup(node)}`);
+  });
+
+  notes.forEach((note, index) => {
+    lines.push(`  note${index}>"${escapeMermaid(truncate(stickyText(note), 200))}"]:::sticky`);
+  });
+
+  describeEdges(workflow).forEach(edge => {
+    const arrow = edge.main ? '-->' : '-.->';
+    const label = edge.label ? `|${escapeMermaid(edge.label)}|` : '';
+    lines.push(`  ${ids.get(edge.source)} ${arrow}${label} ${ids.get(edge.target)}`);
+  });
+
+  Object.entries(GROUP_STYLES).forEach(([group, style]) => {
+    lines.push(`  classDef ${group} fill:${style.fill},stroke:${style.stroke}`);
+  });
+  lines.push(`  classDef sticky fill:${STICKY_STYLE.fill},stroke:${STICKY_STYLE.stroke}`);
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeDot = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Graphviz DOT, left to right like the n8n editor
+const renderDot = (workflow) => {
+  const { nodes, notes } = splitNodes(workflow);
+  const ids = new Map(nodes.map((node, index) => [node.name, `n${index}`]));
+  const lines = [
+    `digraph "${escapeDot(workflow.name || 'workflow')}" {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=11];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+
+  nodes.forEach(node => {
+    const style = getStyle(node);
+    lines.push(`  ${ids.get(node.name)} [label="${escapeDot(`${style.icon} ${node.name}\n${getTypeLabel(node)}`)}", fillcolor="${style.fill}", color="${style.stroke}"];`);
+  });
+
+  notes.forEach((note, index) => {
+    lines.push(`  note${index} [shape=note, style=filled, label="${escapeDot(truncate(stickyText(note), 200))}", fillcolor="${STICKY_STYLE.fill}", color="${STICKY_STYLE.stroke}"];`);
+  });
+
+  describeEdges(workflow).forEach(edge => {
+    const attributes = [];
+    if (edge.label) attributes.push(`label="${escapeDot(edge.label)}"`);
+    if (!edge.main) attributes.push('style=dashed');
+    lines.push(`  ${ids.get(edge.source)} -> ${ids.get(edge.target)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const wrapText = (text, width) => {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).forEach(word => {
+      if (line && `${line} ${word}`.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Stored positions are kept unless they are missing or nodes sit on top of each other
+const positionNodes = (workflow) => {
+  const { nodes } = splitNodes(workflow);
+  const needsLayout = nodes.some(node => !Array.isArray(node.position)) || findOverlappingNodes(workflow).length > 0;
+  return needsLayout ? layoutWorkflow(workflow) : workflow;
+};
+
+// Standalone SVG: group-coloured nodes with type icons, labelled branches and sticky notes
+const renderSvg = (workflow) => {
+  const positioned = positionNodes(workflow);
+  const { nodes, notes } = splitNodes(positioned);
+  const { width: nodeWidth, height: nodeHeight, padding } = SVG_NODE;
+
+  const noteBoxes = notes.map(note => ({
+    note,
+    x: note.position?.[0] || 0,
+    y: note.position?.[1] || 0,
+    width: Number(note.parameters?.width) || 240,
+    height: Number(note.parameters?.height) || 160
+  }));
+
+  const boxes = [
+    ...nodes.map(node => ({ x: node.position[0], y: node.position[1], width: nodeWidth, height: nodeHeight })),
+    ...noteBoxes
+  ];
+  const minX = boxes.length ? Math.min(...boxes.map(box => box.x)) : 0;
+  const minY = boxes.length ? Math.min(...boxes.map(box => box.y)) : 0;
+  const maxX = boxes.length ? Math.max(...boxes.map(box => box.x + box.width)) : 0;
+  const maxY = boxes.length ? Math.max(...boxes.map(box => box.y + box.height)) : 0;
+
+  const offsetX = padding - minX;
+  const offsetY = padding - minY;
+  const width = maxX - minX + padding * 2;
+  const height = maxY - minY + padding * 2;
+  const nodePositions = new Map(nodes.map(node => [node.name, { x: node.position[0] + offsetX, y: node.position[1] + offsetY }]));
+
+  const parts = [];
+
+  noteBoxes.forEach(({ note, x, y, width: noteWidth, height: noteHeight }) => {
+    const lines = wrapText(stickyText(note), Math.max(10, Math.floor(noteWidth / 7)))
+      .slice(0, Math.max(1, Math.floor((noteHeight - 16) / 15)));
+    parts.push(`<g class="sticky"><rect x="${x + offsetX}" y="${y + offsetY}" width="${noteWidth}" height="${noteHeight}" rx="4" fill="${STICKY_STYLE.fill}" stroke="${STICKY_STYLE.stroke}"/>` +
+      lines.map((line, index) => `<text x="${x + offsetX + 10}" y="${y + offsetY + 20 + index * 15}" font-size="12" fill="#713f12">${escapeXml(line)}</text>`).join('') +
+      '</g>');
+  });
+
+  describeEdges(positioned).forEach(edge => {
+    const from = nodePositions.get(edge.source);
+    const to = nodePositions.get(edge.target);
+    if (!from || !to) return;
+
+    const startX = from.x + nodeWidth;
+    const startY = from.y + (nodeHeight / (Math.max(edge.outputCount, 1) + 1)) * (edge.sourceOutput + 1);
+    const endX = to.x;
+    const endY = to.y + nodeHeight / 2;
+    const bend = Math.max(40, Math.abs(endX - startX) / 2);
+    const dash = edge.main ? '' : ' stroke-dasharray="5,4"';
+
+    parts.push(`<path d="M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}" fill="none" stroke="#9ca3af" stroke-width="2"${dash} marker-end="url(#arrow)"/>`);
+
+    if (edge.label) {
+      const labelX = startX + 8;
+      const labelY = startY - 6;
+      parts.push(`<text x="${labelX}" y="${labelY}" font-size="10" fill="#4b5563">${escapeXml(edge.label)}</text>`);
+    }
+  });
+
+  nodes.forEach(node => {
+    const { x, y } = nodePositions.get(node.name);
+    const style = getStyle(node);
+    const muted = node.disabled ? ' opacity="0.5"' : '';
+
+    parts.push(`<g class="node"${muted}><title>${escapeXml(`${node.name} (${node.type})`)}</title>` +
+      `<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="8" fill="${style.fill}" stroke="${style.stroke}" stroke-width="2"/>` +
+      `<circle cx="${x + 22}" cy="${y + nodeHeight / 2}" r="13" fill="${style.stroke}"/>` +
+      `<text x="${x + 22}" y="${y + nodeHeight / 2 + 5}" font-size="13" text-anchor="middle" fill="#ffffff">${style.icon}</text>` +
+      `<text x="${x + 42}" y="${y + 26}" font-size="12" font-weight="bold" fill="#111827">${escapeXml(truncate(node.name, 17))}</text>` +
+      `<text x="${x + 42}" y="${y + 44}" font-size="10" fill="#6b7280">${escapeXml(truncate(getTypeLabel(node), 20))}</text>` +
+      '</g>');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">
+<title>${escapeXml(workflow.name || 'Workflow')}</title>
+<defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af"/></marker></defs>
+<rect width="100%" height="100%" fill="#ffffff"/>
+${parts.join('\n')}
+</svg>
+`;
+};
+
+const RENDERERS = {
+  mermaid: renderMermaid,
+  dot: renderDot,
+  svg: renderSvg
+};
+
+// Render a workflow in one of DIAGRAM_FORMATS, with the content type to serve it as
+const renderDiagram = (workflow, format = 'svg') => {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown diagram format: ${format}`);
+  }
+
+  return { format, contentType: CONTENT_TYPES[format], body: render(workflow) };
+};
+
+module.exports = {
+  renderDiagram,
+  renderMermaid,
+  renderDot,
+  renderSvg,
+  getOutputLabel,
+  DIAGRAM_FORMATS
+};
@@ -0,0 +1,285 @@
+const { getConnectionList } = require('../utils/workflowGraph');
+
+// Node fields other than parameters/credentials that change behaviour; position and id only churn
+const SETTING_FIELDS = ['disabled', 'retryOnFail', 'maxTries', 'waitBetweenTries', 'continueOnFail', 'onError', 'alwaysOutputData', 'executeOnce', 'notes'];
+
+// Share of leaf values two unmatched nodes must have in common to count as a rename
+const RENAME_SIMILARITY = 0.5;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+// Flatten a value into { 'parameters.options.timeout': 30 } style leaf paths
+const flattenLeaves = (value, path, leaves = {}) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) leaves[path] = [];
+    value.forEach((item, index) => flattenLeaves(item, childPath(path, index), leaves));
+  } else if (isPlainObject(value)) {
+    if (Object.keys(value).length === 0) leaves[path] = {};
+    Object.entries(value).forEach(([key, child]) => flattenLeaves(child, childPath(path, key), leaves));
+  } else {
+    leaves[path] = value;
+  }
+  return leaves;
+};
+
+const sameValue = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+// Parameter changes as JSON paths with before/after values
+const diffParameters = (before, after) => {
+  const beforeLeaves = flattenLeaves(before || {}, 'parameters');
+  const afterLeaves = flattenLeaves(after || {}, 'parameters');
+  const paths = [...new Set([...Object.keys(beforeLeaves), ...Object.keys(afterLeaves)])].sort();
+
+  return paths
+    .filter(path => !sameValue(beforeLeaves[path], afterLeaves[path]))
+    .map(path => {
+      const hadBefore = Object.prototype.hasOwnProperty.call(beforeLeaves, path);
+      const hasAfter = Object.prototype.hasOwnProperty.call(afterLeaves, path);
+      return {
+        path,
+        change: !hadBefore ? 'added' : !hasAfter ? 'removed' : 'changed',
+        before: hadBefore ? beforeLeaves[path] : undefined,
+        after: hasAfter ? afterLeaves[path] : undefined
+      };
+    })
+    // An empty object or array that gained or lost children is already covered by the child paths
+    .filter((entry, index, entries) => !entries.some(other => other.path.startsWith(`${entry.path}.`) || other.path.startsWith(`${entry.path}[`)));
+};
+
+// Credential references are compared by stored credential, never by secret contents
+const diffCredentials = (before, after) => {
+  const types = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+  const describe = (reference) => (reference ? (reference.name || reference.id || 'inline') : null);
+
+  return types
+    .filter(type => !sameValue(before?.[type], after?.[type]))
+    .map(type => ({
+      type,
+      change: !before?.[type] ? 'added' : !after?.[type] ? 'removed' : 'changed',
+      before: describe(before?.[type]),
+      after: describe(after?.[type])
+    }));
+};
+
+const diffNode = (before, after) => {
+  const changes = {
+    name: after.name,
+    type: after.type,
+    parameters: diffParameters(before.parameters, after.parameters),
+    credentials: diffCredentials(before.credentials, after.credentials),
+    settings: SETTING_FIELDS
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => ({ field, before: before[field], after: after[field] }))
+  };
+
+  if (before.type !== after.type) changes.typeChange = { before: before.type, after: after.type };
+  if (before.typeVersion !== after.typeVersion) changes.typeVersion = { before: before.typeVersion, after: after.typeVersion };
+
+  const hasChanges = changes.parameters.length > 0 || changes.credentials.length > 0 ||
+    changes.settings.length > 0 || changes.typeChange || changes.typeVersion;
+  return hasChanges ? changes : null;
+};
+
+// Fraction of parameter leaves two nodes share, used to pair renamed nodes
+const parameterSimilarity = (left, right) => {
+  const leftLeaves = flattenLeaves(left.parameters || {}, 'parameters');
+  const rightLeaves = flattenLeaves(right.parameters || {}, 'parameters');
+  const paths = new Set([...Object.keys(leftLeaves), ...Object.keys(rightLeaves)]);
+  if (paths.size === 0) return 1;
+
+  const shared = [...paths].filter(path => sameValue(leftLeaves[path], rightLeaves[path])).length;
+  return shared / paths.size;
+};
+
+// Pair nodes across versions: by id when the type is unchanged, then by name, then same-type nodes
+// with similar parameters. Generated workflows reuse ids such as "1", so an id alone is not identity.
+const matchNodes = (beforeNodes, afterNodes) => {
+  const pairs = [];
+  const unmatchedBefore = new Set(beforeNodes);
+  const unmatchedAfter = new Set(afterNodes);
+
+  const pairBy = (sameNode) => {
+    [...unmatchedBefore].forEach(before => {
+      const after = [...unmatchedAfter].find(candidate => sameNode(before, candidate));
+      if (after) {
+        pairs.push([before, after]);
+        unmatchedBefore.delete(before);
+        unmatchedAfter.delete(after);
+      }
+    });
+  };
+
+  pairBy((before, after) => before.id && after.id && before.id === after.id && before.type === after.type);
+  pairBy((before, after) => before.name === after.name);
+
+  [...unmatchedBefore].forEach(before => {
+    const best = [...unmatchedAfter]
+      .filter(candidate => candidate.type === before.type)
+      .map(candidate => ({ candidate, score: parameterSimilarity(before, candidate) }))
+      .filter(({ score }) => score >= RENAME_SIMILARITY)
+      .sort((left, right) => right.score - left.score)[0];
+
+    if (best) {
+      pairs.push([before, best.candidate]);
+      unmatchedBefore.delete(before);
+      unmatchedAfter.delete(best.candidate);
+    }
+  });
+
+  return { pairs, removed: [...unmatchedBefore], added: [...unmatchedAfter] };
+};
+
+const edgeKey = (edge) => `${edge.type}|${edge.source}|${edge.sourceOutput}|${edge.target}|${edge.targetInput}`;
+
+// Connections are compared under the new names so a rename alone is not a rewire
+const diffConnections = (before, after, renames) => {
+  const rename = (name) => renames.get(name) || name;
+  const beforeEdges = getConnectionList(before).map(edge => ({ ...edge, source: rename(edge.source), target: rename(edge.target) }));
+  const afterEdges = getConnectionList(after);
+
+  const beforeKeys = new Set(beforeEdges.map(edgeKey));
+  const afterKeys = new Set(afterEdges.map(edgeKey));
+
+  return {
+    added: afterEdges.filter(edge => !beforeKeys.has(edgeKey(edge))),
+    removed: beforeEdges.filter(edge => !afterKeys.has(edgeKey(edge)))
+  };
+};
+
+// Semantic diff of two workflow JSONs at node level
+const diffWorkflows = (before, after) => {
+  const beforeNodes = (before?.nodes || []).filter(node => node && node.name);
+  const afterNodes = (after?.nodes || []).filter(node => node && node.name);
+  const { pairs, removed, added } = matchNodes(beforeNodes, afterNodes);
+
+  const renames = new Map();
+  const renamed = [];
+  const changed = [];
+
+  pairs.forEach(([beforeNode, afterNode]) => {
+    if (beforeNode.name !== afterNode.name) {
+      renames.set(beforeNode.name, afterNode.name);
+      renamed.push({ from: beforeNode.name, to: afterNode.name, type: afterNode.type });
+    }
+    const nodeChanges = diffNode(beforeNode, afterNode);
+    if (nodeChanges) changed.push(nodeChanges);
+  });
+
+  const connections = diffConnections(before || {}, after || {}, renames);
+
+  const diff = {
+    nodes: {
+      added: added.map(node => ({ name: node.name, type: node.type })),
+      removed: removed.map(node => ({ name: node.name, type: node.type })),
+      renamed,
+      changed
+    },
+    connections,
+    summary: {
+      addedNodes: added.length,
+      removedNodes: removed.length,
+      renamedNodes: renamed.length,
+      changedNodes: changed.length,
+      addedConnections: connections.added.length,
+      removedConnections: connections.removed.length
+    }
+  };
+
+  diff.identical = Object.values(diff.summary).every(count => count === 0);
+  return diff;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// One sentence for change summaries, e.g. "Added 1 node (Slack); renamed 1 node (IF → Check Total)"
+const describeDiff = (diff) => {
+  const { nodes, connections } = diff;
+  const names = (items, pick = item => item.name) => items.map(pick).join(', ');
+  const parts = [];
+
+  if (nodes.added.length > 0) parts.push(`added ${plural(nodes.added.length, 'node')} (${names(nodes.added)})`);
+  if (nodes.removed.length > 0) parts.push(`removed ${plural(nodes.removed.length, 'node')} (${names(nodes.removed)})`);
+  if (nodes.renamed.length > 0) parts.push(`renamed ${plural(nodes.renamed.length, 'node')} (${names(nodes.renamed, item => `${item.from} → ${item.to}`)})`);
+  if (nodes.changed.length > 0) parts.push(`changed ${plural(nodes.changed.length, 'node')} (${names(nodes.changed)})`);
+
+  const rewired = connections.added.length + connections.removed.length;
+  if (rewired > 0) parts.push(`rewired ${plural(rewired, 'connection')}`);
+
+  if (parts.length === 0) return 'No changes';
+  const text = parts.join('; ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Values are shortened so large code blocks and payloads stay readable in emails
+const formatValue = (value) => {
+  if (value === undefined) return '_(none)_';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const shortened = text.length > 80 ? `${text.substring(0, 77)}...` : text;
+  return `\`${shortened.replace(/`/g, "'").replace(/\n/g, ' ')}\``;
+};
+
+const formatEdge = (edge) => {
+  const output = edge.sourceOutput > 0 ? ` (output ${edge.sourceOutput})` : '';
+  const kind = edge.type !== 'main' ? ` [${edge.type}]` : '';
+  return `${edge.source}${output} → ${edge.target}${kind}`;
+};
+
+// Markdown rendering for revision emails and support tickets
+const renderDiffMarkdown = (diff, { title = 'Workflow changes' } = {}) => {
+  const lines = [`### ${title}`, ''];
+
+  if (diff.identical) {
+    lines.push('No changes between these versions.');
+    return lines.join('\n');
+  }
+
+  lines.push(`**Summary:** ${describeDiff(diff)}`, '');
+
+  if (diff.nodes.added.length > 0) {
+    lines.push('#### Added nodes');
+    diff.nodes.added.forEach(node => lines.push(`- **${node.name}** (\`${node.type}\`)`));
+    lines.push('');
+  }
+
+  if (diff.nodes.removed.length > 0) {
+    lines.push('#### Removed nodes');
+    diff.nodes.removed.forEach(node => lines.push(`- **${node.name}** (\`${node.type}\`)`));
+    lines.push('');
+  }
+
+  if (diff.nodes.renamed.length > 0) {
+    lines.push('#### Renamed nodes');
+    diff.nodes.renamed.forEach(item => lines.push(`- ${item.from} → **${item.to}**`));
+    lines.push('');
+  }
+
+  if (diff.nodes.changed.length > 0) {
+    lines.push('#### Changed nodes');
+    diff.nodes.changed.forEach(node => {
+      lines.push(`- **${node.name}**`);
+      if (node.typeChange) lines.push(`  - type: ${formatValue(node.typeChange.before)} → ${formatValue(node.typeChange.after)}`);
+      if (node.typeVersion) lines.push(`  - typeVersion: ${formatValue(node.typeVersion.before)} → ${formatValue(node.typeVersion.after)}`);
+      node.parameters.forEach(change => lines.push(`  - \`${change.path}\`: ${formatValue(change.before)} → ${formatValue(change.after)}`));
+      node.credentials.forEach(change => lines.push(`  - credential \`${change.type}\`: ${formatValue(change.before ?? undefined)} → ${formatValue(change.after ?? undefined)}`));
+      node.settings.forEach(change => lines.push(`  - setting \`${change.field}\`: ${formatValue(change.before)} → ${formatValue(change.after)}`));
+    });
+    lines.push('');
+  }
+
+  if (diff.connections.added.length > 0 || diff.connections.removed.length > 0) {
+    lines.push('#### Connections');
+    diff.connections.added.forEach(edge => lines.push(`- Added: ${formatEdge(edge)}`));
+    diff.connections.removed.forEach(edge => lines.push(`- Removed: ${formatEdge(edge)}`));
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+};
+
+module.exports = {
+  diffWorkflows,
+  describeDiff,
+  renderDiffMarkdown
+};
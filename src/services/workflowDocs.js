@@ -0,0 +1,540 @@
+const { query } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { buildAdjacency } = require('../utils/workflowGraph');
+const { getNodeDefinition, isTriggerType, isAnnotationType } = require('./nodeCatalog');
+const { extractRequiredCredentials } = require('./workflowGenerator');
+const { getRequirementSpec } = require('./requirementSpec');
+const { getSubWorkflows } = require('./workflowDecomposition');
+const llm = require('./llm');
+
+const DOC_FORMATS = ['markdown', 'html', 'json'];
+
+// Where customers find each credential type; anything else gets the generic n8n steps
+const CREDENTIAL_SETUP = {
+  gmailOAuth2: [
+    'In Google Cloud Console create an OAuth client ID (type "Web application") and enable the Gmail API.',
+    'Add your n8n OAuth callback URL (shown in the n8n credential dialog) as an authorized redirect URI.',
+    'In n8n create a "Gmail OAuth2 API" credential with the client ID and secret, then click "Sign in with Google".'
+  ],
+  googleSheetsOAuth2Api: [
+    'In Google Cloud Console create an OAuth client ID and enable the Google Sheets API.',
+    'In n8n create a "Google Sheets OAuth2 API" credential with the client ID and secret, then sign in.'
+  ],
+  slackApi: [
+    'Create a Slack app at api.slack.com/apps and add the bot scopes the workflow needs (for example chat:write).',
+    'Install the app to your workspace and copy the Bot User OAuth Token.',
+    'In n8n create a "Slack API" credential and paste the token. Invite the bot to every channel it posts to.'
+  ],
+  hubspotApi: [
+    'In HubSpot go to Settings → Integrations → Private Apps and create an app with the CRM scopes the workflow uses.',
+    'In n8n create a "HubSpot API" credential and paste the private app access token.'
+  ],
+  openAiApi: [
+    'Create an API key at platform.openai.com/api-keys.',
+    'In n8n create an "OpenAI API" credential and paste the key.'
+  ],
+  anthropicApi: [
+    'Create an API key in the Anthropic Console.',
+    'In n8n create an "Anthropic API" credential and paste the key.'
+  ],
+  httpHeaderAuth: [
+    'Get an API key or token from the service being called.',
+    'In n8n create a "Header Auth" credential with the header name (for example Authorization) and its value.'
+  ],
+  httpBasicAuth: [
+    'In n8n create a "Basic Auth" credential with the username and password for the service being called.'
+  ],
+  postgres: [
+    'Make sure the database accepts connections from your n8n host.',
+    'In n8n create a "Postgres" credential with host, port, database, user and password.'
+  ]
+};
+
+const GENERIC_CREDENTIAL_SETUP = (credentialType) => [
+  `In n8n open Credentials → Add credential and search for "${credentialType}".`,
+  'Fill in the values from the connected service and save.',
+  'Open each node listed here and select the new credential.'
+];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const getTypeLabel = (type) => getNodeDefinition(type)?.displayName || (type || 'unknown').split('.').pop();
+
+// Nodes in execution order: breadth first from the triggers, unreachable nodes last
+const orderNodes = (workflow) => {
+  const nodes = (workflow.nodes || []).filter(node => !isAnnotationType(node.type));
+  const { children } = buildAdjacency(workflow);
+  const ordered = [];
+  const seen = new Set();
+  const queue = nodes.filter(node => isTriggerType(node.type)).map(node => node.name);
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (seen.has(name)) continue;
+    seen.add(name);
+    ordered.push(name);
+    (children.get(name) || []).forEach(edge => queue.push(edge.target));
+  }
+
+  nodes.forEach(node => {
+    if (!seen.has(node.name)) ordered.push(node.name);
+  });
+
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  return ordered.map(name => byName.get(name)).filter(Boolean);
+};
+
+// What a node is for when its parameters say nothing more specific
+const GROUP_ROLES = {
+  trigger: 'Starts the workflow',
+  action: 'Performs an action',
+  transform: 'Reshapes the data passing through',
+  flow: 'Decides which path items take',
+  integration: 'Reads or writes data in a connected app',
+  ai: 'Uses an AI model'
+};
+
+// Short description of what a node does, read from its group and main parameters
+const describeNodeRole = (node) => {
+  const parameters = node.parameters || {};
+  const details = [];
+
+  if (parameters.resource) details.push(`resource: ${parameters.resource}`);
+  if (parameters.operation) details.push(`operation: ${parameters.operation}`);
+  if (parameters.method && parameters.url) details.push(`${parameters.method} ${parameters.url}`);
+  else if (parameters.url) details.push(`calls ${parameters.url}`);
+
+  const role = GROUP_ROLES[getNodeDefinition(node.type)?.group] || 'Processes items';
+  return details.length > 0 ? `${role} (${details.join(', ')})` : role;
+};
+
+// How the workflow is started, with the concrete steps to invoke it
+const describeTrigger = (workflow) => {
+  const trigger = (workflow.nodes || []).find(node => isTriggerType(node.type));
+  if (!trigger) {
+    return { node: null, type: 'none', invocation: 'The workflow has no trigger node and only runs when started from the n8n editor.' };
+  }
+
+  const type = trigger.type.split('.').pop();
+  const parameters = trigger.parameters || {};
+
+  if (type === 'webhook') {
+    const method = parameters.httpMethod || 'GET';
+    const webhookPath = parameters.path || '<webhook-path>';
+    return {
+      node: trigger.name,
+      type: 'webhook',
+      invocation: `Send an HTTP ${method} request to https://<your-n8n-host>/webhook/${webhookPath} once the workflow is active (use /webhook-test/${webhookPath} while testing in the editor).`,
+      method,
+      path: webhookPath
+    };
+  }
+
+  if (type === 'scheduleTrigger' || type === 'cron') {
+    const intervals = parameters.rule?.interval || parameters.triggerTimes?.item || [];
+    const schedule = intervals.map(interval => interval.expression || [interval.field || interval.mode, interval.triggerAtHour !== undefined && `at ${interval.triggerAtHour}:00`].filter(Boolean).join(' ')).join('; ');
+    return {
+      node: trigger.name,
+      type: 'schedule',
+      invocation: `Runs automatically on a schedule${schedule ? ` (${schedule})` : ''} once the workflow is active.`
+    };
+  }
+
+  if (type === 'executeWorkflowTrigger') {
+    return { node: trigger.name, type: 'sub-workflow', invocation: 'Started by the parent workflow through an Execute Workflow node.' };
+  }
+
+  if (type === 'errorTrigger') {
+    return { node: trigger.name, type: 'error', invocation: 'Runs when a workflow that uses this one as its error workflow fails.' };
+  }
+
+  if (type === 'manualTrigger') {
+    return { node: trigger.name, type: 'manual', invocation: 'Open the workflow in n8n and click "Execute workflow".' };
+  }
+
+  return {
+    node: trigger.name,
+    type: 'event',
+    invocation: `Starts when ${getTypeLabel(trigger.type)} reports a new event, polled by n8n once the workflow is active.`
+  };
+};
+
+// Credential types with the nodes that need them and setup steps
+const describeCredentials = (workflow) => extractRequiredCredentials(workflow).map(credentialType => ({
+  type: credentialType,
+  nodes: (workflow.nodes || [])
+    .filter(node => (node.credentials && node.credentials[credentialType]) || node.type.toLowerCase().includes(credentialType.replace(/(OAuth2Api|OAuth2|Api)$/, '').toLowerCase()))
+    .map(node => node.name),
+  setup: CREDENTIAL_SETUP[credentialType] || GENERIC_CREDENTIAL_SETUP(credentialType)
+}));
+
+// $env.NAME and $env["NAME"] references anywhere in node parameters
+const findEnvironmentVariables = (workflow) => {
+  const names = new Set();
+  const text = JSON.stringify((workflow.nodes || []).map(node => node.parameters || {}));
+  const pattern = /\$env(?:\.([A-Za-z_][A-Za-z0-9_]*)|\[\\?["']([^"'\\]+)\\?["']\])/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    names.add(match[1] || match[2]);
+  }
+  return [...names].sort();
+};
+
+// Input from the spec entities, output from the spec targets and any webhook response node
+const describeDataShapes = (workflow, spec, trigger) => {
+  const input = (spec.entities || []).map(entity => ({
+    name: entity.name,
+    fields: entity.fields.map(field => ({ name: field.name, type: field.type, required: field.required }))
+  }));
+
+  const responseNode = (workflow.nodes || []).find(node => node.type === 'n8n-nodes-base.respondToWebhook');
+  const output = (spec.targets || []).map(target => ({ system: target.system, action: target.action }));
+  if (responseNode) {
+    output.push({ system: 'HTTP response', action: `Returned to the caller by "${responseNode.name}"` });
+  } else if (trigger.type === 'webhook') {
+    output.push({ system: 'HTTP response', action: 'The webhook answers as soon as it receives the request' });
+  }
+
+  return { input, output };
+};
+
+// Limitations that can be read off the workflow and spec without a model
+const describeLimitations = (workflow, spec) => {
+  const limitations = [...(spec.assumptions || []).map(assumption => `Assumption: ${assumption}`)];
+  const nodes = (workflow.nodes || []).filter(node => !isAnnotationType(node.type));
+
+  nodes.filter(node => node.disabled).forEach(node => {
+    limitations.push(`"${node.name}" is disabled and is skipped when the workflow runs.`);
+  });
+
+  if (!workflow.settings?.errorWorkflow && !nodes.some(node => node.onError || node.continueOnFail)) {
+    limitations.push('No error workflow is set; failed runs only show up in the n8n execution list.');
+  }
+
+  if (spec.volume?.peakPerMinute) {
+    limitations.push(`Sized for about ${spec.volume.peakPerMinute} items per minute at peak; higher volumes may hit API rate limits.`);
+  }
+
+  return limitations;
+};
+
+// Everything in the document that comes straight from the workflow JSON and request
+const buildDocumentStructure = (workflow, customerRequest = {}, subWorkflows = []) => {
+  const spec = getRequirementSpec(customerRequest);
+  const trigger = describeTrigger(workflow);
+  const allWorkflows = [workflow, ...subWorkflows.map(subWorkflow => subWorkflow.workflow)];
+
+  return {
+    title: workflow.name || 'Workflow',
+    purpose: spec.summary || customerRequest.automation_description || '',
+    trigger,
+    nodes: orderNodes(workflow).map(node => ({
+      name: node.name,
+      type: node.type,
+      typeLabel: getTypeLabel(node.type),
+      group: getNodeDefinition(node.type)?.group || 'unknown',
+      role: describeNodeRole(node),
+      disabled: Boolean(node.disabled)
+    })),
+    subWorkflows: subWorkflows.map(subWorkflow => ({
+      key: subWorkflow.key,
+      name: subWorkflow.name,
+      nodes: orderNodes(subWorkflow.workflow).map(node => ({ name: node.name, typeLabel: getTypeLabel(node.type), role: describeNodeRole(node) }))
+    })),
+    credentials: describeCredentials({ nodes: allWorkflows.flatMap(item => item.nodes || []) }),
+    environmentVariables: findEnvironmentVariables({ nodes: allWorkflows.flatMap(item => item.nodes || []) }),
+    data: describeDataShapes(workflow, spec, trigger),
+    limitations: describeLimitations(workflow, spec)
+  };
+};
+
+const parseNarrativeResponse = (text) => {
+  const match = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('No JSON object in the documentation response');
+  }
+  return JSON.parse(match[1] || match[0]);
+};
+
+// Overview, per-node explanations and extra limitations written by the model
+const generateNarrative = async (structure, customerRequest = {}, usageContext = {}) => {
+  const systemPrompt = `You write the documentation that ships with an n8n workflow to a non-technical customer.
+Reply with a single JSON object and nothing else:
+- overview: two or three short paragraphs on what the workflow does for the business and when it runs
+- nodes: object mapping each node name to one sentence on its role in this workflow
+- limitations: [string] practical limits or caveats not already listed
+Only describe what the workflow actually contains.`;
+
+  const userPrompt = `CUSTOMER REQUEST:
+${customerRequest.automation_description || structure.purpose || 'n/a'}
+
+WORKFLOW: ${structure.title}
+Trigger: ${structure.trigger.invocation}
+Nodes in order:
+${structure.nodes.map(node => `- ${node.name}: ${node.role}`).join('\n')}
+${structure.subWorkflows.map(subWorkflow => `Sub-workflow ${subWorkflow.name}:\n${subWorkflow.nodes.map(node => `- ${node.name}: ${node.role}`).join('\n')}`).join('\n')}
+Known limitations:
+${structure.limitations.map(item => `- ${item}`).join('\n') || '- none'}`;
+
+  try {
+    const response = await llm.createMessage('scripts', {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userPrompt }]
+    }, { customerRequestId: customerRequest.id, ...usageContext });
+
+    const narrative = parseNarrativeResponse(response.text);
+    return {
+      source: 'llm',
+      narrative: {
+        overview: typeof narrative.overview === 'string' ? narrative.overview : '',
+        nodes: narrative.nodes && typeof narrative.nodes === 'object' ? narrative.nodes : {},
+        limitations: Array.isArray(narrative.limitations) ? narrative.limitations.filter(item => typeof item === 'string') : []
+      }
+    };
+  } catch (error) {
+    logger.warn(`Could not write documentation narrative for "${structure.title}", using the structural description:`, error.message);
+    return {
+      source: 'fallback',
+      narrative: {
+        overview: structure.purpose || `${structure.title} runs ${structure.nodes.length} steps in n8n.`,
+        nodes: {},
+        limitations: []
+      }
+    };
+  }
+};
+
+const renderMarkdown = (structure, narrative, { version = null } = {}) => {
+  const lines = [`# ${structure.title}`, ''];
+  if (version) lines.push(`_Documentation for version ${version}_`, '');
+
+  lines.push('## Purpose', '', narrative.overview || structure.purpose || 'Not described.', '');
+
+  lines.push('## Trigger', '', structure.trigger.invocation, '');
+
+  lines.push('## How it works', '');
+  structure.nodes.forEach((node, index) => {
+    const role = narrative.nodes[node.name] || node.role;
+    lines.push(`${index + 1}. **${node.name}** (${node.typeLabel})${node.disabled ? ' _disabled_' : ''} — ${role}`);
+  });
+  lines.push('');
+
+  structure.subWorkflows.forEach(subWorkflow => {
+    lines.push(`### Sub-workflow: ${subWorkflow.name}`, '', `Import this before the main workflow (bundle key \`${subWorkflow.key}\`).`, '');
+    subWorkflow.nodes.forEach((node, index) => {
+      lines.push(`${index + 1}. **${node.name}** (${node.typeLabel}) — ${narrative.nodes[node.name] || node.role}`);
+    });
+    lines.push('');
+  });
+
+  lines.push('## Credentials', '');
+  if (structure.credentials.length === 0) {
+    lines.push('No credentials are needed.', '');
+  }
+  structure.credentials.forEach(credential => {
+    lines.push(`### ${credential.type}`, '');
+    if (credential.nodes.length > 0) lines.push(`Used by: ${credential.nodes.join(', ')}`, '');
+    credential.setup.forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+    lines.push('');
+  });
+
+  lines.push('## Input', '');
+  if (structure.data.input.length === 0) {
+    lines.push('No structured input is expected.', '');
+  }
+  structure.data.input.forEach(entity => {
+    lines.push(`**${entity.name}**`, '', '| Field | Type | Required |', '| --- | --- | --- |');
+    entity.fields.forEach(field => lines.push(`| ${field.name} | ${field.type} | ${field.required ? 'yes' : 'no'} |`));
+    lines.push('');
+  });
+
+  lines.push('## Output', '');
+  if (structure.data.output.length === 0) lines.push('The workflow does not send data anywhere outside n8n.');
+  structure.data.output.forEach(target => lines.push(`- **${target.system}**${target.action ? `: ${target.action}` : ''}`));
+  lines.push('');
+
+  lines.push('## Environment variables', '');
+  if (structure.environmentVariables.length === 0) lines.push('None.');
+  structure.environmentVariables.forEach(name => lines.push(`- \`${name}\``));
+  lines.push('');
+
+  const limitations = [...structure.limitations, ...narrative.limitations];
+  lines.push('## Known limitations', '');
+  if (limitations.length === 0) lines.push('None known.');
+  limitations.forEach(item => lines.push(`- ${item}`));
+  lines.push('');
+
+  return lines.join('\n');
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Just enough markdown for the documents renderMarkdown produces
+const renderInline = (text) => escapeHtml(text)
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|\s)_([^_]+)_(?=\s|$)/g, '$1<em>$2</em>')
+  .replace(/`([^`]+)`/g, '<code>$1</code>');
+
+const renderHtml = (markdown, title) => {
+  const body = [];
+  let list = null;
+  let table = null;
+
+  const closeBlocks = () => {
+    if (list) body.push(`</${list}>`);
+    if (table) body.push('</table>');
+    list = null;
+    table = null;
+  };
+
+  markdown.split('\n').forEach(line => {
+    const heading = line.match(/^(#{1,3}) (.*)$/);
+    const ordered = line.match(/^\d+\. (.*)$/);
+    const bullet = line.match(/^- (.*)$/);
+
+    if (heading) {
+      closeBlocks();
+      body.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (ordered || bullet) {
+      const tag = ordered ? 'ol' : 'ul';
+      if (list !== tag) {
+        closeBlocks();
+        body.push(`<${tag}>`);
+        list = tag;
+      }
+      body.push(`<li>${renderInline((ordered || bullet)[1])}</li>`);
+    } else if (line.startsWith('|')) {
+      if (/^\|[\s-|]+\|$/.test(line)) return;
+      const cells = line.split('|').slice(1, -1).map(cell => cell.trim());
+      if (!table) {
+        closeBlocks();
+        body.push('<table>');
+        table = true;
+        body.push(`<tr>${cells.map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr>`);
+      } else {
+        body.push(`<tr>${cells.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`);
+      }
+    } else if (line.trim()) {
+      closeBlocks();
+      body.push(`<p>${renderInline(line)}</p>`);
+    } else {
+      closeBlocks();
+    }
+  });
+  closeBlocks();
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; line-height: 1.6; color: #1f2937; max-width: 800px; margin: 0 auto; padding: 24px; }
+h1 { color: #4f46e5; }
+code { background: #f3f4f6; padding: 1px 4px; border-radius: 3px; }
+table { border-collapse: collapse; margin-bottom: 16px; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: left; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+};
+
+const formatDocument = (row) => ({
+  id: row.id,
+  workflow_id: row.workflow_id,
+  version_number: row.version_number,
+  narrative_source: row.narrative_source,
+  structure: parseJson(row.structure),
+  narrative: parseJson(row.narrative),
+  markdown: row.markdown,
+  html: row.html,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Stored documentation for one revision, by default the current one
+const getWorkflowDocs = async (workflowId, versionNumber = null) => {
+  const result = await query(`
+    SELECT wd.*
+    FROM workflow_documents wd
+    JOIN workflows w ON w.id = wd.workflow_id
+    WHERE wd.workflow_id = $1 AND wd.version_number = COALESCE($2, w.current_version)
+  `, [workflowId, versionNumber]);
+
+  return result.rows.length > 0 ? formatDocument(result.rows[0]) : null;
+};
+
+// Build, write and store the documentation for a workflow revision (the current one by default)
+const generateWorkflowDocs = async (workflowId, { versionNumber = null, usageContext = {} } = {}) => {
+  const result = await query(`
+    SELECT w.id, w.name, w.current_version, COALESCE(wv.workflow_json, w.workflow_json) AS workflow_json,
+           COALESCE(wv.version_number, w.current_version, 1) AS version_number,
+           wv.sub_workflows, row_to_json(cr) AS customer_request
+    FROM workflows w
+    LEFT JOIN workflow_versions wv ON wv.workflow_id = w.id AND wv.version_number = COALESCE($2, w.current_version)
+    LEFT JOIN customer_requests cr ON cr.id = w.customer_request_id
+    WHERE w.id = $1
+  `, [workflowId, versionNumber]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Workflow ${workflowId} not found`);
+  }
+
+  const row = result.rows[0];
+  if (versionNumber && parseInt(row.version_number) !== parseInt(versionNumber)) {
+    throw new Error(`Version ${versionNumber} of workflow ${workflowId} not found`);
+  }
+
+  const workflow = parseJson(row.workflow_json);
+  const customerRequest = row.customer_request || {};
+  // Revisions recorded before bundles were versioned only have the live bundle to fall back on
+  const isCurrent = !row.current_version || parseInt(row.version_number) === parseInt(row.current_version);
+  const versionSubWorkflows = parseJson(row.sub_workflows);
+  let subWorkflows = [];
+  if (Array.isArray(versionSubWorkflows)) subWorkflows = versionSubWorkflows;
+  else if (isCurrent) subWorkflows = await getSubWorkflows(workflowId);
+
+  const structure = buildDocumentStructure(workflow, customerRequest, subWorkflows);
+  const { narrative, source } = await generateNarrative(structure, customerRequest, { workflowId, ...usageContext });
+  const markdown = renderMarkdown(structure, narrative, { version: row.version_number });
+  const html = renderHtml(markdown, structure.title);
+
+  const saved = await query(`
+    INSERT INTO workflow_documents (workflow_id, version_number, structure, narrative, narrative_source, markdown, html)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (workflow_id, version_number) DO UPDATE
+    SET structure = EXCLUDED.structure, narrative = EXCLUDED.narrative, narrative_source = EXCLUDED.narrative_source,
+        markdown = EXCLUDED.markdown, html = EXCLUDED.html, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    workflowId,
+    row.version_number,
+    JSON.stringify(structure),
+    JSON.stringify(narrative),
+    source,
+    markdown,
+    html
+  ]);
+
+  logger.info(`Documentation written for workflow ${workflowId} version ${row.version_number} (${source} narrative)`);
+
+  return formatDocument(saved.rows[0]);
+};
+
+module.exports = {
+  buildDocumentStructure,
+  generateNarrative,
+  renderMarkdown,
+  renderHtml,
+  getWorkflowDocs,
+  generateWorkflowDocs,
+  DOC_FORMATS
+};
@@ -1,38 +1,30 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const { logger } = require('../utils/logger');
-const fs = require('fs').promises;
-const path = require('path');
+const { describeCatalogForPrompt, isTriggerType, isAnnotationType } = require('./nodeCatalog');
+const { validateWorkflowNodes, groupIssuesByNode } = require('./workflowValidator');
+const { retrieveForRequest, formatSectionsForPrompt } = require('./knowledgeBase');
+const { layoutWorkflow } = require('./workflowLayout');
+const { BUNDLE_REFERENCE_PREFIX } = require('./workflowDecomposition');
+const { lintWorkflow, applyLintFixes } = require('./lint');
+const { getRequirementSpec, formatSpecForPrompt } = require('./requirementSpec');
+const { checkExpressionReferences, fixExpressionReferences } = require('./expressionReferences');
+const llm = require('./llm');
 
-// Initialize Claude client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Answers to the pre-generation questions; unanswered ones are left to the model's judgement
+const formatClarificationsForPrompt = (clarifications) => {
+  if (!Array.isArray(clarifications) || clarifications.length === 0) return '';
 
-// Load workflow templates and patterns from knowledge base
-const loadWorkflowTemplates = async () => {
-  try {
-    const templatesPath = path.join(__dirname, '../../docs/knowledge_base/workflows');
-    const patterns = await fs.readFile(path.join(templatesPath, 'ai_integration_patterns.md'), 'utf8');
-    const community = await fs.readFile(path.join(templatesPath, 'community_templates.md'), 'utf8');
-    const api = await fs.readFile(path.join(templatesPath, 'api_management_patterns.md'), 'utf8');
-    
-    return { patterns, community, api };
-  } catch (error) {
-    logger.warn('Could not load workflow templates, using fallback patterns');
-    return null;
-  }
+  const lines = clarifications.map(item => (item.answer
+    ? `- Q: ${item.question}\n  A: ${item.answer}`
+    : `- Q: ${item.question}\n  A: (no answer) Choose a sensible default and name it in the workflow notes`));
+
+  return `CLARIFICATIONS FROM THE CUSTOMER:
+${lines.join('\n')}
+`;
 };
 
-// Generate n8n workflow using Claude
-const generateWorkflow = async (customerRequest) => {
-  logger.info('Generating workflow for request:', customerRequest.id);
-  
-  try {
-    // Load knowledge base templates
-    const templates = await loadWorkflowTemplates();
-    
-    // Prepare context for Claude
-    const systemPrompt = `You are an expert n8n workflow architect specializing in creating production-ready automation workflows. Your task is to generate complete, functional n8n workflow JSON based on customer requirements.
+// Build the system and user prompts for a customer request; guidance steers alternate candidates
+const buildGenerationPrompts = (customerRequest, references = [], guidance = null) => {
+  const systemPrompt = `You are an expert n8n workflow architect specializing in creating production-ready automation workflows. Your task is to generate complete, functional n8n workflow JSON based on customer requirements.
 
 WORKFLOW GENERATION REQUIREMENTS:
 1. Generate complete n8n workflow JSON with proper node structure
@@ -43,12 +35,8 @@ WORKFLOW GENERATION REQUIREMENTS:
 6. Include detailed parameter configurations for each node
 7. Ensure the workflow is immediately deployable
 
-AVAILABLE NODE TYPES:
-- Trigger nodes: webhook, cron, email-imap, manual
-- Action nodes: http-request, code, set, filter, merge, split
-- Integration nodes: gmail, slack, hubspot, salesforce, airtable, etc.
-- AI nodes: openai, anthropic, google-ai, embeddings
-- Database nodes: postgres, mysql, mongodb, redis
+AVAILABLE NODE TYPES (use these exact type ids and typeVersions):
+${describeCatalogForPrompt()}
 
 OUTPUT FORMAT:
 Return a complete n8n workflow JSON object with:
@@ -60,111 +48,286 @@ Return a complete n8n workflow JSON object with:
 
 Customer requirements will be provided in the user message.`;
 
-    const userPrompt = `Generate an n8n workflow for the following customer request:
-
-CUSTOMER REQUEST:
-- Description: ${customerRequest.description}
-- Requirements: ${customerRequest.requirements || 'Standard automation workflow'}
-- Integrations needed: ${customerRequest.integrations || 'To be determined based on use case'}
-- Complexity: ${customerRequest.complexity || 'Medium'}
-- Budget: ${customerRequest.estimated_price || 'Standard pricing'}
+  const userPrompt = `Generate an n8n workflow for the following customer request:
 
+${formatSpecForPrompt(getRequirementSpec(customerRequest))}
 SPECIFIC REQUIREMENTS:
 - The workflow should be production-ready
-- Include proper error handling
-- Use webhooks for triggering when appropriate
+- Include proper error handling that follows the spec's error policy
+- Use the trigger type described in the spec
 - Implement data validation and transformation
 - Include logging and monitoring capabilities
 - Follow security best practices
-
-${templates ? `
-REFERENCE PATTERNS (for inspiration, adapt as needed):
-${templates.patterns.substring(0, 2000)}
+${guidance ? `- ${guidance}\n` : ''}
+${formatClarificationsForPrompt(customerRequest.clarifications)}
+${references.length > 0 ? `
+REFERENCE PATTERNS FROM THE KNOWLEDGE BASE (for inspiration, adapt as needed):
+${formatSectionsForPrompt(references)}
 ` : ''}
 
 Generate a complete, functional n8n workflow JSON that fulfills these requirements.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 4000,
-      temperature: 0.3,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ]
-    });
+  return { systemPrompt, userPrompt };
+};
+
+// Send a conversation to the generation model and return the text of the reply
+const requestWorkflowCompletion = async (systemPrompt, messages, usageContext, { temperature } = {}) => {
+  const response = await llm.createMessage('generation', {
+    system: systemPrompt,
+    messages,
+    temperature: temperature ?? undefined
+  }, usageContext);
+
+  return response.text;
+};
 
-    const workflowContent = response.content[0].text;
+// Extract and parse the workflow JSON from a model response
+const parseWorkflowResponse = (workflowContent) => {
+  try {
+    // Extract JSON from the model response (it might include explanatory text)
+    const jsonMatch = workflowContent.match(/```json\n([\s\S]*?)\n```/) || 
+                     workflowContent.match(/\{[\s\S]*\}/);
     
-    // Parse and validate the generated workflow
-    let workflowJSON;
-    try {
-      // Extract JSON from Claude's response (it might include explanatory text)
-      const jsonMatch = workflowContent.match(/```json\n([\s\S]*?)\n```/) || 
-                       workflowContent.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        workflowJSON = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-      } else {
-        // If no JSON blocks found, try to parse the entire response
-        workflowJSON = JSON.parse(workflowContent);
-      }
-      
-      // Validate required workflow structure
-      if (!workflowJSON.nodes || !Array.isArray(workflowJSON.nodes)) {
-        throw new Error('Generated workflow missing required nodes array');
-      }
-      
-      if (!workflowJSON.connections || typeof workflowJSON.connections !== 'object') {
-        throw new Error('Generated workflow missing required connections object');
-      }
-      
-    } catch (parseError) {
-      logger.error('Failed to parse generated workflow JSON:', parseError);
-      throw new Error('Generated workflow is not valid JSON format');
+    const workflowJSON = jsonMatch
+      ? JSON.parse(jsonMatch[1] || jsonMatch[0])
+      : JSON.parse(workflowContent);
+    
+    // Validate required workflow structure
+    if (!workflowJSON.nodes || !Array.isArray(workflowJSON.nodes)) {
+      throw new Error('Generated workflow missing required nodes array');
     }
     
-    // Enhance workflow with metadata
-    const enhancedWorkflow = {
-      name: workflowJSON.name || `Auto-generated workflow for ${customerRequest.id}`,
-      active: false, // Start inactive for testing
-      tags: ['auto-generated', 'dfy-autopilot'],
-      meta: {
-        generatedAt: new Date().toISOString(),
-        generatedBy: 'claude-workflow-generator',
-        customerRequestId: customerRequest.id,
-        version: '1.0.0'
-      },
-      ...workflowJSON,
-      settings: {
-        executionOrder: 'v1',
-        saveManualExecutions: true,
-        saveExecutionProgress: true,
-        saveDataErrorExecution: 'all',
-        saveDataSuccessExecution: 'all',
-        ...workflowJSON.settings
-      }
-    };
+    if (!workflowJSON.connections || typeof workflowJSON.connections !== 'object') {
+      throw new Error('Generated workflow missing required connections object');
+    }
     
-    logger.info('Successfully generated workflow with', enhancedWorkflow.nodes.length, 'nodes');
+    return workflowJSON;
+  } catch (parseError) {
+    logger.error('Failed to parse generated workflow JSON:', parseError);
+    const error = new Error(`Generated workflow is not valid JSON format: ${parseError.message}`);
+    error.stage = 'parse';
+    error.rawOutput = workflowContent;
+    throw error;
+  }
+};
+
+// Add metadata and settings, lay out the nodes, then validate the parsed workflow
+const finalizeWorkflow = async (workflowJSON, customerRequest) => {
+  // Model-invented positions are replaced with a layout computed from the connections
+  const laidOutWorkflow = layoutWorkflow({
+    name: workflowJSON.name || `Auto-generated workflow for ${customerRequest.id}`,
+    active: false, // Start inactive for testing
+    tags: ['auto-generated', 'dfy-autopilot'],
+    meta: {
+      generatedAt: new Date().toISOString(),
+      generatedBy: 'claude-workflow-generator',
+      customerRequestId: customerRequest.id,
+      version: '1.0.0'
+    },
+    ...workflowJSON,
+    settings: {
+      executionOrder: 'v1',
+      saveManualExecutions: true,
+      saveExecutionProgress: true,
+      saveDataErrorExecution: 'all',
+      saveDataSuccessExecution: 'all',
+      ...workflowJSON.settings
+    }
+  });
+  
+  // Auto-fixable lint issues (default names, missing retries) are corrected before validation
+  const tier = customerRequest.complexity || estimateComplexity(laidOutWorkflow);
+  const { workflow: lintedWorkflow, applied: lintFixes } = await applyLintFixes(laidOutWorkflow, { tier });
+  // Expressions still naming a node the model renamed are pointed at the new name
+  const { workflow: enhancedWorkflow, applied: expressionFixes } = fixExpressionReferences(lintedWorkflow);
+  const lint = await lintWorkflow(enhancedWorkflow, { tier });
+  
+  const validation = await validateWorkflow(enhancedWorkflow);
+  if (!validation.valid) {
+    logger.warn('Generated workflow failed catalog validation:', validation.issues);
+  }
+  
+  logger.info('Successfully generated workflow with', enhancedWorkflow.nodes.length, 'nodes');
+  
+  return {
+    success: true,
+    workflow: enhancedWorkflow,
+    validation,
+    lint: { ...lint, fixesApplied: lintFixes },
+    expressionFixes,
+    metadata: {
+      nodeCount: enhancedWorkflow.nodes.length,
+      complexity: estimateComplexity(enhancedWorkflow),
+      estimatedExecutionTime: estimateExecutionTime(enhancedWorkflow),
+      requiredCredentials: extractRequiredCredentials(enhancedWorkflow)
+    }
+  };
+};
+
+// Keep the failure stage and raw model output when wrapping errors
+const wrapGenerationError = (prefix, error) => {
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  wrapped.stage = error.stage || 'generation';
+  wrapped.rawOutput = error.rawOutput || null;
+  return wrapped;
+};
+
+// Generate n8n workflow with the configured generation model
+// usageContext carries job and record ids for the LLM usage ledger
+// variant ({ temperature, guidance }) is set when generating one of several candidates
+const generateWorkflow = async (customerRequest, usageContext = {}, variant = {}) => {
+  logger.info('Generating workflow for request:', customerRequest.id);
+  
+  try {
+    // Retrieve the knowledge base sections relevant to this request
+    const references = await retrieveForRequest(customerRequest);
+    const { systemPrompt, userPrompt } = buildGenerationPrompts(customerRequest, references, variant.guidance);
     
-    return {
-      success: true,
-      workflow: enhancedWorkflow,
-      metadata: {
-        nodeCount: enhancedWorkflow.nodes.length,
-        complexity: estimateComplexity(enhancedWorkflow),
-        estimatedExecutionTime: estimateExecutionTime(enhancedWorkflow),
-        requiredCredentials: extractRequiredCredentials(enhancedWorkflow)
+    const workflowContent = await requestWorkflowCompletion(systemPrompt, [
+      {
+        role: 'user',
+        content: userPrompt
       }
-    };
+    ], { customerRequestId: customerRequest.id, ...usageContext }, { temperature: variant.temperature });
+    
+    const workflowJSON = parseWorkflowResponse(workflowContent);
+    const result = await finalizeWorkflow(workflowJSON, customerRequest);
+    
+    return { ...result, rawOutput: workflowContent, references: references.map(section => section.id) };
     
   } catch (error) {
     logger.error('Workflow generation failed:', error);
-    throw new Error(`Workflow generation failed: ${error.message}`);
+    throw wrapGenerationError('Workflow generation failed', error);
+  }
+};
+
+// Workflow as it goes into a prompt, without the timestamps that change on every run,
+// so the same request always sends the same prompt (and replays the same LLM fixture)
+const promptWorkflow = (workflow) => {
+  const { createdAt, updatedAt, meta, ...rest } = workflow;
+  if (!meta) return rest;
+
+  const { generatedAt, ...stableMeta } = meta;
+  return { ...rest, meta: stableMeta };
+};
+
+// Conversation that asks for changes to an existing workflow instead of a fresh build
+const buildRevisionMessages = (userPrompt, revision) => {
+  const clarifications = (revision.clarifications || [])
+    .map(message => `- ${message.author}: ${message.message}`)
+    .join('\n');
+  const subWorkflows = (revision.subWorkflows || [])
+    .map(subWorkflow => `- ${BUNDLE_REFERENCE_PREFIX}${subWorkflow.key}: ${subWorkflow.name}`)
+    .join('\n');
+
+  const revisionPrompt = `The customer is already using the workflow above and has asked for these changes:
+
+${revision.changeDescription}
+${clarifications ? `
+CLARIFICATIONS FROM THE CONVERSATION WITH THE CUSTOMER:
+${clarifications}
+` : ''}${subWorkflows ? `
+The "Execute Workflow" nodes whose workflow id starts with ${BUNDLE_REFERENCE_PREFIX} call these sub-workflows, which are delivered with the workflow and stay as they are:
+${subWorkflows}
+` : ''}
+Apply the requested changes to the existing workflow. Keep every node, name, id, credential and parameter that the change does not require you to touch, so the customer's existing setup keeps working.
+
+Return the complete revised n8n workflow JSON.`;
+
+  return [
+    { role: 'user', content: userPrompt },
+    { role: 'assistant', content: `\`\`\`json\n${JSON.stringify(promptWorkflow(revision.currentWorkflow), null, 2)}\n\`\`\`` },
+    { role: 'user', content: revisionPrompt }
+  ];
+};
+
+// Revise an existing workflow from a customer's change description
+const reviseWorkflow = async (customerRequest, revision, usageContext = {}) => {
+  logger.info(`Revising workflow for request ${customerRequest.id}`);
+  
+  try {
+    const references = await retrieveForRequest(customerRequest);
+    const { systemPrompt, userPrompt } = buildGenerationPrompts(customerRequest, references);
+    
+    const workflowContent = await requestWorkflowCompletion(
+      systemPrompt,
+      buildRevisionMessages(userPrompt, revision),
+      { customerRequestId: customerRequest.id, ...usageContext }
+    );
+    
+    const workflowJSON = parseWorkflowResponse(workflowContent);
+    const result = await finalizeWorkflow(workflowJSON, customerRequest);
+    
+    return { ...result, rawOutput: workflowContent, references: references.map(section => section.id) };
+    
+  } catch (error) {
+    logger.error('Workflow revision failed:', error);
+    throw wrapGenerationError('Workflow revision failed', error);
+  }
+};
+
+// Describe a failed attempt so the model can correct it
+const describeFailureForPrompt = (failure) => {
+  const lines = [];
+  
+  switch (failure.stage) {
+    case 'parse':
+      lines.push(`Your previous response could not be used: ${failure.message}`);
+      lines.push('Return the complete workflow as a single valid JSON object with "nodes" and "connections".');
+      break;
+    case 'validation':
+      lines.push('Your previous workflow failed structural validation with these issues:');
+      break;
+    case 'test':
+      lines.push(`Your previous workflow was imported into n8n and the test execution failed: ${failure.message}`);
+      break;
+    default:
+      lines.push(`Your previous workflow failed: ${failure.message}`);
+  }
+  
+  (failure.issues || []).slice(0, 30).forEach(issue => {
+    if (typeof issue === 'string') {
+      lines.push(`- ${issue}`);
+    } else {
+      lines.push(`- [${issue.code}] ${issue.message}${issue.path ? ` (at ${issue.path})` : ''}`);
+    }
+  });
+  
+  return lines.join('\n');
+};
+
+// Ask the model to correct a workflow that failed parsing, validation or testing
+// A revision carries the workflow being changed so repairs keep working from it
+const repairWorkflow = async (customerRequest, { previousWorkflow = null, rawOutput = null, failure, revision = null, usageContext = {} }) => {
+  logger.info(`Repairing workflow for request ${customerRequest.id} after ${failure.stage} failure`);
+  
+  try {
+    const references = await retrieveForRequest(customerRequest);
+    const { systemPrompt, userPrompt } = buildGenerationPrompts(customerRequest, references);
+    const previousOutput = previousWorkflow
+      ? `\`\`\`json\n${JSON.stringify(promptWorkflow(previousWorkflow), null, 2)}\n\`\`\``
+      : (rawOutput || '(no output)');
+    
+    const repairPrompt = `${describeFailureForPrompt(failure)}
+
+Fix every problem listed above while keeping the parts of the workflow that already work. Only use node types, typeVersions, parameters and credential types from the available node types list.
+
+Return the complete corrected n8n workflow JSON.`;
+    
+    const workflowContent = await requestWorkflowCompletion(systemPrompt, [
+      ...(revision ? buildRevisionMessages(userPrompt, revision) : [{ role: 'user', content: userPrompt }]),
+      { role: 'assistant', content: previousOutput },
+      { role: 'user', content: repairPrompt }
+    ], { customerRequestId: customerRequest.id, ...usageContext });
+    
+    const workflowJSON = parseWorkflowResponse(workflowContent);
+    const result = await finalizeWorkflow(workflowJSON, customerRequest);
+    
+    return { ...result, rawOutput: workflowContent, references: references.map(section => section.id) };
+    
+  } catch (error) {
+    logger.error('Workflow repair failed:', error);
+    throw wrapGenerationError('Workflow repair failed', error);
   }
 };
 
@@ -226,41 +389,55 @@ const extractRequiredCredentials = (workflow) => {
 const validateWorkflow = async (workflow) => {
   const issues = [];
   
+  // Check every node against the node catalog
+  const catalogResult = validateWorkflowNodes(workflow);
+  catalogResult.errors.forEach(error => issues.push(error.message));
+  
   // Check for disconnected nodes
   const connectedNodes = new Set();
-  Object.values(workflow.connections).forEach(connections => {
+  Object.values(workflow.connections || {}).forEach(connections => {
     connections.main?.forEach(connectionGroup => {
-      connectionGroup.forEach(connection => {
+      connectionGroup?.forEach(connection => {
         connectedNodes.add(connection.node);
       });
     });
   });
   
-  const disconnectedNodes = workflow.nodes.filter(node => 
+  const disconnectedNodes = (workflow.nodes || []).filter(node => 
     !connectedNodes.has(node.name) && 
-    !node.type.includes('trigger') && 
-    !node.type.includes('webhook')
+    !isTriggerType(node.type) && 
+    !isAnnotationType(node.type)
   );
   
   if (disconnectedNodes.length > 0) {
     issues.push(`Disconnected nodes found: ${disconnectedNodes.map(n => n.name).join(', ')}`);
   }
   
-  // Check for missing required parameters
-  workflow.nodes.forEach(node => {
-    if (!node.parameters) {
-      issues.push(`Node "${node.name}" missing parameters`);
-    }
-  });
+  // Expressions must only read nodes that exist and have run on the same branch
+  const expressionResult = checkExpressionReferences(workflow);
+  const expressionErrors = expressionResult.issues.filter(issue => issue.severity === 'error');
+  const expressionWarnings = expressionResult.issues.filter(issue => issue.severity === 'warning');
+  expressionErrors.forEach(error => issues.push(error.message));
+  
+  const errors = [...catalogResult.errors, ...expressionErrors];
+  const warnings = [...catalogResult.warnings, ...expressionWarnings];
   
   return {
     valid: issues.length === 0,
-    issues
+    issues,
+    errors,
+    warnings,
+    nodeIssues: groupIssuesByNode([...errors, ...warnings]),
+    catalogVersion: catalogResult.catalogVersion
   };
 };
 
 module.exports = {
   generateWorkflow,
+  reviseWorkflow,
+  repairWorkflow,
+  finalizeWorkflow,
+  parseWorkflowResponse,
   validateWorkflow,
   estimateComplexity,
   estimateExecutionTime,
@@ -0,0 +1,256 @@
+const { getNodeDefinition, isAnnotationType, isTriggerType } = require('./nodeCatalog');
+const { getConnectionList } = require('../utils/workflowGraph');
+
+// Spacing roughly matches what the n8n editor produces for hand-built workflows
+const LAYOUT_DEFAULTS = {
+  originX: 240,
+  originY: 300,
+  columnSpacing: 220,
+  rowSpacing: 160,
+  componentSpacing: 240,
+  gridSize: 20
+};
+
+const snap = (value, gridSize) => Math.round(value / gridSize) * gridSize;
+
+// Split the graph into weakly connected components so separate sub-flows never share rows
+const findComponents = (names, edges) => {
+  const neighbours = new Map(names.map(name => [name, []]));
+  edges.forEach(edge => {
+    neighbours.get(edge.source).push(edge.target);
+    neighbours.get(edge.target).push(edge.source);
+  });
+
+  const seen = new Set();
+  const components = [];
+
+  names.forEach(start => {
+    if (seen.has(start)) return;
+
+    const component = [];
+    const stack = [start];
+    seen.add(start);
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      component.push(current);
+      neighbours.get(current).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      });
+    }
+
+    components.push(component);
+  });
+
+  return components;
+};
+
+// Drop edges that close a cycle (e.g. Split In Batches loops) so layering terminates
+const removeBackEdges = (names, edges, roots) => {
+  const outgoing = new Map(names.map(name => [name, []]));
+  edges.forEach(edge => outgoing.get(edge.source).push(edge));
+
+  const state = new Map();
+  const backEdges = new Set();
+
+  const visit = (name) => {
+    state.set(name, 'active');
+    outgoing.get(name).forEach(edge => {
+      const targetState = state.get(edge.target);
+      if (targetState === 'active') {
+        backEdges.add(edge);
+      } else if (!targetState) {
+        visit(edge.target);
+      }
+    });
+    state.set(name, 'done');
+  };
+
+  [...roots, ...names].forEach(name => {
+    if (!state.has(name)) visit(name);
+  });
+
+  return edges.filter(edge => !backEdges.has(edge));
+};
+
+// Assign every node to a column using the longest path from a root
+const assignLayers = (names, edges) => {
+  const incoming = new Map(names.map(name => [name, 0]));
+  const outgoing = new Map(names.map(name => [name, []]));
+  edges.forEach(edge => {
+    incoming.set(edge.target, incoming.get(edge.target) + 1);
+    outgoing.get(edge.source).push(edge);
+  });
+
+  const layers = new Map(names.map(name => [name, 0]));
+  const queue = names.filter(name => incoming.get(name) === 0);
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    outgoing.get(current).forEach(edge => {
+      layers.set(edge.target, Math.max(layers.get(edge.target), layers.get(current) + 1));
+      incoming.set(edge.target, incoming.get(edge.target) - 1);
+      if (incoming.get(edge.target) === 0) queue.push(edge.target);
+    });
+  }
+
+  return layers;
+};
+
+// Number of output slots used by a node, so branch offsets are centred on the parent
+const countOutputs = (nodeType, edgesFromNode) => {
+  const usedOutputs = edgesFromNode.reduce((max, edge) => Math.max(max, edge.sourceOutput + 1), 1);
+  const definition = getNodeDefinition(nodeType);
+  if (definition && !definition.dynamicOutputs && definition.outputs > 1) {
+    return Math.max(definition.outputs, usedOutputs);
+  }
+  return usedOutputs;
+};
+
+// Lay out one connected component; returns positions relative to its own top-left
+const layoutComponent = (componentNames, nodesByName, allEdges, options) => {
+  const members = new Set(componentNames);
+  const edges = allEdges.filter(edge => members.has(edge.source) && members.has(edge.target));
+
+  const hasParent = new Set(edges.map(edge => edge.target));
+  const roots = componentNames
+    .filter(name => !hasParent.has(name))
+    .sort((left, right) => Number(isTriggerType(nodesByName.get(right).type)) - Number(isTriggerType(nodesByName.get(left).type)));
+
+  const acyclicEdges = removeBackEdges(componentNames, edges, roots);
+  const layers = assignLayers(componentNames, acyclicEdges);
+
+  const columns = [];
+  componentNames.forEach(name => {
+    const layer = layers.get(name);
+    if (!columns[layer]) columns[layer] = [];
+    columns[layer].push(name);
+  });
+
+  const parentsOf = new Map(componentNames.map(name => [name, []]));
+  const childrenOf = new Map(componentNames.map(name => [name, []]));
+  acyclicEdges.forEach(edge => {
+    parentsOf.get(edge.target).push(edge);
+    childrenOf.get(edge.source).push(edge);
+  });
+
+  const rowY = new Map();
+
+  columns.forEach((column, layerIndex) => {
+    if (!column) return;
+
+    // Desired row: parents' rows shifted by which branch output feeds this node
+    const desired = column.map((name, index) => {
+      const parentEdges = parentsOf.get(name).filter(edge => rowY.has(edge.source));
+      if (layerIndex === 0 || parentEdges.length === 0) {
+        return { name, y: index * options.rowSpacing, order: index };
+      }
+
+      const total = parentEdges.reduce((sum, edge) => {
+        const outputs = countOutputs(nodesByName.get(edge.source).type, childrenOf.get(edge.source));
+        const branchOffset = (edge.sourceOutput - (outputs - 1) / 2) * options.rowSpacing;
+        return sum + rowY.get(edge.source) + branchOffset;
+      }, 0);
+
+      return { name, y: total / parentEdges.length, order: index };
+    });
+
+    desired.sort((left, right) => left.y - right.y || left.order - right.order);
+
+    // Push overlapping nodes down, then re-centre the column on where it wanted to be
+    const placed = [];
+    desired.forEach(({ name, y }) => {
+      const previous = placed[placed.length - 1];
+      const nextY = previous ? Math.max(y, previous.y + options.rowSpacing) : y;
+      placed.push({ name, y: nextY });
+    });
+
+    const desiredCentre = desired.reduce((sum, item) => sum + item.y, 0) / desired.length;
+    const placedCentre = placed.reduce((sum, item) => sum + item.y, 0) / placed.length;
+    const shift = desiredCentre - placedCentre;
+
+    placed.forEach(({ name, y }) => rowY.set(name, y + shift));
+  });
+
+  const minY = Math.min(...rowY.values());
+  const maxY = Math.max(...rowY.values());
+  const positions = new Map();
+
+  componentNames.forEach(name => {
+    positions.set(name, {
+      x: layers.get(name) * options.columnSpacing,
+      y: rowY.get(name) - minY
+    });
+  });
+
+  return { positions, height: maxY - minY };
+};
+
+// Compute node positions from the connection graph: columns by depth, branches fanned out
+const layoutWorkflow = (workflow, overrides = {}) => {
+  const options = { ...LAYOUT_DEFAULTS, ...overrides };
+  const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
+
+  // Sticky notes keep their own positions
+  const layoutNodes = nodes.filter(node => node.name && !isAnnotationType(node.type));
+  const nodesByName = new Map(layoutNodes.map(node => [node.name, node]));
+  const names = [...nodesByName.keys()];
+
+  const edges = getConnectionList(workflow).filter(edge =>
+    nodesByName.has(edge.source) && nodesByName.has(edge.target) && edge.source !== edge.target
+  );
+
+  // Components with a trigger come first, then keep the original node order
+  const components = findComponents(names, edges).sort((left, right) => {
+    const leftTrigger = left.some(name => isTriggerType(nodesByName.get(name).type));
+    const rightTrigger = right.some(name => isTriggerType(nodesByName.get(name).type));
+    if (leftTrigger !== rightTrigger) return leftTrigger ? -1 : 1;
+    return names.indexOf(left[0]) - names.indexOf(right[0]);
+  });
+
+  const positions = new Map();
+  let offsetY = options.originY;
+
+  components.forEach(component => {
+    const result = layoutComponent(component, nodesByName, edges, options);
+    result.positions.forEach((position, name) => {
+      positions.set(name, [
+        snap(options.originX + position.x, options.gridSize),
+        snap(offsetY + position.y, options.gridSize)
+      ]);
+    });
+    offsetY += result.height + options.componentSpacing;
+  });
+
+  return {
+    ...workflow,
+    nodes: nodes.map(node => (positions.has(node.name) ? { ...node, position: positions.get(node.name) } : node))
+  };
+};
+
+// Report nodes that share a position, used to decide whether a stored workflow needs re-layout
+const findOverlappingNodes = (workflow, minDistance = 100) => {
+  const nodes = (workflow.nodes || []).filter(node => Array.isArray(node.position) && !isAnnotationType(node.type));
+  const overlaps = [];
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const dx = Math.abs(nodes[i].position[0] - nodes[j].position[0]);
+      const dy = Math.abs(nodes[i].position[1] - nodes[j].position[1]);
+      if (dx < minDistance && dy < minDistance) {
+        overlaps.push([nodes[i].name, nodes[j].name]);
+      }
+    }
+  }
+
+  return overlaps;
+};
+
+module.exports = {
+  layoutWorkflow,
+  findOverlappingNodes,
+  LAYOUT_DEFAULTS
+};
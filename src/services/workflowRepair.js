@@ -0,0 +1,157 @@
+const { logger } = require('../utils/logger');
+const { getConfigValue } = require('../config/systemConfig');
+const { generateWorkflow, reviseWorkflow, repairWorkflow } = require('./workflowGenerator');
+const { testWorkflow } = require('./workflowTester');
+const { diffWorkflows } = require('./workflowDiff');
+const { getRequirementSpec } = require('./requirementSpec');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Pull the most specific error message out of a test run
+const extractTestFailure = (testResult) => {
+  const { phases = {}, overall = {} } = testResult;
+  const executionError = phases.monitoring?.error;
+
+  if (executionError) {
+    const message = typeof executionError === 'string' ? executionError : executionError.message;
+    const nodeName = executionError.node?.name;
+    return nodeName ? `Node "${nodeName}": ${message}` : message;
+  }
+
+  // Stored test cases report which case failed and on which assertion
+  const failedCases = (phases.testCases?.cases || []).filter(testCase => !testCase.passed);
+  if (failedCases.length > 0) {
+    return failedCases.map(testCase => {
+      const reason = testCase.error || testCase.assertions.filter(assertion => !assertion.passed).map(assertion => assertion.message).join('; ');
+      return `Test case "${testCase.name}" failed: ${reason}`;
+    }).join('\n');
+  }
+
+  return overall.error ||
+    phases.execution?.error ||
+    phases.visual?.error ||
+    'Test execution did not succeed';
+};
+
+// Generate a workflow, feeding parse, validation and test failures back to the model.
+// With options.revision the first attempt revises an existing workflow instead, and
+// options.variant changes the temperature and guidance of a fresh first attempt.
+// options.testCases are the stored cases of the workflow being regenerated; they run with every test.
+// options.subWorkflows is the bundle the revised parent calls, tested along with it.
+const generateWithRepair = async (customerRequest, options = {}) => {
+  const { runTests = false, revision = null, variant = {}, usageContext = {}, testCases = [], subWorkflows = [] } = options;
+  const maxAttempts = Number(options.maxAttempts || await getConfigValue('max_test_attempts', DEFAULT_MAX_ATTEMPTS)) || DEFAULT_MAX_ATTEMPTS;
+
+  const attempts = [];
+  let previousWorkflow = null;
+  let rawOutput = null;
+  let failure = null;
+  let lastResult = null;
+  let lastTestResult = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let result;
+
+    try {
+      if (attempt > 1) {
+        result = await repairWorkflow(customerRequest, { previousWorkflow, rawOutput, failure, revision, usageContext });
+      } else if (revision) {
+        result = await reviseWorkflow(customerRequest, revision, usageContext);
+      } else {
+        result = await generateWorkflow(customerRequest, usageContext, variant);
+      }
+    } catch (error) {
+      // Only malformed output can be repaired, API failures go back to the queue
+      if (error.stage !== 'parse') {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      failure = { stage: 'parse', message: error.message, issues: [] };
+      rawOutput = error.rawOutput;
+      previousWorkflow = null;
+      attempts.push({
+        attempt,
+        stage: 'parse',
+        success: false,
+        error: error.message,
+        issues: [],
+        diff: null,
+        timestamp: new Date().toISOString()
+      });
+      logger.warn(`Attempt ${attempt}/${maxAttempts} for request ${customerRequest.id} produced unparseable output`);
+      continue;
+    }
+
+    const record = {
+      attempt,
+      stage: 'validation',
+      success: false,
+      error: null,
+      issues: result.validation.errors,
+      diff: previousWorkflow ? diffWorkflows(previousWorkflow, result.workflow).summary : null,
+      timestamp: new Date().toISOString()
+    };
+    attempts.push(record);
+
+    lastResult = result;
+    previousWorkflow = result.workflow;
+    rawOutput = result.rawOutput;
+
+    if (!result.validation.valid) {
+      record.error = result.validation.issues.join('; ');
+      failure = { stage: 'validation', message: record.error, issues: result.validation.errors };
+      logger.warn(`Attempt ${attempt}/${maxAttempts} for request ${customerRequest.id} failed validation`);
+      continue;
+    }
+
+    if (runTests) {
+      record.stage = 'test';
+      lastTestResult = await testWorkflow({
+        id: `request-${customerRequest.id}-attempt-${attempt}`,
+        workflow: result.workflow,
+        complexity: customerRequest.complexity,
+        requirementSpec: getRequirementSpec(customerRequest),
+        testCases,
+        subWorkflows
+      });
+      record.testResult = lastTestResult.overall;
+
+      // A broken test environment says nothing about the workflow itself
+      if (lastTestResult.phases.environment && !lastTestResult.phases.environment.success) {
+        record.error = extractTestFailure(lastTestResult);
+        logger.warn(`Test environment unavailable for request ${customerRequest.id}, skipping repair`);
+        break;
+      }
+
+      if (!lastTestResult.overall.success) {
+        record.error = extractTestFailure(lastTestResult);
+        failure = { stage: 'test', message: record.error, issues: [] };
+        logger.warn(`Attempt ${attempt}/${maxAttempts} for request ${customerRequest.id} failed testing`);
+        continue;
+      }
+    }
+
+    record.success = true;
+    logger.info(`Workflow for request ${customerRequest.id} succeeded on attempt ${attempt}`);
+
+    return { ...result, testResult: lastTestResult, attempts };
+  }
+
+  // Environment failures keep the generated workflow and report the test as failed
+  if (lastResult && lastResult.validation.valid && lastTestResult?.phases.environment?.success === false) {
+    return { ...lastResult, testResult: lastTestResult, attempts };
+  }
+
+  const error = new Error(`Workflow still failing after ${attempts.length} attempt(s): ${failure?.message || 'unknown error'}`);
+  error.stage = failure?.stage || 'generation';
+  error.attempts = attempts;
+  error.lastResult = lastResult;
+  error.lastTestResult = lastTestResult;
+  throw error;
+};
+
+module.exports = {
+  generateWithRepair,
+  extractTestFailure
+};
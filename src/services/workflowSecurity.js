@@ -0,0 +1,250 @@
+const { getConfigValue } = require('../config/systemConfig');
+
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+const DEFAULT_BLOCK_SEVERITY = 'high';
+
+// Token formats that are always secrets, wherever they appear
+const SECRET_PATTERNS = [
+  { name: 'Anthropic API key', pattern: /sk-ant-[A-Za-z0-9_-]{20,}/ },
+  { name: 'OpenAI API key', pattern: /sk-(?:proj-)?[A-Za-z0-9]{20,}/ },
+  { name: 'AWS access key', pattern: /AKIA[0-9A-Z]{16}/ },
+  { name: 'GitHub token', pattern: /gh[pousr]_[A-Za-z0-9]{36,}/ },
+  { name: 'Slack token', pattern: /xox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { name: 'Google API key', pattern: /AIza[0-9A-Za-z_-]{35}/ },
+  { name: 'Stripe live key', pattern: /(?:sk|rk)_live_[0-9a-zA-Z]{20,}/ },
+  { name: 'JSON Web Token', pattern: /eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { name: 'private key', pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/ },
+  { name: 'bearer token', pattern: /Bearer\s+[A-Za-z0-9._~+/-]{20,}/ }
+];
+
+// Parameter and header names whose literal values should never be hardcoded
+const SENSITIVE_KEY = /^(?:x-)?(?:api[_-]?key|apikey|api[_-]?token|secret|client[_-]?secret|token|access[_-]?token|refresh[_-]?token|auth[_-]?token|password|passwd|authorization|private[_-]?key|access[_-]?key(?:[_-]?id)?|secret[_-]?access[_-]?key)$/i;
+
+// Obvious placeholders are left for the customer to fill in and are not leaks
+const PLACEHOLDER = /^(?:your[_\s-]|<.*>$|\[.*\]$|x{3,}|\*{3,}|changeme|placeholder|example|replace[_\s-]?me|todo)/i;
+
+const CODE_PARAMETERS = ['jsCode', 'pythonCode', 'functionCode'];
+
+const CODE_RULES = [
+  { ruleId: 'code_child_process', severity: 'critical', pattern: /child_process|\bsubprocess\b|\bos\.system\s*\(/, message: 'spawns operating system processes' },
+  // Bare exec() is Python's exec or child_process.exec; member calls such as regex.exec() are not
+  { ruleId: 'code_eval', severity: 'high', pattern: /\beval\s*\(|\bnew\s+Function\s*\(|(?<![\w$.])exec\s*\(/, message: 'evaluates dynamically built code' },
+  { ruleId: 'code_filesystem', severity: 'high', pattern: /require\s*\(\s*['"](?:node:)?fs(?:\/promises)?['"]\s*\)|\b(?:readFileSync|writeFileSync|readFile|writeFile|unlinkSync|rmSync)\s*\(|\bopen\s*\([^)]*['"][rwa]b?\+?['"]/, message: 'accesses the filesystem' }
+];
+
+const severityRank = (severity) => SEVERITY_LEVELS.indexOf(severity);
+
+// Keep enough of a secret to find it, never enough to use it
+const maskSecret = (value) => {
+  const text = String(value);
+  if (text.length <= 8) return '****';
+  return `${text.substring(0, 4)}****${text.substring(text.length - 2)} (${text.length} chars)`;
+};
+
+const isExpression = (value) => value.startsWith('=') || value.includes('{{') || value.includes('$credentials') || value.includes('$env');
+
+const createFinding = (ruleId, severity, message, node, path, evidence = null) => ({
+  ruleId,
+  severity,
+  message,
+  node: node.name || null,
+  nodeType: node.type || null,
+  path,
+  evidence
+});
+
+// Visit every string value inside a parameters object
+const walkStrings = (value, path, visit, parent = null, key = null) => {
+  if (typeof value === 'string') {
+    visit(value, path, key, parent);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => walkStrings(item, `${path}[${index}]`, visit, value, index));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([childKey, child]) => walkStrings(child, `${path}.${childKey}`, visit, value, childKey));
+  }
+};
+
+// Literal secrets in any parameter, including header and query name/value pairs
+const checkHardcodedSecrets = (node, basePath) => {
+  const findings = [];
+
+  walkStrings(node.parameters || {}, `${basePath}.parameters`, (value, path, key, parent) => {
+    if (CODE_PARAMETERS.includes(key)) return;
+
+    const knownSecret = SECRET_PATTERNS.find(({ pattern }) => pattern.test(value));
+    if (knownSecret) {
+      findings.push(createFinding('hardcoded_secret', 'critical', `Node "${node.name}" contains a literal ${knownSecret.name}`, node, path, maskSecret(value.match(knownSecret.pattern)[0])));
+      return;
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.length < 8 || isExpression(trimmed) || PLACEHOLDER.test(trimmed)) return;
+
+    // Header/query entries look like { name: 'Authorization', value: '...' }
+    const pairName = key === 'value' && parent && typeof parent.name === 'string' ? parent.name : null;
+    const fieldName = pairName || (typeof key === 'string' ? key : null);
+
+    if (fieldName && SENSITIVE_KEY.test(fieldName.replace(/\s+/g, ''))) {
+      const where = pairName ? `header or field "${pairName}"` : `parameter "${fieldName}"`;
+      findings.push(createFinding('hardcoded_secret', 'high', `Node "${node.name}" hardcodes a value for ${where}, use n8n credentials instead`, node, path, maskSecret(trimmed)));
+    }
+  });
+
+  return findings;
+};
+
+// Credentials must reference stored n8n credentials by id/name, never carry the secret itself
+const checkInlineCredentials = (node, basePath) => {
+  return Object.entries(node.credentials || {})
+    .filter(([, reference]) => {
+      if (!reference || typeof reference !== 'object') return true;
+      return Object.keys(reference).some(key => !['id', 'name'].includes(key));
+    })
+    .map(([credentialType]) => createFinding(
+      'inline_credentials',
+      'critical',
+      `Node "${node.name}" embeds ${credentialType} credential data inline instead of referencing a stored credential`,
+      node,
+      `${basePath}.credentials.${credentialType}`
+    ));
+};
+
+const checkWebhookAuthentication = (node, basePath) => {
+  if (node.type !== 'n8n-nodes-base.webhook') return [];
+
+  const authentication = node.parameters?.authentication;
+  if (authentication && authentication !== 'none') return [];
+
+  return [createFinding(
+    'unauthenticated_webhook',
+    'medium',
+    `Webhook "${node.name}" accepts requests without authentication`,
+    node,
+    `${basePath}.parameters.authentication`
+  )];
+};
+
+const checkCode = (node, basePath) => {
+  const findings = [];
+
+  CODE_PARAMETERS.forEach(parameterName => {
+    const code = node.parameters?.[parameterName];
+    if (typeof code !== 'string') return;
+
+    const lines = code.split('\n');
+    CODE_RULES.forEach(rule => {
+      const lineIndex = lines.findIndex(line => rule.pattern.test(line));
+      if (lineIndex === -1) return;
+      findings.push(createFinding(
+        rule.ruleId,
+        rule.severity,
+        `Code in "${node.name}" ${rule.message} (line ${lineIndex + 1})`,
+        node,
+        `${basePath}.parameters.${parameterName}`,
+        lines[lineIndex].trim().substring(0, 120)
+      ));
+    });
+
+    const knownSecret = SECRET_PATTERNS.find(({ pattern }) => pattern.test(code));
+    if (knownSecret) {
+      findings.push(createFinding('hardcoded_secret', 'critical', `Code in "${node.name}" contains a literal ${knownSecret.name}`, node, `${basePath}.parameters.${parameterName}`, maskSecret(code.match(knownSecret.pattern)[0])));
+    }
+  });
+
+  return findings;
+};
+
+const LOCAL_HOSTS = /^http:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\])(?::\d+)?(?:\/|$)/i;
+
+// Transport checks for HTTP Request nodes
+const checkHttpRequest = (node, basePath) => {
+  if (node.type !== 'n8n-nodes-base.httpRequest') return [];
+
+  const findings = [];
+  const parameters = node.parameters || {};
+  const url = typeof parameters.url === 'string' ? parameters.url.replace(/^=/, '').trim() : '';
+
+  if (/^http:\/\//i.test(url) && !LOCAL_HOSTS.test(url)) {
+    findings.push(createFinding('insecure_http', 'medium', `HTTP Request "${node.name}" sends data over plain http`, node, `${basePath}.parameters.url`, url.split('?')[0].substring(0, 120)));
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:[^/\s@]+@/i.test(url)) {
+    findings.push(createFinding('url_credentials', 'high', `HTTP Request "${node.name}" has a username and password in its URL`, node, `${basePath}.parameters.url`, maskSecret(url)));
+  }
+
+  const querySecret = url.match(/[?&](?:api[_-]?key|token|access_token|key|secret)=([^&{\s]{8,})/i);
+  if (querySecret) {
+    findings.push(createFinding('hardcoded_secret', 'high', `HTTP Request "${node.name}" puts a literal secret in its query string`, node, `${basePath}.parameters.url`, maskSecret(querySecret[1])));
+  }
+
+  if (parameters.allowUnauthorizedCerts === true || parameters.options?.allowUnauthorizedCerts === true) {
+    findings.push(createFinding('ssl_verification_disabled', 'high', `HTTP Request "${node.name}" ignores SSL certificate errors`, node, `${basePath}.parameters.options.allowUnauthorizedCerts`));
+  }
+
+  return findings;
+};
+
+// Scan a workflow JSON for risky patterns
+const scanWorkflow = (workflow) => {
+  const findings = [];
+
+  (workflow.nodes || []).forEach((node, index) => {
+    const basePath = `nodes[${index}]`;
+    findings.push(
+      ...checkHardcodedSecrets(node, basePath),
+      ...checkInlineCredentials(node, basePath),
+      ...checkWebhookAuthentication(node, basePath),
+      ...checkCode(node, basePath),
+      ...checkHttpRequest(node, basePath)
+    );
+  });
+
+  findings.sort((left, right) => severityRank(right.severity) - severityRank(left.severity));
+
+  const counts = SEVERITY_LEVELS.reduce((result, severity) => {
+    result[severity] = findings.filter(finding => finding.severity === severity).length;
+    return result;
+  }, {});
+
+  return {
+    scannedAt: new Date().toISOString(),
+    maxSeverity: findings.length > 0 ? findings[0].severity : null,
+    counts,
+    findings
+  };
+};
+
+// Severity at or above which delivery is blocked, from system_config
+const getBlockSeverity = async () => {
+  const configured = await getConfigValue('security_block_severity', DEFAULT_BLOCK_SEVERITY);
+  return SEVERITY_LEVELS.includes(configured) ? configured : DEFAULT_BLOCK_SEVERITY;
+};
+
+const isBlockingSeverity = (maxSeverity, blockSeverity) => {
+  if (!maxSeverity) return false;
+  return severityRank(maxSeverity) >= severityRank(blockSeverity);
+};
+
+// Decide whether a stored workflow row may be delivered to the customer
+const checkDeliveryAllowed = async (workflowRow) => {
+  const blockSeverity = await getBlockSeverity();
+  const maxSeverity = workflowRow.security_max_severity || null;
+
+  if (!workflowRow.security_scanned_at) {
+    return { allowed: false, reason: 'Workflow has not been security scanned', blockSeverity, maxSeverity };
+  }
+
+  if (isBlockingSeverity(maxSeverity, blockSeverity)) {
+    return { allowed: false, reason: `Security findings at severity "${maxSeverity}" block delivery (threshold "${blockSeverity}")`, blockSeverity, maxSeverity };
+  }
+
+  return { allowed: true, reason: null, blockSeverity, maxSeverity };
+};
+
+module.exports = {
+  scanWorkflow,
+  getBlockSeverity,
+  isBlockingSeverity,
+  checkDeliveryAllowed,
+  SEVERITY_LEVELS
+};
@@ -0,0 +1,167 @@
+// Condition checks shared by the IF and Switch nodes: the filter format of IF v2 / Switch v3
+// ({ leftValue, rightValue, operator: { type, operation } }) and the typed lists of IF v1 / Switch v1-2
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number(value));
+const toTime = (value) => new Date(typeof value === 'number' ? value : String(value)).getTime();
+const toBoolean = (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value));
+
+const toRegExp = (pattern) => {
+  const match = String(pattern).match(/^\/(.*)\/([gimsuy]*)$/);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(String(pattern));
+};
+
+const toText = (value, caseSensitive) => {
+  const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Operations that only look at whether the left value is there
+const PRESENCE_OPERATIONS = {
+  exists: (left) => left !== undefined && left !== null,
+  notExists: (left) => left === undefined || left === null,
+  empty: (left) => isEmptyValue(left),
+  notEmpty: (left) => !isEmptyValue(left)
+};
+
+const STRING_OPERATIONS = {
+  equals: (left, right) => left === right,
+  notEquals: (left, right) => left !== right,
+  contains: (left, right) => left.includes(right),
+  notContains: (left, right) => !left.includes(right),
+  startsWith: (left, right) => left.startsWith(right),
+  notStartsWith: (left, right) => !left.startsWith(right),
+  endsWith: (left, right) => left.endsWith(right),
+  notEndsWith: (left, right) => !left.endsWith(right),
+  regex: (left, right) => toRegExp(right).test(left),
+  notRegex: (left, right) => !toRegExp(right).test(left)
+};
+
+const COMPARISONS = {
+  equals: (left, right) => left === right,
+  notEquals: (left, right) => left !== right,
+  gt: (left, right) => left > right,
+  lt: (left, right) => left < right,
+  gte: (left, right) => left >= right,
+  lte: (left, right) => left <= right
+};
+
+const DATE_OPERATIONS = {
+  equals: COMPARISONS.equals,
+  notEquals: COMPARISONS.notEquals,
+  after: COMPARISONS.gt,
+  before: COMPARISONS.lt,
+  afterOrEquals: COMPARISONS.gte,
+  beforeOrEquals: COMPARISONS.lte
+};
+
+const ARRAY_OPERATIONS = {
+  contains: (left, right) => left.some(value => JSON.stringify(value) === JSON.stringify(right)),
+  notContains: (left, right) => !left.some(value => JSON.stringify(value) === JSON.stringify(right)),
+  lengthEquals: (left, right) => left.length === toNumber(right),
+  lengthNotEquals: (left, right) => left.length !== toNumber(right),
+  lengthGt: (left, right) => left.length > toNumber(right),
+  lengthLt: (left, right) => left.length < toNumber(right),
+  lengthGte: (left, right) => left.length >= toNumber(right),
+  lengthLte: (left, right) => left.length <= toNumber(right)
+};
+
+// One condition in the filter format
+const checkFilterCondition = (condition, options = {}) => {
+  const { type = 'string', operation = 'equals' } = condition.operator || {};
+  const caseSensitive = options.caseSensitive !== false;
+  const left = condition.leftValue;
+  const right = condition.rightValue;
+
+  if (PRESENCE_OPERATIONS[operation]) return PRESENCE_OPERATIONS[operation](left);
+
+  switch (type) {
+    case 'string':
+      if (!STRING_OPERATIONS[operation]) break;
+      return STRING_OPERATIONS[operation](toText(left, caseSensitive), operation.toLowerCase().includes('regex') ? right : toText(right, caseSensitive));
+    case 'number':
+      if (!COMPARISONS[operation]) break;
+      return COMPARISONS[operation](toNumber(left), toNumber(right));
+    case 'boolean':
+      if (operation === 'true') return toBoolean(left) === true;
+      if (operation === 'false') return toBoolean(left) === false;
+      if (!COMPARISONS[operation]) break;
+      return COMPARISONS[operation](toBoolean(left), toBoolean(right));
+    case 'dateTime':
+      if (!DATE_OPERATIONS[operation]) break;
+      return DATE_OPERATIONS[operation](toTime(left), toTime(right));
+    case 'array':
+      if (!ARRAY_OPERATIONS[operation]) break;
+      return ARRAY_OPERATIONS[operation](Array.isArray(left) ? left : [], right);
+    default:
+      break;
+  }
+
+  throw new Error(`Unsupported condition "${type}.${operation}"`);
+};
+
+// A resolved filter value ({ conditions, combinator, options }) as a single true/false
+const checkFilter = (filter) => {
+  const conditions = filter?.conditions || [];
+  if (conditions.length === 0) return true;
+
+  const results = conditions.map(condition => checkFilterCondition(condition, filter.options));
+  return filter.combinator === 'or' ? results.some(Boolean) : results.every(Boolean);
+};
+
+// Operation names of the typed condition lists used by IF v1 and Switch v1-2
+const LEGACY_OPERATIONS = {
+  equal: (left, right) => left === right,
+  notEqual: (left, right) => left !== right,
+  smaller: (left, right) => left < right,
+  smallerEqual: (left, right) => left <= right,
+  larger: (left, right) => left > right,
+  largerEqual: (left, right) => left >= right,
+  contains: (left, right) => String(left).includes(String(right)),
+  notContains: (left, right) => !String(left).includes(String(right)),
+  startsWith: (left, right) => String(left).startsWith(String(right)),
+  notStartsWith: (left, right) => !String(left).startsWith(String(right)),
+  endsWith: (left, right) => String(left).endsWith(String(right)),
+  notEndsWith: (left, right) => !String(left).endsWith(String(right)),
+  regex: (left, right) => toRegExp(right).test(String(left)),
+  notRegex: (left, right) => !toRegExp(right).test(String(left)),
+  isEmpty: (left) => isEmptyValue(left),
+  isNotEmpty: (left) => !isEmptyValue(left),
+  after: (left, right) => left > right,
+  before: (left, right) => left < right
+};
+
+const LEGACY_CONVERTERS = {
+  string: (value) => (value === undefined || value === null ? '' : String(value)),
+  number: toNumber,
+  boolean: toBoolean,
+  dateTime: toTime
+};
+
+// One legacy comparison of value1 against value2 for a data type
+const checkLegacyCondition = (dataType, operation, value1, value2) => {
+  const check = LEGACY_OPERATIONS[operation];
+  if (!check) throw new Error(`Unsupported condition "${dataType}.${operation}"`);
+  if (operation === 'isEmpty' || operation === 'isNotEmpty') return check(value1);
+
+  const convert = LEGACY_CONVERTERS[dataType] || LEGACY_CONVERTERS.string;
+  return check(convert(value1), convert(value2));
+};
+
+// IF v1: { string: [...], number: [...], boolean: [...], dateTime: [...] } combined with all/any
+const checkLegacyConditions = (conditions, combineOperation = 'all') => {
+  const results = Object.entries(conditions || {}).flatMap(([dataType, list]) => (Array.isArray(list) ? list : [])
+    .map(condition => checkLegacyCondition(dataType, condition.operation || 'equal', condition.value1, condition.value2)));
+
+  if (results.length === 0) return true;
+  return combineOperation === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+module.exports = {
+  checkFilter,
+  checkLegacyCondition,
+  checkLegacyConditions
+};
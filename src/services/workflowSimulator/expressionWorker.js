@@ -0,0 +1,118 @@
+// Evaluates simulator expressions inside a VM context; started by ./expressions.js in a worker thread with
+// memory limits and an empty environment. Each answer is posted back with the id of its request.
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+const { timeoutMs, scopeNames } = workerData;
+
+// Evaluated inside the context so every object an expression can reach belongs to the sandbox realm.
+// Item data arrives as a JSON string and results leave the same way.
+const BOOTSTRAP = `
+(() => {
+  const accessor = (entry) => ({
+    all: () => entry.all,
+    first: () => entry.all[0],
+    last: () => entry.all[entry.all.length - 1],
+    item: entry.item,
+    itemMatching: (index) => entry.all[index],
+    params: entry.params || {},
+    context: entry.context || {},
+    isExecuted: entry.executed
+  });
+
+  const placeholders = (values, prefix) => new Proxy(values, {
+    get: (target, key) => (typeof key !== 'string' ? undefined : key in target ? target[key] : 'sample-' + prefix + '-' + key)
+  });
+
+  globalThis.__expressions = [];
+
+  globalThis.__run = (id) => {
+    const data = JSON.parse(__dataJson);
+
+    const nodeEntry = (name) => {
+      const entry = data.nodes[name];
+      if (!entry) throw new Error('Referenced node "' + name + '" does not exist');
+      if (!entry.executed) throw new Error('Referenced node "' + name + '" has not been executed');
+      return entry;
+    };
+
+    try {
+      const value = __expressions[id](
+        data.item ? data.item.json : {},
+        data.item ? data.item.binary || {} : {},
+        accessor(data.input),
+        (name) => accessor(nodeEntry(name)),
+        new Proxy({}, {
+          get: (target, name) => {
+            if (typeof name !== 'string') return undefined;
+            const entry = nodeEntry(name);
+            const item = entry.item || entry.all[0] || { json: {} };
+            return { json: item.json, binary: item.binary || {}, parameter: entry.params || {}, context: entry.context || {}, runIndex: 0 };
+          }
+        }),
+        (name) => (name === undefined ? data.input.all : nodeEntry(name).all),
+        placeholders(data.env, 'env'),
+        placeholders(data.vars, 'vars'),
+        data.itemIndex,
+        data.runIndex,
+        data.workflow,
+        data.execution,
+        data.prevNode,
+        data.parameters
+      );
+
+      if (value && typeof value.then === 'function') throw new Error('Expressions cannot return a promise');
+      return value === undefined ? undefined : JSON.stringify({ value });
+    } catch (error) {
+      return JSON.stringify({ error: String(error && error.message !== undefined ? error.message : error) });
+    }
+  };
+})();
+`;
+
+// The global has no host prototype, so globalThis.constructor leads to the sandbox realm's Function,
+// which codeGeneration blocks. Promise jobs run inside runInContext and count against the timeout.
+const context = vm.createContext(Object.create(null), {
+  codeGeneration: { strings: false, wasm: false },
+  microtaskMode: 'afterEvaluate'
+});
+vm.runInContext(BOOTSTRAP, context);
+
+// Expression source -> index into __expressions, compiled once per worker
+const compiled = new Map();
+
+const compile = (code) => {
+  if (!compiled.has(code)) {
+    const id = compiled.size;
+    new vm.Script(`__expressions[${id}] = function (${scopeNames.join(', ')}) { return (${code}\n); };`, { filename: 'expression' })
+      .runInContext(context, { timeout: timeoutMs });
+    compiled.set(code, id);
+  }
+  return compiled.get(code);
+};
+
+const evaluate = ({ code, dataJson }) => {
+  let id;
+  try {
+    id = compile(code);
+  } catch (error) {
+    return { status: 'invalid', message: String(error.message) };
+  }
+
+  context.__dataJson = dataJson;
+  try {
+    const result = vm.runInContext(`__run(${id})`, context, { timeout: timeoutMs });
+    if (typeof result !== 'string') return { status: 'ok', value: undefined };
+
+    const parsed = JSON.parse(result);
+    return 'error' in parsed ? { status: 'failed', message: parsed.error } : { status: 'ok', value: parsed.value };
+  } catch (error) {
+    return { status: 'failed', message: String(error.message) };
+  } finally {
+    context.__dataJson = null;
+  }
+};
+
+parentPort.on('message', ({ id, ...message }) => {
+  parentPort.postMessage({ id, reply: evaluate(message) });
+});
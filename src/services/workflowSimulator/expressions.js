@@ -0,0 +1,145 @@
+// Evaluates n8n parameter expressions ("={{ $json.email }}") for the simulator. Expressions run in a
+// worker thread (./expressionWorker.js) with an empty environment and a memory limit; item data is handed
+// over as JSON, so expressions never see host objects or the API process.
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { isExpression, extractExpressionBlocks, parseExpressionReferences } = require('../../utils/n8nExpressions');
+
+const WORKER_PATH = path.join(__dirname, 'expressionWorker.js');
+
+const EXPRESSION_TIMEOUT_MS = 200;
+const WORKER_MEMORY_MB = 64;
+
+// Time allowed on top of the VM timeout for starting the worker before it is terminated
+const WORKER_STARTUP_GRACE_MS = 3000;
+
+// Names every compiled expression receives as parameters, in order
+const SCOPE_NAMES = ['$json', '$binary', '$input', '$', '$node', '$items', '$env', '$vars', '$itemIndex', '$runIndex', '$workflow', '$execution', '$prevNode', '$parameter'];
+
+const startWorker = () => {
+  const worker = new Worker(WORKER_PATH, {
+    workerData: { timeoutMs: EXPRESSION_TIMEOUT_MS, scopeNames: SCOPE_NAMES },
+    env: {},
+    resourceLimits: {
+      maxOldGenerationSizeMb: WORKER_MEMORY_MB,
+      maxYoungGenerationSizeMb: Math.max(4, Math.round(WORKER_MEMORY_MB / 4)),
+      stackSizeMb: 4
+    }
+  });
+  worker.unref();
+  return worker;
+};
+
+// One worker per simulation run, started on the first expression; close() stops it.
+// Calls are answered asynchronously, so evaluating never blocks the API process's event loop.
+const createEvaluator = () => {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+  const referenced = new Map();
+
+  // Stop the worker; calls still waiting fail with `error`
+  const stop = (error) => {
+    if (!worker) return;
+    worker.terminate().catch(() => {});
+    worker = null;
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    pending.clear();
+  };
+
+  const close = () => stop(new Error('Expression evaluator closed'));
+
+  const startThread = () => {
+    const thread = startWorker();
+    thread.on('message', ({ id, reply }) => {
+      const call = pending.get(id);
+      if (!call) return;
+      pending.delete(id);
+      clearTimeout(call.timer);
+      call.resolve(reply);
+    });
+    thread.on('error', (error) => {
+      if (worker === thread) stop(new Error(`Expression evaluator failed: ${error.message}`));
+    });
+    thread.on('exit', () => {
+      if (worker === thread) stop(new Error('Expression evaluator stopped responding'));
+    });
+    return thread;
+  };
+
+  // Post the expression and wait for the worker's answer; a worker that never answers is replaced
+  const call = (message) => new Promise((resolve, reject) => {
+    if (!worker) worker = startThread();
+    const id = ++nextId;
+    const timer = setTimeout(() => stop(new Error('Expression evaluator stopped responding')), EXPRESSION_TIMEOUT_MS + WORKER_STARTUP_GRACE_MS);
+    pending.set(id, { resolve, reject, timer });
+    worker.postMessage({ id, ...message });
+  });
+
+  // Node names an expression reads through $(), $node or $items, so only their data is copied in
+  const referencedNodes = (code) => {
+    if (!referenced.has(code)) {
+      referenced.set(code, [...new Set(parseExpressionReferences(code).filter(reference => reference.kind === 'node').map(reference => reference.node))]);
+    }
+    return referenced.get(code);
+  };
+
+  const evaluateBlock = async (code, scope) => {
+    const nodes = {};
+    referencedNodes(code).forEach(name => { nodes[name] = scope.getNode(name); });
+
+    const reply = await call({ code, dataJson: JSON.stringify({ ...scope.data, nodes }) });
+    if (reply.status === 'invalid') throw new Error(`Invalid expression {{${code}}}: ${reply.message}`);
+    if (reply.status === 'failed') throw new Error(`Expression {{${code}}} failed: ${reply.message}`);
+    return reply.value;
+  };
+
+  // Value of one parameter string; a lone {{ }} block keeps its type, mixed text is concatenated
+  const evaluate = async (value, scope) => {
+    if (!isExpression(value)) return value;
+
+    const text = value.slice(1);
+    const blocks = extractExpressionBlocks(text);
+    if (blocks.length === 0) return text;
+
+    const trimmed = text.trim();
+    if (blocks.length === 1 && blocks[0].closed && trimmed.startsWith('{{') && trimmed.endsWith('}}')) {
+      return evaluateBlock(blocks[0].code, scope);
+    }
+
+    let output = '';
+    let position = 0;
+    for (const block of blocks) {
+      output += text.slice(position, block.offset);
+      const result = await evaluateBlock(block.code, scope);
+      output += result === undefined || result === null ? '' : typeof result === 'object' ? JSON.stringify(result) : String(result);
+      position = block.offset + block.code.length + (block.closed ? 4 : 2);
+    }
+    return output + text.slice(position);
+  };
+
+  // Deep copy of a parameter tree with every expression string evaluated, one at a time
+  const resolve = async (value, scope) => {
+    if (typeof value === 'string') return evaluate(value, scope);
+    if (Array.isArray(value)) {
+      const resolved = [];
+      for (const item of value) resolved.push(await resolve(item, scope));
+      return resolved;
+    }
+    if (value && typeof value === 'object') {
+      const resolved = {};
+      for (const [key, child] of Object.entries(value)) resolved[key] = await resolve(child, scope);
+      return resolved;
+    }
+    return value;
+  };
+
+  return { evaluate, resolve, close };
+};
+
+module.exports = {
+  createEvaluator
+};
@@ -0,0 +1,382 @@
+const { logger } = require('../../utils/logger');
+const { getNodeMap } = require('../../utils/workflowGraph');
+const { isTriggerType, isAnnotationType } = require('../nodeCatalog');
+const { getSandboxConfig } = require('../codeSandbox');
+const { BUNDLE_REFERENCE_PREFIX } = require('../workflowDecomposition');
+const { createEvaluator } = require('./expressions');
+const { registerStub, unregisterStub, findStub, runStub } = require('./stubs');
+const setNode = require('./nodes/set');
+const ifNode = require('./nodes/if');
+const switchNode = require('./nodes/switch');
+const mergeNode = require('./nodes/merge');
+const splitInBatchesNode = require('./nodes/splitInBatches');
+const codeNode = require('./nodes/code');
+const passThroughNode = require('./nodes/passThrough');
+const dateTimeNode = require('./nodes/dateTime');
+const itemListsNode = require('./nodes/itemLists');
+
+const NODE_IMPLEMENTATIONS = new Map([setNode, ifNode, switchNode, mergeNode, splitInBatchesNode, codeNode, passThroughNode, dateTimeNode, itemListsNode]
+  .flatMap(implementation => implementation.types.map(type => [type, implementation])));
+
+const EXECUTE_WORKFLOW_TYPE = 'n8n-nodes-base.executeWorkflow';
+
+// Loops that never reach their exit are cut off after this many node runs
+const DEFAULT_MAX_NODE_RUNS = 500;
+const MAX_SUB_WORKFLOW_DEPTH = 5;
+
+const nodeKind = (node) => String(node.type || '').split('.').pop().toLowerCase();
+
+// Items the trigger emits for the test data, in the shape each trigger type produces in n8n
+const buildTriggerItems = (node, { triggerData = {}, triggerItems = null, inputItems = null }) => {
+  if (triggerItems) return triggerItems;
+
+  const kind = nodeKind(node);
+  if (kind === 'executeworkflowtrigger') return inputItems || [{ json: {} }];
+  if (kind === 'webhook') {
+    const webhook = triggerData.webhook || {};
+    return [{ json: { headers: webhook.headers || {}, params: webhook.params || {}, query: webhook.query || {}, body: webhook.body || {} } }];
+  }
+  if (kind === 'formtrigger') return [{ json: triggerData.webhook?.body || {} }];
+  if (kind === 'manualtrigger') return [{ json: triggerData.manual?.testPayload || {} }];
+  if (kind === 'scheduletrigger' || kind === 'cron' || kind === 'interval') {
+    const now = new Date();
+    return [{ json: { timestamp: now.toISOString(), 'Readable date': now.toDateString(), 'Day of week': now.toLocaleDateString('en-US', { weekday: 'long' }) } }];
+  }
+  if (kind === 'errortrigger') {
+    return [{ json: { execution: { id: 'simulation', error: { message: 'Simulated error' }, lastNodeExecuted: null }, workflow: { id: null, name: null } } }];
+  }
+  return null;
+};
+
+// Where execution starts: the chosen trigger, the first webhook, any trigger, else the first node without inputs
+const findStartNode = (workflow, nodes, triggerNode) => {
+  if (triggerNode) return nodes.find(node => node.name === triggerNode) || null;
+
+  const triggers = nodes.filter(node => !node.disabled && isTriggerType(node.type));
+  const webhook = triggers.find(node => nodeKind(node) === 'webhook');
+  if (webhook || triggers.length > 0) return webhook || triggers[0];
+
+  const targets = new Set(Object.values(workflow.connections || {})
+    .flatMap(outputs => (outputs.main || []).flatMap(group => (group || []).map(connection => connection?.node))));
+  return nodes.find(node => !targets.has(node.name)) || null;
+};
+
+// Input indexes of each node that have something connected to them
+const getConnectedInputs = (workflow) => {
+  const connected = new Map();
+  Object.values(workflow.connections || {}).forEach(outputs => (outputs.main || []).forEach(group => (group || []).forEach(connection => {
+    if (!connection) return;
+    if (!connected.has(connection.node)) connected.set(connection.node, new Set());
+    connected.get(connection.node).add(connection.index || 0);
+  })));
+  return connected;
+};
+
+const plainItem = (item) => (item ? { json: item.json, ...(item.binary ? { binary: item.binary } : {}) } : undefined);
+
+// Nodes that return items without pairing: one input item pairs with everything, equal counts pair by index
+const applyDefaultPairing = (outputs, inputItems) => outputs.map(items => items.map((item, index) => {
+  if (item.pairedItem !== undefined) return item;
+  if (inputItems.length === 1) return { ...item, pairedItem: { item: 0 } };
+  if (inputItems.length === items.length) return { ...item, pairedItem: { item: index } };
+  return { ...item, pairedItem: null };
+}));
+
+// Execute workflow JSON locally and return an n8n-style execution with per-node run data
+const simulateWorkflow = async (workflow, options = {}) => {
+  const {
+    stubs = {},
+    subWorkflows = [],
+    env = {},
+    vars = {},
+    maxNodeRuns = DEFAULT_MAX_NODE_RUNS,
+    depth = 0
+  } = options;
+
+  const startedAt = new Date();
+  const nodes = (workflow.nodes || []).filter(node => !isAnnotationType(node.type));
+  const nodeMap = getNodeMap({ nodes });
+  const connectedInputs = getConnectedInputs(workflow);
+  const depthFirst = workflow.settings?.executionOrder === 'v1';
+  const codeLimits = await getSandboxConfig();
+  const evaluator = createEvaluator();
+
+  const runData = {};
+  const runInputs = new Map();
+  const nodeState = new Map();
+  let lastNodeExecuted = null;
+  let executionError = null;
+
+  // Follow pairedItem links back from an input item to the item the target node produced for it
+  const findPairedItem = (targetName, nodeName, runIndex, inputIndex, itemIndex) => {
+    const record = runInputs.get(nodeName)?.[runIndex];
+    let item = record?.inputs[inputIndex]?.[itemIndex];
+    let source = record?.sources[inputIndex];
+
+    for (let hops = 0; item && source && hops < 1000; hops++) {
+      if (source.previousNode === targetName) return item;
+      const previous = runInputs.get(source.previousNode)?.[source.previousNodeRun];
+      const pairing = Array.isArray(item.pairedItem) ? item.pairedItem[0] : item.pairedItem;
+      if (!previous || !pairing) return null;
+      item = previous.inputs[pairing.input || 0]?.[pairing.item];
+      source = previous.sources[pairing.input || 0];
+    }
+    return null;
+  };
+
+  const createContext = (node, entry, runIndex, notes) => {
+    const previous = entry.sources.find(Boolean) || null;
+
+    const scope = (itemIndex, inputIndex) => {
+      const items = entry.inputs[inputIndex] || [];
+      return {
+        data: {
+          item: plainItem(items[itemIndex]),
+          input: { all: items.map(plainItem), item: plainItem(items[itemIndex]), executed: true },
+          env,
+          vars,
+          itemIndex,
+          runIndex,
+          workflow: { id: workflow.id || null, name: workflow.name || null, active: false },
+          execution: { id: 'simulation', mode: 'test', resumeUrl: '' },
+          prevNode: { name: previous?.previousNode || null, outputIndex: previous?.previousNodeOutput || 0, runIndex: previous?.previousNodeRun || 0 },
+          parameters: node.parameters || {}
+        },
+        getNode: (name) => {
+          if (!nodeMap.has(name)) return undefined;
+          const runs = runData[name] || [];
+          if (runs.length === 0) return { executed: false };
+          const all = (runs[runs.length - 1].data?.main?.[0] || []).map(plainItem);
+          const paired = findPairedItem(name, node.name, runIndex, inputIndex, itemIndex);
+          return {
+            executed: true,
+            all,
+            item: plainItem(paired) || all[Math.min(itemIndex, all.length - 1)],
+            params: nodeMap.get(name).parameters || {},
+            context: nodeState.get(name) || {}
+          };
+        }
+      };
+    };
+
+    return {
+      workflow,
+      codeLimits,
+      previousNode: previous?.previousNode || null,
+      parameters: (itemIndex = 0, inputIndex = 0) => evaluator.resolve(node.parameters || {}, scope(itemIndex, inputIndex)),
+      getState: () => nodeState.get(node.name),
+      setState: (state) => nodeState.set(node.name, state),
+      nodeOutputs: () => Object.fromEntries(Object.entries(runData)
+        .map(([name, runs]) => [name, (runs[runs.length - 1].data?.main?.[0] || []).map(plainItem)])),
+      addNote: (note) => notes.push(note)
+    };
+  };
+
+  // Bundled sub-workflows ("bundle:<key>") run in the simulator too; the last node's output comes back
+  const runSubWorkflow = async (node, items) => {
+    const reference = node.parameters?.workflowId;
+    const value = typeof reference === 'object' && reference !== null ? reference.value : reference;
+    const key = typeof value === 'string' && value.startsWith(BUNDLE_REFERENCE_PREFIX) ? value.slice(BUNDLE_REFERENCE_PREFIX.length) : null;
+    const subWorkflow = key ? subWorkflows.find(candidate => candidate.key === key) : null;
+    if (!subWorkflow) return null;
+    if (depth >= MAX_SUB_WORKFLOW_DEPTH) throw new Error(`Sub-workflows nested deeper than ${MAX_SUB_WORKFLOW_DEPTH} levels`);
+
+    const execution = await simulateWorkflow(subWorkflow.workflow, { ...options, inputItems: items, triggerItems: null, triggerNode: null, depth: depth + 1 });
+    const result = execution.data.resultData;
+    if (result.error) throw new Error(`Sub-workflow "${subWorkflow.name || key}" failed: ${result.error.message}`);
+    const lastRuns = result.runData[result.lastNodeExecuted] || [];
+    return [(lastRuns[lastRuns.length - 1]?.data?.main?.[0] || []).map(plainItem)];
+  };
+
+  const executeNode = async (node, entry, context) => {
+    const inputs = node.executeOnce ? entry.inputs.map(items => items && items.slice(0, 1)) : entry.inputs;
+    const stub = findStub(node, stubs);
+
+    if (entry.inputs.length === 0 && stub === undefined) {
+      const items = buildTriggerItems(node, options);
+      if (items) return [items];
+    }
+    if (node.disabled) {
+      return [(inputs[0] || []).map((item, index) => ({ json: item.json, binary: item.binary, pairedItem: { item: index } }))];
+    }
+    if (stub !== undefined) return runStub(node, stub, inputs[0] || [{ json: {} }], context);
+
+    if (node.type === EXECUTE_WORKFLOW_TYPE) {
+      const outputs = await runSubWorkflow(node, inputs[0] || []);
+      if (outputs) return outputs;
+    }
+
+    const implementation = NODE_IMPLEMENTATIONS.get(node.type);
+    if (implementation) return implementation.execute(node, inputs, context);
+
+    // The '*' stub answers every remaining service node, e.g. by calling the mock service server
+    if (stubs['*'] !== undefined && !isTriggerType(node.type)) {
+      return runStub(node, stubs['*'], inputs[0] || [{ json: {} }], context);
+    }
+
+    // No native implementation and no stub: the service is assumed to answer with the item it was sent
+    context.addNote('No stub registered; input passed through');
+    return runStub(node, undefined, inputs[0] || [{ json: {} }], context);
+  };
+
+  const runNode = async (entry) => {
+    const node = nodeMap.get(entry.name);
+    const runIndex = (runData[node.name] || []).length;
+    const notes = [];
+    const startTime = Date.now();
+
+    if (!runInputs.has(node.name)) runInputs.set(node.name, []);
+    runInputs.get(node.name)[runIndex] = { inputs: entry.inputs, sources: entry.sources };
+
+    const context = createContext(node, entry, runIndex, notes);
+    let outputs = null;
+    let error = null;
+
+    try {
+      outputs = applyDefaultPairing((await executeNode(node, entry, context)).map(items => items || []), entry.inputs[0] || []);
+      if (node.alwaysOutputData && outputs.every(items => items.length === 0)) {
+        outputs[0] = [{ json: {}, pairedItem: { item: 0 } }];
+      }
+    } catch (nodeError) {
+      error = nodeError;
+      const onError = node.onError || (node.continueOnFail ? 'continueRegularOutput' : 'stopWorkflow');
+      if (onError === 'continueRegularOutput') {
+        outputs = [[{ json: { error: nodeError.message }, pairedItem: { item: 0 } }]];
+      } else if (onError === 'continueErrorOutput') {
+        const regularOutputs = NODE_IMPLEMENTATIONS.get(node.type)?.outputCount?.(node) || 1;
+        outputs = Array.from({ length: regularOutputs + 1 }, () => []);
+        outputs[regularOutputs] = (entry.inputs[0] || []).map((item, index) => ({ json: { ...item.json, error: nodeError.message }, pairedItem: { item: index } }));
+      }
+    }
+
+    if (!runData[node.name]) runData[node.name] = [];
+    runData[node.name].push({
+      startTime,
+      executionTime: Date.now() - startTime,
+      executionStatus: error ? 'error' : 'success',
+      source: entry.sources.length > 0 ? entry.sources.map(source => source || null) : [null],
+      data: outputs ? { main: outputs.map(items => items.map(item => ({ ...plainItem(item), pairedItem: item.pairedItem }))) } : undefined,
+      ...(error ? { error: { message: error.message, node: { name: node.name, type: node.type } } } : {}),
+      ...(notes.length > 0 ? { notes } : {})
+    });
+    lastNodeExecuted = node.name;
+
+    return { runIndex, outputs, error };
+  };
+
+  const startNode = findStartNode(workflow, nodes, options.triggerNode);
+  const queue = startNode ? [{ name: startNode.name, inputs: [], sources: [] }] : [];
+  const waiting = new Map();
+  let nodeRuns = 0;
+
+  if (!startNode) {
+    executionError = { message: options.triggerNode ? `Trigger node "${options.triggerNode}" not found` : 'Workflow has no node to start from' };
+  }
+
+  // v1 runs each branch to the end before the next (top to bottom on the canvas); v0 goes breadth first
+  const byPosition = (a, b) => {
+    const [ax = 0, ay = 0] = nodeMap.get(a.name).position || [];
+    const [bx = 0, by = 0] = nodeMap.get(b.name).position || [];
+    return ay - by || ax - bx;
+  };
+
+  try {
+    while (!executionError && (queue.length > 0 || waiting.size > 0)) {
+      // Nothing else can run: nodes still waiting on an input run with what they have
+      if (queue.length === 0) {
+        const [name, pending] = waiting.entries().next().value;
+        waiting.delete(name);
+        queue.push({ name, ...pending });
+      }
+
+      if (++nodeRuns > maxNodeRuns) {
+        executionError = { message: `Stopped after ${maxNodeRuns} node runs; the workflow probably loops without exiting` };
+        break;
+      }
+
+      const entry = depthFirst ? queue.pop() : queue.shift();
+      const { runIndex, outputs, error } = await runNode(entry);
+      if (error && !outputs) {
+        executionError = { message: error.message, node: entry.name };
+        break;
+      }
+
+      const ready = [];
+      outputs.forEach((items, outputIndex) => {
+        if (items.length === 0) return;
+        (workflow.connections?.[entry.name]?.main?.[outputIndex] || []).forEach(connection => {
+          if (!connection || !nodeMap.has(connection.node)) return;
+          const inputIndex = connection.index || 0;
+          const source = { previousNode: entry.name, previousNodeOutput: outputIndex, previousNodeRun: runIndex };
+          const inputCount = connectedInputs.get(connection.node)?.size || 1;
+
+          const pending = inputCount > 1 ? waiting.get(connection.node) || { inputs: [], sources: [] } : { inputs: [], sources: [] };
+          pending.inputs[inputIndex] = items;
+          pending.sources[inputIndex] = source;
+
+          if (inputCount === 1) {
+            ready.push({ name: connection.node, ...pending });
+          } else if ([...connectedInputs.get(connection.node)].every(index => pending.inputs[index])) {
+            waiting.delete(connection.node);
+            ready.push({ name: connection.node, ...pending });
+          } else {
+            waiting.set(connection.node, pending);
+          }
+        });
+      });
+
+      if (depthFirst) {
+        queue.push(...ready.sort(byPosition).reverse());
+      } else {
+        queue.push(...ready);
+      }
+    }
+  } finally {
+    evaluator.close();
+  }
+
+  const stoppedAt = new Date();
+  return {
+    id: null,
+    mode: 'simulation',
+    finished: !executionError,
+    status: executionError ? 'error' : 'success',
+    startedAt: startedAt.toISOString(),
+    stoppedAt: stoppedAt.toISOString(),
+    data: {
+      resultData: {
+        runData,
+        lastNodeExecuted,
+        ...(executionError ? { error: executionError } : {})
+      }
+    }
+  };
+};
+
+// Simulate and report in the shape monitorExecution returns, so assertions work against either backend
+const simulateExecution = async (workflow, options = {}) => {
+  try {
+    const execution = await simulateWorkflow(workflow, options);
+    const { resultData } = execution.data;
+
+    return {
+      success: !resultData.error && Object.keys(resultData.runData).length > 0,
+      status: 'completed',
+      backend: 'simulator',
+      data: execution.data,
+      error: resultData.error,
+      executionTime: new Date(execution.stoppedAt) - new Date(execution.startedAt)
+    };
+  } catch (error) {
+    logger.error('Workflow simulation failed:', error.message);
+    return { success: false, status: 'error', backend: 'simulator', error: error.message };
+  }
+};
+
+module.exports = {
+  simulateWorkflow,
+  simulateExecution,
+  registerStub,
+  unregisterStub,
+  SIMULATED_NODE_TYPES: [...NODE_IMPLEMENTATIONS.keys()]
+};
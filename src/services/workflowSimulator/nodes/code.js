@@ -0,0 +1,28 @@
+const { runCodeNode } = require('../../codeSandbox');
+
+module.exports = {
+  types: ['n8n-nodes-base.code', 'n8n-nodes-base.function', 'n8n-nodes-base.functionItem'],
+
+  // Runs through the Code node sandbox; code it cannot run (Python, luxon) passes its input through
+  execute: async (node, inputs, context) => {
+    const items = inputs[0] || [];
+    const report = await runCodeNode(node, {
+      items: items.map(item => ({ json: item.json, binary: item.binary })),
+      nodeOutputs: context.nodeOutputs(),
+      previousNode: context.previousNode,
+      workflow: context.workflow,
+      limits: context.codeLimits
+    });
+
+    if (report.status === 'skipped') {
+      context.addNote(report.reason);
+      return [items.map((item, index) => ({ json: item.json, binary: item.binary, pairedItem: { item: index } }))];
+    }
+    if (report.status !== 'passed') {
+      const line = report.error?.line ? ` (line ${report.error.line})` : '';
+      throw new Error(`${report.error?.message || report.status}${line}`);
+    }
+
+    return [report.items];
+  }
+};
@@ -0,0 +1,94 @@
+const moment = require('moment');
+const _ = require('lodash');
+
+// Date & Time v2 takes Luxon format tokens; the simulator formats with moment
+const LUXON_TOKENS = { yyyy: 'YYYY', yy: 'YY', EEEE: 'dddd', EEE: 'ddd', dd: 'DD', d: 'D', a: 'A' };
+
+const toMomentFormat = (format) => String(format).replace(/yyyy|yy|EEEE|EEE|dd|d|a/g, token => LUXON_TOKENS[token]);
+
+const parseDate = (value, fromFormat) => {
+  const parsed = fromFormat ? moment(value, fromFormat) : moment(typeof value === 'number' ? value : new Date(value));
+  if (!parsed.isValid()) throw new Error(`"${value}" is not a valid date`);
+  return parsed;
+};
+
+const formatDate = (date, format) => {
+  if (format === 'X') return date.unix();
+  if (format === 'x') return date.valueOf();
+  return date.format(toMomentFormat(format));
+};
+
+// Date & Time v2 operations, each returning the value written to the output field
+const OPERATIONS = {
+  getCurrentDate: (parameters) => (parameters.includeTime === false ? moment().startOf('day') : moment()).toISOString(),
+  addToDate: (parameters) => parseDate(parameters.magnitude).add(Number(parameters.duration), parameters.timeUnit).toISOString(),
+  subtractFromDate: (parameters) => parseDate(parameters.magnitude).subtract(Number(parameters.duration), parameters.timeUnit).toISOString(),
+  formatDate: (parameters) => formatDate(parseDate(parameters.date, parameters.options?.fromFormat),
+    parameters.format === 'custom' ? parameters.customFormat : parameters.format || 'yyyy-MM-dd'),
+  roundDate: (parameters) => {
+    const date = parseDate(parameters.date);
+    const unit = parameters.toNearest || 'day';
+    return (parameters.mode === 'roundUp' ? date.endOf(unit) : date.startOf(unit)).toISOString();
+  },
+  getTimeBetweenDates: (parameters) => {
+    const start = parseDate(parameters.startDate);
+    const end = parseDate(parameters.endDate);
+    const units = parameters.units && parameters.units.length > 0 ? parameters.units : ['day'];
+    return Object.fromEntries(units.map(unit => [`${unit}s`, end.diff(start, unit)]));
+  },
+  extractDate: (parameters) => {
+    const date = parseDate(parameters.date);
+    return parameters.part === 'week' ? date.isoWeek() : date.get(parameters.part || 'year');
+  }
+};
+
+const DEFAULT_OUTPUT_FIELDS = {
+  getCurrentDate: 'currentDate',
+  addToDate: 'newDate',
+  subtractFromDate: 'newDate',
+  formatDate: 'formattedDate',
+  roundDate: 'roundedDate',
+  getTimeBetweenDates: 'timeDifference',
+  extractDate: 'datePart'
+};
+
+// Date & Time v1: format or calculate a value into dataPropertyName, keeping the rest of the item
+const runLegacy = (json, parameters) => {
+  const date = parseDate(parameters.value, parameters.options?.fromFormat);
+  let value;
+  if ((parameters.action || 'format') === 'format') {
+    value = date.format(parameters.custom ? parameters.toFormat : parameters.toFormat || 'MM/DD/YYYY');
+  } else {
+    const calculated = parameters.operation === 'subtract'
+      ? date.subtract(Number(parameters.duration), parameters.timeUnit)
+      : date.add(Number(parameters.duration), parameters.timeUnit);
+    value = parameters.options?.outputFormat ? calculated.format(parameters.options.outputFormat) : calculated.toISOString();
+  }
+  return _.set(_.cloneDeep(json), parameters.dataPropertyName || 'data', value);
+};
+
+module.exports = {
+  types: ['n8n-nodes-base.dateTime'],
+
+  execute: async (node, inputs, context) => {
+    const outputs = [];
+
+    for (const [index, item] of (inputs[0] || []).entries()) {
+      const parameters = await context.parameters(index);
+
+      if ((node.typeVersion || 1) < 2) {
+        outputs.push({ json: runLegacy(item.json, parameters), pairedItem: { item: index } });
+        continue;
+      }
+
+      const operation = parameters.operation || 'getCurrentDate';
+      if (!OPERATIONS[operation]) throw new Error(`Date & Time operation "${operation}" is not supported by the simulator`);
+
+      const json = parameters.options?.includeInputFields ? _.cloneDeep(item.json) : {};
+      json[parameters.outputFieldName || DEFAULT_OUTPUT_FIELDS[operation]] = OPERATIONS[operation](parameters);
+      outputs.push({ json, pairedItem: { item: index } });
+    }
+
+    return [outputs];
+  }
+};
@@ -0,0 +1,23 @@
+const { checkFilter, checkLegacyConditions } = require('../conditions');
+
+module.exports = {
+  types: ['n8n-nodes-base.if'],
+
+  outputCount: () => 2,
+
+  // Items matching the conditions go to the true output, the rest to false
+  execute: async (node, inputs, context) => {
+    const matched = [];
+    const unmatched = [];
+
+    for (const [index, item] of (inputs[0] || []).entries()) {
+      const parameters = await context.parameters(index);
+      const passes = (node.typeVersion || 1) >= 2
+        ? checkFilter(parameters.conditions)
+        : checkLegacyConditions(parameters.conditions, parameters.combineOperation);
+      (passes ? matched : unmatched).push({ json: item.json, binary: item.binary, pairedItem: { item: index } });
+    }
+
+    return [matched, unmatched];
+  }
+};
@@ -0,0 +1,130 @@
+const _ = require('lodash');
+
+// Field lists come as "a, b" strings in v3 and as { fields: [{ fieldName }] } collections before that
+const toFieldList = (value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return value.split(',').map(field => field.trim()).filter(Boolean);
+  return (value.fields || value.values || []).map(entry => entry.fieldName || entry.field).filter(Boolean);
+};
+
+const paired = (json, index) => ({ json, pairedItem: { item: index } });
+
+const splitOutItems = (items, parameters) => {
+  const fields = toFieldList(parameters.fieldToSplitOut);
+  const include = parameters.include || 'noOtherFields';
+  const destination = parameters.options?.destinationFieldName;
+  const selected = toFieldList(parameters.fieldsToInclude);
+
+  return items.flatMap((item, index) => fields.flatMap(field => {
+    const value = _.get(item.json, field);
+    if (value === undefined) throw new Error(`Field "${field}" to split out does not exist on item ${index}`);
+
+    return (Array.isArray(value) ? value : [value]).map(entry => {
+      const base = include === 'allOtherFields'
+        ? _.omit(_.cloneDeep(item.json), field)
+        : include === 'selectedOtherFields' ? _.pick(item.json, selected) : {};
+      const json = _.isPlainObject(entry) && !destination ? { ...base, ...entry } : { ...base, [destination || field]: entry };
+      return paired(json, index);
+    });
+  }));
+};
+
+const aggregateItems = (items, parameters) => {
+  const allIndexes = items.map((item, index) => ({ item: index }));
+
+  if (parameters.aggregate === 'aggregateAllItemData') {
+    return [{ json: { [parameters.destinationFieldName || 'data']: items.map(item => item.json) }, pairedItem: allIndexes }];
+  }
+
+  const json = {};
+  (parameters.fieldsToAggregate?.fieldToAggregate || []).forEach(entry => {
+    const values = items.map(item => _.get(item.json, entry.fieldToAggregate))
+      .filter(value => parameters.options?.keepMissing || value !== undefined);
+    const name = entry.renameField && entry.outputFieldName ? entry.outputFieldName : entry.fieldToAggregate;
+    json[name] = parameters.options?.mergeLists ? values.flat() : values;
+  });
+  return [{ json, pairedItem: allIndexes }];
+};
+
+const removeDuplicates = (items, parameters) => {
+  const compare = parameters.compare || 'allFields';
+  const excluded = toFieldList(parameters.fieldsToExclude);
+  const selected = toFieldList(parameters.fieldsToCompare);
+  const seen = [];
+
+  return items.reduce((kept, item, index) => {
+    const key = compare === 'selectedFields'
+      ? selected.map(field => _.get(item.json, field))
+      : compare === 'allFieldsExcept' ? _.omit(item.json, excluded) : item.json;
+    if (!seen.some(existing => _.isEqual(existing, key))) {
+      seen.push(key);
+      kept.push(paired(item.json, index));
+    }
+    return kept;
+  }, []);
+};
+
+const sortItems = (items, parameters) => {
+  const indexed = items.map((item, index) => paired(item.json, index));
+  if (parameters.type === 'random') return _.shuffle(indexed);
+  if (parameters.type === 'code') throw new Error('Sorting with code is not supported by the simulator');
+
+  const sortFields = parameters.sortFieldsUi?.sortField || [];
+  return _.orderBy(indexed, sortFields.map(field => item => _.get(item.json, field.fieldName)),
+    sortFields.map(field => (field.order === 'descending' ? 'desc' : 'asc')));
+};
+
+const limitItems = (items, parameters) => {
+  const maxItems = Number(parameters.maxItems || 1);
+  const indexed = items.map((item, index) => paired(item.json, index));
+  return parameters.keep === 'lastItems' ? indexed.slice(-maxItems) : indexed.slice(0, maxItems);
+};
+
+// Numeric aggregations skip values that are not numbers, as the node does
+const numbers = (values) => values.filter(value => value !== null && value !== '' && !Number.isNaN(Number(value))).map(Number);
+
+const AGGREGATIONS = {
+  count: (values) => values.filter(value => value !== undefined && value !== null).length,
+  countUnique: (values) => new Set(values.filter(value => value !== undefined && value !== null).map(value => JSON.stringify(value))).size,
+  sum: (values) => _.sum(numbers(values)),
+  average: (values) => (numbers(values).length > 0 ? _.mean(numbers(values)) : null),
+  min: (values) => _.min(numbers(values)) ?? null,
+  max: (values) => _.max(numbers(values)) ?? null,
+  append: (values) => values,
+  concatenate: (values) => values.join(',')
+};
+
+const summarize = (items, parameters) => {
+  const splitBy = toFieldList(parameters.fieldsToSplitBy);
+  const groups = _.groupBy(items.map((item, index) => ({ item, index })), ({ item }) => JSON.stringify(splitBy.map(field => _.get(item.json, field))));
+
+  return Object.values(groups).map(group => {
+    const json = Object.fromEntries(splitBy.map(field => [field, _.get(group[0].item.json, field)]));
+    (parameters.fieldsToSummarize?.values || []).forEach(({ aggregation = 'count', field }) => {
+      if (!AGGREGATIONS[aggregation]) throw new Error(`Summarize aggregation "${aggregation}" is not supported by the simulator`);
+      json[`${aggregation}_${field}`] = AGGREGATIONS[aggregation](group.map(({ item }) => _.get(item.json, field)));
+    });
+    return { json, pairedItem: group.map(({ index }) => ({ item: index })) };
+  });
+};
+
+const OPERATIONS = {
+  splitOutItems,
+  aggregateItems,
+  concatenateItems: aggregateItems,
+  removeDuplicates,
+  sort: sortItems,
+  limit: limitItems,
+  summarize
+};
+
+module.exports = {
+  types: ['n8n-nodes-base.itemLists'],
+
+  execute: async (node, inputs, context) => {
+    const parameters = await context.parameters(0);
+    const operation = parameters.operation || 'splitOutItems';
+    if (!OPERATIONS[operation]) throw new Error(`Item Lists operation "${operation}" is not supported by the simulator`);
+    return [OPERATIONS[operation](inputs[0] || [], parameters)];
+  }
+};
@@ -0,0 +1,100 @@
+const _ = require('lodash');
+
+const withPairing = (item, index, input) => ({ json: item.json, binary: item.binary, pairedItem: { item: index, input } });
+
+const mergeJson = (...items) => ({
+  json: Object.assign({}, ...items.map(item => item.json)),
+  pairedItem: items.map(item => item.pairedItem)
+});
+
+// Mode names changed across versions; map them all onto one strategy
+const getStrategy = (parameters) => {
+  const mode = parameters.mode || 'append';
+  if (mode === 'append' || mode === 'wait') return 'append';
+  if (mode === 'mergeByIndex') return 'position';
+  if (mode === 'mergeByKey') return 'fields';
+  if (mode === 'multiplex') return 'all';
+  if (mode === 'passThrough' || mode === 'chooseBranch') return 'choose';
+  if (mode === 'combine') {
+    const combineBy = parameters.combineBy || parameters.combinationMode;
+    if (['combineByPosition', 'mergeByPosition'].includes(combineBy)) return 'position';
+    if (['combineAll', 'multiplex'].includes(combineBy)) return 'all';
+    return 'fields';
+  }
+  throw new Error(`Merge mode "${mode}" is not supported by the simulator`);
+};
+
+// Field pairs to match input 1 against input 2
+const getMatchFields = (parameters) => {
+  if (parameters.mode === 'mergeByKey') return [{ field1: parameters.propertyName1, field2: parameters.propertyName2 }];
+  if (parameters.fieldsToMatchString) {
+    return parameters.fieldsToMatchString.split(',').map(field => field.trim()).filter(Boolean).map(field => ({ field1: field, field2: field }));
+  }
+  return parameters.mergeByFields?.values || [];
+};
+
+const combineByFields = (parameters, first, second) => {
+  const fields = getMatchFields(parameters);
+  if (fields.length === 0) throw new Error('Merge node has no fields to match on');
+
+  const joinMode = parameters.joinMode || (parameters.mode === 'mergeByKey' ? 'enrichInput1' : 'keepMatches');
+  const matches = (left, right) => fields.every(({ field1, field2 }) => _.isEqual(_.get(left.json, field1), _.get(right.json, field2)));
+  const output = [];
+  const matchedSecond = new Set();
+
+  first.forEach(left => {
+    const partners = second.filter((right, index) => matches(left, right) && matchedSecond.add(index));
+    if (partners.length === 0) {
+      if (['keepNonMatches', 'keepEverything', 'enrichInput1'].includes(joinMode)) output.push(left);
+      return;
+    }
+    if (joinMode === 'keepNonMatches') return;
+    partners.forEach(right => {
+      if (joinMode === 'enrichInput2') return;
+      if (joinMode === 'keepMatches' && parameters.outputDataFrom === 'input1') output.push(left);
+      else if (joinMode === 'keepMatches' && parameters.outputDataFrom === 'input2') output.push(right);
+      else output.push(mergeJson(left, right));
+    });
+  });
+
+  second.forEach((right, index) => {
+    const matched = matchedSecond.has(index);
+    if (joinMode === 'enrichInput2') {
+      const partner = first.find(left => matches(left, right));
+      output.push(partner ? mergeJson(partner, right) : right);
+    } else if (!matched && ['keepNonMatches', 'keepEverything'].includes(joinMode)) {
+      output.push(right);
+    }
+  });
+
+  return output;
+};
+
+module.exports = {
+  types: ['n8n-nodes-base.merge'],
+
+  execute: async (node, inputs, context) => {
+    const parameters = await context.parameters(0);
+    const [first = [], second = []] = [0, 1].map(input => (inputs[input] || []).map((item, index) => withPairing(item, index, input)));
+
+    switch (getStrategy(parameters)) {
+      case 'append':
+        return [inputs.flatMap((items, input) => (items || []).map((item, index) => withPairing(item, index, input)))];
+      case 'position': {
+        const length = parameters.options?.includeUnpaired ? Math.max(first.length, second.length) : Math.min(first.length, second.length);
+        return [Array.from({ length }, (_unused, index) => mergeJson(...[first[index], second[index]].filter(Boolean)))];
+      }
+      case 'all':
+        return [first.flatMap(left => second.map(right => mergeJson(left, right)))];
+      case 'choose': {
+        const output = !parameters.output || parameters.output === 'specifiedInput'
+          ? `input${parameters.useDataOfInput || 1}`
+          : parameters.output;
+        if (output === 'empty') return [[{ json: {} }]];
+        return [output === 'input2' ? second : first];
+      }
+      default:
+        return [combineByFields(parameters, first, second)];
+    }
+  }
+};
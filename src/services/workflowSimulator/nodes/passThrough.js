@@ -0,0 +1,9 @@
+// Nodes that hand their input on unchanged; Wait resumes immediately instead of pausing the run
+module.exports = {
+  types: ['n8n-nodes-base.noOp', 'n8n-nodes-base.wait'],
+
+  execute: async (node, inputs, context) => {
+    if (node.type === 'n8n-nodes-base.wait') context.addNote('Wait skipped; the simulator resumes immediately');
+    return [(inputs[0] || []).map((item, index) => ({ json: item.json, binary: item.binary, pairedItem: { item: index } }))];
+  }
+};
@@ -0,0 +1,76 @@
+const _ = require('lodash');
+
+// Set field values by type; strings from the UI are converted the way the node does
+const convertValue = (type, value) => {
+  switch (type) {
+    case 'number':
+      return value === '' || value === null || value === undefined ? null : Number(value);
+    case 'boolean':
+      return typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value);
+    case 'array':
+    case 'object':
+    case 'json':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    default:
+      return value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+// Name/value pairs from the three parameter layouts: assignments (v3.3+), fields (v3.0-3.2), typed values (v1-2)
+const getAssignments = (parameters) => {
+  if (parameters.assignments?.assignments) {
+    return parameters.assignments.assignments.map(assignment => ({
+      name: assignment.name,
+      value: convertValue(assignment.type, assignment.value)
+    }));
+  }
+
+  if (parameters.fields?.values) {
+    return parameters.fields.values.map(field => {
+      const type = field.type || 'stringValue';
+      const key = type.endsWith('Value') ? type : `${type}Value`;
+      return { name: field.name, value: convertValue(key.replace('Value', ''), field[key]) };
+    });
+  }
+
+  return Object.entries(parameters.values || {}).flatMap(([type, list]) => (list || [])
+    .map(entry => ({ name: entry.name, value: convertValue(type, entry.value) })));
+};
+
+const keepsOtherFields = (node, parameters) => {
+  if ((node.typeVersion || 1) < 3) return !parameters.keepOnlySet;
+  if (parameters.includeOtherFields !== undefined) return parameters.includeOtherFields === true;
+  return (parameters.include || 'all') === 'all';
+};
+
+module.exports = {
+  types: ['n8n-nodes-base.set'],
+
+  execute: async (node, inputs, context) => {
+    const items = inputs[0] || [];
+    const outputs = [];
+
+    for (const [index, item] of items.entries()) {
+      const parameters = await context.parameters(index);
+      const dotNotation = parameters.options?.dotNotation !== false;
+      let json = keepsOtherFields(node, parameters) ? _.cloneDeep(item.json) : {};
+
+      if (parameters.mode === 'raw') {
+        const raw = typeof parameters.jsonOutput === 'string' ? JSON.parse(parameters.jsonOutput) : parameters.jsonOutput;
+        json = { ...json, ...raw };
+      } else {
+        getAssignments(parameters).forEach(({ name, value }) => {
+          if (dotNotation) {
+            _.set(json, name, value);
+          } else {
+            json[name] = value;
+          }
+        });
+      }
+
+      outputs.push({ json, pairedItem: { item: index } });
+    }
+
+    return [outputs];
+  }
+};
@@ -0,0 +1,37 @@
+// Loop Over Items (v3) has done/loop outputs; v1-2 emit batches on one output until noItemsLeft
+const hasDoneOutput = (node) => (node.typeVersion || 1) >= 3;
+
+module.exports = {
+  types: ['n8n-nodes-base.splitInBatches'],
+
+  outputCount: (node) => (hasDoneOutput(node) ? 2 : 1),
+
+  // The first run queues the input; later runs are the loop coming back with processed items
+  execute: async (node, inputs, context) => {
+    const items = inputs[0] || [];
+    const parameters = await context.parameters(0);
+    const batchSize = Math.max(1, Number(parameters.batchSize || 10));
+    const emit = (batch, done = []) => (hasDoneOutput(node) ? [done, batch] : [batch]);
+    let state = context.getState();
+
+    if (!state || state.finished || parameters.options?.reset) {
+      const queued = items.map((item, index) => ({ json: item.json, binary: item.binary, pairedItem: { item: index } }));
+      state = { remaining: queued.slice(batchSize), processed: [], finished: false };
+      context.setState({ ...state, noItemsLeft: state.remaining.length === 0 });
+      return emit(queued.slice(0, batchSize));
+    }
+
+    // Later batches were queued on the first run, so their pairing to this run's input is unknown
+    const processed = [...state.processed, ...items.map(item => ({ json: item.json, binary: item.binary, pairedItem: null }))];
+    const batch = state.remaining.slice(0, batchSize).map(item => ({ ...item, pairedItem: null }));
+    const remaining = state.remaining.slice(batchSize);
+
+    if (batch.length === 0) {
+      context.setState({ remaining: [], processed: [], finished: true, noItemsLeft: true });
+      return hasDoneOutput(node) ? [processed, []] : [[]];
+    }
+
+    context.setState({ remaining, processed, finished: false, noItemsLeft: remaining.length === 0 });
+    return emit(batch);
+  }
+};
@@ -0,0 +1,62 @@
+const { checkFilter, checkLegacyCondition } = require('../conditions');
+
+const isLegacy = (node) => (node.typeVersion || 1) < 3;
+
+const getRules = (parameters) => parameters.rules?.values || parameters.rules?.rules || [];
+
+// Index of the fallback output, or null when unmatched items are dropped
+const getFallbackOutput = (node, parameters) => {
+  const fallback = isLegacy(node) ? parameters.fallbackOutput : parameters.options?.fallbackOutput;
+  if (fallback === 'extra') return getRules(parameters).length;
+  if (fallback === undefined || fallback === null || fallback === 'none' || Number(fallback) < 0) return null;
+  return Number(fallback);
+};
+
+module.exports = {
+  types: ['n8n-nodes-base.switch'],
+
+  outputCount: (node) => {
+    const parameters = node.parameters || {};
+    if (parameters.mode === 'expression') return Number(parameters.numberOutputs || parameters.outputsAmount || 4);
+    if (isLegacy(node)) return 4;
+    return getRules(parameters).length + (parameters.options?.fallbackOutput === 'extra' ? 1 : 0);
+  },
+
+  // Route each item to the outputs of the rules it matches, falling back when none do
+  execute: async (node, inputs, context) => {
+    const outputs = Array.from({ length: module.exports.outputCount(node) }, () => []);
+
+    for (const [index, item] of (inputs[0] || []).entries()) {
+      const parameters = await context.parameters(index);
+      const routed = { json: item.json, binary: item.binary, pairedItem: { item: index } };
+      const targets = [];
+
+      if (parameters.mode === 'expression') {
+        targets.push(Number(parameters.output));
+      } else if (isLegacy(node)) {
+        const rule = getRules(parameters).find(candidate => checkLegacyCondition(parameters.dataType || 'number',
+          candidate.operation || 'equal', parameters.value1, candidate.value2));
+        if (rule) targets.push(Number(rule.output || 0));
+      } else {
+        const allMatching = parameters.options?.allMatchingOutputs === true;
+        for (const [ruleIndex, rule] of getRules(parameters).entries()) {
+          if (!checkFilter(rule.conditions)) continue;
+          targets.push(ruleIndex);
+          if (!allMatching) break;
+        }
+      }
+
+      if (targets.length === 0) {
+        const fallback = getFallbackOutput(node, parameters);
+        if (fallback !== null) targets.push(fallback);
+      }
+
+      targets.forEach(target => {
+        if (!outputs[target]) throw new Error(`Switch routed item ${index} to output ${target}, which does not exist`);
+        outputs[target].push(routed);
+      });
+    }
+
+    return outputs;
+  }
+};
@@ -0,0 +1,56 @@
+// Answers for HTTP, integration and any other node the simulator does not implement natively.
+// A stub is either a static value or a function called once per input item with
+// { node, item, itemIndex, parameters } (parameters already have their expressions resolved).
+// It may return json, an item, an array of either, or undefined to pass the item through; throwing
+// (or a static Error) fails the node the way a failing service would. A per-run stub under '*' is the
+// fallback for nodes that have no stub of their own and no native implementation.
+
+const registeredStubs = new Map();
+
+// Register a stub for every simulation, keyed by node type or node name
+const registerStub = (match, stub) => {
+  registeredStubs.set(match, stub);
+};
+
+const unregisterStub = (match) => registeredStubs.delete(match);
+
+// Per-run stubs win over registered ones; node names win over node types
+const findStub = (node, stubs = {}) => {
+  const candidates = [stubs[node.name], stubs[node.type], registeredStubs.get(node.name), registeredStubs.get(node.type)];
+  return candidates.find(stub => stub !== undefined);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Stub results as items paired to the input item they answer
+const toItems = (result, item, itemIndex) => {
+  const pairedItem = { item: itemIndex };
+  if (result === undefined) return [{ json: item.json, binary: item.binary, pairedItem }];
+
+  return (Array.isArray(result) ? result : [result]).map(entry => {
+    if (isPlainObject(entry) && isPlainObject(entry.json)) return { json: entry.json, binary: entry.binary, pairedItem };
+    return { json: isPlainObject(entry) ? entry : { data: entry }, pairedItem };
+  });
+};
+
+// Run a stub against every input item
+const runStub = async (node, stub, items, context) => {
+  const outputs = [];
+
+  for (const [itemIndex, item] of items.entries()) {
+    if (stub instanceof Error) throw stub;
+    const result = typeof stub === 'function'
+      ? await stub({ node, item, itemIndex, parameters: await context.parameters(itemIndex) })
+      : stub;
+    outputs.push(...toItems(result, item, itemIndex));
+  }
+
+  return [outputs];
+};
+
+module.exports = {
+  registerStub,
+  unregisterStub,
+  findStub,
+  runStub
+};
@@ -0,0 +1,170 @@
+const _ = require('lodash');
+
+const ASSERTION_TYPES = ['executed', 'notExecuted', 'itemCount', 'equals', 'contains', 'matchesSchema'];
+
+// Split a JSONPath into steps: $.a.b, $['a'], $[0], $[-1], $[*], $.*, $..a
+const parseJsonPath = (expression) => {
+  const text = String(expression || '$').trim();
+  if (!text.startsWith('$')) throw new Error(`JSONPath "${text}" must start with $`);
+
+  const steps = [];
+  const pattern = /\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[\s*(?:(-?\d+)|\*|'([^']*)'|"([^"]*)")\s*\]/y;
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(text);
+    if (!match) throw new Error(`Invalid JSONPath "${text}" at position ${start}`);
+
+    const [, descendant, child, index, singleQuoted, doubleQuoted] = match;
+    if (descendant !== undefined) steps.push({ descendant: true, key: descendant });
+    else if (child !== undefined) steps.push({ key: child });
+    else if (index !== undefined) steps.push({ index: Number(index) });
+    else if (singleQuoted !== undefined || doubleQuoted !== undefined) steps.push({ key: singleQuoted ?? doubleQuoted });
+    else steps.push({ key: '*' });
+  }
+
+  return steps;
+};
+
+const childrenOf = (value) => (value !== null && typeof value === 'object' ? Object.values(value) : []);
+
+const descendantsOf = (value) => [value, ...childrenOf(value).flatMap(descendantsOf)];
+
+const applyStep = (value, step) => {
+  if (step.index !== undefined) {
+    if (!Array.isArray(value)) return [];
+    const position = step.index < 0 ? value.length + step.index : step.index;
+    return position in value ? [value[position]] : [];
+  }
+  if (step.key === '*') return childrenOf(value);
+  if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, step.key)) return [];
+  return [value[step.key]];
+};
+
+// Every value the path matches in the document
+const queryJsonPath = (document, expression) => parseJsonPath(expression).reduce((values, step) => {
+  const candidates = step.descendant ? values.flatMap(descendantsOf) : values;
+  return candidates.flatMap(value => applyStep(value, step));
+}, [document]);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// JSON Schema subset: type, enum, const, required, properties, additionalProperties, items,
+// minimum/maximum, minLength/maxLength, pattern, minItems/maxItems. Returns the problems found.
+const checkSchema = (value, schema, where = '$') => {
+  if (!schema || typeof schema !== 'object') return [];
+  const problems = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matchesType = allowed.includes(actualType) || (actualType === 'integer' && allowed.includes('number'));
+    if (!matchesType) return [`${where} should be ${allowed.join(' or ')}, got ${actualType}`];
+  }
+  if (schema.enum && !schema.enum.some(option => _.isEqual(option, value))) {
+    problems.push(`${where} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && !_.isEqual(schema.const, value)) {
+    problems.push(`${where} should equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${where} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${where} should be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${where} should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${where} should have at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${where} should match /${schema.pattern}/`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${where} should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${where} should have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((entry, index) => problems.push(...checkSchema(entry, schema.items, `${where}[${index}]`)));
+  }
+  if (actualType === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => problems.push(`${where}.${key} is required`));
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) problems.push(...checkSchema(value[key], propertySchema, `${where}.${key}`));
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value).filter(key => !(schema.properties || {})[key])
+        .forEach(key => problems.push(`${where}.${key} is not allowed`));
+    }
+  }
+
+  return problems;
+};
+
+// Strings contain substrings, arrays contain an equal element, objects contain a matching subset
+const containsValue = (actual, expected) => {
+  if (typeof actual === 'string') return actual.includes(String(expected));
+  if (Array.isArray(actual)) return actual.some(entry => _.isEqual(entry, expected) || (_.isPlainObject(entry) && _.isPlainObject(expected) && _.isMatch(entry, expected)));
+  if (_.isPlainObject(actual) && _.isPlainObject(expected)) return _.isMatch(actual, expected);
+  return false;
+};
+
+// Items a node emitted on one output across all of its runs
+const getNodeItems = (runData, nodeName, output = 0) => (runData[nodeName] || [])
+  .flatMap(run => run.data?.main?.[output] || [])
+  .map(item => item.json);
+
+const VALUE_CHECKS = {
+  equals: (actual, assertion) => _.isEqual(actual, assertion.value),
+  contains: (actual, assertion) => containsValue(actual, assertion.value),
+  matchesSchema: (actual, assertion) => checkSchema(actual, assertion.schema).length === 0
+};
+
+// Check one assertion against an execution's run data. Value assertions query the node's output items
+// ($ is the array of item json) and pass when the path matches something and every match passes.
+const evaluateAssertion = (assertion, runData = {}) => {
+  const { type, node, output = 0 } = assertion;
+  const executed = Boolean(runData[node]?.length);
+  const result = (passed, message, actual) => ({ ...assertion, passed, message: passed ? null : message, ...(actual !== undefined ? { actual } : {}) });
+
+  if (type === 'executed') return result(executed, `Node "${node}" did not run`);
+  if (type === 'notExecuted') return result(!executed, `Node "${node}" ran but should not have`);
+  if (!executed) return result(false, `Node "${node}" did not run`);
+
+  const items = getNodeItems(runData, node, output);
+
+  if (type === 'itemCount') {
+    const { value, min, max } = assertion;
+    const passed = (value === undefined || items.length === value) &&
+      (min === undefined || items.length >= min) &&
+      (max === undefined || items.length <= max);
+    const expected = value !== undefined ? `${value}` : [min !== undefined && `>= ${min}`, max !== undefined && `<= ${max}`].filter(Boolean).join(' and ');
+    return result(passed, `Node "${node}" output ${items.length} items, expected ${expected}`, items.length);
+  }
+
+  if (!VALUE_CHECKS[type]) return result(false, `Unknown assertion type "${type}"`);
+
+  let matches;
+  try {
+    matches = queryJsonPath(items, assertion.path || '$');
+  } catch (error) {
+    return result(false, error.message);
+  }
+  if (matches.length === 0) return result(false, `${assertion.path} matched nothing in the output of "${node}"`);
+
+  const failing = matches.filter(actual => !VALUE_CHECKS[type](actual, assertion));
+  if (failing.length === 0) return result(true, null, matches.length === 1 ? matches[0] : matches);
+
+  const detail = type === 'matchesSchema'
+    ? checkSchema(failing[0], assertion.schema).join('; ')
+    : `got ${JSON.stringify(failing[0])}, expected ${type === 'contains' ? 'it to contain ' : ''}${JSON.stringify(assertion.value)}`;
+  return result(false, `${assertion.path} in "${node}": ${detail}`, matches.length === 1 ? matches[0] : matches);
+};
+
+module.exports = {
+  ASSERTION_TYPES,
+  queryJsonPath,
+  checkSchema,
+  evaluateAssertion
+};
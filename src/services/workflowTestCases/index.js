@@ -0,0 +1,166 @@
+const { query } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+const { ASSERTION_TYPES, evaluateAssertion } = require('./assertions');
+
+const EDITABLE_COLUMNS = ['name', 'description', 'trigger_data', 'service_mocks', 'assertions', 'expect_error', 'enabled'];
+const JSON_COLUMNS = ['trigger_data', 'service_mocks', 'assertions'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const formatTestCase = (row) => ({
+  ...row,
+  trigger_data: parseJson(row.trigger_data) || {},
+  service_mocks: parseJson(row.service_mocks) || [],
+  assertions: parseJson(row.assertions) || []
+});
+
+const toColumnValue = (column, value) => (JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value);
+
+const listTestCases = async (workflowId, { enabledOnly = false } = {}) => {
+  const result = await query(
+    `SELECT * FROM workflow_test_cases WHERE workflow_id = $1 ${enabledOnly ? 'AND enabled = true' : ''} ORDER BY id ASC`,
+    [workflowId]
+  );
+  return result.rows.map(formatTestCase);
+};
+
+const getTestCase = async (workflowId, testCaseId) => {
+  const result = await query('SELECT * FROM workflow_test_cases WHERE id = $1 AND workflow_id = $2', [testCaseId, workflowId]);
+  return result.rows.length > 0 ? formatTestCase(result.rows[0]) : null;
+};
+
+const createTestCase = async (workflowId, fields) => {
+  const columns = EDITABLE_COLUMNS.filter(column => fields[column] !== undefined);
+  const result = await query(`
+    INSERT INTO workflow_test_cases (workflow_id, ${columns.join(', ')})
+    VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')})
+    RETURNING *
+  `, [workflowId, ...columns.map(column => toColumnValue(column, fields[column]))]);
+
+  return formatTestCase(result.rows[0]);
+};
+
+// Update the given fields; null when the case does not belong to the workflow
+const updateTestCase = async (workflowId, testCaseId, fields) => {
+  const columns = EDITABLE_COLUMNS.filter(column => fields[column] !== undefined);
+  if (columns.length === 0) return getTestCase(workflowId, testCaseId);
+
+  const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+  const result = await query(`
+    UPDATE workflow_test_cases SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${columns.length + 1} AND workflow_id = $${columns.length + 2}
+    RETURNING *
+  `, [...columns.map(column => toColumnValue(column, fields[column])), testCaseId, workflowId]);
+
+  return result.rows.length > 0 ? formatTestCase(result.rows[0]) : null;
+};
+
+const deleteTestCase = async (workflowId, testCaseId) => {
+  const result = await query('DELETE FROM workflow_test_cases WHERE id = $1 AND workflow_id = $2', [testCaseId, workflowId]);
+  return result.rowCount > 0;
+};
+
+// Load a case's canned responses and injected failures into the mock service server
+const applyServiceMocks = (mockServer, mocks) => {
+  mockServer.clearFixtures();
+  mockServer.clearFailures();
+
+  mocks.forEach(({ integration, method, path, response, failure, times }) => {
+    if (failure) {
+      mockServer.injectFailure({ integration, method, path, ...failure, times });
+    } else {
+      mockServer.addFixture(integration, { request: { method, path }, response: response || {} });
+    }
+  });
+};
+
+const errorMessage = (error) => (typeof error === 'string' ? error : error?.message || null);
+
+// Run one case: trigger the workflow through `execute` (trigger data -> execution result shaped like
+// monitorExecution) and check its assertions against the run data
+const runTestCase = async (testCase, { execute, mockServer = null }) => {
+  const startedAt = Date.now();
+  const mocks = testCase.service_mocks || [];
+  const report = {
+    id: testCase.id,
+    name: testCase.name,
+    status: 'error',
+    passed: false,
+    executionError: null,
+    assertions: [],
+    requests: [],
+    error: null
+  };
+  const finish = () => ({ ...report, durationMs: Date.now() - startedAt });
+
+  if (mocks.length > 0 && !mockServer) {
+    report.error = 'Case mocks service responses but the mock service server is disabled (MOCK_SERVICES=false)';
+    return finish();
+  }
+
+  const firstRequest = mockServer ? mockServer.getRequests().length : 0;
+  if (mockServer) applyServiceMocks(mockServer, mocks);
+
+  let execution;
+  try {
+    execution = await execute(testCase.trigger_data || {});
+  } catch (error) {
+    report.error = error.message;
+    return finish();
+  } finally {
+    if (mockServer) {
+      report.requests = mockServer.getRequests().slice(firstRequest)
+        .map(({ integration, method, path, body, status, injected }) => ({ integration, method, path, body, status, injected }));
+      mockServer.clearFixtures();
+      mockServer.clearFailures();
+    }
+  }
+
+  if (execution.status !== 'completed') {
+    report.error = errorMessage(execution.error) || `Execution ${execution.status}`;
+    return finish();
+  }
+
+  report.executionError = errorMessage(execution.error);
+  report.assertions = (testCase.assertions || []).map(assertion => evaluateAssertion(assertion, execution.data?.resultData?.runData || {}));
+
+  if (testCase.expect_error && !report.executionError) {
+    report.error = 'Expected the execution to fail, but it finished without an error';
+  } else if (!testCase.expect_error && report.executionError) {
+    report.error = `Execution failed: ${report.executionError}`;
+  }
+
+  report.passed = !report.error && report.assertions.every(assertion => assertion.passed);
+  report.status = report.passed ? 'passed' : 'failed';
+  return finish();
+};
+
+// Run every case in order; cases share the workflow import but not their mocks
+const runTestCases = async (testCases, options) => {
+  const cases = [];
+  for (const testCase of testCases) {
+    cases.push(await runTestCase(testCase, options));
+  }
+
+  const result = {
+    success: cases.every(testCase => testCase.passed),
+    total: cases.length,
+    passed: cases.filter(testCase => testCase.passed).length,
+    failed: cases.filter(testCase => !testCase.passed).length,
+    cases
+  };
+
+  logger.info('Workflow test cases completed:', { total: result.total, passed: result.passed, failed: result.failed });
+  return result;
+};
+
+module.exports = {
+  ASSERTION_TYPES,
+  listTestCases,
+  getTestCase,
+  createTestCase,
+  updateTestCase,
+  deleteTestCase,
+  runTestCase,
+  runTestCases
+};
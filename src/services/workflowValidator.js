@@ -0,0 +1,162 @@
+const { CATALOG_VERSION, getNodeDefinition, isTriggerType } = require('./nodeCatalog');
+const { getConnectionList } = require('../utils/workflowGraph');
+
+// Create a structured validation issue
+const createIssue = (severity, code, message, { node = null, nodeType = null, path = null } = {}) => ({
+  severity,
+  code,
+  message,
+  node,
+  nodeType,
+  path
+});
+
+// Validate a single node against its catalog definition
+const validateNode = (node, index) => {
+  const issues = [];
+  const basePath = `nodes[${index}]`;
+  const context = { node: node.name || null, nodeType: node.type || null };
+
+  if (!node.name) {
+    issues.push(createIssue('error', 'missing_name', `Node at index ${index} has no name`, { ...context, path: `${basePath}.name` }));
+  }
+
+  if (!node.type) {
+    issues.push(createIssue('error', 'missing_type', `Node "${node.name}" has no type`, { ...context, path: `${basePath}.type` }));
+    return issues;
+  }
+
+  const definition = getNodeDefinition(node.type);
+  if (!definition) {
+    issues.push(createIssue('error', 'unknown_node_type', `Node "${node.name}" uses unknown node type "${node.type}"`, { ...context, path: `${basePath}.type` }));
+    return issues;
+  }
+
+  // Type version
+  if (node.typeVersion === undefined) {
+    issues.push(createIssue('warning', 'missing_type_version', `Node "${node.name}" has no typeVersion, n8n will assume version 1`, { ...context, path: `${basePath}.typeVersion` }));
+  } else if (!definition.versions.includes(Number(node.typeVersion))) {
+    issues.push(createIssue('error', 'unsupported_type_version', `Node "${node.name}" uses typeVersion ${node.typeVersion}, supported versions are ${definition.versions.join(', ')}`, { ...context, path: `${basePath}.typeVersion` }));
+  }
+
+  // Parameters
+  const parameters = node.parameters;
+  if (parameters === undefined || parameters === null || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    issues.push(createIssue('error', 'invalid_parameters', `Node "${node.name}" must have a parameters object`, { ...context, path: `${basePath}.parameters` }));
+  } else {
+    definition.parameters.required.forEach(parameterName => {
+      const value = parameters[parameterName];
+      if (value === undefined || value === null || value === '') {
+        issues.push(createIssue('error', 'missing_required_parameter', `Node "${node.name}" is missing required parameter "${parameterName}"`, { ...context, path: `${basePath}.parameters.${parameterName}` }));
+      }
+    });
+
+    // The catalog's optional lists are not exhaustive, so an unlisted parameter is only worth a warning
+    const knownParameters = new Set([...definition.parameters.required, ...definition.parameters.optional]);
+    Object.keys(parameters).forEach(parameterName => {
+      if (!knownParameters.has(parameterName)) {
+        issues.push(createIssue('warning', 'unknown_parameter', `Node "${node.name}" has unknown parameter "${parameterName}" for ${definition.displayName}`, { ...context, path: `${basePath}.parameters.${parameterName}` }));
+      }
+    });
+  }
+
+  // Credentials
+  const credentialTypes = Object.keys(node.credentials || {});
+  credentialTypes.forEach(credentialType => {
+    if (!definition.credentials.includes(credentialType)) {
+      issues.push(createIssue('error', 'unknown_credential_type', `Node "${node.name}" uses credential type "${credentialType}", expected one of ${definition.credentials.join(', ') || 'none'}`, { ...context, path: `${basePath}.credentials.${credentialType}` }));
+    }
+  });
+
+  if (definition.credentialsRequired && credentialTypes.length === 0) {
+    issues.push(createIssue('warning', 'missing_credentials', `Node "${node.name}" needs one of these credentials: ${definition.credentials.join(', ')}`, { ...context, path: `${basePath}.credentials` }));
+  }
+
+  return issues;
+};
+
+// Validate connections against node input/output counts
+const validateConnections = (workflow) => {
+  const issues = [];
+  const nodesByName = new Map((workflow.nodes || []).map(node => [node.name, node]));
+
+  getConnectionList(workflow).forEach(edge => {
+    const path = `connections["${edge.source}"].main[${edge.sourceOutput}]`;
+    const sourceNode = nodesByName.get(edge.source);
+    const targetNode = nodesByName.get(edge.target);
+
+    if (!sourceNode) {
+      issues.push(createIssue('error', 'unknown_connection_source', `Connection starts at missing node "${edge.source}"`, { node: edge.source, path }));
+      return;
+    }
+
+    if (!targetNode) {
+      issues.push(createIssue('error', 'unknown_connection_target', `Node "${edge.source}" connects to missing node "${edge.target}"`, { node: edge.source, nodeType: sourceNode.type, path }));
+      return;
+    }
+
+    const sourceDefinition = getNodeDefinition(sourceNode.type);
+    if (sourceDefinition && !sourceDefinition.dynamicOutputs && edge.sourceOutput >= sourceDefinition.outputs) {
+      issues.push(createIssue('error', 'invalid_output_index', `Node "${edge.source}" has ${sourceDefinition.outputs} output(s) but output ${edge.sourceOutput} is connected`, { node: edge.source, nodeType: sourceNode.type, path }));
+    }
+
+    const targetDefinition = getNodeDefinition(targetNode.type);
+    if (targetDefinition) {
+      if (targetDefinition.inputs === 0) {
+        issues.push(createIssue('error', 'node_has_no_inputs', `Node "${edge.target}" (${targetDefinition.displayName}) cannot receive connections`, { node: edge.target, nodeType: targetNode.type, path }));
+      } else if (!targetDefinition.dynamicInputs && edge.targetInput >= targetDefinition.inputs) {
+        issues.push(createIssue('error', 'invalid_input_index', `Node "${edge.target}" has ${targetDefinition.inputs} input(s) but input ${edge.targetInput} is connected`, { node: edge.target, nodeType: targetNode.type, path }));
+      }
+    }
+  });
+
+  return issues;
+};
+
+// Validate every node of a workflow against the node catalog
+const validateWorkflowNodes = (workflow) => {
+  const issues = [];
+  const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
+  const seenNames = new Set();
+
+  nodes.forEach((node, index) => {
+    if (node.name && seenNames.has(node.name)) {
+      issues.push(createIssue('error', 'duplicate_node_name', `Node name "${node.name}" is used more than once`, { node: node.name, nodeType: node.type, path: `nodes[${index}].name` }));
+    }
+    seenNames.add(node.name);
+
+    issues.push(...validateNode(node, index));
+  });
+
+  if (workflow.connections && typeof workflow.connections === 'object') {
+    issues.push(...validateConnections(workflow));
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+
+  return {
+    valid: errors.length === 0,
+    catalogVersion: CATALOG_VERSION,
+    errors,
+    warnings,
+    hasTrigger: nodes.some(node => isTriggerType(node.type))
+  };
+};
+
+// Group issues by node name for per-node reporting
+const groupIssuesByNode = (issues) => {
+  return issues.reduce((grouped, issue) => {
+    const key = issue.node || '_workflow';
+    if (!grouped[key]) grouped[key] = [];
+    grouped[key].push(issue);
+    return grouped;
+  }, {});
+};
+
+module.exports = {
+  validateWorkflowNodes,
+  validateNode,
+  validateConnections,
+  groupIssuesByNode
+};
@@ -0,0 +1,321 @@
+const { query, transaction } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { diffWorkflows, describeDiff, renderDiffMarkdown } = require('./workflowDiff');
+const { scanWorkflow, getBlockSeverity, isBlockingSeverity } = require('./workflowSecurity');
+const { writeSubWorkflows } = require('./workflowDecomposition');
+
+const VERSION_AUTHORS = ['generator', 'repair', 'human'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// workflows.version is a short label, one major version per revision
+const versionLabel = (versionNumber) => `${versionNumber}.0.0`;
+
+// Sub-workflows in the shape a revision stores them
+const toStoredSubWorkflows = (subWorkflows) => subWorkflows.map(({ key, name, workflow }) => ({ key, name, workflow }));
+
+// Bundle stored under the workflow right now
+const readSubWorkflows = async (client, workflowId) => {
+  const result = await client.query(
+    'SELECT bundle_key, name, workflow_json FROM workflows WHERE parent_workflow_id = $1 ORDER BY bundle_key ASC',
+    [workflowId]
+  );
+  return result.rows.map(row => ({ key: row.bundle_key, name: row.name, workflow: parseJson(row.workflow_json) }));
+};
+
+const insertVersion = async (client, workflowId, versionNumber, fields) => {
+  const result = await client.query(`
+    INSERT INTO workflow_versions (
+      workflow_id, version_number, workflow_json, author, change_summary,
+      changes, test_status, test_results, candidate, sub_workflows
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING id, workflow_id, version_number, author, change_summary, changes, test_status, candidate, promoted_at, created_at
+  `, [
+    workflowId,
+    versionNumber,
+    JSON.stringify(fields.workflow),
+    fields.author,
+    fields.changeSummary,
+    fields.changes ? JSON.stringify(fields.changes) : null,
+    fields.testStatus || 'pending',
+    fields.testResults ? JSON.stringify(fields.testResults) : null,
+    fields.candidate ? JSON.stringify(fields.candidate) : null,
+    fields.subWorkflows ? JSON.stringify(toStoredSubWorkflows(fields.subWorkflows)) : null
+  ]);
+  return result.rows[0];
+};
+
+// Point the workflow row and its sub-workflows at a stored revision and re-scan them so delivery checks stay accurate
+const applyVersion = async (client, workflowRow, version) => {
+  const workflowJson = parseJson(version.workflow_json);
+  const subWorkflows = parseJson(version.sub_workflows);
+  const blockSeverity = await getBlockSeverity();
+  const security = scanWorkflow(workflowJson);
+
+  // Revisions recorded before bundles were versioned leave the stored sub-workflows as they are
+  let subBlocked = false;
+  if (Array.isArray(subWorkflows)) {
+    const stored = await writeSubWorkflows(client, workflowRow.id, subWorkflows, { testStatus: version.test_status || 'pending', blockSeverity });
+    subBlocked = stored.blocked;
+  } else {
+    const children = await client.query('SELECT security_max_severity FROM workflows WHERE parent_workflow_id = $1', [workflowRow.id]);
+    subBlocked = children.rows.some(row => isBlockingSeverity(row.security_max_severity, blockSeverity));
+  }
+
+  const blocked = subBlocked || isBlockingSeverity(security.maxSeverity, blockSeverity);
+
+  // Only move between generated and blocked, never override later pipeline states
+  let status = workflowRow.status;
+  if (blocked && status === 'generated') status = 'security_blocked';
+  if (!blocked && status === 'security_blocked') status = 'generated';
+
+  await client.query(`
+    UPDATE workflows
+    SET workflow_json = $1, current_version = $2, version = $3, test_status = $4,
+        node_count = $5, security_findings = $6, security_max_severity = $7,
+        security_scanned_at = $8, status = $9, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $10
+  `, [
+    JSON.stringify(workflowJson),
+    version.version_number,
+    versionLabel(version.version_number),
+    version.test_status || 'pending',
+    (workflowJson.nodes || []).length,
+    JSON.stringify(security.findings),
+    security.maxSeverity,
+    security.scannedAt,
+    status,
+    workflowRow.id
+  ]);
+
+  await client.query(
+    'UPDATE workflow_versions SET promoted_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [version.id]
+  );
+
+  return { security, blocked, status };
+};
+
+// Store a new revision of a workflow, optionally making it the current one.
+// candidate holds the score breakdown when the revision came from multi-candidate generation.
+// subWorkflows is the revision's bundle; left out, the revision keeps the bundle stored now.
+const recordVersion = async (workflowId, { workflow, author, changeSummary = null, testStatus = 'pending', testResults = null, candidate = null, subWorkflows = null, makeCurrent = true }) => {
+  if (!VERSION_AUTHORS.includes(author)) {
+    throw new Error(`Unknown workflow version author: ${author}`);
+  }
+
+  return transaction(async (client) => {
+    const workflowResult = await client.query(
+      'SELECT id, status, workflow_json, current_version FROM workflows WHERE id = $1 FOR UPDATE',
+      [workflowId]
+    );
+    if (workflowResult.rows.length === 0) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+    const workflowRow = workflowResult.rows[0];
+
+    const latest = await client.query(
+      'SELECT COALESCE(MAX(version_number), 0) AS latest FROM workflow_versions WHERE workflow_id = $1',
+      [workflowId]
+    );
+    let versionNumber = parseInt(latest.rows[0].latest) + 1;
+
+    const storedSubWorkflows = await readSubWorkflows(client, workflowId);
+
+    // Workflows saved before revision history existed keep their JSON as the first version
+    const storedWorkflow = workflowRow.workflow_json ? parseJson(workflowRow.workflow_json) : null;
+    if (versionNumber === 1 && storedWorkflow && JSON.stringify(storedWorkflow) !== JSON.stringify(workflow)) {
+      const baseVersion = await insertVersion(client, workflowId, 1, {
+        workflow: storedWorkflow,
+        author: 'generator',
+        changeSummary: 'Version in place before revision history was recorded',
+        subWorkflows: storedSubWorkflows
+      });
+      await client.query('UPDATE workflows SET current_version = 1 WHERE id = $1', [workflowId]);
+      workflowRow.current_version = baseVersion.version_number;
+      versionNumber = 2;
+    }
+
+    let changes = null;
+    if (workflowRow.current_version) {
+      const previous = await client.query(
+        'SELECT workflow_json FROM workflow_versions WHERE workflow_id = $1 AND version_number = $2',
+        [workflowId, workflowRow.current_version]
+      );
+      if (previous.rows.length > 0) {
+        changes = diffWorkflows(parseJson(previous.rows[0].workflow_json), workflow);
+      }
+    }
+
+    const versionSubWorkflows = toStoredSubWorkflows(subWorkflows || storedSubWorkflows);
+    const version = await insertVersion(client, workflowId, versionNumber, {
+      workflow,
+      author,
+      changeSummary: changeSummary || (changes ? describeDiff(changes) : 'Initial version'),
+      changes,
+      testStatus,
+      testResults,
+      candidate,
+      subWorkflows: versionSubWorkflows
+    });
+
+    let applied = null;
+    if (makeCurrent) {
+      applied = await applyVersion(client, workflowRow, { ...version, workflow_json: workflow, sub_workflows: versionSubWorkflows });
+    }
+
+    logger.info(`Recorded version ${versionNumber} of workflow ${workflowId} by ${author}${makeCurrent ? ' as current' : ''}`);
+
+    return { version, current: makeCurrent, security: applied?.security || null };
+  });
+};
+
+// Refresh the generation details stored next to the current revision
+const updateWorkflowDetails = async (workflowId, workflowResult, { attempts, testResults, status = null }) => {
+  await query(`
+    UPDATE workflows
+    SET name = $1, status = COALESCE($2, status), test_attempts = $3, test_results = $4, metadata = $5,
+        complexity = $6, estimated_execution_time = $7, required_credentials = $8,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $9
+  `, [
+    workflowResult.workflow.name,
+    status,
+    attempts,
+    JSON.stringify(testResults),
+    JSON.stringify(workflowResult.metadata),
+    workflowResult.metadata.complexity,
+    workflowResult.metadata.estimatedExecutionTime,
+    JSON.stringify(workflowResult.metadata.requiredCredentials),
+    workflowId
+  ]);
+};
+
+// Revision history without the JSON bodies
+const listVersions = async (workflowId) => {
+  const result = await query(`
+    SELECT wv.id, wv.version_number, wv.author, wv.change_summary, wv.changes,
+           wv.test_status, wv.candidate, wv.promoted_at, wv.created_at,
+           (wv.version_number = w.current_version) AS is_current
+    FROM workflow_versions wv
+    JOIN workflows w ON w.id = wv.workflow_id
+    WHERE wv.workflow_id = $1
+    ORDER BY wv.version_number DESC
+  `, [workflowId]);
+  return result.rows;
+};
+
+const getVersion = async (workflowId, versionNumber) => {
+  const result = await query(`
+    SELECT wv.*, (wv.version_number = w.current_version) AS is_current
+    FROM workflow_versions wv
+    JOIN workflows w ON w.id = wv.workflow_id
+    WHERE wv.workflow_id = $1 AND wv.version_number = $2
+  `, [workflowId, versionNumber]);
+
+  if (result.rows.length === 0) return null;
+
+  const version = result.rows[0];
+  version.workflow_json = parseJson(version.workflow_json);
+  version.sub_workflows = parseJson(version.sub_workflows);
+  return version;
+};
+
+// Semantic diff between two stored revisions of the same workflow
+const diffVersions = async (workflowId, fromVersion, toVersion) => {
+  const [from, to] = await Promise.all([
+    getVersion(workflowId, fromVersion),
+    getVersion(workflowId, toVersion)
+  ]);
+  if (!from || !to) return null;
+
+  const diff = diffWorkflows(from.workflow_json, to.workflow_json);
+  return {
+    from: fromVersion,
+    to: toVersion,
+    summary: describeDiff(diff),
+    diff,
+    markdown: renderDiffMarkdown(diff, { title: `Changes from version ${fromVersion} to ${toVersion}` })
+  };
+};
+
+// Make a stored revision the one that downloads and delivery serve
+const promoteVersion = async (workflowId, versionNumber) => {
+  return transaction(async (client) => {
+    const workflowResult = await client.query(
+      'SELECT id, status, current_version FROM workflows WHERE id = $1 FOR UPDATE',
+      [workflowId]
+    );
+    if (workflowResult.rows.length === 0) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const versionResult = await client.query(
+      'SELECT * FROM workflow_versions WHERE workflow_id = $1 AND version_number = $2',
+      [workflowId, versionNumber]
+    );
+    if (versionResult.rows.length === 0) {
+      throw new Error(`Version ${versionNumber} of workflow ${workflowId} not found`);
+    }
+
+    const previousVersion = workflowResult.rows[0].current_version;
+    const applied = await applyVersion(client, workflowResult.rows[0], versionResult.rows[0]);
+
+    logger.info(`Workflow ${workflowId} moved from version ${previousVersion} to ${versionNumber}`);
+
+    return {
+      previous_version: previousVersion,
+      current_version: versionNumber,
+      status: applied.status,
+      security: applied.security,
+      delivery_blocked: applied.blocked
+    };
+  });
+};
+
+// Go back to an earlier revision, by default the one just before the current version
+const rollbackVersion = async (workflowId, toVersion = null) => {
+  let target = toVersion;
+
+  if (!target) {
+    const result = await query(`
+      SELECT MAX(wv.version_number) AS target
+      FROM workflow_versions wv
+      JOIN workflows w ON w.id = wv.workflow_id
+      WHERE wv.workflow_id = $1 AND wv.version_number < w.current_version
+    `, [workflowId]);
+    target = result.rows[0]?.target;
+  }
+
+  if (!target) {
+    throw new Error(`Workflow ${workflowId} has no earlier version to roll back to`);
+  }
+
+  return promoteVersion(workflowId, parseInt(target));
+};
+
+// Copy a finished test run onto the revision that is currently live
+const updateCurrentVersionTestStatus = async (workflowId, testStatus, testResults = null) => {
+  try {
+    await query(`
+      UPDATE workflow_versions wv
+      SET test_status = $2, test_results = COALESCE($3, wv.test_results)
+      FROM workflows w
+      WHERE w.id = wv.workflow_id AND wv.workflow_id = $1 AND wv.version_number = w.current_version
+    `, [workflowId, testStatus, testResults ? JSON.stringify(testResults) : null]);
+  } catch (error) {
+    logger.warn(`Failed to update version test status for workflow ${workflowId}:`, error.message);
+  }
+};
+
+module.exports = {
+  recordVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+  promoteVersion,
+  rollbackVersion,
+  updateCurrentVersionTestStatus,
+  updateWorkflowDetails,
+  VERSION_AUTHORS
+};
@@ -0,0 +1,279 @@
+// Parser for the n8n expression syntax used in node parameters:
+// "={{ $json.email }}", "=Hello {{ $('Get Contact').item.json.name }}", $node["Name"].json, $env.API_URL
+
+const QUOTES = ['\'', '"', '`'];
+
+// Parameter values starting with "=" are evaluated by n8n, everything else is literal text
+const isExpression = (value) => typeof value === 'string' && value.startsWith('=');
+
+// Index just past the string literal that starts at index
+const skipString = (text, index) => {
+  const quote = text[index];
+  let i = index + 1;
+  while (i < text.length && text[i] !== quote) {
+    i += text[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+};
+
+// Index just past the parenthesis closing the one at index, or -1 when it is never closed
+const skipParentheses = (code, index) => {
+  let depth = 0;
+  let i = index;
+  while (i < code.length) {
+    if (QUOTES.includes(code[i])) {
+      i = skipString(code, i);
+      continue;
+    }
+    if (code[i] === '(') depth++;
+    if (code[i] === ')' && --depth === 0) return i + 1;
+    i++;
+  }
+  return -1;
+};
+
+// Literal parts of a template string; the ${...} placeholders are code and stay searchable
+const templateRanges = (code, index) => {
+  const ranges = [];
+  let segmentStart = index;
+  let i = index + 1;
+
+  while (i < code.length && code[i] !== '`') {
+    if (code[i] === '\\') {
+      i += 2;
+    } else if (code[i] === '$' && code[i + 1] === '{') {
+      ranges.push([segmentStart, i]);
+      let depth = 0;
+      i += 2;
+      while (i < code.length && !(code[i] === '}' && depth === 0)) {
+        if (code[i] === '{') depth++;
+        if (code[i] === '}') depth--;
+        i++;
+      }
+      segmentStart = i;
+      i++;
+    } else {
+      i++;
+    }
+  }
+
+  ranges.push([segmentStart, i + 1]);
+  return { ranges, end: i + 1 };
+};
+
+// [start, end) ranges of string literals and comments in a piece of JavaScript
+const findStringRanges = (code) => {
+  const ranges = [];
+  let i = 0;
+  while (i < code.length) {
+    if (code[i] === '`') {
+      const template = templateRanges(code, i);
+      ranges.push(...template.ranges);
+      i = template.end;
+    } else if (QUOTES.includes(code[i])) {
+      const end = skipString(code, i);
+      ranges.push([i, end]);
+      i = end;
+    } else if (code[i] === '/' && code[i + 1] === '/') {
+      const end = code.indexOf('\n', i);
+      ranges.push([i, end === -1 ? code.length : end]);
+      i = end === -1 ? code.length : end;
+    } else if (code[i] === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      ranges.push([i, end === -1 ? code.length : end + 2]);
+      i = end === -1 ? code.length : end + 2;
+    } else {
+      i++;
+    }
+  }
+  return ranges;
+};
+
+const insideRanges = (ranges, index) => ranges.some(([start, end]) => index > start && index < end);
+
+// The {{ ... }} blocks of an expression, ignoring braces inside object literals and strings
+const extractExpressionBlocks = (text) => {
+  const blocks = [];
+  if (typeof text !== 'string') return blocks;
+
+  let searchFrom = 0;
+  while (searchFrom < text.length) {
+    const start = text.indexOf('{{', searchFrom);
+    if (start === -1) break;
+
+    let i = start + 2;
+    let depth = 0;
+    let end = -1;
+    while (i < text.length) {
+      const char = text[i];
+      if (QUOTES.includes(char)) {
+        i = skipString(text, i);
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') {
+        if (depth === 0 && text[i + 1] === '}') {
+          end = i;
+          break;
+        }
+        depth = Math.max(0, depth - 1);
+      }
+      i++;
+    }
+
+    if (end === -1) {
+      blocks.push({ code: text.slice(start + 2), offset: start, closed: false });
+      break;
+    }
+    blocks.push({ code: text.slice(start + 2, end), offset: start, closed: true });
+    searchFrom = end + 2;
+  }
+
+  return blocks;
+};
+
+// Property accesses and calls following a reference: .item.json["first name"].trim()
+const readAccessChain = (code, index) => {
+  const segments = [];
+  let i = index;
+
+  while (i < code.length) {
+    const rest = code.slice(i);
+    const dot = rest.match(/^\s*\??\.\s*([A-Za-z_$][\w$]*)/);
+    const bracket = rest.match(/^\s*\[\s*(['"`])((?:\\.|(?!\1).)*)\1\s*\]/);
+    const indexAccess = rest.match(/^\s*\[\s*(\d+)\s*\]/);
+    const call = rest.match(/^\s*\(/);
+
+    if (dot) {
+      segments.push({ type: 'property', name: dot[1] });
+      i += dot[0].length;
+    } else if (bracket) {
+      segments.push({ type: 'property', name: bracket[2] });
+      i += bracket[0].length;
+    } else if (indexAccess) {
+      segments.push({ type: 'index', name: indexAccess[1] });
+      i += indexAccess[0].length;
+    } else if (call) {
+      // Arguments may hold nested calls, e.g. .map(line => String(line.sku))
+      const end = skipParentheses(code, i + call[0].length - 1);
+      if (end === -1) break;
+      segments.push({ type: 'call', name: code.slice(i + call[0].length, end - 1).trim() });
+      i = end;
+    } else {
+      break;
+    }
+  }
+
+  return { segments, end: i };
+};
+
+const ITEM_ACCESSORS = ['item', 'first', 'last', 'all', 'itemMatching', 'pairedItem'];
+
+// Split a chain into how items are picked (.item, .first()), the field path read from .json
+// and the method called on that field, if any
+const describeChain = (segments) => {
+  const accessor = segments.find(segment => segment.type === 'property' && ITEM_ACCESSORS.includes(segment.name));
+  const jsonIndex = segments.findIndex(segment => segment.type === 'property' && segment.name === 'json');
+  const fieldSegments = [];
+  let method = null;
+
+  if (jsonIndex !== -1) {
+    for (const segment of segments.slice(jsonIndex + 1)) {
+      if (segment.type === 'call') {
+        // A trailing method call such as .trim() belongs to the value, not the path
+        method = fieldSegments.pop() || null;
+        break;
+      }
+      fieldSegments.push(segment.name);
+    }
+  }
+
+  return {
+    accessor: accessor ? accessor.name : null,
+    field: fieldSegments.length > 0 ? fieldSegments.join('.') : null,
+    method
+  };
+};
+
+const NODE_REFERENCE_PATTERNS = [
+  { syntax: '$()', pattern: /\$\(\s*(['"`])((?:\\.|(?!\1).)*)\1\s*\)/g, name: match => match[2] },
+  { syntax: '$node', pattern: /\$node\s*\[\s*(['"`])((?:\\.|(?!\1).)*)\1\s*\]/g, name: match => match[2] },
+  { syntax: '$node', pattern: /\$node\.([A-Za-z_][\w]*)/g, name: match => match[1] },
+  { syntax: '$items', pattern: /\$items\(\s*(['"`])((?:\\.|(?!\1).)*)\1[^()]*\)/g, name: match => match[2] }
+];
+
+const INPUT_PATTERN = /\$(json|input)\b/g;
+const VARIABLE_PATTERN = /\$(env|vars)(?:\s*\.\s*([A-Za-z_][\w]*)|\s*\[\s*(['"`])([^'"`]+)\3\s*\])/g;
+
+// Every node, input field, $env and $vars reference in a piece of expression or Code node source
+const parseExpressionReferences = (code) => {
+  if (typeof code !== 'string' || !code.includes('$')) return [];
+
+  const strings = findStringRanges(code);
+  const references = [];
+
+  NODE_REFERENCE_PATTERNS.forEach(({ syntax, pattern, name }) => {
+    for (const match of code.matchAll(pattern)) {
+      if (insideRanges(strings, match.index)) continue;
+      const { segments, end } = readAccessChain(code, match.index + match[0].length);
+      references.push({
+        kind: 'node',
+        syntax,
+        node: name(match).replace(/\\(.)/g, '$1'),
+        ...describeChain(segments),
+        raw: code.slice(match.index, end).trim(),
+        index: match.index
+      });
+    }
+  });
+
+  for (const match of code.matchAll(INPUT_PATTERN)) {
+    if (insideRanges(strings, match.index)) continue;
+    const { segments, end } = readAccessChain(code, match.index + match[0].length);
+    // $json.x is shorthand for $input.item.json.x
+    const chain = match[1] === 'json' ? [{ type: 'property', name: 'json' }, ...segments] : segments;
+    references.push({
+      kind: 'input',
+      syntax: `$${match[1]}`,
+      ...describeChain(chain),
+      raw: code.slice(match.index, end).trim(),
+      index: match.index
+    });
+  }
+
+  for (const match of code.matchAll(VARIABLE_PATTERN)) {
+    if (insideRanges(strings, match.index)) continue;
+    references.push({
+      kind: match[1],
+      syntax: `$${match[1]}`,
+      name: match[2] || match[4],
+      raw: match[0],
+      index: match.index
+    });
+  }
+
+  return references.sort((a, b) => a.index - b.index);
+};
+
+// References in one parameter value; code parameters are parsed whole, other strings only when they are expressions
+const extractReferences = (value, { code = false } = {}) => {
+  if (typeof value !== 'string') return [];
+  if (code) return parseExpressionReferences(value);
+  if (!isExpression(value)) return [];
+
+  return extractExpressionBlocks(value).flatMap(block => parseExpressionReferences(block.code)
+    .map(reference => ({ ...reference, index: block.offset + 2 + reference.index })));
+};
+
+// Literal text that was clearly meant to be an expression but lacks the leading "="
+const looksLikeExpression = (value) => typeof value === 'string' &&
+  !isExpression(value) &&
+  extractExpressionBlocks(value).some(block => block.closed && /\$(json|input|node|items|env|vars|now|today|\()/.test(block.code));
+
+module.exports = {
+  isExpression,
+  extractExpressionBlocks,
+  parseExpressionReferences,
+  extractReferences,
+  looksLikeExpression
+};
@@ -0,0 +1,87 @@
+// Lexical search helpers: tokenization and an in-memory BM25 index
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'this', 'to', 'up', 'use', 'was', 'we',
+  'when', 'which', 'will', 'with', 'you', 'your'
+]);
+
+// Reduce simple plurals so "webhooks" matches "webhook"
+const normalizeToken = (token) => {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+// Split text into lowercase search terms
+const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(normalizeToken);
+};
+
+// Build a BM25 index over [{ id, text }] documents
+const createBm25Index = (documents, { k1 = 1.2, b = 0.75 } = {}) => {
+  const termFrequencies = [];
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  documents.forEach(document => {
+    const frequencies = new Map();
+    const tokens = tokenize(document.text);
+
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    frequencies.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+
+    termFrequencies.push({ id: document.id, frequencies, length: tokens.length });
+    totalLength += tokens.length;
+  });
+
+  const documentCount = documents.length;
+  const averageLength = documentCount > 0 ? totalLength / documentCount : 0;
+
+  const inverseDocumentFrequency = (token) => {
+    const frequency = documentFrequency.get(token) || 0;
+    return Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  // Score every document against the query and return the best k
+  const search = (queryText, k = 5) => {
+    const queryTokens = [...new Set(tokenize(queryText))];
+    if (queryTokens.length === 0 || documentCount === 0) return [];
+
+    return termFrequencies
+      .map(document => {
+        let score = 0;
+
+        queryTokens.forEach(token => {
+          const frequency = document.frequencies.get(token);
+          if (!frequency) return;
+
+          const lengthNorm = 1 - b + b * (document.length / (averageLength || 1));
+          score += inverseDocumentFrequency(token) * (frequency * (k1 + 1)) / (frequency + k1 * lengthNorm);
+        });
+
+        return { id: document.id, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((left, right) => right.score - left.score)
+      .slice(0, k);
+  };
+
+  return {
+    search,
+    size: documentCount,
+    averageLength
+  };
+};
+
+module.exports = {
+  tokenize,
+  createBm25Index,
+  STOP_WORDS
+};
@@ -0,0 +1,146 @@
+// Helpers for walking the nodes and connections of an n8n workflow JSON
+
+// Flatten the connections object into a list of edges
+const getConnectionList = (workflow, connectionType = 'main') => {
+  const edges = [];
+
+  Object.entries(workflow.connections || {}).forEach(([sourceName, outputs]) => {
+    const outputGroups = outputs?.[connectionType];
+    if (!Array.isArray(outputGroups)) return;
+
+    outputGroups.forEach((connectionGroup, outputIndex) => {
+      (connectionGroup || []).forEach(connection => {
+        if (!connection) return;
+        edges.push({
+          source: sourceName,
+          sourceOutput: outputIndex,
+          target: connection.node,
+          targetInput: connection.index || 0,
+          type: connection.type || connectionType
+        });
+      });
+    });
+  });
+
+  return edges;
+};
+
+// Map node names to node objects
+const getNodeMap = (workflow) => {
+  const nodeMap = new Map();
+  (workflow.nodes || []).forEach(node => nodeMap.set(node.name, node));
+  return nodeMap;
+};
+
+// Build child and parent adjacency lists keyed by node name
+const buildAdjacency = (workflow) => {
+  const children = new Map();
+  const parents = new Map();
+
+  (workflow.nodes || []).forEach(node => {
+    children.set(node.name, []);
+    parents.set(node.name, []);
+  });
+
+  getConnectionList(workflow).forEach(edge => {
+    if (!children.has(edge.source)) children.set(edge.source, []);
+    if (!parents.has(edge.target)) parents.set(edge.target, []);
+    children.get(edge.source).push(edge);
+    parents.get(edge.target).push(edge);
+  });
+
+  return { children, parents };
+};
+
+// Names of all nodes that can reach the given node
+const getUpstreamNodes = (workflow, nodeName, adjacency = buildAdjacency(workflow)) => {
+  const visited = new Set();
+  const stack = [nodeName];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    (adjacency.parents.get(current) || []).forEach(edge => {
+      if (!visited.has(edge.source)) {
+        visited.add(edge.source);
+        stack.push(edge.source);
+      }
+    });
+  }
+
+  visited.delete(nodeName);
+  return visited;
+};
+
+// Names of all nodes reachable from the given node
+const getDownstreamNodes = (workflow, nodeName, adjacency = buildAdjacency(workflow)) => {
+  const visited = new Set();
+  const stack = [nodeName];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    (adjacency.children.get(current) || []).forEach(edge => {
+      if (!visited.has(edge.target)) {
+        visited.add(edge.target);
+        stack.push(edge.target);
+      }
+    });
+  }
+
+  visited.delete(nodeName);
+  return visited;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rewrite $('Name'), $node["Name"] and $items("Name") references inside parameter values
+const replaceNodeReferences = (value, oldName, newName) => {
+  if (typeof value === 'string') {
+    const name = escapeRegExp(oldName);
+    return value
+      .replace(new RegExp(`\\$\\(\\s*(['"])${name}\\1\\s*\\)`, 'g'), (match, quote) => `$(${quote}${newName}${quote})`)
+      .replace(new RegExp(`\\$node\\[\\s*(['"])${name}\\1\\s*\\]`, 'g'), (match, quote) => `$node[${quote}${newName}${quote}]`)
+      .replace(new RegExp(`\\$items\\(\\s*(['"])${name}\\1`, 'g'), (match, quote) => `$items(${quote}${newName}${quote}`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => replaceNodeReferences(item, oldName, newName));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, replaceNodeReferences(child, oldName, newName)]));
+  }
+  return value;
+};
+
+// Rename a node everywhere it is referenced: node list, connections and expressions
+const renameNode = (workflow, oldName, newName) => {
+  const connections = {};
+
+  Object.entries(workflow.connections || {}).forEach(([sourceName, outputs]) => {
+    const renamedOutputs = {};
+    Object.entries(outputs || {}).forEach(([connectionType, groups]) => {
+      renamedOutputs[connectionType] = (groups || []).map(group => (group || []).map(connection => (
+        connection && connection.node === oldName ? { ...connection, node: newName } : connection
+      )));
+    });
+    connections[sourceName === oldName ? newName : sourceName] = renamedOutputs;
+  });
+
+  return {
+    ...workflow,
+    nodes: (workflow.nodes || []).map(node => ({
+      ...node,
+      name: node.name === oldName ? newName : node.name,
+      parameters: replaceNodeReferences(node.parameters, oldName, newName)
+    })),
+    connections
+  };
+};
+
+module.exports = {
+  getConnectionList,
+  getNodeMap,
+  buildAdjacency,
+  getUpstreamNodes,
+  getDownstreamNodes,
+  renameNode,
+  replaceNodeReferences
+};
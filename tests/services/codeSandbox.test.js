@@ -0,0 +1,66 @@
+const { runCodeNode, validateOutput } = require('../../src/services/codeSandbox');
+
+// Explicit limits keep the tests off the system_config lookup
+const limits = { timeoutMs: 1000, memoryMb: 64 };
+
+const codeNode = (jsCode, parameters = {}) => ({
+  name: 'Code',
+  type: 'n8n-nodes-base.code',
+  parameters: { jsCode, ...parameters }
+});
+
+const run = (jsCode, options = {}) => runCodeNode(codeNode(jsCode, options.parameters), { items: [{ json: { a: 1 } }], limits, ...options });
+
+describe('runCodeNode', () => {
+  test('returns the items the code produces', async () => {
+    const report = await run('return $input.all().map(item => ({ json: { doubled: item.json.a * 2 } }));');
+    expect(report.status).toBe('passed');
+    expect(report.items).toEqual([{ json: { doubled: 2 } }]);
+  });
+
+  test('reports syntax errors with the line in the node code', async () => {
+    const report = await run('const a = 1;\nconst = 2;\nreturn [];');
+    expect(report.status).toBe('syntax_error');
+    expect(report.error.line).toBe(2);
+  });
+
+  test('stops code that runs past the time limit', async () => {
+    const report = await run('while (true) {}');
+    expect(report.status).toBe('timeout');
+  });
+
+  describe('host isolation', () => {
+    const escapes = [
+      "globalThis.constructor.constructor('return process')()",
+      "this.constructor.constructor('return process')()",
+      "$input.constructor.constructor('return process')()",
+      "Object.getPrototypeOf(globalThis).constructor.constructor('return process')()",
+      "(async () => {}).constructor('return process')()",
+      "new Error().constructor.constructor('return process')()"
+    ];
+
+    test.each(escapes)('cannot reach the host process through %s', async (expression) => {
+      const report = await run(`const proc = ${expression}; return [{ json: { pid: proc.pid } }];`);
+      expect(report.status).not.toBe('passed');
+      expect(report.error.message).toMatch(/Code generation from strings disallowed/);
+    });
+
+    test('has no process, require or host data in scope', async () => {
+      const report = await run('return [{ json: { scope: [typeof process, typeof require, typeof __sandboxData].join() } }];');
+      expect(report.items[0].json.scope).toBe('undefined,undefined,undefined');
+    });
+  });
+});
+
+describe('validateOutput', () => {
+  const allItems = { kind: 'code', mode: 'runOnceForAllItems' };
+
+  test('wraps bare objects returned by a Code node', () => {
+    expect(validateOutput(allItems, [{ returned: true, value: [{ a: 1 }] }]).items).toEqual([{ json: { a: 1 } }]);
+  });
+
+  test('requires Function node items to be wrapped in { json }', () => {
+    const { problems } = validateOutput({ kind: 'function', mode: 'runOnceForAllItems' }, [{ returned: true, value: [{ a: 1 }] }]);
+    expect(problems).toEqual(['Function node items must be wrapped as { json: { ... } }']);
+  });
+});
@@ -0,0 +1,107 @@
+const { createRandom, inferInputShape, generateTestPayloads } = require('../../src/services/testDataGenerator');
+
+// Manual trigger followed by a Set node reading the trigger item through one expression
+const readingWorkflow = (expression) => ({
+  nodes: [
+    { name: 'Manual', type: 'n8n-nodes-base.manualTrigger', parameters: {} },
+    { name: 'Set', type: 'n8n-nodes-base.set', parameters: { value: `={{ ${expression} }}` } }
+  ],
+  connections: { Manual: { main: [[{ node: 'Set', type: 'main', index: 0 }]] } }
+});
+
+const fieldShape = (expression, field) => inferInputShape(readingWorkflow(expression)).shape.properties[field];
+
+// Webhook whose Set node reads three body fields
+const webhookWorkflow = {
+  nodes: [
+    { name: 'Webhook', type: 'n8n-nodes-base.webhook', parameters: { path: 'orders' } },
+    { name: 'Set', type: 'n8n-nodes-base.set', parameters: { value: '={{ $json.body.email }} {{ $json.body.total }} {{ $json.body.name }}' } }
+  ],
+  connections: { Webhook: { main: [[{ node: 'Set', type: 'main', index: 0 }]] } }
+};
+
+const payloadBody = (result, name) => result.payloads.find(payload => payload.name === name).triggerData.webhook.body;
+
+describe('createRandom', () => {
+  test('replays the same sequence for the same seed', () => {
+    const draw = (seed) => {
+      const random = createRandom(seed);
+      return Array.from({ length: 5 }, () => random.next());
+    };
+
+    expect(draw('a')).toEqual(draw('a'));
+    expect(draw('a')).not.toEqual(draw('b'));
+    draw('a').forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('generateTestPayloads', () => {
+  test('the same seed generates the same payloads', () => {
+    const first = generateTestPayloads(webhookWorkflow, null, { seed: 42 });
+    expect(first.seed).toBe(42);
+    expect(generateTestPayloads(webhookWorkflow, null, { seed: 42 }).payloads).toEqual(first.payloads);
+    expect(generateTestPayloads(webhookWorkflow, null, { seed: 43 }).payloads).not.toEqual(first.payloads);
+  });
+
+  test('infers field types from the names the workflow reads', () => {
+    const { trigger, shape } = generateTestPayloads(webhookWorkflow, null, { seed: 1 });
+    expect(trigger).toEqual({ node: 'Webhook', kind: 'webhook' });
+    expect(shape.properties.body.properties).toMatchObject({
+      email: { type: 'email' },
+      total: { type: 'number' },
+      name: { type: 'string' }
+    });
+  });
+
+  test('starts with the happy path and follows with edge and malformed variants', () => {
+    const result = generateTestPayloads(webhookWorkflow, null, { seed: 7 });
+    expect(result.payloads.map(payload => payload.name)).toEqual([
+      'happy-path', 'unicode-text', 'boundary-values', 'missing-required-fields',
+      'wrong-types', 'invalid-formats', 'null-values', 'non-json-body'
+    ]);
+
+    const happy = payloadBody(result, 'happy-path');
+    expect(happy.email).toMatch(/^[^@\s]+@[^@\s]+$/);
+    expect(typeof happy.total).toBe('number');
+
+    expect(payloadBody(result, 'missing-required-fields')).toEqual({});
+    expect(payloadBody(result, 'null-values')).toEqual({ email: null, total: null, name: null });
+    expect(payloadBody(result, 'boundary-values').total).toBe(0);
+    expect(payloadBody(result, 'invalid-formats').email).not.toMatch(/@/);
+    expect(payloadBody(result, 'non-json-body')).toBe('this is not JSON');
+  });
+
+  test('only the happy path is injectable for triggers that take no input', () => {
+    const schedule = { nodes: [{ name: 'Every Hour', type: 'n8n-nodes-base.scheduleTrigger', parameters: {} }], connections: {} };
+    const result = generateTestPayloads(schedule, null, { seed: 1 });
+    expect(result.injectable).toBe(false);
+    expect(result.trigger.kind).toBe('other');
+  });
+});
+
+describe('inferInputShape', () => {
+  describe('array fields', () => {
+    test.each([
+      ['$json.tags.map(tag => tag.trim())', 'tags'],
+      ['$json.tags.map(tag => String(tag).toUpperCase())', 'tags'],
+      ['$json.lines.filter(line => line.qty > 0).length', 'lines'],
+      ['$json.notes.forEach(note => note)', 'notes'],
+      ["$('Manual').first().json.labels.join(', ')", 'labels'],
+      ['$json.entries.length', 'entries'],
+      ['$json.rows[0]', 'rows']
+    ])('%s reads %s as an array', (expression, field) => {
+      expect(fieldShape(expression, field).type).toBe('array');
+    });
+
+    test('does not add the method as a property', () => {
+      expect(fieldShape('$json.tags.map(tag => String(tag))', 'tags').properties).toBeNull();
+    });
+
+    test('keeps string methods on strings', () => {
+      expect(fieldShape('$json.name.trim()', 'name').type).toBe('string');
+    });
+  });
+});
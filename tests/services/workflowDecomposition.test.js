@@ -0,0 +1,67 @@
+jest.mock('../../src/config/systemConfig', () => ({
+  getConfigValue: async (key, fallback) => fallback
+}));
+
+const { decomposeWorkflow, decomposeResult, getBundleKeys } = require('../../src/services/workflowDecomposition');
+
+// Webhook followed by a straight chain of Set nodes
+const linearWorkflow = (length) => {
+  const nodes = [{ name: 'Webhook', type: 'n8n-nodes-base.webhook', typeVersion: 2, position: [0, 0], parameters: { path: 'orders' } }];
+  const connections = {};
+  for (let index = 1; index < length; index++) {
+    const previous = nodes[nodes.length - 1].name;
+    const name = `Step ${index}`;
+    nodes.push({ name, type: 'n8n-nodes-base.set', typeVersion: 3, position: [0, 0], parameters: { step: index } });
+    connections[previous] = { main: [[{ node: name, type: 'main', index: 0 }]] };
+  }
+  return { name: 'Chain', nodes, connections };
+};
+
+describe('decomposeWorkflow', () => {
+  test('leaves workflows within the threshold alone', async () => {
+    const result = await decomposeWorkflow(linearWorkflow(20));
+    expect(result.decomposed).toBe(false);
+  });
+
+  test('splits a long chain so every workflow is within the threshold', async () => {
+    const result = await decomposeWorkflow(linearWorkflow(31));
+
+    expect(result.decomposed).toBe(true);
+    expect(result.subWorkflows.length).toBeGreaterThan(1);
+    [result.workflow, ...result.subWorkflows.map(subWorkflow => subWorkflow.workflow)]
+      .forEach(workflow => expect(workflow.nodes.length).toBeLessThanOrEqual(25));
+  });
+
+  test('keeps every node of the chain in exactly one sub-workflow', async () => {
+    const result = await decomposeWorkflow(linearWorkflow(31));
+    const moved = result.subWorkflows.flatMap(subWorkflow => subWorkflow.nodeNames);
+
+    expect(moved).toHaveLength(30);
+    expect(new Set(moved).size).toBe(30);
+  });
+
+  test('gives up when the pieces would still be over the threshold', async () => {
+    const result = await decomposeWorkflow(linearWorkflow(31), { nodeThreshold: 10, maxSubWorkflows: 2 });
+
+    expect(result.decomposed).toBe(false);
+    expect(result.reason).toMatch(/over the 10 node threshold/);
+  });
+});
+
+describe('getBundleKeys', () => {
+  test('lists every sub-workflow the parent calls', async () => {
+    const result = await decomposeWorkflow(linearWorkflow(31));
+
+    expect(getBundleKeys(result.workflow).sort()).toEqual(result.subWorkflows.map(subWorkflow => subWorkflow.key).sort());
+    expect(getBundleKeys(linearWorkflow(5))).toEqual([]);
+  });
+});
+
+describe('decomposeResult', () => {
+  test('keeps the sub-workflows of a result that is already a bundle', async () => {
+    const subWorkflows = [{ key: '1_step_1', name: 'Step 1', workflow: linearWorkflow(3) }];
+    const result = { workflow: linearWorkflow(31), subWorkflows, metadata: { nodeCount: 31 } };
+
+    expect(await decomposeResult(result)).toBe(result);
+  });
+});
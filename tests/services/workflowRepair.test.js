@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/config/systemConfig', () => ({
+  getConfigValue: async (key, fallback) => fallback
+}));
+jest.mock('../../src/services/llmUsage', () => ({
+  recordUsage: async () => 0
+}));
+jest.mock('../../src/services/knowledgeBase', () => ({
+  retrieveForRequest: async () => [],
+  formatSectionsForPrompt: () => ''
+}));
+
+// Scripted replies of the real provider, used only while fixtures are being recorded
+const mockRecorded = [];
+jest.mock('../../src/services/llm/anthropicProvider', () => ({
+  createAnthropicProvider: () => ({
+    name: 'anthropic',
+    createMessage: async () => {
+      if (mockRecorded.length === 0) throw new Error('Prompt was not recorded');
+      return { text: mockRecorded.shift(), model: 'recorded', usage: { inputTokens: 1, outputTokens: 1 } };
+    }
+  })
+}));
+
+const reply = (nodes) => `\`\`\`json\n${JSON.stringify({
+  name: 'Order alerts',
+  nodes,
+  connections: { 'Order Webhook': { main: [[{ node: 'Notify', type: 'main', index: 0 }]] } }
+})}\n\`\`\``;
+
+const webhook = { name: 'Order Webhook', type: 'n8n-nodes-base.webhook', typeVersion: 2, position: [0, 0], parameters: { path: 'orders', httpMethod: 'POST' } };
+const invalidReply = reply([webhook, { name: 'Notify', type: 'n8n-nodes-base.doesNotExist', typeVersion: 1, position: [0, 0], parameters: {} }]);
+const validReply = reply([webhook, { name: 'Notify', type: 'n8n-nodes-base.noOp', typeVersion: 1, position: [0, 0], parameters: {} }]);
+
+const customerRequest = { id: 7, customer_name: 'Ann', description: 'Tell me when an order comes in', complexity: 'simple' };
+
+describe('generateWithRepair with recorded LLM fixtures', () => {
+  let fixturesDir;
+
+  beforeAll(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_FIXTURES_DIR = fixturesDir;
+  });
+
+  afterAll(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_FIXTURES_DIR;
+    delete process.env.LLM_MOCK_RECORD;
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    jest.useRealTimers();
+  });
+
+  const run = () => {
+    let result;
+    jest.isolateModules(() => {
+      const { generateWithRepair } = require('../../src/services/workflowRepair');
+      result = generateWithRepair(customerRequest, { maxAttempts: 2 });
+    });
+    return result;
+  };
+
+  test('replays a repair round-trip recorded at another time', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    process.env.LLM_MOCK_RECORD = 'true';
+    mockRecorded.push(invalidReply, validReply);
+
+    const recorded = await run();
+    expect(recorded.attempts.map(attempt => attempt.success)).toEqual([false, true]);
+    expect(fs.readdirSync(fixturesDir)).toHaveLength(2);
+
+    // The repair prompt embeds the first workflow, generated a day later this time
+    jest.setSystemTime(new Date('2026-01-02T00:00:00Z'));
+    delete process.env.LLM_MOCK_RECORD;
+
+    const replayed = await run();
+    expect(replayed.attempts.map(attempt => attempt.success)).toEqual([false, true]);
+    expect(replayed.workflow.nodes.map(node => node.type)).toEqual(recorded.workflow.nodes.map(node => node.type));
+  });
+});
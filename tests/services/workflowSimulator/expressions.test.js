@@ -0,0 +1,83 @@
+const { createEvaluator } = require('../../../src/services/workflowSimulator/expressions');
+
+const scope = (data = {}, nodes = {}) => ({
+  data: {
+    item: { json: { email: 'ada@example.com', total: 3 } },
+    input: { all: [{ json: { email: 'ada@example.com', total: 3 } }], executed: true },
+    env: {},
+    vars: {},
+    itemIndex: 0,
+    runIndex: 0,
+    ...data
+  },
+  getNode: (name) => nodes[name]
+});
+
+describe('createEvaluator', () => {
+  let evaluator;
+
+  beforeEach(() => { evaluator = createEvaluator(); });
+  afterEach(() => evaluator.close());
+
+  test('keeps the type of a lone expression', async () => {
+    await expect(evaluator.evaluate('={{ $json.total * 2 }}', scope())).resolves.toBe(6);
+  });
+
+  test('concatenates expressions inside text', async () => {
+    await expect(evaluator.evaluate('=Mail {{ $json.email }} ({{ $json.total }})', scope())).resolves.toBe('Mail ada@example.com (3)');
+  });
+
+  test('reads other nodes through $()', async () => {
+    const nodes = { Lookup: { executed: true, all: [{ json: { id: 7 } }], item: { json: { id: 7 } } } };
+    await expect(evaluator.evaluate("={{ $('Lookup').item.json.id }}", scope({}, nodes))).resolves.toBe(7);
+  });
+
+  test('resolves every expression in a parameter tree', async () => {
+    await expect(evaluator.resolve({ to: '={{ $json.email }}', options: [{ value: 'plain' }] }, scope()))
+      .resolves.toEqual({ to: 'ada@example.com', options: [{ value: 'plain' }] });
+  });
+
+  test('reports invalid and failing expressions', async () => {
+    await expect(evaluator.evaluate('={{ $json. }}', scope())).rejects.toThrow(/^Invalid expression/);
+    await expect(evaluator.evaluate("={{ $('Missing').item }}", scope())).rejects.toThrow('Referenced node "Missing" does not exist');
+  });
+
+  describe('host isolation', () => {
+    test.each([
+      "globalThis.constructor.constructor('return process')().pid",
+      "$json.constructor.constructor('return process')().pid",
+      "(async () => {}).constructor('return process')()"
+    ])('cannot reach the host process through %s', async (code) => {
+      await expect(evaluator.evaluate(`={{ ${code} }}`, scope())).rejects.toThrow(/Code generation from strings disallowed/);
+    });
+
+    test('has no process or require in scope', async () => {
+      await expect(evaluator.evaluate('={{ [typeof process, typeof require].join() }}', scope())).resolves.toBe('undefined,undefined');
+    });
+
+    test('reads $env as placeholders, not the host environment', async () => {
+      await expect(evaluator.evaluate('={{ $env.PATH }}', scope())).resolves.toBe('sample-env-PATH');
+    });
+
+    test('stops synchronous loops', async () => {
+      await expect(evaluator.evaluate('={{ (() => { while (true) {} })() }}', scope())).rejects.toThrow(/timed out/);
+    });
+
+    test('stops loops queued as promise jobs', async () => {
+      await expect(evaluator.evaluate('={{ Promise.resolve().then(() => { while (true) {} }) }}', scope())).rejects.toThrow(/timed out/);
+      await expect(evaluator.evaluate('={{ (async () => { await null; while (true) {} })() }}', scope())).rejects.toThrow(/timed out/);
+    });
+
+    test('leaves the event loop free while an expression runs', async () => {
+      let ticked = false;
+      setTimeout(() => { ticked = true; }, 10);
+      await expect(evaluator.evaluate('={{ (() => { while (true) {} })() }}', scope())).rejects.toThrow(/timed out/);
+      expect(ticked).toBe(true);
+    });
+
+    test('keeps working after a timeout', async () => {
+      await expect(evaluator.evaluate('={{ (() => { while (true) {} })() }}', scope())).rejects.toThrow();
+      await expect(evaluator.evaluate('={{ $json.total }}', scope())).resolves.toBe(3);
+    });
+  });
+});
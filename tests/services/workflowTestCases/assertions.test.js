@@ -0,0 +1,98 @@
+const { queryJsonPath, checkSchema, evaluateAssertion } = require('../../../src/services/workflowTestCases/assertions');
+
+describe('queryJsonPath', () => {
+  const items = [
+    { id: 1, tags: ['a', 'b'], user: { email: 'ann@example.com' } },
+    { id: 2, tags: [], user: { email: 'bob@example.com' } }
+  ];
+
+  test.each([
+    ['$[0].id', [1]],
+    ['$[-1].id', [2]],
+    ['$[*].user.email', ['ann@example.com', 'bob@example.com']],
+    ['$..email', ['ann@example.com', 'bob@example.com']],
+    ["$[0]['tags'][*]", ['a', 'b']],
+    ['$[5].id', []]
+  ])('%s', (expression, expected) => {
+    expect(queryJsonPath(items, expression)).toEqual(expected);
+  });
+
+  test('rejects paths that do not start at $ or cannot be parsed', () => {
+    expect(() => queryJsonPath(items, 'id')).toThrow('must start with $');
+    expect(() => queryJsonPath(items, '$.a b')).toThrow('at position 3');
+  });
+});
+
+describe('checkSchema', () => {
+  test('lists every problem with its location', () => {
+    const schema = {
+      type: 'object',
+      required: ['count', 'missing'],
+      properties: {
+        count: { type: 'integer' },
+        name: { type: 'string', minLength: 3 },
+        status: { enum: ['open'] }
+      },
+      additionalProperties: false
+    };
+
+    expect(checkSchema({ count: 1.5, name: 'ab', status: 'closed', extra: true }, schema)).toEqual([
+      '$.missing is required',
+      '$.count should be integer, got number',
+      '$.name should have at least 3 characters',
+      '$.status should be one of ["open"]',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  test('checks array items and accepts integers as numbers', () => {
+    expect(checkSchema([1, 'a'], { type: 'array', items: { type: 'number' }, maxItems: 1 })).toEqual([
+      '$ should have at most 1 items',
+      '$[1] should be number, got string'
+    ]);
+    expect(checkSchema(3, { type: 'number', maximum: 5 })).toEqual([]);
+  });
+});
+
+describe('evaluateAssertion', () => {
+  const runData = {
+    Set: [{ data: { main: [[{ json: { id: 1, name: 'Ann' } }, { json: { id: 2, name: 'Bob' } }]] } }]
+  };
+
+  test('checks whether a node ran', () => {
+    expect(evaluateAssertion({ type: 'executed', node: 'Set' }, runData).passed).toBe(true);
+    expect(evaluateAssertion({ type: 'notExecuted', node: 'Set' }, runData).message).toBe('Node "Set" ran but should not have');
+    expect(evaluateAssertion({ type: 'equals', node: 'Missing', path: '$', value: 1 }, runData).message).toBe('Node "Missing" did not run');
+  });
+
+  test('counts the items a node output', () => {
+    expect(evaluateAssertion({ type: 'itemCount', node: 'Set', value: 2 }, runData).passed).toBe(true);
+    expect(evaluateAssertion({ type: 'itemCount', node: 'Set', min: 3 }, runData)).toMatchObject({
+      passed: false,
+      message: 'Node "Set" output 2 items, expected >= 3',
+      actual: 2
+    });
+  });
+
+  test('passes a value assertion only when every match passes', () => {
+    expect(evaluateAssertion({ type: 'equals', node: 'Set', path: '$[0].name', value: 'Ann' }, runData))
+      .toMatchObject({ passed: true, actual: 'Ann' });
+    expect(evaluateAssertion({ type: 'equals', node: 'Set', path: '$[*].name', value: 'Ann' }, runData))
+      .toMatchObject({ passed: false, message: '$[*].name in "Set": got "Bob", expected "Ann"' });
+  });
+
+  test('contains matches a subset of an item', () => {
+    expect(evaluateAssertion({ type: 'contains', node: 'Set', path: '$', value: { name: 'Bob' } }, runData).passed).toBe(true);
+  });
+
+  test('reports the schema problem of the first failing match', () => {
+    const assertion = { type: 'matchesSchema', node: 'Set', path: '$[*].id', schema: { type: 'integer', minimum: 2 } };
+    expect(evaluateAssertion(assertion, runData).message).toBe('$[*].id in "Set": $ should be >= 2');
+  });
+
+  test('fails paths that match nothing and unknown types', () => {
+    expect(evaluateAssertion({ type: 'equals', node: 'Set', path: '$[9].x', value: 1 }, runData).message)
+      .toBe('$[9].x matched nothing in the output of "Set"');
+    expect(evaluateAssertion({ type: 'bogus', node: 'Set' }, runData).message).toBe('Unknown assertion type "bogus"');
+  });
+});
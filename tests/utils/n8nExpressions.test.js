@@ -0,0 +1,83 @@
+const {
+  isExpression,
+  extractExpressionBlocks,
+  parseExpressionReferences,
+  extractReferences,
+  looksLikeExpression
+} = require('../../src/utils/n8nExpressions');
+
+describe('isExpression', () => {
+  test('only values starting with = are expressions', () => {
+    expect(isExpression('={{ $json.email }}')).toBe(true);
+    expect(isExpression('{{ $json.email }}')).toBe(false);
+    expect(isExpression(42)).toBe(false);
+  });
+});
+
+describe('extractExpressionBlocks', () => {
+  test('returns each {{ }} block with its offset', () => {
+    expect(extractExpressionBlocks('=Hello {{ $json.name }}')).toEqual([
+      { code: ' $json.name ', offset: 7, closed: true }
+    ]);
+  });
+
+  test('ignores braces inside object literals and strings', () => {
+    const [, second] = extractExpressionBlocks('={{ $json.a }} and {{ { a: "}}" }.a }}');
+    expect(second.code).toBe(' { a: "}}" }.a ');
+    expect(second.closed).toBe(true);
+  });
+
+  test('marks a block that is never closed', () => {
+    expect(extractExpressionBlocks('={{ $json.a')).toEqual([{ code: ' $json.a', offset: 1, closed: false }]);
+  });
+});
+
+describe('parseExpressionReferences', () => {
+  test('reads nested $json fields as dotted paths', () => {
+    expect(parseExpressionReferences('$json.address.city + $json.items[0].sku').map(reference => reference.field))
+      .toEqual(['address.city', 'items.0.sku']);
+  });
+
+  test('reads $() references with their accessor, field and method', () => {
+    expect(parseExpressionReferences("$('Get Contact').item.json['first name'].trim()")).toEqual([
+      expect.objectContaining({ kind: 'node', syntax: '$()', node: 'Get Contact', accessor: 'item', field: 'first name', method: 'trim' })
+    ]);
+  });
+
+  test('stops the field path at a call with arguments', () => {
+    expect(parseExpressionReferences('$json.tags.map(tag => tag.trim()).join(", ")')).toEqual([
+      expect.objectContaining({ kind: 'input', field: 'tags', method: 'map' })
+    ]);
+  });
+
+  test('reads $node, $env and $vars references', () => {
+    expect(parseExpressionReferences('$node["Old"].json.id + $env.API_URL + $vars.region')).toEqual([
+      expect.objectContaining({ kind: 'node', syntax: '$node', node: 'Old', field: 'id' }),
+      expect.objectContaining({ kind: 'env', name: 'API_URL' }),
+      expect.objectContaining({ kind: 'vars', name: 'region' })
+    ]);
+  });
+
+  test('skips strings and comments but not template placeholders', () => {
+    expect(parseExpressionReferences('"$json.inString" // $json.comment')).toEqual([]);
+    expect(parseExpressionReferences('`${$json.a} $json.b`').map(reference => reference.field)).toEqual(['a']);
+  });
+});
+
+describe('extractReferences', () => {
+  test('parses expressions and code but not literal text', () => {
+    expect(extractReferences('={{ $json.x }}').map(reference => reference.field)).toEqual(['x']);
+    expect(extractReferences('{{ $json.x }}')).toEqual([]);
+    expect(extractReferences('return $input.first().json.y;', { code: true })).toEqual([
+      expect.objectContaining({ kind: 'input', accessor: 'first', field: 'y' })
+    ]);
+  });
+});
+
+describe('looksLikeExpression', () => {
+  test('flags {{ }} text missing the leading =', () => {
+    expect(looksLikeExpression('{{ $json.x }}')).toBe(true);
+    expect(looksLikeExpression('={{ $json.x }}')).toBe(false);
+    expect(looksLikeExpression('hello')).toBe(false);
+  });
+});